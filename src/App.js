@@ -1,7 +1,12 @@
-import React, { useState } from "react";
+import React, { useMemo, useRef, useState } from "react";
 import ImageUploader from "./components/ImageUploader";
 import ImageProcessor from "./components/ImageProcessor";
 import ResultDisplay from "./components/ResultDisplay";
+import BatchQueue from "./components/BatchQueue";
+import ProcessingSettings from "./components/ProcessingSettings";
+import useBatchQueue from "./hooks/useBatchQueue";
+import { getRemovalOptions } from "./utils/processingSettings";
+import { loadInitialProcessingSettings } from "./utils/settingsPresets";
 
 const App = () => {
     const [selectedImage, setSelectedImage] = useState(null);
@@ -9,10 +14,24 @@ const App = () => {
     const [isProcessing, setIsProcessing] = useState(false);
     const [error, setError] = useState(null);
     const [originalFileName, setOriginalFileName] = useState("");
+    // Settings are shared by the single-image flow and the batch queue. They start from the default preset, if any.
+    const [processingSettings, setProcessingSettings] = useState(loadInitialProcessingSettings);
+    const [batchConcurrency, setBatchConcurrency] = useState(1);
+    // Background colors picked on the current image; they are specific to it, so a new image clears them.
+    const [keyColors, setKeyColors] = useState([]);
+    const removalOptions = useMemo(() => getRemovalOptions(processingSettings), [processingSettings]);
+    const batch = useBatchQueue({ removalOptions, concurrency: batchConcurrency });
+    // Id of the most recent processing run. Results and errors from older runs are ignored.
+    const latestRunIdRef = useRef(0);
+
+    const isSupersededRun = (runId) => runId !== undefined && runId !== latestRunIdRef.current;
 
     const handleImageSelect = (file) => {
+        latestRunIdRef.current += 1; // Any run still in flight belongs to the previous image
         setSelectedImage(file);
+        setKeyColors([]);
         setProcessedImage(null);
+        setIsProcessing(false);
         setError(null);
         if (file) {
             setOriginalFileName(file.name);
@@ -21,17 +40,24 @@ const App = () => {
         }
     };
 
-    const handleProcessingComplete = (resultImageUrl) => {
+    const handleProcessingComplete = (resultImageUrl, runId) => {
+        if (isSupersededRun(runId)) return;
         setProcessedImage(resultImageUrl);
         setIsProcessing(false);
         setError(null); 
     };
 
-    const handleError = (errorMessage) => {
+    const handleError = (errorMessage, runId) => {
+        if (isSupersededRun(runId)) return;
         setError(errorMessage);
         setProcessedImage(null); 
         setIsProcessing(false);
     };
+
+    const handleProcessingCancel = (runId) => {
+        if (isSupersededRun(runId)) return;
+        setIsProcessing(false);
+    };
     
     const handleSetIsProcessing = (status) => {
         setIsProcessing(status);
@@ -41,6 +67,12 @@ const App = () => {
         }
     };
 
+    const handleProcessingStart = () => {
+        latestRunIdRef.current += 1;
+        handleSetIsProcessing(true);
+        return latestRunIdRef.current;
+    };
+
     return (
         <div className="min-h-screen bg-gray-100 flex flex-col items-center justify-center p-4 sm:p-6 lg:p-8 font-sans transition-colors duration-300">
             <div className="w-full max-w-3xl bg-white rounded-xl shadow-2xl overflow-hidden">
@@ -72,7 +104,13 @@ const App = () => {
                                 <p className="text-sm text-gray-500">Drag & drop or click to select a file.</p>
                             </div>
                         </div>
-                        <ImageUploader onImageSelect={handleImageSelect} />
+                        <ImageUploader
+                            onImageSelect={handleImageSelect}
+                            onBatchSelect={batch.addFiles}
+                            keyColors={keyColors}
+                            onKeyColorsChange={setKeyColors}
+                            colorMetric={removalOptions.params.colorDistance}
+                        />
                     </section>
 
                     {/* Step 2: Process */}
@@ -91,8 +129,12 @@ const App = () => {
                             </div>
                             <ImageProcessor
                                 selectedImage={selectedImage}
-                                onProcessingStart={() => handleSetIsProcessing(true)}
+                                settings={processingSettings}
+                                onSettingsChange={setProcessingSettings}
+                                keyColors={keyColors}
+                                onProcessingStart={handleProcessingStart}
                                 onProcessingComplete={handleProcessingComplete}
+                                onProcessingCancel={handleProcessingCancel}
                                 onError={handleError}
                             />
                         </section>
@@ -114,15 +156,54 @@ const App = () => {
                             </div>
                             <ResultDisplay
                                 processedImage={processedImage}
+                                originalImage={selectedImage}
                                 isLoading={isProcessing}
                                 error={error}
                                 originalFileName={originalFileName}
+                                defaultAutoCrop={processingSettings.crop}
                             />
                         </section>
                     )}
                     
+                    {/* Batch queue for multi-file drops */}
+                    {batch.items.length > 0 && (
+                        <section id="batch-section" className="p-6 bg-slate-50 rounded-lg shadow-inner">
+                            <div className="flex items-center mb-4">
+                                <div className="flex-shrink-0 w-10 h-10 rounded-full bg-primary text-white flex items-center justify-center font-bold text-lg mr-4 shadow-md">
+                                    <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 256 256" width="20" height="20"><rect width="256" height="256" fill="none"/><line x1="40" y1="64" x2="216" y2="64" fill="none" stroke="currentColor" stroke-linecap="round" stroke-linejoin="round" stroke-width="24"/><line x1="40" y1="128" x2="216" y2="128" fill="none" stroke="currentColor" stroke-linecap="round" stroke-linejoin="round" stroke-width="24"/><line x1="40" y1="192" x2="216" y2="192" fill="none" stroke="currentColor" stroke-linecap="round" stroke-linejoin="round" stroke-width="24"/></svg>
+                                </div>
+                                <div>
+                                    <h2 className="text-xl sm:text-2xl font-semibold text-gray-800">
+                                        Batch Queue
+                                    </h2>
+                                    <p className="text-sm text-gray-500">Every image is processed with the same settings.</p>
+                                </div>
+                            </div>
+                            {selectedImage ? (
+                                <p className="text-sm text-gray-500 px-4">Using the settings from step 2 above.</p>
+                            ) : (
+                                <div className="w-full max-w-2xl mx-auto p-4">
+                                    <div className="bg-white rounded-xl shadow-lg p-6">
+                                        <ProcessingSettings settings={processingSettings} onChange={setProcessingSettings} />
+                                    </div>
+                                </div>
+                            )}
+                            <BatchQueue
+                                items={batch.items}
+                                isRunning={batch.isRunning}
+                                concurrency={batchConcurrency}
+                                onConcurrencyChange={setBatchConcurrency}
+                                onStart={batch.start}
+                                onStop={batch.stop}
+                                onRetry={batch.retryItem}
+                                onRemove={batch.removeItem}
+                                onClear={batch.clear}
+                            />
+                        </section>
+                    )}
+
                     {/* Initial placeholder if no image is uploaded and nothing is processing */}
-                    {!selectedImage && !isProcessing && !processedImage && !error && (
+                    {!selectedImage && !isProcessing && !processedImage && !error && batch.items.length === 0 && (
                         <div className="text-center py-10 px-6 bg-slate-50 rounded-lg shadow-inner">
                             <div className="mx-auto text-gray-400 w-fit mb-4">
                                 <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 256 256" width="64" height="64"><rect width="256" height="256" fill="none"/><path d="M128,128V24a64,64,0,0,1,50,104" fill="none" stroke="currentColor" stroke-linecap="round" stroke-linejoin="round" stroke-width="24"/><path d="M128,128H24A64,64,0,0,1,128,78" fill="none" stroke="currentColor" stroke-linecap="round" stroke-linejoin="round" stroke-width="24"/><path d="M128,128V232A64,64,0,0,1,78,128" fill="none" stroke="currentColor" stroke-linecap="round" stroke-linejoin="round" stroke-width="24"/><path d="M128,128H232a64,64,0,0,1-104,50" fill="none" stroke="currentColor" stroke-linecap="round" stroke-linejoin="round" stroke-width="24"/></svg>
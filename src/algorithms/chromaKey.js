@@ -0,0 +1,213 @@
+/**
+ * @file src/algorithms/chromaKey.js
+ * @description Chroma key for green and blue screen shots: compares pixels with the screen color by hue,
+ * saturation and luminance separately instead of by RGB distance. Lighting falloff across a screen mostly changes
+ * its luminance and leaves its hue alone, so a wide luminance tolerance keys the whole screen while a narrow hue
+ * tolerance keeps the subject. The resulting matte is contrast-stretched between clip black and clip white, and
+ * the screen's green or blue cast is suppressed on what remains.
+ */
+
+import { evaluateBackgroundGradient } from "../utils/backgroundModel";
+import { SPILL_COLORS, suppressSpill } from "../utils/edgeDecontamination";
+import { throwIfAborted } from "../utils/imageProcessing";
+import { estimateBackground } from "./common";
+
+/**
+ * Computes the hue (0-360 degrees), saturation (0-1, as in HSV, so it does not change when the light dims) and
+ * luminance (0-1, Rec. 601 luma) of a color.
+ * @param {number} r - Red (0-255).
+ * @param {number} g - Green (0-255).
+ * @param {number} b - Blue (0-255).
+ * @param {{hue: number, saturation: number, luminance: number}} out - Receives the result.
+ * @returns {{hue: number, saturation: number, luminance: number}} `out`.
+ */
+const toChromaComponents = (r, g, b, out) => {
+    const max = Math.max(r, g, b);
+    const chroma = max - Math.min(r, g, b);
+    let hue = 0;
+    if (chroma > 0) {
+        if (max === r) {
+            hue = ((g - b) / chroma) * 60;
+        } else if (max === g) {
+            hue = ((b - r) / chroma + 2) * 60;
+        } else {
+            hue = ((r - g) / chroma + 4) * 60;
+        }
+        if (hue < 0) hue += 360;
+    }
+    out.hue = hue;
+    out.saturation = max > 0 ? chroma / max : 0;
+    out.luminance = (0.299 * r + 0.587 * g + 0.114 * b) / 255;
+    return out;
+};
+
+/**
+ * Returns the screen colors to key: the user-picked key colors, or else the most saturated color of the background
+ * model (see `estimateBackground`), which is the screen even when the subject reaches into the sampled border.
+ * Picked colors' own tolerances do not apply; the hue, saturation and luminance tolerances do.
+ * @param {ImageData} imageData - The decoded pixels.
+ * @param {Array<{r: number, g: number, b: number}>} [keyColors] - User-picked key colors.
+ * @param {object} [sampling] - Where and how to model the background (see `DEFAULT_SAMPLING`).
+ * @param {{colors: Array<object>, gradient: object | null}} [background] - An already estimated background model.
+ * @returns {Array<{r: number, g: number, b: number, hue: number, saturation: number, luminance: number}>} The keys.
+ */
+const resolveChromaKeys = (imageData, keyColors, sampling, background = null) => {
+    if (keyColors && keyColors.length > 0) {
+        return keyColors.map(({ r, g, b }) => toChromaComponents(r, g, b, { r, g, b }));
+    }
+    const { colors, gradient } = background || estimateBackground(imageData, sampling);
+    const candidates = [...colors];
+    if (gradient) {
+        candidates.push(evaluateBackgroundGradient(gradient, (gradient.width - 1) / 2, (gradient.height - 1) / 2 - (gradient.top || 0), {}));
+    }
+    const keys = candidates.map(({ r, g, b }) => toChromaComponents(r, g, b, { r, g, b }));
+    return [keys.reduce((best, key) => (key.saturation > best.saturation ? key : best))];
+};
+
+/**
+ * Returns the channel a key color spills: green or blue, whichever dominates it, or null for other screen colors.
+ * @param {{r: number, g: number, b: number}} key - The key color.
+ * @returns {string | null} One of `SPILL_COLORS`, or null.
+ */
+const getSpillColor = ({ r, g, b }) => {
+    if (g > r && g >= b) return SPILL_COLORS.GREEN;
+    if (b > r && b > g) return SPILL_COLORS.BLUE;
+    return null;
+};
+
+const pixelComponents = { hue: 0, saturation: 0, luminance: 0 }; // Reused per pixel
+
+/**
+ * Computes the matte value of a pixel against one key: 0 on the key color, rising linearly to 1 as the pixel
+ * leaves any of the three tolerances. Saturation only counts below the key's, since a pixel more saturated than
+ * the screen is, if anything, more screen-like.
+ * @returns {number} The matte value (0-1).
+ */
+const matteAgainstKey = (components, key, params) => {
+    let hueDifference = Math.abs(components.hue - key.hue);
+    if (hueDifference > 180) hueDifference = 360 - hueDifference;
+    const hueDistance = hueDifference / params.hueTolerance;
+    const saturationDistance = Math.max(0, key.saturation - components.saturation) * 100 / params.saturationTolerance;
+    const luminanceDistance = Math.abs(components.luminance - key.luminance) * 100 / params.luminanceTolerance;
+    return Math.min(1, Math.max(hueDistance, saturationDistance, luminanceDistance));
+};
+
+/**
+ * Maps a matte value to alpha: 0 up to clip black, 255 from clip white, linear in between.
+ * A clip white below clip black is raised to it, which makes the step from 0 to 255 a hard edge.
+ * @returns {number} The alpha (0-255).
+ */
+const clipMatte = (matte, params) => {
+    const clipBlack = params.clipBlack / 100;
+    const clipWhite = Math.max(clipBlack, params.clipWhite / 100);
+    if (matte <= clipBlack) return 0;
+    if (matte >= clipWhite) return 255;
+    return Math.round(((matte - clipBlack) / (clipWhite - clipBlack)) * 255);
+};
+
+const chromaKey = {
+    id: "chromaKey",
+    label: "Chroma key",
+    description: "Keys out a green or blue screen by hue, tolerating uneven lighting, and removes its color cast.",
+    params: [
+        {
+            name: "hueTolerance",
+            label: "Hue tolerance",
+            type: "number",
+            min: 1,
+            max: 180,
+            step: 1,
+            default: 40,
+            description: "Degrees of hue around the screen's hue that count as screen.",
+        },
+        {
+            name: "saturationTolerance",
+            label: "Saturation tolerance",
+            type: "number",
+            min: 1,
+            max: 100,
+            step: 1,
+            default: 60,
+            description: "How much less saturated than the screen a pixel may be, in percent, and still count as screen.",
+        },
+        {
+            name: "luminanceTolerance",
+            label: "Luminance tolerance",
+            type: "number",
+            min: 1,
+            max: 100,
+            step: 1,
+            default: 70,
+            description: "How much darker or brighter than the screen a pixel may be, in percent. Raise it for screens with uneven lighting.",
+        },
+        {
+            name: "clipBlack",
+            label: "Clip black",
+            type: "number",
+            min: 0,
+            max: 100,
+            step: 1,
+            default: 30,
+            description: "Matte values up to this percentage become fully transparent. Raise it to clean up a noisy screen.",
+        },
+        {
+            name: "clipWhite",
+            label: "Clip white",
+            type: "number",
+            min: 0,
+            max: 100,
+            step: 1,
+            default: 70,
+            description: "Matte values from this percentage become fully opaque. Lower it to fill in a subject that shows through. At or below Clip black, the edge is hard.",
+        },
+        {
+            name: "despill",
+            label: "Despill",
+            type: "number",
+            min: 0,
+            max: 100,
+            step: 1,
+            default: 100,
+            description: "How much of the screen's green or blue cast is removed from the subject, in percent.",
+        },
+    ],
+    tiling: { mode: "pixel" },
+    run(imageData, params, { onProgress, signal, keyColors, sampling, background }) {
+        const keys = resolveChromaKeys(imageData, keyColors, sampling, background);
+        const { data } = imageData;
+        const totalPixels = data.length / 4;
+        let lastReportedProgress = -1;
+
+        for (let p = 0; p < totalPixels; p++) {
+            const offset = p * 4;
+            toChromaComponents(data[offset], data[offset + 1], data[offset + 2], pixelComponents);
+            let matte = 1;
+            for (let k = 0; k < keys.length && matte > 0; k++) {
+                matte = Math.min(matte, matteAgainstKey(pixelComponents, keys[k], params));
+            }
+            const alpha = clipMatte(matte, params);
+            if (alpha < data[offset + 3]) data[offset + 3] = alpha;
+
+            const progress = Math.floor(((p + 1) / totalPixels) * 100);
+            if (progress > lastReportedProgress) {
+                throwIfAborted(signal); // Checked once per percent to keep the loop cheap
+                if (onProgress) onProgress(progress);
+                lastReportedProgress = progress;
+            }
+        }
+    },
+    /**
+     * Despills the visible pixels once the mask is final, against the first key's spill color.
+     */
+    refineColors(imageData, params, { signal, keyColors, sampling, background }) {
+        const spillColor = getSpillColor(resolveChromaKeys(imageData, keyColors, sampling, background)[0]);
+        if (!spillColor || params.despill <= 0) return;
+        const { data } = imageData;
+        for (let offset = 0; offset < data.length; offset += 4) {
+            if (offset % 262144 === 0) throwIfAborted(signal);
+            if (data[offset + 3] > 0) suppressSpill(data, offset, spillColor, params.despill / 100);
+        }
+    },
+};
+
+export default chromaKey;
@@ -0,0 +1,21 @@
+/**
+ * @file src/algorithms/colorMatch.js
+ * @description Global color match: removes every pixel in the image that is close to the averaged border color,
+ * or to any of the user-picked key colors.
+ */
+
+import { manipulateAlphaByKeyColors } from "../utils/imageProcessing";
+import { COLOR_DISTANCE_PARAM, TOLERANCE_PARAMS, resolveKeyColors } from "./common";
+
+const colorMatch = {
+    id: "colorMatch",
+    label: "Global color match",
+    description: "Removes every pixel close to the backdrop color, anywhere in the image.",
+    params: [COLOR_DISTANCE_PARAM, ...TOLERANCE_PARAMS],
+    tiling: { mode: "pixel" },
+    run(imageData, params, { onProgress, signal, keyColors, sampling, background }) {
+        manipulateAlphaByKeyColors(imageData, resolveKeyColors(imageData, params, keyColors, sampling, background), onProgress, { signal });
+    },
+};
+
+export default colorMatch;
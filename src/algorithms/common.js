@@ -0,0 +1,184 @@
+/**
+ * @file src/algorithms/common.js
+ * @description Parameter schemas and helpers shared by the built-in color-keyed algorithms.
+ */
+
+import { BACKGROUND_MODELS, buildBackgroundModel, evaluateBackgroundGradient } from "../utils/backgroundModel";
+import {
+    COLOR_DISTANCE_METRICS,
+    COLOR_DISTANCE_OPTIONS,
+    COLOR_DISTANCE_TOLERANCES,
+    convertTolerance,
+    prepareKeyColor,
+    resolveColorMetric,
+} from "../utils/colorDistance";
+import { DEFAULT_SAMPLING, SAMPLING_STRATEGIES, getSamplePoints, sampleAverageColor } from "../utils/imageProcessing";
+
+/**
+ * Selects how the color-keyed algorithms measure color distance, and with it the units of their tolerances.
+ */
+export const COLOR_DISTANCE_PARAM = {
+    name: "colorDistance",
+    label: "Color distance",
+    type: "select",
+    options: COLOR_DISTANCE_OPTIONS,
+    default: COLOR_DISTANCE_METRICS.RGB,
+    description: "RGB tolerances run up to about 441. The ΔE metrics measure perceived difference: 1 is barely visible, " +
+        "around 10-30 suits most backdrops. Hue-weighted ΔE also tolerates shadows and highlights on the backdrop. " +
+        "Switching converts the tolerances to the new metric's units.",
+};
+
+/**
+ * Returns the per-metric ranges of a tolerance parameter (see `ranges` in `./registry`): each metric's own maximum
+ * and step, and the RGB default converted to its units.
+ * @param {number} rgbDefault - The default in RGB units.
+ * @returns {{param: string, values: object}} The ranges.
+ */
+const getToleranceRanges = (rgbDefault) => ({
+    param: COLOR_DISTANCE_PARAM.name,
+    values: Object.keys(COLOR_DISTANCE_TOLERANCES).reduce((values, metric) => {
+        const { max, step } = COLOR_DISTANCE_TOLERANCES[metric];
+        values[metric] = { max, step, default: convertTolerance(rgbDefault, COLOR_DISTANCE_METRICS.RGB, metric) };
+        return values;
+    }, {}),
+});
+
+/**
+ * Creates the inner/outer color distance pair used by the color-keyed algorithms (see `computeRampAlpha`), in the
+ * units of the selected `COLOR_DISTANCE_PARAM` metric. Range and default follow the metric.
+ * @param {{innerTolerance: number, outerTolerance: number}} rgbDefaults - The defaults in RGB units.
+ * @returns {object[]} The two parameter schema entries.
+ */
+export const createToleranceParams = (rgbDefaults) => [
+    {
+        name: "innerTolerance",
+        label: "Inner tolerance (fully transparent)",
+        type: "number",
+        min: 0,
+        max: COLOR_DISTANCE_TOLERANCES[COLOR_DISTANCE_METRICS.RGB].max,
+        step: 1,
+        default: rgbDefaults.innerTolerance,
+        ranges: getToleranceRanges(rgbDefaults.innerTolerance),
+        description: "Color distance from the background color up to which pixels are removed completely.",
+    },
+    {
+        name: "outerTolerance",
+        label: "Outer tolerance (fully opaque)",
+        type: "number",
+        min: 0,
+        max: COLOR_DISTANCE_TOLERANCES[COLOR_DISTANCE_METRICS.RGB].max,
+        step: 1,
+        default: rgbDefaults.outerTolerance,
+        ranges: getToleranceRanges(rgbDefaults.outerTolerance),
+        description: "Color distance from which pixels are kept. Pixels in between get partial transparency.",
+    },
+];
+
+export const TOLERANCE_PARAMS = createToleranceParams({ innerTolerance: 45, outerTolerance: 60 });
+
+/**
+ * Resolves the key colors a color-keyed algorithm removes.
+ * Without user-picked key colors these are the colors of the background model (see `estimateBackground`) with the
+ * algorithm's tolerances: one for the average model, one per cluster, or one gradient key color whose color
+ * depends on the pixel position. Picked key colors replace them: each uses its own `tolerance` as inner tolerance,
+ * converted from the units of its `metric` (RGB if unset) to the selected metric's, and the algorithm's inner/outer
+ * gap as the width of its partial-transparency ramp.
+ * @param {ImageData} imageData - The decoded pixels.
+ * @param {object} params - The algorithm's resolved parameters (`innerTolerance`, `outerTolerance` and, if it has
+ *        one, `colorDistance`).
+ * @param {Array<{r: number, g: number, b: number, tolerance: number, metric?: string}>} [keyColors] - User-picked
+ *        key colors.
+ * @param {object} [sampling] - Where and how to model the background (see `DEFAULT_SAMPLING`).
+ * @param {{colors: Array<object>, gradient: object | null}} [background] - An already estimated background model,
+ *        used instead of sampling `imageData` (e.g. when it is only one strip of a tiled image).
+ * @returns {Array<{r: number, g: number, b: number, innerTolerance: number, outerTolerance: number, metric: string}>}
+ *          The key colors, prepared for the selected distance metric (see `prepareKeyColor`).
+ */
+export function resolveKeyColors(imageData, params, keyColors, sampling, background = null) {
+    const rampWidth = Math.max(0, params.outerTolerance - params.innerTolerance);
+    if (keyColors && keyColors.length > 0) {
+        return keyColors.map(({ r, g, b, tolerance, metric }) => {
+            const innerTolerance = convertTolerance(tolerance, metric, params.colorDistance);
+            return prepareKeyColor({ r, g, b, innerTolerance, outerTolerance: innerTolerance + rampWidth }, params.colorDistance);
+        });
+    }
+    const { colors, gradient } = background || estimateBackground(imageData, sampling);
+    const tolerances = { innerTolerance: params.innerTolerance, outerTolerance: params.innerTolerance + rampWidth };
+    const resolved = colors.map(({ r, g, b }) => prepareKeyColor({ r, g, b, ...tolerances }, params.colorDistance));
+    if (gradient) {
+        // Its color changes per pixel, so it gets no per-color caches; r, g, b are the color at the frame's center.
+        const center = evaluateBackgroundGradient(gradient, (gradient.width - 1) / 2, (gradient.height - 1) / 2 - (gradient.top || 0), {});
+        resolved.push({ ...center, ...tolerances, gradient, metric: resolveColorMetric(params.colorDistance) });
+    }
+    return resolved;
+}
+
+/**
+ * Returns the flood fill seeds: the background sample points plus the positions key colors were picked at,
+ * so the fill also reaches backdrop areas that do not touch the border.
+ * @param {number} width - The width of the image.
+ * @param {number} height - The height of the image.
+ * @param {Array<{x?: number, y?: number}>} [keyColors] - User-picked key colors.
+ * @param {object} [sampling] - Sampling settings (see `DEFAULT_SAMPLING`).
+ * @returns {Array<[number, number]>} The [x, y] seed points.
+ */
+export function getFillSeedPoints(width, height, keyColors, sampling) {
+    const pickedPoints = (keyColors || [])
+        .filter((keyColor) => Number.isFinite(keyColor.x) && Number.isFinite(keyColor.y))
+        .map((keyColor) => [keyColor.x, keyColor.y]);
+    return [...getSamplePoints(width, height, sampling), ...pickedPoints];
+}
+
+/**
+ * Returns the points a background model is built from. The average model uses the sampling strategy's points;
+ * the cluster and gradient models need many samples, so they always use the full border strip.
+ * @param {number} width - The width of the image.
+ * @param {number} height - The height of the image.
+ * @param {object} [sampling] - Sampling settings (see `DEFAULT_SAMPLING`).
+ * @returns {Array<[number, number]>} The [x, y] sample points.
+ */
+export function getBackgroundSamplePoints(width, height, sampling = DEFAULT_SAMPLING) {
+    const { model } = { ...DEFAULT_SAMPLING, ...sampling };
+    if (model === BACKGROUND_MODELS.AVERAGE) {
+        return getSamplePoints(width, height, sampling);
+    }
+    return getSamplePoints(width, height, { ...sampling, strategy: SAMPLING_STRATEGIES.BORDER_STRIP });
+}
+
+/**
+ * Estimates the background model of an image (see `buildBackgroundModel`) from the samples at
+ * `getBackgroundSamplePoints`. Falls back to the top-left pixel's color if no sample could be read.
+ * @param {ImageData} imageData - The decoded pixels.
+ * @param {object} [sampling] - Sampling settings (see `DEFAULT_SAMPLING`).
+ * @returns {{colors: Array<{r: number, g: number, b: number}>, gradient: object | null}} The background model.
+ */
+export function estimateBackground(imageData, sampling) {
+    const { width, height, data } = imageData;
+    const { model, clusterCount } = { ...DEFAULT_SAMPLING, ...sampling };
+    const samples = [];
+    getBackgroundSamplePoints(width, height, sampling).forEach(([x, y]) => {
+        const column = Math.floor(x);
+        const row = Math.floor(y);
+        if (column >= 0 && column < width && row >= 0 && row < height) {
+            const index = (row * width + column) * 4;
+            samples.push({ x: column, y: row, r: data[index], g: data[index + 1], b: data[index + 2] });
+        }
+    });
+    if (samples.length === 0) {
+        return { colors: [{ r: data[0] || 0, g: data[1] || 0, b: data[2] || 0 }], gradient: null };
+    }
+    return buildBackgroundModel(samples, width, height, model, clusterCount);
+}
+
+/**
+ * Estimates the background color by averaging the sample points of a sampling strategy
+ * (by default the eight border points). Falls back to the top-left pixel if no sample could be read.
+ * @param {ImageData} imageData - The decoded pixels.
+ * @param {object} [sampling] - Sampling settings (see `DEFAULT_SAMPLING`).
+ * @returns {{r: number, g: number, b: number}} The estimated background color.
+ */
+export function estimateBorderColor(imageData, sampling) {
+    const { width, height, data } = imageData;
+    const averageColor = sampleAverageColor(imageData, width, height, getSamplePoints(width, height, sampling));
+    return averageColor || { r: data[0] || 0, g: data[1] || 0, b: data[2] || 0 };
+}
@@ -0,0 +1,91 @@
+/**
+ * @file src/algorithms/edgeAware.js
+ * @description Edge-aware flood fill: grows the background from the border like `floodFill`, but strong
+ * Sobel edges act as barriers. Growth stops at the subject outline even when subject and backdrop colors
+ * are close (e.g. beige products on cream backdrops), so a more lenient color tolerance can be used.
+ */
+
+import { computeSobelMagnitude, floodFillAlphaByKeyColors } from "../utils/imageProcessing";
+import { COLOR_DISTANCE_PARAM, createToleranceParams, getFillSeedPoints, resolveKeyColors } from "./common";
+
+const EDGE_TOLERANCE_DEFAULTS = { innerTolerance: 60, outerTolerance: 80 }; // In RGB units, converted for other metrics
+
+/**
+ * Builds the barrier mask: 1 for pixels whose edge magnitude reaches the threshold.
+ * @param {Uint8ClampedArray} magnitudes - Per-pixel Sobel magnitudes.
+ * @param {number} edgeThreshold - Minimum magnitude for a pixel to block the fill.
+ * @returns {Uint8Array} The barrier mask.
+ */
+const buildBarrierMask = (magnitudes, edgeThreshold) => {
+    const barrierMask = new Uint8Array(magnitudes.length);
+    for (let p = 0; p < magnitudes.length; p++) {
+        barrierMask[p] = magnitudes[p] >= edgeThreshold ? 1 : 0;
+    }
+    return barrierMask;
+};
+
+const edgeAware = {
+    id: "edgeAware",
+    label: "Edge-aware fill",
+    description: "Grows the background from the border but stops at strong edges, for subjects close to the backdrop color.",
+    params: [
+        COLOR_DISTANCE_PARAM,
+        ...createToleranceParams(EDGE_TOLERANCE_DEFAULTS),
+        {
+            name: "edgeThreshold",
+            label: "Edge threshold",
+            type: "number",
+            min: 1,
+            max: 255,
+            step: 1,
+            default: 80,
+            description: "Sobel edge strength from which a pixel blocks background growth. Lower values stop at fainter edges.",
+        },
+    ],
+    // The Sobel kernel reads one row above and below, so strips need one row of context.
+    tiling: {
+        mode: "fill",
+        contextRows: 1,
+        barrierMask: (imageData, params) => buildBarrierMask(computeSobelMagnitude(imageData, imageData.width, imageData.height), params.edgeThreshold),
+    },
+    run(imageData, params, { width, height, onProgress, signal, keyColors, sampling }) {
+        // Edge detection is the first half of the progress, the fill the second half.
+        const magnitudes = computeSobelMagnitude(imageData, width, height, (edgeProgress) => {
+            if (onProgress) onProgress(edgeProgress * 0.5);
+        }, signal);
+        const barrierMask = buildBarrierMask(magnitudes, params.edgeThreshold);
+
+        const seedPoints = getFillSeedPoints(width, height, keyColors, sampling);
+        floodFillAlphaByKeyColors(imageData, resolveKeyColors(imageData, params, keyColors, sampling), seedPoints, (fillProgress) => {
+            if (onProgress) onProgress(50 + fillProgress * 0.5);
+        }, {
+            barrierMask,
+            signal,
+        });
+    },
+    debugOverlayLegend: "Red pixels are edges strong enough to stop the background from growing.",
+    /**
+     * Renders the edge map for inspection: pixels that act as barriers are red,
+     * weaker edges are drawn in white with their magnitude as opacity.
+     */
+    debugOverlay(imageData, params) {
+        const { width, height } = imageData;
+        const magnitudes = computeSobelMagnitude(imageData, width, height);
+        const data = new Uint8ClampedArray(width * height * 4);
+        for (let p = 0; p < magnitudes.length; p++) {
+            const offset = p * 4;
+            if (magnitudes[p] >= params.edgeThreshold) {
+                data[offset] = 255;
+                data[offset + 3] = 220;
+            } else {
+                data[offset] = 255;
+                data[offset + 1] = 255;
+                data[offset + 2] = 255;
+                data[offset + 3] = magnitudes[p];
+            }
+        }
+        return { width, height, data };
+    },
+};
+
+export default edgeAware;
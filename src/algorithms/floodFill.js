@@ -0,0 +1,28 @@
+/**
+ * @file src/algorithms/floodFill.js
+ * @description Connected flood fill: grows the background from the border sample points through
+ * connected pixels only, so regions inside the subject with the same color as the backdrop stay opaque.
+ * With user-picked key colors, it also grows from the points they were picked at.
+ */
+
+import { floodFillAlphaByKeyColors } from "../utils/imageProcessing";
+import { COLOR_DISTANCE_PARAM, TOLERANCE_PARAMS, getFillSeedPoints, resolveKeyColors } from "./common";
+
+const floodFill = {
+    id: "floodFill",
+    label: "Connected flood fill",
+    description: "Grows the background from the image border only, keeping backdrop-colored areas inside the subject.",
+    params: [COLOR_DISTANCE_PARAM, ...TOLERANCE_PARAMS],
+    tiling: { mode: "fill" },
+    run(imageData, params, { width, height, onProgress, signal, keyColors, sampling }) {
+        floodFillAlphaByKeyColors(
+            imageData,
+            resolveKeyColors(imageData, params, keyColors, sampling),
+            getFillSeedPoints(width, height, keyColors, sampling),
+            onProgress,
+            { signal },
+        );
+    },
+};
+
+export default floodFill;
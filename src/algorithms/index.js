@@ -0,0 +1,26 @@
+/**
+ * @file src/algorithms/index.js
+ * @description Registers the built-in background removal algorithms and exposes the registry API.
+ * In-house algorithms that should also run inside the worker are registered here; see `./registry`
+ * for the algorithm contract.
+ */
+
+import { registerAlgorithm } from "./registry";
+import colorMatch from "./colorMatch";
+import floodFill from "./floodFill";
+import edgeAware from "./edgeAware";
+import chromaKey from "./chromaKey";
+
+export const DEFAULT_ALGORITHM_ID = colorMatch.id;
+
+[colorMatch, floodFill, edgeAware, chromaKey].forEach(registerAlgorithm);
+
+export {
+    registerAlgorithm,
+    unregisterAlgorithm,
+    getAlgorithm,
+    listAlgorithms,
+    getDefaultParams,
+    getParamRange,
+    resolveAlgorithmParams,
+} from "./registry";
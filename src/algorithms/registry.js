@@ -0,0 +1,181 @@
+/**
+ * @file src/algorithms/registry.js
+ * @description Registry of background removal algorithms.
+ *
+ * Every algorithm is a plain object sharing one contract:
+ * - `id` {string}: Unique identifier, passed as `removeBackground(file, { algorithm: id })`.
+ * - `label` {string}: Short human-readable name shown in the UI.
+ * - `description` {string}: One sentence explaining when to use it.
+ * - `params` {Array<ParamSchema>}: The parameters it accepts, used for defaults, clamping and UI controls.
+ * - `run(imageData, params, context)`: Lowers alpha in `imageData` in place. `params` are already resolved
+ *   against the schema. `context` is `{ width, height, onProgress, signal, keyColors, sampling, background? }`, where `onProgress` takes
+ *   the algorithm's own 0-100 progress, `signal` should be passed to `throwIfAborted` periodically and
+ *   `keyColors` lists the user-picked background colors (`{ r, g, b, tolerance, metric, x, y }`, possibly empty),
+ *   which color-keyed algorithms remove instead of an estimated backdrop color, and `sampling` says where that
+ *   backdrop color is estimated and modelled (see `DEFAULT_SAMPLING` in `src/utils/imageProcessing.js`).
+ *   `background` is only set when `imageData` is one strip of a larger image (see `tiling`).
+ *   `run` must not touch the DOM, so the algorithm can run inside the background removal worker.
+ * - `refineColors(imageData, params, context)` (optional): Corrects colors once the mask is final, e.g. a despill.
+ *   Runs at full resolution after feathering and edge decontamination, with the same `context` as `run` minus
+ *   `onProgress`; for tiled images it runs once per strip like a "pixel" algorithm, so it must be per pixel too.
+ * - `tiling` (optional): Declares how the algorithm runs on images too large to process in one piece, which
+ *   are processed in overlapping strips (see `src/services/tiledPipeline.js`). Without it such images are rejected.
+ *   - `{ mode: "pixel" }`: each pixel's alpha depends only on its own color, so `run` is called once per strip.
+ *     `context.background` then holds the background model estimated over the whole image, which color-keyed
+ *     algorithms pass to `resolveKeyColors` instead of sampling the strip.
+ *   - `{ mode: "fill", contextRows?, barrierMask? }`: the algorithm is a `floodFillAlphaByKeyColors` fill from
+ *     `getFillSeedPoints` with the key colors of `resolveKeyColors` (see `./common`). The pipeline runs that fill
+ *     across the whole image itself, so regions connect across strip seams. `barrierMask(imageData, params)`
+ *     returns the fill's barrier mask for a strip, and `contextRows` is how many rows above and below a row it
+ *     reads to compute it.
+ * - `debugOverlay(imageData, params)` (optional): Returns an RGBA `{ width, height, data }` layer visualising
+ *   the algorithm's intermediate state (e.g. an edge map), drawn over the image in the UI.
+ *   `debugOverlayLegend` (optional string) explains how to read it.
+ *
+ * A ParamSchema is `{ name, label, type, default, description? }` plus, per type:
+ * - "number": `min`, `max` and optional `step`. Optional `ranges: { param, values }` makes the range and default
+ *   depend on a "select" parameter: `values` maps values of the parameter named `param` to the `min`, `max`,
+ *   `step` and `default` that apply with it (e.g. tolerances in the units of the selected color metric).
+ * - "boolean": nothing else.
+ * - "select": `options`, an array of `{ value, label }`.
+ */
+
+const algorithms = new Map();
+
+const PARAM_TYPES = ["number", "boolean", "select"];
+const TILING_MODES = ["pixel", "fill"];
+
+/**
+ * Registers a background removal algorithm.
+ * Algorithms registered from `src/algorithms/index.js` are available in the worker as well;
+ * algorithms registered at runtime from application code only exist on the main thread,
+ * and `removeBackground` transparently runs them there.
+ * @param {object} algorithm - The algorithm definition (see the module description for the contract).
+ * @returns {object} The registered algorithm definition.
+ * @throws {Error} If the definition is incomplete or the id is already registered.
+ */
+export function registerAlgorithm(algorithm) {
+    if (!algorithm || typeof algorithm.id !== "string" || !algorithm.id) {
+        throw new Error("Algorithm definition must have a non-empty string id.");
+    }
+    if (algorithms.has(algorithm.id)) {
+        throw new Error(`An algorithm with id "${algorithm.id}" is already registered.`);
+    }
+    if (typeof algorithm.run !== "function") {
+        throw new Error(`Algorithm "${algorithm.id}" must provide a run(imageData, params, context) function.`);
+    }
+    if (algorithm.tiling && !TILING_MODES.includes(algorithm.tiling.mode)) {
+        throw new Error(`Algorithm "${algorithm.id}" has an invalid tiling mode. Expected one of ${TILING_MODES.join(", ")}.`);
+    }
+    const params = algorithm.params || [];
+    params.forEach((param) => {
+        if (!param || !param.name || !PARAM_TYPES.includes(param.type)) {
+            throw new Error(`Algorithm "${algorithm.id}" has an invalid parameter schema entry. Expected a name and a type of ${PARAM_TYPES.join(", ")}.`);
+        }
+    });
+
+    const definition = Object.freeze({ label: algorithm.id, description: "", ...algorithm, params });
+    algorithms.set(definition.id, definition);
+    return definition;
+}
+
+/**
+ * Removes a previously registered algorithm.
+ * @param {string} id - The algorithm id.
+ * @returns {boolean} True if an algorithm was removed.
+ */
+export function unregisterAlgorithm(id) {
+    return algorithms.delete(id);
+}
+
+/**
+ * Looks up a registered algorithm.
+ * @param {string} id - The algorithm id.
+ * @returns {object | null} The algorithm definition, or null if none is registered under that id.
+ */
+export function getAlgorithm(id) {
+    return algorithms.get(id) || null;
+}
+
+/**
+ * Lists all registered algorithms in registration order.
+ * @returns {object[]} The algorithm definitions.
+ */
+export function listAlgorithms() {
+    return Array.from(algorithms.values());
+}
+
+/**
+ * Returns a number parameter's schema entry with the range and default that apply given the other parameters'
+ * values (see `ranges` in the module description).
+ * @param {object} param - The parameter's schema entry.
+ * @param {object} [params] - Parameter values; a missing `ranges.param` counts as that parameter's default.
+ * @param {object[]} [schema] - The algorithm's parameters, to look up that default.
+ * @returns {object} The schema entry, with `min`, `max`, `step` and `default` overridden where `ranges` says so.
+ */
+export function getParamRange(param, params = {}, schema = []) {
+    if (!param.ranges) {
+        return param;
+    }
+    const selector = schema.find((other) => other.name === param.ranges.param);
+    const selected = params[param.ranges.param] !== undefined ? params[param.ranges.param] : selector && selector.default;
+    return { ...param, ...param.ranges.values[selected] };
+}
+
+/**
+ * Returns the default parameter values of an algorithm.
+ * @param {string} id - The algorithm id.
+ * @param {object} [params] - Values already chosen for "select" parameters, which the defaults of ranged
+ *        number parameters follow (see `getParamRange`).
+ * @returns {object} A map of parameter name to default value. Empty if the algorithm is unknown.
+ */
+export function getDefaultParams(id, params = {}) {
+    const algorithm = getAlgorithm(id);
+    if (!algorithm) {
+        return {};
+    }
+    return algorithm.params.reduce((defaults, param) => {
+        defaults[param.name] = getParamRange(param, params, algorithm.params).default;
+        return defaults;
+    }, {});
+}
+
+/**
+ * Resolves user-supplied parameters against an algorithm's schema: missing values get their defaults,
+ * numbers are clamped to their range and invalid select/boolean values are replaced by the default.
+ * Parameters not in the schema are passed through untouched.
+ * @param {object} algorithm - The algorithm definition.
+ * @param {object} [params] - The user-supplied parameters.
+ * @returns {object} The resolved parameters.
+ */
+export function resolveAlgorithmParams(algorithm, params = {}) {
+    const resolved = { ...params };
+    // Numbers last, so ranged numbers see their select parameter already resolved.
+    const ordered = [...algorithm.params].sort((a, b) => (a.type === "number") - (b.type === "number"));
+    ordered.forEach((param) => {
+        const value = params[param.name];
+        switch (param.type) {
+            case "number": {
+                const range = getParamRange(param, resolved, algorithm.params);
+                const number = Number(value);
+                if (value === undefined || value === null || value === "" || Number.isNaN(number)) {
+                    resolved[param.name] = range.default;
+                } else {
+                    const min = range.min !== undefined ? range.min : -Infinity;
+                    const max = range.max !== undefined ? range.max : Infinity;
+                    resolved[param.name] = Math.min(max, Math.max(min, number));
+                }
+                break;
+            }
+            case "boolean":
+                resolved[param.name] = typeof value === "boolean" ? value : param.default;
+                break;
+            case "select":
+                resolved[param.name] = (param.options || []).some((option) => option.value === value) ? value : param.default;
+                break;
+            default:
+                break;
+        }
+    });
+    return resolved;
+}
@@ -0,0 +1,108 @@
+import React from "react";
+import { getParamRange } from "../algorithms";
+
+/**
+ * Renders a single algorithm parameter control from its schema entry.
+ */
+const ParamField = ({ param, value, onChange }) => {
+    if (param.type === "boolean") {
+        return (
+            <label className="flex items-center text-xs text-gray-600" title={param.description}>
+                <input
+                    type="checkbox"
+                    checked={Boolean(value)}
+                    onChange={(e) => onChange(e.target.checked)}
+                    className="mr-2 rounded text-primary focus:ring-primary"
+                />
+                {param.label}
+            </label>
+        );
+    }
+
+    if (param.type === "select") {
+        return (
+            <label className="block text-xs text-gray-600" title={param.description}>
+                <span className="block mb-1">{param.label}</span>
+                <select
+                    value={value}
+                    onChange={(e) => onChange(e.target.value)}
+                    className="w-full text-sm border-gray-300 rounded-md focus:ring-primary focus:border-primary"
+                >
+                    {param.options.map((option) => (
+                        <option key={option.value} value={option.value}>{option.label}</option>
+                    ))}
+                </select>
+            </label>
+        );
+    }
+
+    return (
+        <label className="block" title={param.description}>
+            <span className="flex justify-between text-xs text-gray-600">
+                <span>{param.label}</span>
+                <span className="font-mono">{value}</span>
+            </span>
+            <input
+                type="range"
+                min={param.min}
+                max={param.max}
+                step={param.step || 1}
+                value={value}
+                onChange={(e) => onChange(Number(e.target.value))}
+                className="w-full accent-primary"
+            />
+        </label>
+    );
+};
+
+/**
+ * Lists the registered background removal algorithms and the parameter controls of the selected one.
+ */
+const AlgorithmSettings = ({ algorithms, selectedAlgorithmId, params, onAlgorithmChange, onParamChange }) => {
+    const selectedAlgorithm = algorithms.find((algorithm) => algorithm.id === selectedAlgorithmId);
+
+    return (
+        <div className="space-y-4">
+            <fieldset>
+                <legend className="text-sm font-medium text-gray-700 mb-2">Removal algorithm</legend>
+                <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+                    {algorithms.map((algorithm) => (
+                        <label
+                            key={algorithm.id}
+                            className={`flex items-start p-3 border rounded-lg cursor-pointer transition-colors duration-300 ${selectedAlgorithmId === algorithm.id ? "border-primary bg-primary/5" : "border-gray-200 hover:border-primary/50"}`}
+                        >
+                            <input
+                                type="radio"
+                                name="removal-algorithm"
+                                value={algorithm.id}
+                                checked={selectedAlgorithmId === algorithm.id}
+                                onChange={() => onAlgorithmChange(algorithm.id)}
+                                className="mt-1 text-primary focus:ring-primary"
+                            />
+                            <span className="ml-3">
+                                <span className="block text-sm font-medium text-gray-800">{algorithm.label}</span>
+                                <span className="block text-xs text-gray-500">{algorithm.description}</span>
+                            </span>
+                        </label>
+                    ))}
+                </div>
+            </fieldset>
+
+            {selectedAlgorithm && selectedAlgorithm.params.length > 0 && (
+                <fieldset className="space-y-3">
+                    <legend className="text-sm font-medium text-gray-700 mb-2">{selectedAlgorithm.label} settings</legend>
+                    {selectedAlgorithm.params.map((param) => (
+                        <ParamField
+                            key={param.name}
+                            param={getParamRange(param, params, selectedAlgorithm.params)}
+                            value={params[param.name]}
+                            onChange={(value) => onParamChange(param.name, value)}
+                        />
+                    ))}
+                </fieldset>
+            )}
+        </div>
+    );
+};
+
+export default AlgorithmSettings;
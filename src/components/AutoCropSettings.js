@@ -0,0 +1,88 @@
+import React from "react";
+import { PADDING_UNITS } from "../utils/autoCrop";
+
+const ASPECT_RATIO_OPTIONS = [
+    { value: "", label: "Fit subject" },
+    { value: "1", label: "Square (1:1)" },
+    { value: String(4 / 3), label: "Landscape (4:3)" },
+    { value: String(3 / 4), label: "Portrait (3:4)" },
+    { value: String(16 / 9), label: "Wide (16:9)" },
+];
+
+/**
+ * Controls for trimming the result to its subject.
+ * `autoCrop` is `{ enabled, ...DEFAULT_CROP_OPTIONS }`; every change is reported as a new object.
+ */
+const AutoCropSettings = ({ autoCrop, onChange }) => {
+    const update = (changes) => onChange({ ...autoCrop, ...changes });
+
+    return (
+        <fieldset className="space-y-3">
+            <legend className="sr-only">Auto-crop</legend>
+            <label className="flex items-center text-sm font-medium text-gray-700">
+                <input
+                    type="checkbox"
+                    checked={autoCrop.enabled}
+                    onChange={(e) => update({ enabled: e.target.checked })}
+                    className="mr-2 rounded text-primary focus:ring-primary"
+                />
+                Trim to subject
+            </label>
+
+            {autoCrop.enabled && (
+                <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+                    <label className="block">
+                        <span className="flex justify-between text-xs text-gray-600">
+                            <span>Ignore alpha up to</span>
+                            <span className="font-mono">{autoCrop.alphaThreshold}</span>
+                        </span>
+                        <input
+                            type="range"
+                            min="0"
+                            max="254"
+                            value={autoCrop.alphaThreshold}
+                            onChange={(e) => update({ alphaThreshold: Number(e.target.value) })}
+                            className="w-full accent-primary"
+                        />
+                    </label>
+                    <div className="block text-xs text-gray-600">
+                        <span className="block mb-1">Padding</span>
+                        <div className="flex gap-2">
+                            <input
+                                type="number"
+                                min="0"
+                                value={autoCrop.padding}
+                                onChange={(e) => update({ padding: Math.max(0, Number(e.target.value) || 0) })}
+                                className="w-24 text-sm border-gray-300 rounded-md focus:ring-primary focus:border-primary"
+                                aria-label="Padding"
+                            />
+                            <select
+                                value={autoCrop.paddingUnit}
+                                onChange={(e) => update({ paddingUnit: e.target.value })}
+                                className="text-sm border-gray-300 rounded-md focus:ring-primary focus:border-primary"
+                                aria-label="Padding unit"
+                            >
+                                <option value={PADDING_UNITS.PIXELS}>px</option>
+                                <option value={PADDING_UNITS.PERCENT}>%</option>
+                            </select>
+                        </div>
+                    </div>
+                    <label className="block text-xs text-gray-600 sm:col-span-2">
+                        <span className="block mb-1">Aspect ratio</span>
+                        <select
+                            value={autoCrop.aspectRatio ? String(autoCrop.aspectRatio) : ""}
+                            onChange={(e) => update({ aspectRatio: e.target.value ? Number(e.target.value) : null })}
+                            className="w-full text-sm border-gray-300 rounded-md focus:ring-primary focus:border-primary"
+                        >
+                            {ASPECT_RATIO_OPTIONS.map((option) => (
+                                <option key={option.label} value={option.value}>{option.label}</option>
+                            ))}
+                        </select>
+                    </label>
+                </div>
+            )}
+        </fieldset>
+    );
+};
+
+export default AutoCropSettings;
@@ -0,0 +1,132 @@
+import React from "react";
+import { BACKGROUND_TYPES, IMAGE_FITS } from "../utils/backgroundCompositing";
+
+const BACKGROUND_OPTIONS = [
+    { value: BACKGROUND_TYPES.NONE, label: "Transparent" },
+    { value: BACKGROUND_TYPES.SOLID, label: "Solid color" },
+    { value: BACKGROUND_TYPES.LINEAR_GRADIENT, label: "Linear gradient" },
+    { value: BACKGROUND_TYPES.RADIAL_GRADIENT, label: "Radial gradient" },
+    { value: BACKGROUND_TYPES.IMAGE, label: "Image" },
+];
+
+const IMAGE_FIT_OPTIONS = [
+    { value: IMAGE_FITS.COVER, label: "Cover" },
+    { value: IMAGE_FITS.CONTAIN, label: "Contain" },
+    { value: IMAGE_FITS.TILE, label: "Tile" },
+];
+
+const ColorField = ({ label, value, onChange }) => (
+    <label className="flex items-center justify-between text-xs text-gray-600">
+        <span>{label}</span>
+        <input
+            type="color"
+            value={value}
+            onChange={(e) => onChange(e.target.value)}
+            className="w-10 h-8 p-0 border border-gray-300 rounded cursor-pointer"
+        />
+    </label>
+);
+
+/**
+ * Controls for the background placed behind the cut-out subject.
+ * `background` has the shape of `DEFAULT_BACKGROUND`; every change is reported as a new background object.
+ * An uploaded background image is passed on as an object URL in `imageUrl`; its owner revokes it.
+ */
+const BackgroundCompositor = ({ background, onChange }) => {
+    const update = (changes) => onChange({ ...background, ...changes });
+    const isGradient = background.type === BACKGROUND_TYPES.LINEAR_GRADIENT || background.type === BACKGROUND_TYPES.RADIAL_GRADIENT;
+
+    const handleImageChange = (event) => {
+        const file = event.target.files && event.target.files[0];
+        if (file) {
+            update({ imageUrl: URL.createObjectURL(file) });
+        }
+    };
+
+    return (
+        <fieldset className="space-y-3">
+            <legend className="text-sm font-medium text-gray-700 mb-2">Background</legend>
+            <div className="flex flex-wrap gap-2">
+                {BACKGROUND_OPTIONS.map((option) => (
+                    <button
+                        key={option.value}
+                        onClick={() => update({ type: option.value })}
+                        className={`px-3 py-1.5 text-sm rounded-md border transition-colors duration-300 ${
+                            background.type === option.value
+                                ? "bg-primary text-white border-primary"
+                                : "text-gray-700 border-gray-300 hover:bg-gray-50"
+                        }`}
+                    >
+                        {option.label}
+                    </button>
+                ))}
+            </div>
+
+            {background.type === BACKGROUND_TYPES.SOLID && (
+                <ColorField label="Color" value={background.color} onChange={(color) => update({ color })} />
+            )}
+
+            {isGradient && (
+                <div className="space-y-3">
+                    <ColorField
+                        label={background.type === BACKGROUND_TYPES.RADIAL_GRADIENT ? "Center color" : "Start color"}
+                        value={background.gradientStartColor}
+                        onChange={(gradientStartColor) => update({ gradientStartColor })}
+                    />
+                    <ColorField
+                        label={background.type === BACKGROUND_TYPES.RADIAL_GRADIENT ? "Outer color" : "End color"}
+                        value={background.gradientEndColor}
+                        onChange={(gradientEndColor) => update({ gradientEndColor })}
+                    />
+                    {background.type === BACKGROUND_TYPES.LINEAR_GRADIENT && (
+                        <label className="block">
+                            <span className="flex justify-between text-xs text-gray-600">
+                                <span>Angle</span>
+                                <span className="font-mono">{background.gradientAngle}°</span>
+                            </span>
+                            <input
+                                type="range"
+                                min="0"
+                                max="360"
+                                value={background.gradientAngle}
+                                onChange={(e) => update({ gradientAngle: Number(e.target.value) })}
+                                className="w-full accent-primary"
+                            />
+                        </label>
+                    )}
+                </div>
+            )}
+
+            {background.type === BACKGROUND_TYPES.IMAGE && (
+                <div className="space-y-3">
+                    <label className="block text-xs text-gray-600">
+                        <span className="block mb-1">Background image</span>
+                        <input
+                            type="file"
+                            accept="image/jpeg,image/png,image/webp"
+                            onChange={handleImageChange}
+                            className="block w-full text-sm text-gray-600 file:mr-3 file:px-3 file:py-1.5 file:rounded-md file:border-0 file:bg-primary/10 file:text-primary"
+                        />
+                    </label>
+                    <label className="block text-xs text-gray-600">
+                        <span className="block mb-1">Fit</span>
+                        <select
+                            value={background.imageFit}
+                            onChange={(e) => update({ imageFit: e.target.value })}
+                            className="w-full text-sm border-gray-300 rounded-md focus:ring-primary focus:border-primary"
+                        >
+                            {IMAGE_FIT_OPTIONS.map((option) => (
+                                <option key={option.value} value={option.value}>{option.label}</option>
+                            ))}
+                        </select>
+                    </label>
+                    {background.imageFit === IMAGE_FITS.CONTAIN && (
+                        <ColorField label="Bar color" value={background.color} onChange={(color) => update({ color })} />
+                    )}
+                </div>
+            )}
+        </fieldset>
+    );
+};
+
+export default BackgroundCompositor;
@@ -0,0 +1,188 @@
+import React, { useState } from "react";
+import { BATCH_STATUS, MAX_BATCH_CONCURRENCY } from "../hooks/useBatchQueue";
+import { downloadBlob, downloadDataUrl } from "../utils/download";
+import { getErrorMessage } from "../utils/errorMessages";
+import { getProcessedFileName } from "../utils/fileNames";
+import { createResultsArchive, RESULTS_ARCHIVE_FILE_NAME } from "../utils/resultsArchive";
+import { CHECKERBOARD_BACKGROUND } from "./checkerboard";
+
+const STATUS_STYLES = {
+    [BATCH_STATUS.PENDING]: { label: "Pending", className: "bg-gray-100 text-gray-600" },
+    [BATCH_STATUS.PROCESSING]: { label: "Processing", className: "bg-indigo-100 text-primary" },
+    [BATCH_STATUS.DONE]: { label: "Done", className: "bg-green-100 text-green-700" },
+    [BATCH_STATUS.FAILED]: { label: "Failed", className: "bg-red-100 text-red-700" },
+};
+
+/**
+ * Shows the batch queue with per-item status, thumbnails and actions.
+ */
+const BatchQueue = ({ items, isRunning, concurrency, onConcurrencyChange, onStart, onStop, onRetry, onRemove, onClear }) => {
+    const [includeManifest, setIncludeManifest] = useState(true);
+    const [isZipping, setIsZipping] = useState(false);
+    const [archiveError, setArchiveError] = useState(null);
+    const countByStatus = (status) => items.filter((item) => item.status === status).length;
+    const doneCount = countByStatus(BATCH_STATUS.DONE);
+    const failedCount = countByStatus(BATCH_STATUS.FAILED);
+    const pendingCount = countByStatus(BATCH_STATUS.PENDING);
+
+    const handleDownload = (item) => {
+        downloadDataUrl(item.resultUrl, getProcessedFileName(item.file.name))
+            .catch(downloadError => {
+                console.error("Error downloading the image:", downloadError);
+            });
+    };
+
+    const handleDownloadAll = () => {
+        const results = items
+            .filter((item) => item.status === BATCH_STATUS.DONE)
+            .map((item) => ({ sourceFileName: item.file.name, dataUrl: item.resultUrl, options: item.options }));
+        setIsZipping(true);
+        setArchiveError(null);
+        createResultsArchive(results, { includeManifest })
+            .then((archive) => downloadBlob(archive, RESULTS_ARCHIVE_FILE_NAME))
+            .catch(zipError => {
+                console.error("Error creating the ZIP archive:", zipError);
+                setArchiveError(getErrorMessage(zipError, "The ZIP archive could not be created."));
+            })
+            .finally(() => setIsZipping(false));
+    };
+
+    if (items.length === 0) {
+        return null;
+    }
+
+    return (
+        <div className="w-full max-w-2xl mx-auto p-4">
+            <div className="bg-white rounded-xl shadow-lg p-6 space-y-4">
+                <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3">
+                    <p className="text-sm text-gray-600">
+                        {items.length} images · {doneCount} done · {failedCount} failed · {pendingCount} pending
+                    </p>
+                    <label className="flex items-center text-sm text-gray-600">
+                        <span className="mr-2">Run at once</span>
+                        <select
+                            value={concurrency}
+                            onChange={(e) => onConcurrencyChange(Number(e.target.value))}
+                            className="text-sm border-gray-300 rounded-md focus:ring-primary focus:border-primary"
+                        >
+                            {Array.from({ length: MAX_BATCH_CONCURRENCY }, (_, index) => index + 1).map((value) => (
+                                <option key={value} value={value}>{value}</option>
+                            ))}
+                        </select>
+                    </label>
+                </div>
+
+                <div className="flex flex-col sm:flex-row gap-3">
+                    {isRunning ? (
+                        <button
+                            onClick={onStop}
+                            className="flex-1 px-6 py-3 text-red-600 border border-red-200 rounded-lg hover:bg-red-50 transition-colors duration-300 focus:outline-none focus:ring-2 focus:ring-red-300 focus:ring-offset-2"
+                        >
+                            Stop Batch
+                        </button>
+                    ) : (
+                        <button
+                            onClick={onStart}
+                            disabled={pendingCount === 0}
+                            className="flex-1 px-6 py-3 bg-primary text-white rounded-lg hover:bg-primary/90 transition-colors duration-300 shadow-md focus:outline-none focus:ring-2 focus:ring-primary focus:ring-offset-2 disabled:opacity-50 disabled:cursor-not-allowed"
+                        >
+                            Process {pendingCount} Pending {pendingCount === 1 ? "Image" : "Images"}
+                        </button>
+                    )}
+                    <button
+                        onClick={onClear}
+                        className="px-4 py-2 text-sm text-red-600 hover:text-red-700 hover:bg-red-50 rounded-md transition-colors duration-300"
+                    >
+                        Clear Batch
+                    </button>
+                </div>
+
+                {doneCount > 0 && (
+                    <div className="flex flex-col sm:flex-row sm:items-center gap-3">
+                        <button
+                            onClick={handleDownloadAll}
+                            disabled={isZipping}
+                            className="flex-1 flex items-center justify-center px-6 py-3 bg-primary text-white rounded-lg hover:bg-primary/90 transition-colors duration-300 shadow-md focus:outline-none focus:ring-2 focus:ring-primary focus:ring-offset-2 disabled:opacity-50 disabled:cursor-not-allowed"
+                        >
+                            {isZipping ? "Creating ZIP..." : `Download All (${doneCount}) as ZIP`}
+                        </button>
+                        <label className="flex items-center text-sm text-gray-600">
+                            <input
+                                type="checkbox"
+                                checked={includeManifest}
+                                onChange={(e) => setIncludeManifest(e.target.checked)}
+                                className="mr-2 rounded text-primary focus:ring-primary"
+                            />
+                            Include manifest
+                        </label>
+                    </div>
+                )}
+                {doneCount > 0 && archiveError && (
+                    <p className="text-xs text-red-600">{archiveError}</p>
+                )}
+
+                <ul className="divide-y divide-gray-100">
+                    {items.map((item) => {
+                        const statusStyle = STATUS_STYLES[item.status];
+                        return (
+                            <li key={item.id} className="py-3 flex items-center gap-3">
+                                <img
+                                    src={item.resultUrl || item.thumbnailUrl}
+                                    alt={item.file.name}
+                                    className="w-14 h-14 object-contain rounded-md border border-gray-200 flex-shrink-0"
+                                    style={item.resultUrl ? { backgroundImage: CHECKERBOARD_BACKGROUND } : undefined}
+                                />
+                                <div className="flex-1 min-w-0">
+                                    <div className="flex items-center gap-2">
+                                        <p className="text-sm font-medium text-gray-800 truncate">{item.file.name}</p>
+                                        <span className={`px-2 py-0.5 text-xs rounded-full flex-shrink-0 ${statusStyle.className}`}>
+                                            {statusStyle.label}
+                                        </span>
+                                    </div>
+                                    {item.status === BATCH_STATUS.PROCESSING && (
+                                        <div className="w-full bg-gray-200 rounded-full h-1.5 mt-2">
+                                            <div
+                                                className="bg-primary h-1.5 rounded-full transition-all duration-150 ease-linear"
+                                                style={{ width: `${item.progress}%` }}
+                                            />
+                                        </div>
+                                    )}
+                                    {item.status === BATCH_STATUS.FAILED && (
+                                        <p className="text-xs text-red-600 mt-1">{item.error}</p>
+                                    )}
+                                </div>
+                                <div className="flex items-center gap-2 flex-shrink-0">
+                                    {item.status === BATCH_STATUS.DONE && (
+                                        <button
+                                            onClick={() => handleDownload(item)}
+                                            className="px-3 py-1 text-xs text-primary border border-primary/30 rounded-md hover:bg-primary/5 transition-colors duration-300"
+                                        >
+                                            Download
+                                        </button>
+                                    )}
+                                    {item.status === BATCH_STATUS.FAILED && (
+                                        <button
+                                            onClick={() => onRetry(item.id)}
+                                            className="px-3 py-1 text-xs text-primary border border-primary/30 rounded-md hover:bg-primary/5 transition-colors duration-300"
+                                        >
+                                            Retry
+                                        </button>
+                                    )}
+                                    <button
+                                        onClick={() => onRemove(item.id)}
+                                        className="px-2 py-1 text-xs text-gray-500 hover:text-red-600 rounded-md transition-colors duration-300"
+                                        aria-label={`Remove ${item.file.name} from batch`}
+                                    >
+                                        Remove
+                                    </button>
+                                </div>
+                            </li>
+                        );
+                    })}
+                </ul>
+            </div>
+        </div>
+    );
+};
+
+export default BatchQueue;
@@ -0,0 +1,191 @@
+import React, { useEffect, useRef, useState } from "react";
+import useZoomPan, { ZOOM_STEP } from "../hooks/useZoomPan";
+import { CHECKERBOARD_BACKGROUND } from "./checkerboard";
+
+const COMPARE_MODES = [
+    { id: "split", label: "Split" },
+    { id: "hold", label: "Hold for Original" },
+];
+const SPLIT_KEY_STEP = 2; // Percent moved per arrow key press
+
+/**
+ * Before/after view of a background removal result.
+ * Both images share one zoom/pan transform and are drawn at the result's size, so they line up pixel for pixel.
+ * In split mode a draggable divider shows the original on the left and the result on the right; in hold mode
+ * the result fills the view and pressing on it shows the original until released. Dragging pans in both modes.
+ */
+const ComparisonView = ({ originalImage, resultUrl }) => {
+    const [originalUrl, setOriginalUrl] = useState(null);
+    const [imageSize, setImageSize] = useState(null); // Natural size of the result
+    const [mode, setMode] = useState(COMPARE_MODES[0].id);
+    const [split, setSplit] = useState(50); // Divider position in percent of the viewport width
+    const [isHoldingOriginal, setIsHoldingOriginal] = useState(false);
+
+    const containerRef = useRef(null);
+    const gestureRef = useRef(null); // The divider drag or pan gesture in progress
+    const { view, setView, zoomAtCenter, fitToView } = useZoomPan(containerRef);
+
+    useEffect(() => {
+        const objectUrl = URL.createObjectURL(originalImage);
+        setOriginalUrl(objectUrl);
+        return () => URL.revokeObjectURL(objectUrl);
+    }, [originalImage]);
+
+    const handleResultLoad = (event) => {
+        const { naturalWidth: width, naturalHeight: height } = event.currentTarget;
+        // Re-fit only when the size changes, so applying an edit keeps the current zoom.
+        if (!imageSize || imageSize.width !== width || imageSize.height !== height) {
+            setImageSize({ width, height });
+            fitToView(width, height);
+        }
+    };
+
+    const moveSplitTo = (clientX) => {
+        const bounds = containerRef.current.getBoundingClientRect();
+        setSplit(Math.min(100, Math.max(0, ((clientX - bounds.left) / bounds.width) * 100)));
+    };
+
+    const handleDividerPointerDown = (event) => {
+        event.stopPropagation();
+        containerRef.current.setPointerCapture(event.pointerId);
+        gestureRef.current = { isSplit: true };
+    };
+
+    const handleDividerKeyDown = (event) => {
+        const direction = { ArrowLeft: -1, ArrowRight: 1 }[event.key];
+        if (!direction) return;
+        event.preventDefault();
+        setSplit((currentSplit) => Math.min(100, Math.max(0, currentSplit + direction * SPLIT_KEY_STEP)));
+    };
+
+    const handlePointerDown = (event) => {
+        if (gestureRef.current || (event.button !== 0 && event.button !== 1)) return;
+        event.currentTarget.setPointerCapture(event.pointerId);
+        gestureRef.current = { startX: event.clientX, startY: event.clientY, startView: view };
+        if (mode === "hold") setIsHoldingOriginal(true);
+    };
+
+    const handlePointerMove = (event) => {
+        const gesture = gestureRef.current;
+        if (!gesture) return;
+        if (gesture.isSplit) {
+            moveSplitTo(event.clientX);
+            return;
+        }
+        setView({
+            ...gesture.startView,
+            panX: gesture.startView.panX + event.clientX - gesture.startX,
+            panY: gesture.startView.panY + event.clientY - gesture.startY,
+        });
+    };
+
+    const handlePointerUp = () => {
+        gestureRef.current = null;
+        setIsHoldingOriginal(false);
+    };
+
+    const layerStyle = {
+        width: imageSize ? imageSize.width : undefined,
+        height: imageSize ? imageSize.height : undefined,
+        transform: `translate(${view.panX}px, ${view.panY}px) scale(${view.zoom})`,
+        transformOrigin: "0 0",
+        imageRendering: view.zoom > 2 ? "pixelated" : "auto",
+    };
+
+    let resultClipPath = "none";
+    if (mode === "split") {
+        resultClipPath = `inset(0 0 0 ${split}%)`;
+    } else if (isHoldingOriginal) {
+        resultClipPath = "inset(0 0 0 100%)";
+    }
+
+    return (
+        <div className="space-y-3">
+            <div className="flex flex-wrap items-center gap-2">
+                {COMPARE_MODES.map((modeOption) => (
+                    <button
+                        key={modeOption.id}
+                        onClick={() => setMode(modeOption.id)}
+                        className={`px-3 py-1.5 text-sm rounded-md border transition-colors duration-300 ${
+                            mode === modeOption.id
+                                ? "bg-primary text-white border-primary"
+                                : "text-gray-700 border-gray-300 hover:bg-gray-50"
+                        }`}
+                    >
+                        {modeOption.label}
+                    </button>
+                ))}
+                <div className="flex items-center gap-1 ml-auto">
+                    <button onClick={() => zoomAtCenter(1 / ZOOM_STEP)} className="px-2 py-1 text-sm text-gray-700 border border-gray-300 rounded-md hover:bg-gray-50" aria-label="Zoom out">-</button>
+                    <span className="w-14 text-center text-xs font-mono text-gray-600">{Math.round(view.zoom * 100)}%</span>
+                    <button onClick={() => zoomAtCenter(ZOOM_STEP)} className="px-2 py-1 text-sm text-gray-700 border border-gray-300 rounded-md hover:bg-gray-50" aria-label="Zoom in">+</button>
+                    <button onClick={() => imageSize && fitToView(imageSize.width, imageSize.height)} className="px-2 py-1 text-sm text-gray-700 border border-gray-300 rounded-md hover:bg-gray-50">Fit</button>
+                </div>
+            </div>
+
+            <div
+                ref={containerRef}
+                className="relative h-[500px] overflow-hidden rounded-lg border border-gray-200 bg-slate-100 touch-none select-none cursor-grab"
+                onPointerDown={handlePointerDown}
+                onPointerMove={handlePointerMove}
+                onPointerUp={handlePointerUp}
+                onPointerCancel={handlePointerUp}
+            >
+                {originalUrl && (
+                    <img
+                        src={originalUrl}
+                        alt="Original"
+                        draggable={false}
+                        className="absolute top-0 left-0 max-w-none"
+                        style={layerStyle} // Stretched to the result's size in case the pipeline resized the image
+                    />
+                )}
+                <div className="absolute inset-0" style={{ clipPath: resultClipPath }}>
+                    <img
+                        src={resultUrl}
+                        alt="Result with background removed"
+                        draggable={false}
+                        onLoad={handleResultLoad}
+                        className="absolute top-0 left-0 max-w-none"
+                        style={{ ...layerStyle, backgroundImage: CHECKERBOARD_BACKGROUND }}
+                    />
+                </div>
+
+                {mode === "split" ? (
+                    <>
+                        <span className="absolute top-2 left-2 px-2 py-0.5 text-xs text-white bg-black/50 rounded pointer-events-none">Original</span>
+                        <span className="absolute top-2 right-2 px-2 py-0.5 text-xs text-white bg-black/50 rounded pointer-events-none">Result</span>
+                        <div
+                            role="slider"
+                            tabIndex={0}
+                            aria-label="Comparison divider"
+                            aria-valuemin={0}
+                            aria-valuemax={100}
+                            aria-valuenow={Math.round(split)}
+                            onPointerDown={handleDividerPointerDown}
+                            onKeyDown={handleDividerKeyDown}
+                            className="absolute top-0 bottom-0 w-6 -ml-3 flex justify-center cursor-ew-resize focus:outline-none group"
+                            style={{ left: `${split}%` }}
+                        >
+                            <div className="w-0.5 h-full bg-white shadow-[0_0_0_1px_rgba(0,0,0,0.3)]" />
+                            <div className="absolute top-1/2 -mt-4 w-8 h-8 rounded-full bg-white border border-gray-300 shadow-md flex items-center justify-center text-xs text-gray-600 group-focus:ring-2 group-focus:ring-primary">
+                                &#x2194;
+                            </div>
+                        </div>
+                    </>
+                ) : (
+                    <span className="absolute top-2 left-2 px-2 py-0.5 text-xs text-white bg-black/50 rounded pointer-events-none">
+                        {isHoldingOriginal ? "Original" : "Result"}
+                    </span>
+                )}
+            </div>
+            <p className="text-xs text-gray-500">
+                {mode === "split"
+                    ? "Drag the divider (or use the arrow keys on it) to compare. Drag the image to pan and scroll to zoom."
+                    : "Press and hold on the image to see the original. Drag to pan and scroll to zoom."}
+            </p>
+        </div>
+    );
+};
+
+export default ComparisonView;
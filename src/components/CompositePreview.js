@@ -0,0 +1,60 @@
+import React, { useEffect, useRef, useState } from "react";
+import { BACKGROUND_TYPES, renderComposite } from "../utils/backgroundCompositing";
+import { loadImageElement } from "../utils/imageProcessing";
+
+const MAX_PREVIEW_SIDE = 1000; // The preview is drawn scaled down so it stays responsive while settings change
+
+/**
+ * Live preview of the subject composited onto a background.
+ */
+const CompositePreview = ({ foregroundUrl, background }) => {
+    const canvasRef = useRef(null);
+    const [foregroundImage, setForegroundImage] = useState(null);
+    const [backgroundImage, setBackgroundImage] = useState(null);
+
+    useEffect(() => {
+        let isCurrent = true;
+        setForegroundImage(null);
+        loadImageElement(foregroundUrl)
+            .then((img) => {
+                if (isCurrent) setForegroundImage(img);
+            })
+            .catch((loadError) => console.error("Composite preview error:", loadError));
+        return () => {
+            isCurrent = false;
+        };
+    }, [foregroundUrl]);
+
+    const backgroundImageUrl = background.type === BACKGROUND_TYPES.IMAGE ? background.imageUrl : null;
+    useEffect(() => {
+        let isCurrent = true;
+        setBackgroundImage(null);
+        if (!backgroundImageUrl) {
+            return undefined;
+        }
+        loadImageElement(backgroundImageUrl)
+            .then((img) => {
+                if (isCurrent) setBackgroundImage(img);
+            })
+            .catch((loadError) => console.error("Background image error:", loadError));
+        return () => {
+            isCurrent = false;
+        };
+    }, [backgroundImageUrl]);
+
+    useEffect(() => {
+        if (!foregroundImage) return;
+        const scale = Math.min(1, MAX_PREVIEW_SIDE / Math.max(foregroundImage.naturalWidth, foregroundImage.naturalHeight));
+        renderComposite(canvasRef.current, foregroundImage, background, backgroundImage, scale);
+    }, [foregroundImage, backgroundImage, background]);
+
+    return (
+        <canvas
+            ref={canvasRef}
+            className="w-full h-auto max-h-[500px] object-contain rounded-md shadow-inner bg-slate-100"
+            aria-label="Preview of the image on the new background"
+        />
+    );
+};
+
+export default CompositePreview;
@@ -0,0 +1,66 @@
+import React from "react";
+import { SPILL_COLORS } from "../utils/edgeDecontamination";
+
+const SPILL_OPTIONS = [
+    { value: "", label: "None" },
+    { value: SPILL_COLORS.GREEN, label: "Green (green screen)" },
+    { value: SPILL_COLORS.BLUE, label: "Blue (blue screen)" },
+];
+
+/**
+ * Controls for edge color decontamination and spill suppression, which fix the colors of the cutout after its
+ * mask is final. `decontamination` has the shape of `DEFAULT_DECONTAMINATION_OPTIONS`; every change is reported
+ * as a new decontamination object.
+ */
+const EdgeColorSettings = ({ decontamination, onChange }) => {
+    const update = (changes) => onChange({ ...decontamination, ...changes });
+
+    return (
+        <fieldset className="space-y-3">
+            <legend className="text-sm font-medium text-gray-700 mb-2">Edge colors</legend>
+            <label className="flex items-center text-xs text-gray-600">
+                <input
+                    type="checkbox"
+                    checked={decontamination.decontaminateEdges}
+                    onChange={(e) => update({ decontaminateEdges: e.target.checked })}
+                    className="mr-2 rounded text-primary focus:ring-primary"
+                />
+                Remove the backdrop color from soft edges
+            </label>
+            <label className="block text-xs text-gray-600">
+                <span className="block mb-1">Spill suppression</span>
+                <select
+                    value={decontamination.spillSuppression || ""}
+                    onChange={(e) => update({ spillSuppression: e.target.value || null })}
+                    className="w-full text-sm border-gray-300 rounded-md focus:ring-primary focus:border-primary"
+                >
+                    {SPILL_OPTIONS.map((option) => (
+                        <option key={option.value} value={option.value}>{option.label}</option>
+                    ))}
+                </select>
+            </label>
+            {decontamination.spillSuppression && (
+                <label className="block">
+                    <span className="flex justify-between text-xs text-gray-600">
+                        <span>Strength</span>
+                        <span className="font-mono">{Math.round(decontamination.spillStrength * 100)}%</span>
+                    </span>
+                    <input
+                        type="range"
+                        min="0"
+                        max="100"
+                        value={Math.round(decontamination.spillStrength * 100)}
+                        onChange={(e) => update({ spillStrength: Number(e.target.value) / 100 })}
+                        className="w-full accent-primary"
+                    />
+                </label>
+            )}
+            <p className="text-xs text-gray-500">
+                Soft edges keep a tint of the old backdrop, which shows as a halo on a different one. Spill suppression
+                also removes the green or blue cast a chroma backdrop reflects onto the subject.
+            </p>
+        </fieldset>
+    );
+};
+
+export default EdgeColorSettings;
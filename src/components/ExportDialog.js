@@ -0,0 +1,249 @@
+import React, { useEffect, useState } from "react";
+import { downloadBlob } from "../utils/download";
+import {
+    DEFAULT_EXPORT_SETTINGS,
+    EXPORT_FORMATS,
+    EXPORT_FORMAT_DETAILS,
+    encodeExport,
+    formatFileSize,
+    getExportFileName,
+} from "../utils/exportFormats";
+import { BUILT_IN_PRESETS, applyExportPreset, getPresetFileName, loadUserPresets, saveUserPresets } from "../utils/exportPresets";
+import PresetForm from "./PresetForm";
+
+const ENCODE_DEBOUNCE_MS = 250; // Re-encode once the quality slider settles
+
+/**
+ * Modal dialog for choosing the download format or an export preset. The file is encoded as soon as the
+ * settings change, so the dialog can show its exact size, and that same file is saved.
+ * `imageUrl` is the image to export (possibly composited onto a background); the mask and presets are
+ * always built from `transparentImageUrl`, as presets bring their own canvas and background.
+ */
+const ExportDialog = ({ imageUrl, transparentImageUrl, originalFileName, onClose }) => {
+    const [settings, setSettings] = useState(DEFAULT_EXPORT_SETTINGS);
+    const [encoded, setEncoded] = useState(null); // { blob, quality? } or { error }
+    const [userPresets, setUserPresets] = useState(loadUserPresets);
+    const [selectedPresetId, setSelectedPresetId] = useState("");
+    const [isCreatingPreset, setIsCreatingPreset] = useState(false);
+    const [presetError, setPresetError] = useState(null);
+
+    const selectedPreset = [...BUILT_IN_PRESETS, ...userPresets].find((preset) => preset.id === selectedPresetId) || null;
+    const details = EXPORT_FORMAT_DETAILS[settings.format];
+    const fileName = selectedPreset ? getPresetFileName(originalFileName, selectedPreset) : getExportFileName(originalFileName, settings.format);
+
+    useEffect(() => {
+        let isCurrent = true;
+        setEncoded(null);
+        const timeoutId = setTimeout(() => {
+            let encoding;
+            if (selectedPreset) {
+                encoding = applyExportPreset(transparentImageUrl, selectedPreset);
+            } else {
+                const source = settings.format === EXPORT_FORMATS.MASK ? transparentImageUrl : imageUrl;
+                encoding = encodeExport(source, settings).then((blob) => ({ blob }));
+            }
+            encoding
+                .then((result) => {
+                    if (isCurrent) setEncoded(result);
+                })
+                .catch((encodeError) => {
+                    console.error("Export error:", encodeError);
+                    if (isCurrent) setEncoded({ error: encodeError.message || "Failed to encode the image." });
+                });
+        }, ENCODE_DEBOUNCE_MS);
+        return () => {
+            isCurrent = false;
+            clearTimeout(timeoutId);
+        };
+    }, [imageUrl, transparentImageUrl, settings, selectedPreset]);
+
+    useEffect(() => {
+        const handleKeyDown = (event) => {
+            if (event.key === "Escape") onClose();
+        };
+        window.addEventListener("keydown", handleKeyDown);
+        return () => window.removeEventListener("keydown", handleKeyDown);
+    }, [onClose]);
+
+    const updateUserPresets = (presets) => {
+        try {
+            saveUserPresets(presets);
+            setUserPresets(presets);
+            setPresetError(null);
+            return true;
+        } catch (storageError) {
+            setPresetError(storageError.message);
+            return false;
+        }
+    };
+
+    const handleCreatePreset = (preset) => {
+        const newPreset = { ...preset, id: `user-${Date.now()}`, builtIn: false };
+        if (updateUserPresets([...userPresets, newPreset])) {
+            setSelectedPresetId(newPreset.id);
+            setIsCreatingPreset(false);
+        }
+    };
+
+    const handleDeletePreset = () => {
+        if (updateUserPresets(userPresets.filter((preset) => preset.id !== selectedPresetId))) {
+            setSelectedPresetId("");
+        }
+    };
+
+    const handleSave = () => {
+        downloadBlob(encoded.blob, fileName);
+        onClose();
+    };
+
+    return (
+        <div className="fixed inset-0 z-50 bg-black/50 flex items-center justify-center p-4" onClick={onClose}>
+            <div
+                role="dialog"
+                aria-modal="true"
+                aria-labelledby="export-dialog-title"
+                className="w-full max-w-md max-h-[90vh] overflow-y-auto bg-white rounded-xl shadow-2xl p-6 space-y-5"
+                onClick={(event) => event.stopPropagation()}
+            >
+                <h3 id="export-dialog-title" className="text-xl font-semibold text-gray-800">
+                    Download Image
+                </h3>
+
+                <div className="space-y-2">
+                    <label className="block text-sm font-medium text-gray-700">
+                        <span className="block mb-2">Preset</span>
+                        <select
+                            value={selectedPresetId}
+                            onChange={(e) => setSelectedPresetId(e.target.value)}
+                            className="w-full text-sm font-normal border-gray-300 rounded-md focus:ring-primary focus:border-primary"
+                        >
+                            <option value="">None: keep the image size</option>
+                            <optgroup label="Built-in">
+                                {BUILT_IN_PRESETS.map((preset) => (
+                                    <option key={preset.id} value={preset.id}>{preset.name}</option>
+                                ))}
+                            </optgroup>
+                            {userPresets.length > 0 && (
+                                <optgroup label="My presets">
+                                    {userPresets.map((preset) => (
+                                        <option key={preset.id} value={preset.id}>{preset.name}</option>
+                                    ))}
+                                </optgroup>
+                            )}
+                        </select>
+                    </label>
+                    {selectedPreset && (
+                        <p className="text-xs text-gray-500">
+                            {selectedPreset.width} × {selectedPreset.height}px, {EXPORT_FORMAT_DETAILS[selectedPreset.format].label},{" "}
+                            {selectedPreset.backgroundColor ? `${selectedPreset.backgroundColor} background` : "transparent background"},{" "}
+                            subject fills {Math.round(selectedPreset.subjectFill * 100)}%
+                            {selectedPreset.maxBytes ? `, max ${formatFileSize(selectedPreset.maxBytes)}` : ""}
+                        </p>
+                    )}
+                    <div className="flex gap-3">
+                        {!isCreatingPreset && (
+                            <button onClick={() => setIsCreatingPreset(true)} className="text-xs text-primary hover:underline">
+                                New preset...
+                            </button>
+                        )}
+                        {selectedPreset && !selectedPreset.builtIn && (
+                            <button onClick={handleDeletePreset} className="text-xs text-red-600 hover:underline">
+                                Delete preset
+                            </button>
+                        )}
+                    </div>
+                    {presetError && <p className="text-xs text-red-600">{presetError}</p>}
+                    {isCreatingPreset && (
+                        <PresetForm onSave={handleCreatePreset} onCancel={() => setIsCreatingPreset(false)} />
+                    )}
+                </div>
+
+                {!selectedPreset && (
+                    <fieldset>
+                        <legend className="text-sm font-medium text-gray-700 mb-2">Format</legend>
+                        <div className="space-y-2">
+                            {Object.entries(EXPORT_FORMAT_DETAILS).map(([format, formatDetails]) => (
+                                <label
+                                    key={format}
+                                    className={`flex items-start p-3 border rounded-lg cursor-pointer transition-colors duration-300 ${settings.format === format ? "border-primary bg-primary/5" : "border-gray-200 hover:border-primary/50"}`}
+                                >
+                                    <input
+                                        type="radio"
+                                        name="export-format"
+                                        value={format}
+                                        checked={settings.format === format}
+                                        onChange={() => setSettings({ ...settings, format })}
+                                        className="mt-1 text-primary focus:ring-primary"
+                                    />
+                                    <span className="ml-3">
+                                        <span className="block text-sm font-medium text-gray-800">{formatDetails.label}</span>
+                                        <span className="block text-xs text-gray-500">{formatDetails.description}</span>
+                                    </span>
+                                </label>
+                            ))}
+                        </div>
+                    </fieldset>
+                )}
+
+                {!selectedPreset && details.hasQuality && (
+                    <label className="block">
+                        <span className="flex justify-between text-xs text-gray-600">
+                            <span>Quality</span>
+                            <span className="font-mono">{Math.round(settings.quality * 100)}%</span>
+                        </span>
+                        <input
+                            type="range"
+                            min="10"
+                            max="100"
+                            value={Math.round(settings.quality * 100)}
+                            onChange={(e) => setSettings({ ...settings, quality: Number(e.target.value) / 100 })}
+                            className="w-full accent-primary"
+                        />
+                    </label>
+                )}
+
+                {!selectedPreset && settings.format === EXPORT_FORMATS.JPEG && (
+                    <label className="flex items-center justify-between text-xs text-gray-600">
+                        <span>Matte color</span>
+                        <input
+                            type="color"
+                            value={settings.matteColor}
+                            onChange={(e) => setSettings({ ...settings, matteColor: e.target.value })}
+                            className="w-10 h-8 p-0 border border-gray-300 rounded cursor-pointer"
+                        />
+                    </label>
+                )}
+
+                <div className="text-sm text-gray-600 bg-slate-50 rounded-lg p-3">
+                    <p className="font-mono truncate">{fileName}</p>
+                    {!encoded && <p className="text-xs text-gray-500 mt-1">Estimating file size...</p>}
+                    {encoded && encoded.blob && (
+                        <p className="text-xs text-gray-500 mt-1">
+                            Estimated size: {formatFileSize(encoded.blob.size)}
+                            {selectedPreset && encoded.quality ? ` at ${Math.round(encoded.quality * 100)}% quality` : ""}
+                        </p>
+                    )}
+                    {encoded && encoded.error && <p className="text-xs text-red-600 mt-1">{encoded.error}</p>}
+                </div>
+
+                <div className="flex justify-end gap-3">
+                    <button
+                        onClick={onClose}
+                        className="px-4 py-2 text-sm text-gray-700 border border-gray-300 rounded-lg hover:bg-gray-50 transition-colors duration-300"
+                    >
+                        Cancel
+                    </button>
+                    <button
+                        onClick={handleSave}
+                        disabled={!encoded || !encoded.blob}
+                        className="px-6 py-2 bg-primary text-white rounded-lg hover:bg-primary/90 transition-colors duration-300 shadow-md focus:outline-none focus:ring-2 focus:ring-primary focus:ring-offset-2 disabled:opacity-50 disabled:cursor-not-allowed"
+                    >
+                        Save
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default ExportDialog;
@@ -1,83 +1,169 @@
-import React, { useState, useCallback } from "react";
-import { removeBackground, validateImage } from "../services/apiService";
+import React, { useState, useCallback, useEffect, useMemo, useRef } from "react";
+import { applyMaskFile, canProcessLargeImages, removeBackground, renderAlgorithmDebugOverlay } from "../services/apiService";
+import { getErrorMessage } from "../utils/errorMessages";
+import { ensureProcessableImage } from "../utils/imageProcessing";
+import { validateDimensions } from "../utils/validation";
+import { getAlgorithm } from "../algorithms";
+import { getRemovalOptions } from "../utils/processingSettings";
+import ProcessingSettings from "./ProcessingSettings";
+import LivePreview from "./LivePreview";
+import MaskResolutionComparison from "./MaskResolutionComparison";
+import MaskImport from "./MaskImport";
 
-// Define maximum dimension for canvas processing to prevent performance issues / crashes
-const MAX_IMAGE_DIMENSION = 8000; // Max width or height in pixels
+const DEBUG_OVERLAY_MAX_SIDE = 1024; // The overlay is computed on a copy this size and stretched over it for display
+const DEBUG_OVERLAY_DEBOUNCE_MS = 300; // Wait for slider drags to settle before recomputing the overlay
 
-const ImageProcessor = ({ selectedImage, onProcessingComplete, onError, onProcessingStart }) => {
+const ImageProcessor = ({ selectedImage, settings, onSettingsChange, keyColors, onProcessingComplete, onError, onProcessingStart, onProcessingCancel }) => {
     const [progress, setProgress] = useState(0);
     const [isProcessing, setIsProcessing] = useState(false);
+    const [showDebugOverlay, setShowDebugOverlay] = useState(false);
+    const [debugOverlayUrl, setDebugOverlayUrl] = useState(null);
+    const [debugOverlayError, setDebugOverlayError] = useState(null);
+    const [debugSource, setDebugSource] = useState(null); // { dataUrl, originalWidth, originalHeight } of the downscaled image
+    const [showLivePreview, setShowLivePreview] = useState(true);
+    const abortControllerRef = useRef(null);
 
-    const checkImageDimensions = (file) => {
-        return new Promise((resolve, reject) => {
-            const reader = new FileReader();
-            reader.onload = (event) => {
-                const img = new Image();
-                img.onload = () => {
-                    if (img.naturalWidth > MAX_IMAGE_DIMENSION || img.naturalHeight > MAX_IMAGE_DIMENSION) {
-                        reject(new Error(`Image dimensions (${img.naturalWidth}x${img.naturalHeight}px) are too large. Maximum allowed dimension (width or height) is ${MAX_IMAGE_DIMENSION}px. Please use a smaller image.`));
-                    } else if (img.naturalWidth === 0 || img.naturalHeight === 0) {
-                        reject(new Error("Image has zero dimensions. Please upload a valid image."));
-                    }
-                    else {
-                        resolve(); // Dimensions are within acceptable limits
-                    }
-                };
-                img.onerror = () => {
-                    reject(new Error("Could not load image to check dimensions. The file might be corrupt or an unsupported format."));
-                };
-                if (event.target && typeof event.target.result === "string") {
-                    img.src = event.target.result;
-                } else {
-                    reject(new Error("Failed to read image data for dimension check."));
-                }
-            };
-            reader.onerror = () => {
-                reject(new Error("Failed to read the image file for dimension check."));
-            };
-            reader.readAsDataURL(file);
-        });
+    // Abort an in-flight run when a different image is selected or the component unmounts.
+    useEffect(() => {
+        return () => {
+            if (abortControllerRef.current) abortControllerRef.current.abort();
+        };
+    }, [selectedImage]);
+
+    const cancelProcessing = () => {
+        if (abortControllerRef.current) abortControllerRef.current.abort();
     };
 
+    const removalOptions = useMemo(() => ({ ...getRemovalOptions(settings), keyColors }), [settings, keyColors]);
+
+    const selectedAlgorithm = getAlgorithm(removalOptions.algorithm);
+    const supportsDebugOverlay = Boolean(selectedAlgorithm && selectedAlgorithm.debugOverlay);
+    const isDebugOverlayVisible = showDebugOverlay && supportsDebugOverlay;
+
+    // The image is downscaled once; settings changes only recompute the overlay on the copy.
+    useEffect(() => {
+        setDebugSource(null);
+        setDebugOverlayError(null);
+        if (!selectedImage || !isDebugOverlayVisible) {
+            return undefined;
+        }
+        let isCurrent = true;
+        ensureProcessableImage(selectedImage, { targetMaxSide: DEBUG_OVERLAY_MAX_SIDE, tiled: canProcessLargeImages() })
+            .then(({ dataUrl, originalWidth, originalHeight }) => {
+                if (isCurrent) setDebugSource({ dataUrl, originalWidth, originalHeight });
+            })
+            .catch((loadError) => {
+                console.error("Debug overlay error:", loadError);
+                if (isCurrent) setDebugOverlayError(getErrorMessage(loadError, "Failed to prepare the debug overlay."));
+            });
+        return () => {
+            isCurrent = false;
+        };
+    }, [selectedImage, isDebugOverlayVisible]);
+
+    useEffect(() => {
+        setDebugOverlayUrl(null);
+        if (!debugSource || !isDebugOverlayVisible) {
+            return undefined;
+        }
+        let isCurrent = true;
+        const timeoutId = setTimeout(() => {
+            try {
+                // Show the same error processing the full image would give.
+                validateDimensions(debugSource.originalWidth, debugSource.originalHeight, undefined, {
+                    tiled: canProcessLargeImages(removalOptions.algorithm),
+                });
+            } catch (dimensionError) {
+                setDebugOverlayError(getErrorMessage(dimensionError));
+                return;
+            }
+            renderAlgorithmDebugOverlay(debugSource.dataUrl, removalOptions)
+                .then((overlayUrl) => {
+                    if (!isCurrent) return;
+                    setDebugOverlayUrl(overlayUrl);
+                    setDebugOverlayError(null);
+                })
+                .catch((overlayError) => {
+                    console.error("Debug overlay error:", overlayError);
+                    if (isCurrent) setDebugOverlayError(getErrorMessage(overlayError, "Failed to compute the debug overlay."));
+                });
+        }, DEBUG_OVERLAY_DEBOUNCE_MS);
+        return () => {
+            isCurrent = false;
+            clearTimeout(timeoutId);
+        };
+    }, [debugSource, isDebugOverlayVisible, removalOptions]);
+
     const processImage = useCallback(async () => {
         if (!selectedImage) {
             if (onError) onError("No image selected for processing.");
             return;
         }
 
-        if (onProcessingStart) onProcessingStart();
+        // The parent hands out a run id so it can drop results from runs superseded by a newer one.
+        const runId = onProcessingStart ? onProcessingStart() : undefined;
+        const abortController = new AbortController();
+        abortControllerRef.current = abortController;
         setIsProcessing(true);
-        setProgress(0);
-        if (onError) onError(null); // Reset previous errors
+        setProgress(0); // Starting the run has already reset previous errors
 
         try {
-            // Step 1: Validate file type and size (from apiService)
-            validateImage(selectedImage);
-
-            // Step 2: Validate image dimensions before attempting canvas operations
-            await checkImageDimensions(selectedImage);
-            setProgress(5); // Small progress increment after dimension check
-
-            // Step 3: Process the image using the browser-based utility from apiService
-            const processedImageUrl = await removeBackground(
-                selectedImage,
-                (progressPercent) => {
-                    // Scale progress from removeBackground (0-100) to fit within 5-100 range here
-                    setProgress(5 + Math.floor(progressPercent * 0.95));
-                }
-            );
+            // removeBackground validates the file and, once decoded, its dimensions against the validation policy.
+            // The result stays untrimmed so it lines up with the original for editing and comparing; ResultDisplay
+            // trims what it shows and exports.
+            const processedImageUrl = await removeBackground(selectedImage, {
+                ...removalOptions,
+                crop: null,
+                signal: abortController.signal,
+                onProgress: setProgress,
+            });
 
             // Notify parent component of successful processing
-            if (onProcessingComplete) onProcessingComplete(processedImageUrl);
+            if (onProcessingComplete) onProcessingComplete(processedImageUrl, runId);
 
         } catch (error) {
-            console.error("Image processing error:", error);
-            if (onError) onError(error.message || "An unknown error occurred during image processing.");
-            setProgress(0); // Reset progress on error
+            if (error.name === "AbortError") {
+                if (onProcessingCancel) onProcessingCancel(runId);
+            } else {
+                console.error("Image processing error:", error);
+                if (onError) onError(getErrorMessage(error), runId);
+            }
+            setProgress(0); // Reset progress on error or cancellation
         } finally {
+            if (abortControllerRef.current === abortController) abortControllerRef.current = null;
             setIsProcessing(false);
         }
-    }, [selectedImage, onProcessingStart, onProcessingComplete, onError]);
+    }, [selectedImage, removalOptions, onProcessingStart, onProcessingComplete, onError, onProcessingCancel]);
+
+    // A mask file replaces background removal; its cutout is reported like a processed result.
+    const applyMask = useCallback(async (maskFile, maskOptions) => {
+        // Starting a run also clears the previous result and error.
+        const runId = onProcessingStart ? onProcessingStart() : undefined;
+        const abortController = new AbortController();
+        abortControllerRef.current = abortController;
+        setIsProcessing(true);
+        setProgress(0);
+
+        try {
+            const cutoutUrl = await applyMaskFile(selectedImage, maskFile, {
+                ...maskOptions,
+                signal: abortController.signal,
+                onProgress: setProgress,
+            });
+            if (onProcessingComplete) onProcessingComplete(cutoutUrl, runId);
+        } catch (error) {
+            if (error.name === "AbortError") {
+                if (onProcessingCancel) onProcessingCancel(runId);
+            } else {
+                console.error("Mask import error:", error);
+                if (onError) onError(getErrorMessage(error), runId);
+            }
+            setProgress(0);
+        } finally {
+            if (abortControllerRef.current === abortController) abortControllerRef.current = null;
+            setIsProcessing(false);
+        }
+    }, [selectedImage, onProcessingStart, onProcessingComplete, onError, onProcessingCancel]);
 
     if (!selectedImage) {
         return null;
@@ -87,14 +173,71 @@ const ImageProcessor = ({ selectedImage, onProcessingComplete, onError, onProces
         <div className="w-full max-w-2xl mx-auto p-4">
             <div className="bg-white rounded-xl shadow-lg p-6">
                 {!isProcessing ? (
-                    <button
-                        onClick={processImage}
-                        className="w-full flex items-center justify-center px-6 py-3 bg-primary text-white rounded-lg hover:bg-primary/90 transition-colors duration-300 shadow-md focus:outline-none focus:ring-2 focus:ring-primary focus:ring-offset-2"
-                        disabled={isProcessing}
-                    >
-                        <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 256 256" width="20" height="20"><rect width="256" height="256" fill="none"/><line x1="216" y1="128" x2="216" y2="176" fill="none" stroke="currentColor" stroke-linecap="round" stroke-linejoin="round" stroke-width="24"/><line x1="192" y1="152" x2="240" y2="152" fill="none" stroke="currentColor" stroke-linecap="round" stroke-linejoin="round" stroke-width="24"/><line x1="80" y1="40" x2="80" y2="88" fill="none" stroke="currentColor" stroke-linecap="round" stroke-linejoin="round" stroke-width="24"/><line x1="56" y1="64" x2="104" y2="64" fill="none" stroke="currentColor" stroke-linecap="round" stroke-linejoin="round" stroke-width="24"/><line x1="168" y1="184" x2="168" y2="216" fill="none" stroke="currentColor" stroke-linecap="round" stroke-linejoin="round" stroke-width="24"/><line x1="152" y1="200" x2="184" y2="200" fill="none" stroke="currentColor" stroke-linecap="round" stroke-linejoin="round" stroke-width="24"/><line x1="144" y1="80" x2="176" y2="112" fill="none" stroke="currentColor" stroke-linecap="round" stroke-linejoin="round" stroke-width="24"/><rect x="21.49" y="105.37" width="213.02" height="45.25" rx="8" transform="translate(-53.02 128) rotate(-45)" fill="none" stroke="currentColor" stroke-linecap="round" stroke-linejoin="round" stroke-width="24"/></svg>
-                        <span className="ml-2 font-medium">Remove Background (Local)</span>
-                    </button>
+                    <div className="space-y-4">
+                        <ProcessingSettings settings={settings} onChange={onSettingsChange} />
+                        {settings.maskMaxSide !== null && (
+                            <MaskResolutionComparison image={selectedImage} removalOptions={removalOptions} />
+                        )}
+                        <label className="flex items-center text-sm text-gray-700">
+                            <input
+                                type="checkbox"
+                                checked={showLivePreview}
+                                onChange={(e) => setShowLivePreview(e.target.checked)}
+                                className="mr-2 rounded text-primary focus:ring-primary"
+                            />
+                            Preview settings on a downscaled copy
+                        </label>
+                        {showLivePreview && (
+                            <LivePreview
+                                image={selectedImage}
+                                removalOptions={removalOptions}
+                                sampling={settings.sampling}
+                                onSamplingChange={(sampling) => onSettingsChange({ ...settings, sampling })}
+                            />
+                        )}
+                        {supportsDebugOverlay && (
+                            <div className="space-y-2">
+                                <label className="flex items-center text-sm text-gray-700">
+                                    <input
+                                        type="checkbox"
+                                        checked={showDebugOverlay}
+                                        onChange={(e) => setShowDebugOverlay(e.target.checked)}
+                                        className="mr-2 rounded text-primary focus:ring-primary"
+                                    />
+                                    Show debug overlay
+                                </label>
+                                {isDebugOverlayVisible && debugSource && (
+                                    <div className="relative border border-gray-200 rounded-lg overflow-hidden">
+                                        <img src={debugSource.dataUrl} alt="Selected" className="w-full h-auto block" />
+                                        {debugOverlayUrl ? (
+                                            <img src={debugOverlayUrl} alt="Debug overlay" className="absolute inset-0 w-full h-full" />
+                                        ) : (
+                                            !debugOverlayError && (
+                                                <div className="absolute inset-0 bg-black/30 flex items-center justify-center text-white text-sm">
+                                                    Computing overlay...
+                                                </div>
+                                            )
+                                        )}
+                                    </div>
+                                )}
+                                {isDebugOverlayVisible && debugOverlayError && (
+                                    <p className="text-xs text-red-600">{debugOverlayError}</p>
+                                )}
+                                {isDebugOverlayVisible && selectedAlgorithm.debugOverlayLegend && (
+                                    <p className="text-xs text-gray-500">{selectedAlgorithm.debugOverlayLegend}</p>
+                                )}
+                            </div>
+                        )}
+                        <button
+                            onClick={processImage}
+                            className="w-full flex items-center justify-center px-6 py-3 bg-primary text-white rounded-lg hover:bg-primary/90 transition-colors duration-300 shadow-md focus:outline-none focus:ring-2 focus:ring-primary focus:ring-offset-2"
+                            disabled={isProcessing}
+                        >
+                            <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 256 256" width="20" height="20"><rect width="256" height="256" fill="none"/><line x1="216" y1="128" x2="216" y2="176" fill="none" stroke="currentColor" stroke-linecap="round" stroke-linejoin="round" stroke-width="24"/><line x1="192" y1="152" x2="240" y2="152" fill="none" stroke="currentColor" stroke-linecap="round" stroke-linejoin="round" stroke-width="24"/><line x1="80" y1="40" x2="80" y2="88" fill="none" stroke="currentColor" stroke-linecap="round" stroke-linejoin="round" stroke-width="24"/><line x1="56" y1="64" x2="104" y2="64" fill="none" stroke="currentColor" stroke-linecap="round" stroke-linejoin="round" stroke-width="24"/><line x1="168" y1="184" x2="168" y2="216" fill="none" stroke="currentColor" stroke-linecap="round" stroke-linejoin="round" stroke-width="24"/><line x1="152" y1="200" x2="184" y2="200" fill="none" stroke="currentColor" stroke-linecap="round" stroke-linejoin="round" stroke-width="24"/><line x1="144" y1="80" x2="176" y2="112" fill="none" stroke="currentColor" stroke-linecap="round" stroke-linejoin="round" stroke-width="24"/><rect x="21.49" y="105.37" width="213.02" height="45.25" rx="8" transform="translate(-53.02 128) rotate(-45)" fill="none" stroke="currentColor" stroke-linecap="round" stroke-linejoin="round" stroke-width="24"/></svg>
+                            <span className="ml-2 font-medium">Remove Background (Local)</span>
+                        </button>
+                        <MaskImport onApply={applyMask} />
+                    </div>
                 ) : (
                     <div className="space-y-4">
                         <div className="flex items-center justify-center">
@@ -117,6 +260,13 @@ const ImageProcessor = ({ selectedImage, onProcessingComplete, onError, onProces
                             Please wait, your browser is working its magic.
                             Larger images or complex backgrounds may take a moment.
                         </p>
+
+                        <button
+                            onClick={cancelProcessing}
+                            className="w-full px-6 py-2 text-sm text-red-600 border border-red-200 rounded-lg hover:bg-red-50 transition-colors duration-300 focus:outline-none focus:ring-2 focus:ring-red-300 focus:ring-offset-2"
+                        >
+                            Cancel
+                        </button>
                     </div>
                 )}
             </div>
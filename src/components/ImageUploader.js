@@ -1,12 +1,27 @@
-import React, { useCallback, useState } from "react";
+import React, { useCallback, useRef, useState } from "react";
 import { useDropzone } from "react-dropzone";
+import { sampleAverageColor } from "../utils/imageProcessing";
+import { COLOR_DISTANCE_METRICS, convertTolerance, resolveColorMetric } from "../utils/colorDistance";
+import KeyColorList from "./KeyColorList";
 
-const ImageUploader = ({ onImageSelect }) => {
+const DEFAULT_KEY_COLOR_TOLERANCE = 45; // In RGB units, converted to the selected color metric
+const KEY_COLOR_SAMPLE_RADIUS = 1; // Averages a 3x3 neighbourhood so a single noisy pixel does not skew the color
+
+let nextKeyColorId = 1;
+
+const ImageUploader = ({ onImageSelect, onBatchSelect, keyColors = [], onKeyColorsChange, colorMetric }) => {
     const [previewUrl, setPreviewUrl] = useState(null);
     const [isDragging, setIsDragging] = useState(false);
+    const [isEyedropperActive, setIsEyedropperActive] = useState(false);
+    const [previewSize, setPreviewSize] = useState(null); // Natural size of the preview, to place key color markers
+    const previewImageRef = useRef(null);
+    const samplePixelsRef = useRef(null); // { url, imageData } of the preview, decoded on the first pick
 
     const onDrop = useCallback((acceptedFiles) => {
-        if (acceptedFiles && acceptedFiles.length > 0) {
+        if (acceptedFiles && acceptedFiles.length > 1 && onBatchSelect) {
+            // Several files at once go to the batch queue; the single-image preview stays as it is.
+            onBatchSelect(acceptedFiles);
+        } else if (acceptedFiles && acceptedFiles.length > 0) {
             const file = acceptedFiles[0];
             
             // Create preview URL
@@ -16,19 +31,63 @@ const ImageUploader = ({ onImageSelect }) => {
             // Pass the file to parent component
             onImageSelect(file);
         }
-    }, [onImageSelect]);
+    }, [onImageSelect, onBatchSelect]);
 
     const { getRootProps, getInputProps } = useDropzone({
         onDrop,
         accept: {
             "image/*": [".jpeg", ".jpg", ".png", ".webp"]
         },
-        multiple: false,
+        multiple: Boolean(onBatchSelect),
+        noClick: isEyedropperActive, // Clicks pick colors instead of opening the file dialog
         onDragEnter: () => setIsDragging(true),
         onDragLeave: () => setIsDragging(false),
         onDropAccepted: () => setIsDragging(false)
     });
 
+    const getPreviewPixels = () => {
+        if (!samplePixelsRef.current || samplePixelsRef.current.url !== previewUrl) {
+            const img = previewImageRef.current;
+            const canvas = document.createElement("canvas");
+            canvas.width = img.naturalWidth;
+            canvas.height = img.naturalHeight;
+            const ctx = canvas.getContext("2d", { willReadFrequently: true });
+            ctx.drawImage(img, 0, 0);
+            samplePixelsRef.current = { url: previewUrl, imageData: ctx.getImageData(0, 0, canvas.width, canvas.height) };
+        }
+        return samplePixelsRef.current.imageData;
+    };
+
+    const handlePickColor = (event) => {
+        const img = previewImageRef.current;
+        if (!isEyedropperActive || !img || !onKeyColorsChange) return;
+        const bounds = img.getBoundingClientRect();
+        const x = Math.floor(((event.clientX - bounds.left) * img.naturalWidth) / bounds.width);
+        const y = Math.floor(((event.clientY - bounds.top) * img.naturalHeight) / bounds.height);
+        if (x < 0 || y < 0 || x >= img.naturalWidth || y >= img.naturalHeight) return;
+
+        const samplePoints = [];
+        for (let dy = -KEY_COLOR_SAMPLE_RADIUS; dy <= KEY_COLOR_SAMPLE_RADIUS; dy++) {
+            for (let dx = -KEY_COLOR_SAMPLE_RADIUS; dx <= KEY_COLOR_SAMPLE_RADIUS; dx++) {
+                samplePoints.push([x + dx, y + dy]);
+            }
+        }
+        const color = sampleAverageColor(getPreviewPixels(), img.naturalWidth, img.naturalHeight, samplePoints);
+        if (!color) return;
+        const metric = resolveColorMetric(colorMetric);
+        const tolerance = convertTolerance(DEFAULT_KEY_COLOR_TOLERANCE, COLOR_DISTANCE_METRICS.RGB, metric);
+        onKeyColorsChange([...keyColors, { id: nextKeyColorId++, ...color, x, y, tolerance, metric }]);
+    };
+
+    const handleRemoveKeyColor = (event, id) => {
+        event.stopPropagation(); // Removing a marker must not pick the color underneath it
+        onKeyColorsChange(keyColors.filter((keyColor) => keyColor.id !== id));
+    };
+
+    const handlePreviewLoad = (event) => {
+        setPreviewSize({ width: event.target.naturalWidth, height: event.target.naturalHeight });
+    };
+
     return (
         <div className="w-full max-w-2xl mx-auto p-4">
             <div
@@ -52,11 +111,42 @@ const ImageUploader = ({ onImageSelect }) => {
                         <p className="text-xs text-gray-400">
                             Supports: JPG, JPEG, PNG, WebP
                         </p>
+                        {onBatchSelect && (
+                            <p className="text-xs text-gray-400">
+                                Drop several images at once to process them as a batch.
+                            </p>
+                        )}
+                    </div>
+                ) : isEyedropperActive ? (
+                    <div className="relative inline-block cursor-crosshair" onClick={handlePickColor}>
+                        <img
+                            ref={previewImageRef}
+                            src={previewUrl}
+                            onLoad={handlePreviewLoad}
+                            alt="Preview"
+                            className="max-h-[400px] w-auto mx-auto rounded-lg shadow-md"
+                        />
+                        {previewSize && keyColors.map((keyColor) => (
+                            <button
+                                key={keyColor.id}
+                                onClick={(event) => handleRemoveKeyColor(event, keyColor.id)}
+                                className="absolute w-4 h-4 -ml-2 -mt-2 rounded-full border-2 border-white shadow-md"
+                                style={{
+                                    left: `${(keyColor.x / previewSize.width) * 100}%`,
+                                    top: `${(keyColor.y / previewSize.height) * 100}%`,
+                                    backgroundColor: `rgb(${keyColor.r}, ${keyColor.g}, ${keyColor.b})`,
+                                }}
+                                title="Click to remove this key color"
+                                aria-label="Remove key color"
+                            />
+                        ))}
                     </div>
                 ) : (
                     <div className="relative group">
                         <img 
+                            ref={previewImageRef}
                             src={previewUrl}
+                            onLoad={handlePreviewLoad}
                             alt="Preview"
                             className="max-h-[400px] w-auto mx-auto rounded-lg shadow-md"
                         />
@@ -68,11 +158,33 @@ const ImageUploader = ({ onImageSelect }) => {
                     </div>
                 )}
             </div>
-            
+
+            {previewUrl && onKeyColorsChange && (
+                <div className="mt-4">
+                    <button
+                        onClick={() => setIsEyedropperActive(!isEyedropperActive)}
+                        className={`px-4 py-2 text-sm rounded-md border transition-colors duration-300 ${
+                            isEyedropperActive
+                                ? "bg-primary text-white border-primary"
+                                : "text-primary border-primary/30 hover:bg-primary/5"
+                        }`}
+                    >
+                        {isEyedropperActive ? "Done Picking Colors" : "Pick Background Colors"}
+                    </button>
+                    {isEyedropperActive && (
+                        <p className="mt-2 text-xs text-gray-500">
+                            Click the image to add a key color. Click a marker to remove it.
+                        </p>
+                    )}
+                    <KeyColorList keyColors={keyColors} metric={colorMetric} onChange={onKeyColorsChange} />
+                </div>
+            )}
+
             {previewUrl && (
                 <button
                     onClick={() => {
                         setPreviewUrl(null);
+                        setIsEyedropperActive(false);
                         onImageSelect(null);
                     }}
                     className="mt-4 px-4 py-2 text-sm text-red-600 hover:text-red-700 hover:bg-red-50 rounded-md transition-colors duration-300"
@@ -0,0 +1,76 @@
+import React from "react";
+import { COLOR_DISTANCE_TOLERANCES, convertTolerance, resolveColorMetric } from "../utils/colorDistance";
+
+const toHex = ({ r, g, b }) => `#${[r, g, b].map((channel) => channel.toString(16).padStart(2, "0")).join("")}`;
+
+/**
+ * Lists the key colors picked with the eyedropper, each with its own tolerance slider.
+ * Tolerances are shown in the units of the selected color `metric`; each key color records the metric its
+ * tolerance was set in, so changing the metric converts instead of reinterpreting it.
+ * Every change is reported as a new key color array.
+ */
+const KeyColorList = ({ keyColors, metric, onChange }) => {
+    if (keyColors.length === 0) {
+        return null;
+    }
+
+    const selectedMetric = resolveColorMetric(metric);
+    const { max, step } = COLOR_DISTANCE_TOLERANCES[selectedMetric];
+    const toleranceOf = (keyColor) => convertTolerance(keyColor.tolerance, keyColor.metric, selectedMetric);
+
+    const updateTolerance = (id, tolerance) => {
+        onChange(keyColors.map((keyColor) => (keyColor.id === id ? { ...keyColor, tolerance, metric: selectedMetric } : keyColor)));
+    };
+
+    return (
+        <div className="mt-4 space-y-3 text-left">
+            <div className="flex items-center justify-between">
+                <p className="text-sm font-medium text-gray-700">Key colors</p>
+                <button
+                    onClick={() => onChange([])}
+                    className="px-2 py-1 text-xs text-red-600 hover:text-red-700 hover:bg-red-50 rounded-md transition-colors duration-300"
+                >
+                    Clear All
+                </button>
+            </div>
+            <ul className="space-y-2">
+                {keyColors.map((keyColor) => (
+                    <li key={keyColor.id} className="flex items-center gap-3">
+                        <span
+                            className="w-6 h-6 rounded border border-gray-300 flex-shrink-0"
+                            style={{ backgroundColor: toHex(keyColor) }}
+                        />
+                        <span className="w-16 text-xs font-mono text-gray-600">{toHex(keyColor)}</span>
+                        <label className="flex-1">
+                            <span className="flex justify-between text-xs text-gray-600">
+                                <span>Tolerance</span>
+                                <span className="font-mono">{toleranceOf(keyColor)}</span>
+                            </span>
+                            <input
+                                type="range"
+                                min="0"
+                                max={max}
+                                step={step}
+                                value={toleranceOf(keyColor)}
+                                onChange={(e) => updateTolerance(keyColor.id, Number(e.target.value))}
+                                className="w-full accent-primary"
+                            />
+                        </label>
+                        <button
+                            onClick={() => onChange(keyColors.filter((otherColor) => otherColor.id !== keyColor.id))}
+                            className="px-2 py-1 text-xs text-gray-500 hover:text-red-600 rounded-md transition-colors duration-300"
+                            aria-label={`Remove key color ${toHex(keyColor)}`}
+                        >
+                            Remove
+                        </button>
+                    </li>
+                ))}
+            </ul>
+            <p className="text-xs text-gray-500">
+                Pixels matching any key color are removed instead of the color detected at the image border.
+            </p>
+        </div>
+    );
+};
+
+export default KeyColorList;
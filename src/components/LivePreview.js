@@ -0,0 +1,162 @@
+import React, { useEffect, useState } from "react";
+import { canProcessLargeImages, removeBackground, removeBackgroundWithCleanupOverlay } from "../services/apiService";
+import { SAMPLING_STRATEGIES, ensureProcessableImage } from "../utils/imageProcessing";
+import { dataUrlToBlob } from "../utils/download";
+import { getErrorMessage } from "../utils/errorMessages";
+import { validateDimensions } from "../utils/validation";
+import { hasCleanupSteps, scaleCleanupOptions } from "../utils/maskCleanup";
+import { CHECKERBOARD_BACKGROUND } from "./checkerboard";
+
+const LIVE_PREVIEW_MAX_SIDE = 480; // Small enough to re-run within a fraction of a second
+const LIVE_PREVIEW_DEBOUNCE_MS = 400; // Wait for slider drags to settle before re-running
+
+/**
+ * Re-runs background removal on a downscaled copy of the image whenever the options change, so the effect of
+ * a setting is visible before processing the full image. With the custom sampling strategy, clicking the
+ * preview places a sample point and clicking a marker removes it. When mask cleanup is enabled, what it changed
+ * can be highlighted over the preview.
+ */
+const LivePreview = ({ image, removalOptions, sampling, onSamplingChange }) => {
+    const [source, setSource] = useState(null); // { blob, scale, originalWidth, originalHeight } of the downscaled image
+    const [resultUrl, setResultUrl] = useState(null);
+    const [isUpdating, setIsUpdating] = useState(false);
+    const [previewError, setPreviewError] = useState(null);
+    const [showCleanupChanges, setShowCleanupChanges] = useState(false);
+    const [cleanupOverlayUrl, setCleanupOverlayUrl] = useState(null);
+    const hasCleanup = hasCleanupSteps(removalOptions.cleanup);
+    const isCleanupOverlayVisible = showCleanupChanges && hasCleanup;
+
+    useEffect(() => {
+        let isCurrent = true;
+        setSource(null);
+        setResultUrl(null);
+        setPreviewError(null);
+        ensureProcessableImage(image, { targetMaxSide: LIVE_PREVIEW_MAX_SIDE, tiled: canProcessLargeImages() })
+            .then(async ({ dataUrl, width, originalWidth, originalHeight }) => {
+                const blob = await dataUrlToBlob(dataUrl);
+                if (isCurrent) setSource({ blob, scale: width / originalWidth, originalWidth, originalHeight });
+            })
+            .catch((loadError) => {
+                console.error("Live preview error:", loadError);
+                if (isCurrent) setPreviewError(getErrorMessage(loadError, "Failed to prepare the preview."));
+            });
+        return () => {
+            isCurrent = false;
+        };
+    }, [image]);
+
+    useEffect(() => {
+        if (!source) {
+            return undefined;
+        }
+        const abortController = new AbortController();
+        setIsUpdating(true);
+        const timeoutId = setTimeout(() => {
+            try {
+                // Show the same error processing the full image would give; whether it can be processed
+                // in strips depends on the algorithm.
+                validateDimensions(source.originalWidth, source.originalHeight, undefined, { tiled: canProcessLargeImages(removalOptions.algorithm) });
+            } catch (dimensionError) {
+                setPreviewError(getErrorMessage(dimensionError));
+                setIsUpdating(false);
+                return;
+            }
+            // Key colors were picked and cleanup sizes are set in full-size pixels.
+            const keyColors = (removalOptions.keyColors || []).map((keyColor) => ({
+                ...keyColor,
+                x: keyColor.x * source.scale,
+                y: keyColor.y * source.scale,
+            }));
+            const cleanup = hasCleanupSteps(removalOptions.cleanup) ? scaleCleanupOptions(removalOptions.cleanup, source.scale) : null;
+            // Untrimmed, so sampling points picked on the preview line up with the image.
+            const previewOptions = { ...removalOptions, keyColors, cleanup, crop: null, signal: abortController.signal };
+            // The cleanup overlay comes from the same run as the preview.
+            const run = isCleanupOverlayVisible
+                ? removeBackgroundWithCleanupOverlay(source.blob, previewOptions)
+                : removeBackground(source.blob, previewOptions).then((resultUrl) => ({ resultUrl, cleanupOverlayUrl: null }));
+            run
+                .then(({ resultUrl: previewUrl, cleanupOverlayUrl: overlayUrl }) => {
+                    setResultUrl(previewUrl);
+                    setCleanupOverlayUrl(overlayUrl);
+                    setPreviewError(null);
+                    setIsUpdating(false);
+                })
+                .catch((runError) => {
+                    if (runError.name === "AbortError") return;
+                    console.error("Live preview error:", runError);
+                    setPreviewError(getErrorMessage(runError, "Failed to update the preview."));
+                    setIsUpdating(false);
+                });
+        }, LIVE_PREVIEW_DEBOUNCE_MS);
+        return () => {
+            clearTimeout(timeoutId);
+            abortController.abort();
+        };
+    }, [source, removalOptions, isCleanupOverlayVisible]);
+
+    const isPlacingPoints = sampling.strategy === SAMPLING_STRATEGIES.CUSTOM;
+
+    const handlePreviewClick = (event) => {
+        if (!isPlacingPoints) return;
+        const bounds = event.currentTarget.getBoundingClientRect();
+        const point = [
+            Math.min(1, Math.max(0, (event.clientX - bounds.left) / bounds.width)),
+            Math.min(1, Math.max(0, (event.clientY - bounds.top) / bounds.height)),
+        ];
+        onSamplingChange({ ...sampling, points: [...sampling.points, point] });
+    };
+
+    const removePoint = (index) => {
+        onSamplingChange({ ...sampling, points: sampling.points.filter((_, pointIndex) => pointIndex !== index) });
+    };
+
+    return (
+        <div className="space-y-2">
+            <div className="flex items-center justify-between text-sm text-gray-700">
+                <span className="font-medium">Live preview</span>
+                {isUpdating && <span className="text-xs text-gray-500">Updating...</span>}
+            </div>
+            {hasCleanup && (
+                <label className="flex items-center text-xs text-gray-600">
+                    <input
+                        type="checkbox"
+                        checked={showCleanupChanges}
+                        onChange={(e) => setShowCleanupChanges(e.target.checked)}
+                        className="mr-2 rounded text-primary focus:ring-primary"
+                    />
+                    Highlight cleanup changes (red: removed, green: restored)
+                </label>
+            )}
+            {resultUrl ? (
+                <div className="relative w-fit mx-auto border border-gray-200 rounded-lg overflow-hidden">
+                    <img
+                        src={resultUrl}
+                        alt="Live preview of the background removal"
+                        onClick={handlePreviewClick}
+                        className={`block max-w-full h-auto max-h-[320px] ${isPlacingPoints ? "cursor-crosshair" : ""}`}
+                        style={{ backgroundImage: CHECKERBOARD_BACKGROUND }}
+                    />
+                    {isCleanupOverlayVisible && cleanupOverlayUrl && (
+                        <img src={cleanupOverlayUrl} alt="Cleanup changes" className="absolute inset-0 w-full h-full pointer-events-none" />
+                    )}
+                    {isPlacingPoints && sampling.points.map(([fx, fy], index) => (
+                        <button
+                            key={`${fx}-${fy}-${index}`}
+                            onClick={() => removePoint(index)}
+                            className="absolute w-3 h-3 -ml-1.5 -mt-1.5 rounded-full bg-primary border-2 border-white shadow"
+                            style={{ left: `${fx * 100}%`, top: `${fy * 100}%` }}
+                            aria-label={`Remove sample point ${index + 1}`}
+                        />
+                    ))}
+                </div>
+            ) : (
+                <div className="h-32 flex items-center justify-center text-sm text-gray-500 bg-slate-50 rounded-lg border border-gray-200">
+                    {previewError || "Preparing preview..."}
+                </div>
+            )}
+            {resultUrl && previewError && <p className="text-xs text-red-600">{previewError}</p>}
+        </div>
+    );
+};
+
+export default LivePreview;
@@ -0,0 +1,110 @@
+import React from "react";
+import { MAX_MORPHOLOGY_RADIUS, MORPHOLOGY_OPERATIONS } from "../utils/maskCleanup";
+
+const MORPHOLOGY_OPTIONS = [
+    { value: "", label: "None" },
+    { value: MORPHOLOGY_OPERATIONS.OPEN, label: "Open (remove specks and spurs)" },
+    { value: MORPHOLOGY_OPERATIONS.CLOSE, label: "Close (fill gaps and notches)" },
+    { value: MORPHOLOGY_OPERATIONS.ERODE, label: "Erode (shrink the subject)" },
+    { value: MORPHOLOGY_OPERATIONS.DILATE, label: "Dilate (grow the subject)" },
+];
+
+/**
+ * A range input with its label and current value.
+ */
+const SizeSlider = ({ label, value, unit, min, max, onChange }) => (
+    <label className="block">
+        <span className="flex justify-between text-xs text-gray-600">
+            <span>{label}</span>
+            <span className="font-mono">{value}{unit}</span>
+        </span>
+        <input
+            type="range"
+            min={min}
+            max={max}
+            value={value}
+            onChange={(e) => onChange(Number(e.target.value))}
+            className="w-full accent-primary"
+        />
+    </label>
+);
+
+/**
+ * Controls for the mask cleanup steps that run after the algorithm. Each step has its own toggle;
+ * the live preview shows the result and can highlight what cleanup changed.
+ * `cleanup` has the shape of `DEFAULT_CLEANUP_OPTIONS`; every change is reported as a new cleanup object.
+ */
+const MaskCleanupSettings = ({ cleanup, onChange }) => {
+    const update = (changes) => onChange({ ...cleanup, ...changes });
+
+    return (
+        <fieldset className="space-y-3">
+            <legend className="text-sm font-medium text-gray-700 mb-2">Mask cleanup</legend>
+            <label className="flex items-center text-xs text-gray-600">
+                <input
+                    type="checkbox"
+                    checked={cleanup.removeIslands}
+                    onChange={(e) => update({ removeIslands: e.target.checked })}
+                    className="mr-2 rounded text-primary focus:ring-primary"
+                />
+                Remove opaque specks in the background
+            </label>
+            {cleanup.removeIslands && (
+                <SizeSlider
+                    label="Largest speck"
+                    value={cleanup.maxIslandSize}
+                    unit="px"
+                    min={1}
+                    max={5000}
+                    onChange={(maxIslandSize) => update({ maxIslandSize })}
+                />
+            )}
+            <label className="flex items-center text-xs text-gray-600">
+                <input
+                    type="checkbox"
+                    checked={cleanup.fillHoles}
+                    onChange={(e) => update({ fillHoles: e.target.checked })}
+                    className="mr-2 rounded text-primary focus:ring-primary"
+                />
+                Fill pinholes inside the subject
+            </label>
+            {cleanup.fillHoles && (
+                <SizeSlider
+                    label="Largest hole"
+                    value={cleanup.maxHoleSize}
+                    unit="px"
+                    min={1}
+                    max={5000}
+                    onChange={(maxHoleSize) => update({ maxHoleSize })}
+                />
+            )}
+            <label className="block text-xs text-gray-600">
+                <span className="block mb-1">Shape adjustment</span>
+                <select
+                    value={cleanup.morphology || ""}
+                    onChange={(e) => update({ morphology: e.target.value || null })}
+                    className="w-full text-sm border-gray-300 rounded-md focus:ring-primary focus:border-primary"
+                >
+                    {MORPHOLOGY_OPTIONS.map((option) => (
+                        <option key={option.value} value={option.value}>{option.label}</option>
+                    ))}
+                </select>
+            </label>
+            {cleanup.morphology && (
+                <SizeSlider
+                    label="Radius"
+                    value={cleanup.morphologyRadius}
+                    unit="px"
+                    min={1}
+                    max={MAX_MORPHOLOGY_RADIUS}
+                    onChange={(morphologyRadius) => update({ morphologyRadius })}
+                />
+            )}
+            <p className="text-xs text-gray-500">
+                Runs after background removal, before feathering. Holes touching the image border are never filled.
+            </p>
+        </fieldset>
+    );
+};
+
+export default MaskCleanupSettings;
@@ -0,0 +1,321 @@
+import React, { useCallback, useEffect, useRef, useState } from "react";
+import { loadImageElement } from "../utils/imageProcessing";
+import {
+    BRUSH_MODES,
+    applyBrushStroke,
+    copyPixelRect,
+    createBrushStamp,
+    interpolateDabPositions,
+    pastePixelRect,
+    stampBrush,
+    unionRects,
+} from "../utils/maskEditing";
+import useZoomPan, { ZOOM_STEP } from "../hooks/useZoomPan";
+import { CHECKERBOARD_BACKGROUND } from "./checkerboard";
+
+const PAN_TOOL = "pan";
+const MAX_UNDO_STEPS = 30;
+
+const TOOLS = [
+    { id: BRUSH_MODES.ERASE, label: "Erase" },
+    { id: BRUSH_MODES.RESTORE, label: "Restore" },
+    { id: PAN_TOOL, label: "Pan" },
+];
+
+/**
+ * Draws an image onto a canvas and reads back its pixels.
+ * @param {File | string} fileOrUrl - The image.
+ * @param {number} [width] - Output width. Defaults to the image's natural width.
+ * @param {number} [height] - Output height. Defaults to the image's natural height.
+ * @returns {Promise<ImageData>} The image's pixels.
+ */
+const loadImagePixels = async (fileOrUrl, width, height) => {
+    const img = await loadImageElement(fileOrUrl);
+    const canvas = document.createElement("canvas");
+    canvas.width = width || img.naturalWidth;
+    canvas.height = height || img.naturalHeight;
+    const ctx = canvas.getContext("2d", { willReadFrequently: true });
+    if (!ctx) {
+        throw new Error("Failed to get canvas 2D context. Your browser may not support it.");
+    }
+    ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
+    return ctx.getImageData(0, 0, canvas.width, canvas.height);
+};
+
+/**
+ * Canvas editor for touching up a processed image by hand.
+ * The erase brush makes pixels transparent; the restore brush paints the original pixels back from `sourceImage`.
+ * Supports brush size and hardness, zoom (buttons or mouse wheel), panning (pan tool or middle mouse button)
+ * and undo (button or Ctrl/Cmd+Z). `onApply` receives the edited image as a PNG data URL.
+ * `resultUrl` must be the untrimmed result, so each of its pixels lines up with the same pixel of `sourceImage`.
+ */
+const MaskEditor = ({ resultUrl, sourceImage, onApply, onCancel }) => {
+    const [isReady, setIsReady] = useState(false);
+    const [loadError, setLoadError] = useState(null);
+    const [tool, setTool] = useState(BRUSH_MODES.ERASE);
+    const [brushSize, setBrushSize] = useState(40); // Diameter in image pixels
+    const [hardness, setHardness] = useState(70); // Percent
+    const [cursorPosition, setCursorPosition] = useState(null); // Pointer position within the viewport
+    const [undoCount, setUndoCount] = useState(0);
+
+    const containerRef = useRef(null);
+    const canvasRef = useRef(null);
+    // Pixel buffers live in refs: they are large and change on every pointer move.
+    const editorRef = useRef(null); // { imageData, source, strokeMask }
+    const strokeRef = useRef(null); // The stroke or pan gesture in progress
+    const undoStackRef = useRef([]);
+    const { view, setView, zoomAtCenter, fitToView } = useZoomPan(containerRef);
+
+    useEffect(() => {
+        let isCurrent = true;
+        setIsReady(false);
+        setLoadError(null);
+        undoStackRef.current = [];
+        setUndoCount(0);
+
+        const loadPixels = async () => {
+            const imageData = await loadImagePixels(resultUrl);
+            // Scale the source to the result's size in case the pipeline resized the image.
+            const source = await loadImagePixels(sourceImage, imageData.width, imageData.height);
+            if (!isCurrent) return;
+
+            const canvas = canvasRef.current;
+            canvas.width = imageData.width;
+            canvas.height = imageData.height;
+            canvas.getContext("2d").putImageData(imageData, 0, 0);
+            editorRef.current = {
+                imageData,
+                source: source.data,
+                strokeMask: new Uint8Array(imageData.width * imageData.height),
+            };
+            fitToView(imageData.width, imageData.height);
+            setIsReady(true);
+        };
+
+        loadPixels().catch((error) => {
+            console.error("Mask editor load error:", error);
+            if (isCurrent) setLoadError(error.message || "Failed to load the image for editing.");
+        });
+        return () => {
+            isCurrent = false;
+        };
+    }, [resultUrl, sourceImage, fitToView]);
+
+    const redrawRect = useCallback((rect) => {
+        canvasRef.current.getContext("2d").putImageData(editorRef.current.imageData, 0, 0, rect.x, rect.y, rect.width, rect.height);
+    }, []);
+
+    const undo = useCallback(() => {
+        const editor = editorRef.current;
+        const step = undoStackRef.current.pop();
+        if (!editor || !step) return;
+        pastePixelRect(editor.imageData.data, editor.imageData.width, step.rect, step.pixels);
+        redrawRect(step.rect);
+        setUndoCount(undoStackRef.current.length);
+    }, [redrawRect]);
+
+    useEffect(() => {
+        const handleKeyDown = (event) => {
+            if ((event.ctrlKey || event.metaKey) && !event.shiftKey && event.key.toLowerCase() === "z") {
+                event.preventDefault();
+                undo();
+            }
+        };
+        window.addEventListener("keydown", handleKeyDown);
+        return () => window.removeEventListener("keydown", handleKeyDown);
+    }, [undo]);
+
+    const toImagePoint = (event) => {
+        const canvas = canvasRef.current;
+        const bounds = canvas.getBoundingClientRect();
+        return {
+            x: ((event.clientX - bounds.left) * canvas.width) / bounds.width,
+            y: ((event.clientY - bounds.top) * canvas.height) / bounds.height,
+        };
+    };
+
+    const paintDabs = (positions) => {
+        const editor = editorRef.current;
+        const stroke = strokeRef.current;
+        const { width, height, data } = editor.imageData;
+        let dirtyRect = null;
+        positions.forEach((position) => {
+            dirtyRect = unionRects(dirtyRect, stampBrush(editor.strokeMask, width, height, position.x, position.y, stroke.stamp));
+        });
+        if (!dirtyRect) return;
+        applyBrushStroke(data, stroke.base, editor.source, editor.strokeMask, width, stroke.mode, dirtyRect);
+        stroke.rect = unionRects(stroke.rect, dirtyRect);
+        redrawRect(dirtyRect);
+    };
+
+    const handlePointerDown = (event) => {
+        if (!isReady || strokeRef.current) return;
+        event.currentTarget.setPointerCapture(event.pointerId);
+
+        if (tool === PAN_TOOL || event.button === 1) {
+            strokeRef.current = { isPan: true, startX: event.clientX, startY: event.clientY, startView: view };
+            return;
+        }
+        if (event.button !== 0) return;
+
+        const editor = editorRef.current;
+        const radius = brushSize / 2;
+        editor.strokeMask.fill(0);
+        strokeRef.current = {
+            mode: tool,
+            stamp: createBrushStamp(radius, hardness / 100),
+            spacing: Math.max(1, radius / 4),
+            base: editor.imageData.data.slice(), // Pixels before the stroke, for blending and undo
+            rect: null,
+            lastPoint: toImagePoint(event),
+        };
+        paintDabs([strokeRef.current.lastPoint]);
+    };
+
+    const handlePointerMove = (event) => {
+        const bounds = containerRef.current.getBoundingClientRect();
+        setCursorPosition({ x: event.clientX - bounds.left, y: event.clientY - bounds.top });
+
+        const stroke = strokeRef.current;
+        if (!stroke) return;
+        if (stroke.isPan) {
+            setView({
+                ...stroke.startView,
+                panX: stroke.startView.panX + event.clientX - stroke.startX,
+                panY: stroke.startView.panY + event.clientY - stroke.startY,
+            });
+            return;
+        }
+        const point = toImagePoint(event);
+        paintDabs(interpolateDabPositions(stroke.lastPoint, point, stroke.spacing));
+        stroke.lastPoint = point;
+    };
+
+    const handlePointerUp = () => {
+        const stroke = strokeRef.current;
+        strokeRef.current = null;
+        if (!stroke || stroke.isPan || !stroke.rect) return;
+
+        const { width } = editorRef.current.imageData;
+        undoStackRef.current.push({ rect: stroke.rect, pixels: copyPixelRect(stroke.base, width, stroke.rect) });
+        if (undoStackRef.current.length > MAX_UNDO_STEPS) undoStackRef.current.shift();
+        setUndoCount(undoStackRef.current.length);
+    };
+
+    const handleApply = () => {
+        onApply(canvasRef.current.toDataURL("image/png"));
+    };
+
+    const isPanning = tool === PAN_TOOL;
+    const brushDiameterOnScreen = brushSize * view.zoom;
+
+    return (
+        <div className="space-y-4">
+            <div className="flex flex-wrap items-center gap-2">
+                {TOOLS.map((toolOption) => (
+                    <button
+                        key={toolOption.id}
+                        onClick={() => setTool(toolOption.id)}
+                        className={`px-3 py-1.5 text-sm rounded-md border transition-colors duration-300 ${
+                            tool === toolOption.id
+                                ? "bg-primary text-white border-primary"
+                                : "text-gray-700 border-gray-300 hover:bg-gray-50"
+                        }`}
+                    >
+                        {toolOption.label}
+                    </button>
+                ))}
+                <div className="flex items-center gap-1 ml-auto">
+                    <button onClick={() => zoomAtCenter(1 / ZOOM_STEP)} className="px-2 py-1 text-sm text-gray-700 border border-gray-300 rounded-md hover:bg-gray-50" aria-label="Zoom out">-</button>
+                    <span className="w-14 text-center text-xs font-mono text-gray-600">{Math.round(view.zoom * 100)}%</span>
+                    <button onClick={() => zoomAtCenter(ZOOM_STEP)} className="px-2 py-1 text-sm text-gray-700 border border-gray-300 rounded-md hover:bg-gray-50" aria-label="Zoom in">+</button>
+                    <button onClick={() => fitToView(canvasRef.current.width, canvasRef.current.height)} className="px-2 py-1 text-sm text-gray-700 border border-gray-300 rounded-md hover:bg-gray-50">Fit</button>
+                </div>
+            </div>
+
+            <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+                <label className="block">
+                    <span className="flex justify-between text-xs text-gray-600">
+                        <span>Brush size</span>
+                        <span className="font-mono">{brushSize}px</span>
+                    </span>
+                    <input type="range" min="2" max="300" value={brushSize} onChange={(e) => setBrushSize(Number(e.target.value))} className="w-full accent-primary" />
+                </label>
+                <label className="block">
+                    <span className="flex justify-between text-xs text-gray-600">
+                        <span>Hardness</span>
+                        <span className="font-mono">{hardness}%</span>
+                    </span>
+                    <input type="range" min="0" max="100" value={hardness} onChange={(e) => setHardness(Number(e.target.value))} className="w-full accent-primary" />
+                </label>
+            </div>
+
+            <div
+                ref={containerRef}
+                className="relative h-[500px] overflow-hidden rounded-lg border border-gray-200 bg-slate-100 touch-none select-none"
+                style={{ cursor: isPanning ? "grab" : "none" }}
+                onPointerDown={handlePointerDown}
+                onPointerMove={handlePointerMove}
+                onPointerUp={handlePointerUp}
+                onPointerCancel={handlePointerUp}
+                onPointerLeave={() => setCursorPosition(null)}
+            >
+                <canvas
+                    ref={canvasRef}
+                    className="absolute top-0 left-0"
+                    style={{
+                        transform: `translate(${view.panX}px, ${view.panY}px) scale(${view.zoom})`,
+                        transformOrigin: "0 0",
+                        imageRendering: view.zoom > 2 ? "pixelated" : "auto",
+                        backgroundImage: CHECKERBOARD_BACKGROUND,
+                    }}
+                />
+                {cursorPosition && !isPanning && isReady && (
+                    <div
+                        className="absolute rounded-full border border-white pointer-events-none"
+                        style={{
+                            width: brushDiameterOnScreen,
+                            height: brushDiameterOnScreen,
+                            left: cursorPosition.x - brushDiameterOnScreen / 2,
+                            top: cursorPosition.y - brushDiameterOnScreen / 2,
+                            boxShadow: "0 0 0 1px rgba(0, 0, 0, 0.6)",
+                        }}
+                    />
+                )}
+                {!isReady && (
+                    <div className="absolute inset-0 flex items-center justify-center text-sm text-gray-600">
+                        {loadError || "Loading editor..."}
+                    </div>
+                )}
+            </div>
+            <p className="text-xs text-gray-500">
+                Scroll to zoom. Drag with the middle mouse button or the Pan tool to move around. Ctrl+Z undoes the last stroke.
+            </p>
+
+            <div className="flex flex-col sm:flex-row gap-3">
+                <button
+                    onClick={undo}
+                    disabled={undoCount === 0}
+                    className="px-4 py-2 text-sm text-gray-700 border border-gray-300 rounded-lg hover:bg-gray-50 transition-colors duration-300 disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                    Undo
+                </button>
+                <button
+                    onClick={onCancel}
+                    className="px-4 py-2 text-sm text-gray-700 border border-gray-300 rounded-lg hover:bg-gray-50 transition-colors duration-300 sm:ml-auto"
+                >
+                    Cancel
+                </button>
+                <button
+                    onClick={handleApply}
+                    disabled={!isReady}
+                    className="px-6 py-2 bg-primary text-white rounded-lg hover:bg-primary/90 transition-colors duration-300 shadow-md focus:outline-none focus:ring-2 focus:ring-primary focus:ring-offset-2 disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                    Apply Edits
+                </button>
+            </div>
+        </div>
+    );
+};
+
+export default MaskEditor;
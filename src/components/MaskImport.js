@@ -0,0 +1,97 @@
+import React, { useState } from "react";
+import { DEFAULT_MASK_IMPORT_OPTIONS } from "../utils/maskImport";
+import { getValidationPolicy } from "../utils/validation";
+
+const DEFAULT_THRESHOLD = 128;
+
+/**
+ * Lets the user cut out the selected image with a mask file instead of running background removal.
+ * The mask is read as grayscale with white kept (or from its transparency); invert and threshold cover masks
+ * that follow another convention. `onApply(maskFile, options)` starts the cutout, with `options` in the shape of
+ * `DEFAULT_MASK_IMPORT_OPTIONS`; the parent shows its progress in place of these controls.
+ */
+const MaskImport = ({ onApply }) => {
+    const [maskFile, setMaskFile] = useState(null);
+    const [invert, setInvert] = useState(DEFAULT_MASK_IMPORT_OPTIONS.invert);
+    const [useThreshold, setUseThreshold] = useState(false);
+    const [threshold, setThreshold] = useState(DEFAULT_THRESHOLD);
+    const [isOpen, setIsOpen] = useState(false);
+    // Masks are applied in one piece, without the strip processing that lets background removal take larger images.
+    const maxMegapixels = Math.floor(getValidationPolicy().maxTotalPixels / 1000000);
+
+    const handleApply = () => {
+        onApply(maskFile, { invert, threshold: useThreshold ? threshold : null });
+    };
+
+    return (
+        <div className="space-y-3">
+            <label className="flex items-center text-sm text-gray-700">
+                <input
+                    type="checkbox"
+                    checked={isOpen}
+                    onChange={(e) => setIsOpen(e.target.checked)}
+                    className="mr-2 rounded text-primary focus:ring-primary"
+                />
+                Use an existing mask instead
+            </label>
+            {isOpen && (
+                <div className="space-y-3">
+                    <input
+                        type="file"
+                        accept="image/png,image/jpeg,image/webp"
+                        onChange={(e) => setMaskFile(e.target.files[0] || null)}
+                        className="block w-full text-xs text-gray-600"
+                    />
+                    <label className="flex items-center text-xs text-gray-600">
+                        <input
+                            type="checkbox"
+                            checked={invert}
+                            onChange={(e) => setInvert(e.target.checked)}
+                            className="mr-2 rounded text-primary focus:ring-primary"
+                        />
+                        Invert (the mask marks the background in white)
+                    </label>
+                    <label className="flex items-center text-xs text-gray-600">
+                        <input
+                            type="checkbox"
+                            checked={useThreshold}
+                            onChange={(e) => setUseThreshold(e.target.checked)}
+                            className="mr-2 rounded text-primary focus:ring-primary"
+                        />
+                        Hard edges
+                    </label>
+                    {useThreshold && (
+                        <label className="block">
+                            <span className="flex justify-between text-xs text-gray-600">
+                                <span>Threshold</span>
+                                <span className="font-mono">{threshold}</span>
+                            </span>
+                            <input
+                                type="range"
+                                min="1"
+                                max="255"
+                                value={threshold}
+                                onChange={(e) => setThreshold(Number(e.target.value))}
+                                className="w-full accent-primary"
+                            />
+                        </label>
+                    )}
+                    <p className="text-xs text-gray-500">
+                        White is kept and black is removed, like the Mask export. A mask of a different size is resized
+                        to fit if it has the image's proportions. Masks are applied in one piece, so they work on images
+                        up to {maxMegapixels} megapixels; larger images can only go through background removal.
+                    </p>
+                    <button
+                        onClick={handleApply}
+                        disabled={!maskFile}
+                        className="w-full px-6 py-2 text-primary border border-primary/30 rounded-lg hover:bg-primary/5 transition-colors duration-300 focus:outline-none focus:ring-2 focus:ring-primary focus:ring-offset-2 disabled:opacity-50 disabled:cursor-not-allowed"
+                    >
+                        Apply Mask
+                    </button>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default MaskImport;
@@ -0,0 +1,76 @@
+import React, { useEffect, useRef, useState } from "react";
+import { compareMaskResolutions } from "../services/apiService";
+import { getErrorMessage } from "../utils/errorMessages";
+
+const formatSeconds = (milliseconds) => `${(milliseconds / 1000).toFixed(1)}s`;
+const formatPercent = (ratio) => `${(ratio * 100).toFixed(ratio < 0.01 ? 2 : 1)}%`;
+
+/**
+ * Computes the mask for the selected settings with and without the low-resolution path on the current image and
+ * reports how much faster the low-resolution mask was and how closely it matches the full-resolution one.
+ */
+const MaskResolutionComparison = ({ image, removalOptions }) => {
+    const [isComparing, setIsComparing] = useState(false);
+    const [report, setReport] = useState(null);
+    const [comparisonError, setComparisonError] = useState(null);
+    const abortControllerRef = useRef(null);
+
+    // A report only describes the image and options it was measured with, so a change discards it.
+    useEffect(() => {
+        setReport(null);
+        setComparisonError(null);
+        return () => {
+            if (abortControllerRef.current) abortControllerRef.current.abort();
+        };
+    }, [image, removalOptions]);
+
+    const runComparison = async () => {
+        const abortController = new AbortController();
+        abortControllerRef.current = abortController;
+        setIsComparing(true);
+        setReport(null);
+        setComparisonError(null);
+        try {
+            setReport(await compareMaskResolutions(image, { ...removalOptions, signal: abortController.signal }));
+        } catch (runError) {
+            if (runError.name !== "AbortError") {
+                console.error("Mask resolution comparison error:", runError);
+                setComparisonError(getErrorMessage(runError, "The comparison failed."));
+            }
+        } finally {
+            if (abortControllerRef.current === abortController) abortControllerRef.current = null;
+            setIsComparing(false);
+        }
+    };
+
+    return (
+        <div className="space-y-2 text-xs text-gray-600">
+            <button
+                onClick={runComparison}
+                disabled={isComparing}
+                className="px-3 py-2 text-sm text-primary border border-primary/30 rounded-md hover:bg-primary/5 transition-colors duration-300 disabled:opacity-50"
+            >
+                {isComparing ? "Comparing..." : "Compare accuracy with full resolution"}
+            </button>
+            {report && (
+                <dl className="grid grid-cols-2 gap-x-4 gap-y-1 p-3 bg-slate-50 rounded-lg border border-gray-200">
+                    <dt>Low-resolution mask</dt>
+                    <dd className="font-mono text-right">{formatSeconds(report.lowResolutionMs)}</dd>
+                    <dt>Full-resolution mask</dt>
+                    <dd className="font-mono text-right">
+                        {formatSeconds(report.fullResolutionMs)} ({(report.fullResolutionMs / report.lowResolutionMs).toFixed(1)}x)
+                    </dd>
+                    <dt>Foreground overlap (IoU)</dt>
+                    <dd className="font-mono text-right">{formatPercent(report.metrics.intersectionOverUnion)}</dd>
+                    <dt>Pixels off by more than 10%</dt>
+                    <dd className="font-mono text-right">{formatPercent(report.metrics.mismatchRatio)}</dd>
+                    <dt>Mean alpha difference</dt>
+                    <dd className="font-mono text-right">{formatPercent(report.metrics.meanAbsoluteError)}</dd>
+                </dl>
+            )}
+            {comparisonError && <p className="text-red-600">{comparisonError}</p>}
+        </div>
+    );
+};
+
+export default MaskResolutionComparison;
@@ -0,0 +1,131 @@
+import React, { useState } from "react";
+import { EXPORT_FORMATS, EXPORT_FORMAT_DETAILS } from "../utils/exportFormats";
+import { PRESET_FORMATS, SUBJECT_ALIGNMENTS, normalizePreset } from "../utils/exportPresets";
+
+const NEW_PRESET_DEFAULTS = {
+    name: "",
+    width: 1000,
+    height: 1000,
+    backgroundColor: "#ffffff",
+    subjectFill: 0.85,
+    alignment: SUBJECT_ALIGNMENTS.CENTER,
+    format: EXPORT_FORMATS.JPEG,
+    maxBytes: 1024 * 1024,
+};
+
+const inputClassName = "w-full text-sm border-gray-300 rounded-md focus:ring-primary focus:border-primary";
+
+/**
+ * Form for defining a new export preset. `onSave` receives the normalized preset, without an id.
+ */
+const PresetForm = ({ onSave, onCancel }) => {
+    const [preset, setPreset] = useState(NEW_PRESET_DEFAULTS);
+    const update = (changes) => setPreset({ ...preset, ...changes });
+    const isTransparent = preset.backgroundColor === null;
+    const canBeTransparent = preset.format !== EXPORT_FORMATS.JPEG;
+
+    const handleSubmit = (event) => {
+        event.preventDefault();
+        onSave(normalizePreset(preset));
+    };
+
+    return (
+        <form onSubmit={handleSubmit} className="space-y-3 border border-gray-200 rounded-lg p-4">
+            <label className="block text-xs text-gray-600">
+                <span className="block mb-1">Name</span>
+                <input type="text" required value={preset.name} onChange={(e) => update({ name: e.target.value })} className={inputClassName} />
+            </label>
+            <div className="grid grid-cols-2 gap-3">
+                <label className="block text-xs text-gray-600">
+                    <span className="block mb-1">Width (px)</span>
+                    <input type="number" min="1" max="8000" required value={preset.width} onChange={(e) => update({ width: e.target.value })} className={inputClassName} />
+                </label>
+                <label className="block text-xs text-gray-600">
+                    <span className="block mb-1">Height (px)</span>
+                    <input type="number" min="1" max="8000" required value={preset.height} onChange={(e) => update({ height: e.target.value })} className={inputClassName} />
+                </label>
+                <label className="block text-xs text-gray-600">
+                    <span className="block mb-1">Format</span>
+                    <select
+                        value={preset.format}
+                        onChange={(e) => update({
+                            format: e.target.value,
+                            // JPEG cannot be transparent.
+                            backgroundColor: e.target.value === EXPORT_FORMATS.JPEG && isTransparent ? "#ffffff" : preset.backgroundColor,
+                        })}
+                        className={inputClassName}
+                    >
+                        {PRESET_FORMATS.map((format) => (
+                            <option key={format} value={format}>{EXPORT_FORMAT_DETAILS[format].label}</option>
+                        ))}
+                    </select>
+                </label>
+                <label className="block text-xs text-gray-600">
+                    <span className="block mb-1">Max size (KB, 0 = none)</span>
+                    <input
+                        type="number"
+                        min="0"
+                        value={preset.maxBytes ? Math.round(preset.maxBytes / 1024) : 0}
+                        onChange={(e) => update({ maxBytes: Number(e.target.value) * 1024 || null })}
+                        className={inputClassName}
+                    />
+                </label>
+                <label className="block text-xs text-gray-600">
+                    <span className="block mb-1">Subject alignment</span>
+                    <select value={preset.alignment} onChange={(e) => update({ alignment: e.target.value })} className={inputClassName}>
+                        <option value={SUBJECT_ALIGNMENTS.CENTER}>Centered</option>
+                        <option value={SUBJECT_ALIGNMENTS.BOTTOM}>Bottom</option>
+                    </select>
+                </label>
+                <div className="block text-xs text-gray-600">
+                    <span className="block mb-1">Background</span>
+                    <div className="flex items-center gap-3 h-9">
+                        <input
+                            type="color"
+                            value={preset.backgroundColor || "#ffffff"}
+                            disabled={isTransparent}
+                            onChange={(e) => update({ backgroundColor: e.target.value })}
+                            className="w-10 h-8 p-0 border border-gray-300 rounded cursor-pointer disabled:opacity-40"
+                            aria-label="Background color"
+                        />
+                        {canBeTransparent && (
+                            <label className="flex items-center">
+                                <input
+                                    type="checkbox"
+                                    checked={isTransparent}
+                                    onChange={(e) => update({ backgroundColor: e.target.checked ? null : "#ffffff" })}
+                                    className="mr-1 rounded text-primary focus:ring-primary"
+                                />
+                                Transparent
+                            </label>
+                        )}
+                    </div>
+                </div>
+            </div>
+            <label className="block">
+                <span className="flex justify-between text-xs text-gray-600">
+                    <span>Subject fills</span>
+                    <span className="font-mono">{Math.round(preset.subjectFill * 100)}%</span>
+                </span>
+                <input
+                    type="range"
+                    min="5"
+                    max="100"
+                    value={Math.round(preset.subjectFill * 100)}
+                    onChange={(e) => update({ subjectFill: Number(e.target.value) / 100 })}
+                    className="w-full accent-primary"
+                />
+            </label>
+            <div className="flex justify-end gap-3">
+                <button type="button" onClick={onCancel} className="px-4 py-2 text-sm text-gray-700 border border-gray-300 rounded-lg hover:bg-gray-50 transition-colors duration-300">
+                    Cancel
+                </button>
+                <button type="submit" className="px-4 py-2 text-sm bg-primary text-white rounded-lg hover:bg-primary/90 transition-colors duration-300">
+                    Save Preset
+                </button>
+            </div>
+        </form>
+    );
+};
+
+export default PresetForm;
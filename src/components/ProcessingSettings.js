@@ -0,0 +1,87 @@
+import React from "react";
+import { listAlgorithms } from "../algorithms";
+import { getSelectedAlgorithmParams, setSelectedAlgorithmParam } from "../utils/processingSettings";
+import { MASK_RESOLUTIONS } from "../utils/maskUpsampling";
+import AlgorithmSettings from "./AlgorithmSettings";
+import SamplingSettings from "./SamplingSettings";
+import MaskCleanupSettings from "./MaskCleanupSettings";
+import EdgeColorSettings from "./EdgeColorSettings";
+import AutoCropSettings from "./AutoCropSettings";
+import SettingsPresets from "./SettingsPresets";
+
+/**
+ * Controls for the background removal settings shared by single-image and batch processing.
+ * `settings` has the shape of `DEFAULT_PROCESSING_SETTINGS`; every change is reported as a new settings object.
+ * Named presets of these settings can be saved and restored from the top of the panel.
+ */
+const ProcessingSettings = ({ settings, onChange }) => {
+    const handleAlgorithmChange = (algorithm) => {
+        onChange({ ...settings, algorithm });
+    };
+
+    const handleParamChange = (name, value) => {
+        onChange(setSelectedAlgorithmParam(settings, name, value));
+    };
+
+    return (
+        <div className="space-y-4">
+            <SettingsPresets settings={settings} onApply={onChange} />
+            <AlgorithmSettings
+                algorithms={listAlgorithms()}
+                selectedAlgorithmId={settings.algorithm}
+                params={getSelectedAlgorithmParams(settings)}
+                onAlgorithmChange={handleAlgorithmChange}
+                onParamChange={handleParamChange}
+            />
+            <SamplingSettings sampling={settings.sampling} onChange={(sampling) => onChange({ ...settings, sampling })} />
+            <MaskCleanupSettings cleanup={settings.cleanup} onChange={(cleanup) => onChange({ ...settings, cleanup })} />
+            <EdgeColorSettings
+                decontamination={settings.decontamination}
+                onChange={(decontamination) => onChange({ ...settings, decontamination })}
+            />
+            <fieldset className="space-y-3">
+                <legend className="text-sm font-medium text-gray-700 mb-2">Output</legend>
+                <label className="block">
+                    <span className="flex justify-between text-xs text-gray-600">
+                        <span>Edge feather radius</span>
+                        <span className="font-mono">{settings.featherRadius}px</span>
+                    </span>
+                    <input
+                        type="range"
+                        min="0"
+                        max="10"
+                        value={settings.featherRadius}
+                        onChange={(e) => onChange({ ...settings, featherRadius: Number(e.target.value) })}
+                        className="w-full accent-primary"
+                    />
+                </label>
+                <p className="text-xs text-gray-500">
+                    Blurs only the transparency along the cutout edge so it blends into any backdrop.
+                </p>
+                <label className="block text-xs text-gray-600">
+                    <span className="block mb-1">Mask resolution</span>
+                    <select
+                        value={settings.maskMaxSide === null ? "" : String(settings.maskMaxSide)}
+                        onChange={(e) => onChange({ ...settings, maskMaxSide: e.target.value ? Number(e.target.value) : null })}
+                        className="w-full text-sm border-gray-300 rounded-md focus:ring-primary focus:border-primary"
+                    >
+                        {MASK_RESOLUTIONS.map(({ value, label }) => (
+                            <option key={label} value={value === null ? "" : String(value)}>{label}</option>
+                        ))}
+                    </select>
+                </label>
+                <p className="text-xs text-gray-500">
+                    Computes the mask on a downscaled copy and refines it back to full size along the image's own edges.
+                    The output keeps its full size; the slower algorithms finish much sooner on large photos.
+                </p>
+                <AutoCropSettings autoCrop={settings.crop} onChange={(crop) => onChange({ ...settings, crop })} />
+                <p className="text-xs text-gray-500">
+                    Batch results are trimmed as they are processed. A single image keeps its full size for editing and
+                    comparing, and is trimmed when shown and downloaded.
+                </p>
+            </fieldset>
+        </div>
+    );
+};
+
+export default ProcessingSettings;
@@ -1,27 +1,100 @@
-import React from "react";
-import { saveAs } from "file-saver";
+import React, { useEffect, useState } from "react";
+import { BACKGROUND_TYPES, DEFAULT_BACKGROUND, compositeOntoBackground } from "../utils/backgroundCompositing";
+import { DEFAULT_CROP_OPTIONS, trimImageUrlToSubject } from "../utils/autoCrop";
+import { getErrorMessage } from "../utils/errorMessages";
+import { CHECKERBOARD_BACKGROUND } from "./checkerboard";
+import MaskEditor from "./MaskEditor";
+import BackgroundCompositor from "./BackgroundCompositor";
+import CompositePreview from "./CompositePreview";
+import ExportDialog from "./ExportDialog";
+import AutoCropSettings from "./AutoCropSettings";
+import ComparisonView from "./ComparisonView";
 
-const ResultDisplay = ({ processedImage, isLoading, error, originalFileName }) => {
-    const handleDownload = () => {
-        if (processedImage) {
-            // The processedImage is a data URL (e.g., "data:image/png;base64,...")
-            // We can convert this data URL to a Blob and then save it.
-            // The fetch API can handle data URLs directly.
-            fetch(processedImage)
-                .then(res => res.blob())
-                .then(blob => {
-                    let fileName = "processed-image.png";
-                    if (originalFileName) {
-                        const nameParts = originalFileName.split(".");
-                        nameParts.pop(); // Remove original extension
-                        const name = nameParts.join(".");
-                        fileName = `${name}-no-bg.png`; // Always save as PNG for transparency
-                    }
-                    saveAs(blob, fileName);
+const AUTO_CROP_DEBOUNCE_MS = 200; // Wait for padding edits to settle before re-trimming
+
+/**
+ * Shows a background removal result with editing, comparison, trimming, backgrounds and export.
+ * `processedImage` is the untrimmed result, so it lines up with `originalImage`; trimming starts from
+ * `defaultAutoCrop` (`{ enabled, ...DEFAULT_CROP_OPTIONS }`, from the processing settings) for each new result.
+ */
+const ResultDisplay = ({ processedImage, originalImage, isLoading, error, originalFileName, defaultAutoCrop }) => {
+    const [editedImage, setEditedImage] = useState(null);
+    const [isEditing, setIsEditing] = useState(false);
+    const [isComparing, setIsComparing] = useState(false);
+    const [background, setBackground] = useState(DEFAULT_BACKGROUND);
+    const [exportImageUrl, setExportImageUrl] = useState(null); // Image handed to the export dialog while it is open
+    const [autoCrop, setAutoCrop] = useState(defaultAutoCrop || { enabled: false, ...DEFAULT_CROP_OPTIONS });
+    // The trimmed image with the image and settings it was made from, so a stale trim is never shown or exported.
+    const [croppedImage, setCroppedImage] = useState(null); // { sourceUrl, autoCrop, url }
+    const [cropError, setCropError] = useState(null);
+    const [downloadError, setDownloadError] = useState(null);
+
+    // Manual edits belong to one result; a new result starts from scratch.
+    useEffect(() => {
+        setEditedImage(null);
+        setIsEditing(false);
+    }, [processedImage]);
+
+    // Each result, and each change to the trim settings, starts from the settings' trim.
+    useEffect(() => {
+        if (defaultAutoCrop) setAutoCrop(defaultAutoCrop);
+    }, [processedImage, defaultAutoCrop]);
+
+    // Release an uploaded background image once it is replaced or the component unmounts.
+    useEffect(() => {
+        const imageUrl = background.imageUrl;
+        return () => {
+            if (imageUrl) URL.revokeObjectURL(imageUrl);
+        };
+    }, [background.imageUrl]);
+
+    // Edits apply to the full image; trimming, the background and the export format are layered on top.
+    const editableImage = editedImage || processedImage;
+    const isCropReady = Boolean(croppedImage && croppedImage.sourceUrl === editableImage && croppedImage.autoCrop === autoCrop);
+    // Until the trim for the current settings is ready, the untrimmed image is shown but cannot be downloaded.
+    const isCropPending = autoCrop.enabled && !isCropReady;
+    const displayedImage = autoCrop.enabled && isCropReady ? croppedImage.url : editableImage;
+    const hasBackground = background.type !== BACKGROUND_TYPES.NONE;
+
+    useEffect(() => {
+        setCroppedImage(null);
+        setCropError(null);
+        if (!autoCrop.enabled || !editableImage) {
+            return undefined;
+        }
+        let isCurrent = true;
+        const timeoutId = setTimeout(() => {
+            trimImageUrlToSubject(editableImage, autoCrop)
+                .then((trimmedImageUrl) => {
+                    if (isCurrent) setCroppedImage({ sourceUrl: editableImage, autoCrop, url: trimmedImageUrl });
                 })
-                .catch(downloadError => {
-                    console.error("Error downloading the image:", downloadError);
-                    // Optionally, display an error message to the user
+                .catch((trimError) => {
+                    console.error("Auto-crop error:", trimError);
+                    if (isCurrent) setCropError(getErrorMessage(trimError, "The image could not be trimmed."));
+                });
+        }, AUTO_CROP_DEBOUNCE_MS);
+        return () => {
+            isCurrent = false;
+            clearTimeout(timeoutId);
+        };
+    }, [editableImage, autoCrop]);
+
+    const handleApplyEdits = (editedImageUrl) => {
+        setEditedImage(editedImageUrl);
+        setIsEditing(false);
+    };
+
+    const handleDownload = () => {
+        if (displayedImage && !isCropPending) {
+            setDownloadError(null);
+            // The displayedImage is a data URL (e.g., "data:image/png;base64,...")
+            // With a background set, the composited image is exported instead
+            const imageToExport = hasBackground ? compositeOntoBackground(displayedImage, background) : Promise.resolve(displayedImage);
+            imageToExport
+                .then((imageUrl) => setExportImageUrl(imageUrl))
+                .catch((exportError) => {
+                    console.error("Error downloading the image:", exportError);
+                    setDownloadError(getErrorMessage(exportError, "The image could not be prepared for download."));
                 });
         }
     };
@@ -74,32 +147,100 @@ const ResultDisplay = ({ processedImage, isLoading, error, originalFileName }) =
         <div className="w-full max-w-2xl mx-auto p-6">
             <div className="bg-white rounded-xl shadow-xl p-6">
                 <h2 className="text-2xl font-semibold text-gray-800 mb-5 text-center">
-                    Your Image is Ready!
+                    {isEditing ? "Touch Up the Cutout" : "Your Image is Ready!"}
                 </h2>
-                
-                <div className="relative group mb-6 border border-gray-200 rounded-lg overflow-hidden">
-                    <img
-                        src={processedImage} // This is now a data URL from canvas
-                        alt="Processed image with background removed"
-                        className="w-full h-auto max-h-[500px] object-contain rounded-md shadow-inner bg-slate-100" 
-                        style={{ backgroundImage: "url(\"data:image/svg+xml,%3Csvg xmlns='http://www.w3.org/2000/svg' width='20' height='20' viewBox='0 0 20 20'%3E%3Crect width='10' height='10' fill='%23f0f0f0'/%3E%3Crect x='10' y='10' width='10' height='10' fill='%23f0f0f0'/%3E%3Crect x='10' width='10' height='10' fill='%23e0e0e0'/%3E%3Crect y='10' width='10' height='10' fill='%23e0e0e0'/%3E%3C/svg%3E\")" }}
+
+                {isEditing ? (
+                    <MaskEditor
+                        resultUrl={editableImage}
+                        sourceImage={originalImage}
+                        onApply={handleApplyEdits}
+                        onCancel={() => setIsEditing(false)}
                     />
-                    <div className="absolute inset-0 bg-black/5 group-hover:bg-black/10 transition-colors duration-300 rounded-md pointer-events-none" />
-                </div>
+                ) : (
+                    <>
+                        {originalImage && (
+                            <div className="flex justify-end mb-3">
+                                <button
+                                    onClick={() => setIsComparing(!isComparing)}
+                                    className="px-3 py-1.5 text-sm text-primary border border-primary/30 rounded-md hover:bg-primary/5 transition-colors duration-300"
+                                >
+                                    {isComparing ? "Back to Result" : "Compare with Original"}
+                                </button>
+                            </div>
+                        )}
 
-                <div className="flex flex-col sm:flex-row justify-center items-center space-y-3 sm:space-y-0 sm:space-x-4">
-                    <button
-                        onClick={handleDownload}
-                        className="w-full sm:w-auto flex items-center justify-center px-8 py-3 bg-primary text-white rounded-lg hover:bg-primary/90 transition-colors duration-300 shadow-md focus:outline-none focus:ring-2 focus:ring-primary focus:ring-offset-2"
-                    >
-                        <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 256 256" width="20" height="20"><rect width="256" height="256" fill="none"/><path d="M74.34,144H40a8,8,0,0,0-8,8v40a8,8,0,0,0,8,8H216a8,8,0,0,0,8-8V152a8,8,0,0,0-8-8H181.66" fill="none" stroke="currentColor" stroke-linecap="round" stroke-linejoin="round" stroke-width="24"/><polyline points="128 32 128 152 168 112 88 112 128 152" fill="none" stroke="currentColor" stroke-linecap="round" stroke-linejoin="round" stroke-width="24"/></svg>
-                        <span className="ml-2.5 font-medium">Download Image</span>
-                    </button>
-                </div>
+                        {originalImage && isComparing ? (
+                            // Compares the untrimmed cutout, which lines up with the original.
+                            <div className="mb-6">
+                                <ComparisonView originalImage={originalImage} resultUrl={editableImage} />
+                            </div>
+                        ) : (
+                            <div className="relative group mb-6 border border-gray-200 rounded-lg overflow-hidden">
+                                {hasBackground ? (
+                                    <CompositePreview foregroundUrl={displayedImage} background={background} />
+                                ) : (
+                                    <img
+                                        src={displayedImage} // This is now a data URL from canvas
+                                        alt="Processed image with background removed"
+                                        className="w-full h-auto max-h-[500px] object-contain rounded-md shadow-inner bg-slate-100" 
+                                        style={{ backgroundImage: CHECKERBOARD_BACKGROUND }}
+                                    />
+                                )}
+                                <div className="absolute inset-0 bg-black/5 group-hover:bg-black/10 transition-colors duration-300 rounded-md pointer-events-none" />
+                            </div>
+                        )}
+
+                        <div className="mb-6 space-y-4">
+                            <AutoCropSettings autoCrop={autoCrop} onChange={setAutoCrop} />
+                            {cropError && (
+                                <p className="text-xs text-red-600">{cropError} Turn off trimming to download the full image.</p>
+                            )}
+                            <BackgroundCompositor background={background} onChange={setBackground} />
+                        </div>
+
+                        <div className="flex flex-col sm:flex-row justify-center items-center space-y-3 sm:space-y-0 sm:space-x-4">
+                            <button
+                                onClick={handleDownload}
+                                disabled={isCropPending}
+                                className="w-full sm:w-auto flex items-center justify-center px-8 py-3 bg-primary text-white rounded-lg hover:bg-primary/90 transition-colors duration-300 shadow-md focus:outline-none focus:ring-2 focus:ring-primary focus:ring-offset-2 disabled:opacity-50 disabled:cursor-not-allowed"
+                            >
+                                <svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 256 256" width="20" height="20"><rect width="256" height="256" fill="none"/><path d="M74.34,144H40a8,8,0,0,0-8,8v40a8,8,0,0,0,8,8H216a8,8,0,0,0,8-8V152a8,8,0,0,0-8-8H181.66" fill="none" stroke="currentColor" stroke-linecap="round" stroke-linejoin="round" stroke-width="24"/><polyline points="128 32 128 152 168 112 88 112 128 152" fill="none" stroke="currentColor" stroke-linecap="round" stroke-linejoin="round" stroke-width="24"/></svg>
+                                <span className="ml-2.5 font-medium">{isCropPending && !cropError ? "Trimming..." : "Download Image"}</span>
+                            </button>
+                            {originalImage && (
+                                <button
+                                    onClick={() => setIsEditing(true)}
+                                    className="w-full sm:w-auto px-6 py-3 text-primary border border-primary/30 rounded-lg hover:bg-primary/5 transition-colors duration-300 focus:outline-none focus:ring-2 focus:ring-primary focus:ring-offset-2"
+                                >
+                                    Edit Cutout
+                                </button>
+                            )}
+                            {editedImage && (
+                                <button
+                                    onClick={() => setEditedImage(null)}
+                                    className="px-4 py-2 text-sm text-red-600 hover:text-red-700 hover:bg-red-50 rounded-md transition-colors duration-300"
+                                >
+                                    Discard Edits
+                                </button>
+                            )}
+                        </div>
+                        {downloadError && <p className="mt-3 text-center text-sm text-red-600">{downloadError}</p>}
+                    </>
+                )}
 
                 <p className="text-center text-xs text-gray-500 mt-6">
                     The image has been processed locally in your browser.
                 </p>
+
+                {exportImageUrl && (
+                    <ExportDialog
+                        imageUrl={exportImageUrl}
+                        transparentImageUrl={displayedImage}
+                        originalFileName={originalFileName}
+                        onClose={() => setExportImageUrl(null)}
+                    />
+                )}
             </div>
         </div>
     );
@@ -0,0 +1,108 @@
+import React from "react";
+import { SAMPLING_STRATEGIES } from "../utils/imageProcessing";
+import { BACKGROUND_MODELS, MAX_CLUSTER_COUNT, MIN_CLUSTER_COUNT } from "../utils/backgroundModel";
+
+const STRATEGY_OPTIONS = [
+    { value: SAMPLING_STRATEGIES.EDGE_POINTS, label: "Corners and edge midpoints" },
+    { value: SAMPLING_STRATEGIES.CORNERS, label: "Corners only" },
+    { value: SAMPLING_STRATEGIES.BORDER_STRIP, label: "Full border strip" },
+    { value: SAMPLING_STRATEGIES.CUSTOM, label: "Custom points" },
+];
+
+const MODEL_OPTIONS = [
+    { value: BACKGROUND_MODELS.AVERAGE, label: "One average color" },
+    { value: BACKGROUND_MODELS.CLUSTERS, label: "Several colors (two-tone backdrops)" },
+    { value: BACKGROUND_MODELS.GRADIENT, label: "Smooth gradient (studio sweeps)" },
+];
+
+/**
+ * Controls for where the background color is sampled and how the samples are modelled.
+ * Custom points are placed by clicking the live preview.
+ * `sampling` has the shape of `DEFAULT_SAMPLING`; every change is reported as a new sampling object.
+ */
+const SamplingSettings = ({ sampling, onChange }) => {
+    return (
+        <fieldset className="space-y-3">
+            <legend className="text-sm font-medium text-gray-700 mb-2">Background sampling</legend>
+            <label className="block text-xs text-gray-600">
+                <span className="block mb-1">Sample the background color from</span>
+                <select
+                    value={sampling.strategy}
+                    onChange={(e) => onChange({ ...sampling, strategy: e.target.value })}
+                    className="w-full text-sm border-gray-300 rounded-md focus:ring-primary focus:border-primary"
+                >
+                    {STRATEGY_OPTIONS.map((option) => (
+                        <option key={option.value} value={option.value}>{option.label}</option>
+                    ))}
+                </select>
+            </label>
+            <label className="block text-xs text-gray-600">
+                <span className="block mb-1">Background model</span>
+                <select
+                    value={sampling.model}
+                    onChange={(e) => onChange({ ...sampling, model: e.target.value })}
+                    className="w-full text-sm border-gray-300 rounded-md focus:ring-primary focus:border-primary"
+                >
+                    {MODEL_OPTIONS.map((option) => (
+                        <option key={option.value} value={option.value}>{option.label}</option>
+                    ))}
+                </select>
+            </label>
+            {sampling.model === BACKGROUND_MODELS.CLUSTERS && (
+                <label className="block">
+                    <span className="flex justify-between text-xs text-gray-600">
+                        <span>Maximum colors</span>
+                        <span className="font-mono">{sampling.clusterCount}</span>
+                    </span>
+                    <input
+                        type="range"
+                        min={MIN_CLUSTER_COUNT}
+                        max={MAX_CLUSTER_COUNT}
+                        value={sampling.clusterCount}
+                        onChange={(e) => onChange({ ...sampling, clusterCount: Number(e.target.value) })}
+                        className="w-full accent-primary"
+                    />
+                </label>
+            )}
+            {(sampling.strategy === SAMPLING_STRATEGIES.BORDER_STRIP || sampling.model !== BACKGROUND_MODELS.AVERAGE) && (
+                <label className="block">
+                    <span className="flex justify-between text-xs text-gray-600">
+                        <span>Strip width</span>
+                        <span className="font-mono">{sampling.stripWidth}px</span>
+                    </span>
+                    <input
+                        type="range"
+                        min="1"
+                        max="50"
+                        value={sampling.stripWidth}
+                        onChange={(e) => onChange({ ...sampling, stripWidth: Number(e.target.value) })}
+                        className="w-full accent-primary"
+                    />
+                </label>
+            )}
+            {sampling.strategy === SAMPLING_STRATEGIES.CUSTOM && (
+                <div className="flex items-center justify-between text-xs text-gray-600">
+                    <span>
+                        {sampling.points.length === 0
+                            ? "Click the live preview to place sample points. Until then the edge points are used."
+                            : `${sampling.points.length} sample point${sampling.points.length === 1 ? "" : "s"}. Click a marker to remove it.`}
+                    </span>
+                    {sampling.points.length > 0 && (
+                        <button
+                            onClick={() => onChange({ ...sampling, points: [] })}
+                            className="ml-3 px-2 py-1 text-xs text-red-600 hover:text-red-700 hover:bg-red-50 rounded-md transition-colors duration-300"
+                        >
+                            Clear
+                        </button>
+                    )}
+                </div>
+            )}
+            <p className="text-xs text-gray-500">
+                Used when no key colors are picked. Flood fill algorithms also grow from these points.
+                {sampling.model !== BACKGROUND_MODELS.AVERAGE && " The several-color and gradient models always sample the full border strip."}
+            </p>
+        </fieldset>
+    );
+};
+
+export default SamplingSettings;
@@ -0,0 +1,124 @@
+import React, { useState } from "react";
+import { loadDefaultSettingsPresetId, loadSettingsPresets, saveSettingsPresets } from "../utils/settingsPresets";
+
+/**
+ * Picks, saves and deletes named processing settings presets, and marks one as the default for new sessions.
+ * Choosing a preset reports its settings through `onApply`.
+ */
+const SettingsPresets = ({ settings, onApply }) => {
+    const [presets, setPresets] = useState(loadSettingsPresets);
+    const [defaultPresetId, setDefaultPresetId] = useState(loadDefaultSettingsPresetId);
+    const [selectedPresetId, setSelectedPresetId] = useState("");
+    const [newPresetName, setNewPresetName] = useState(null); // Non-null while the name field is open
+    const [storageError, setStorageError] = useState(null);
+
+    const persist = (nextPresets, nextDefaultPresetId) => {
+        try {
+            saveSettingsPresets(nextPresets, nextDefaultPresetId);
+            setPresets(nextPresets);
+            setDefaultPresetId(nextDefaultPresetId);
+            setStorageError(null);
+            return true;
+        } catch (saveError) {
+            setStorageError(saveError.message);
+            return false;
+        }
+    };
+
+    const handleSelect = (presetId) => {
+        setSelectedPresetId(presetId);
+        const preset = presets.find((candidate) => candidate.id === presetId);
+        if (preset) onApply(preset.settings);
+    };
+
+    const handleSave = (event) => {
+        event.preventDefault();
+        const name = newPresetName.trim();
+        if (!name) return;
+        // Saving under an existing name overwrites that preset.
+        const existing = presets.find((preset) => preset.name === name);
+        const preset = { id: existing ? existing.id : `preset-${Date.now()}`, name, settings };
+        const nextPresets = existing ? presets.map((candidate) => (candidate.id === existing.id ? preset : candidate)) : [...presets, preset];
+        if (persist(nextPresets, defaultPresetId)) {
+            setSelectedPresetId(preset.id);
+            setNewPresetName(null);
+        }
+    };
+
+    const handleDelete = () => {
+        const nextPresets = presets.filter((preset) => preset.id !== selectedPresetId);
+        if (persist(nextPresets, defaultPresetId === selectedPresetId ? null : defaultPresetId)) {
+            setSelectedPresetId("");
+        }
+    };
+
+    const isSelectedDefault = Boolean(selectedPresetId) && selectedPresetId === defaultPresetId;
+
+    return (
+        <div className="space-y-2">
+            <div className="flex items-end gap-2">
+                <label className="flex-1 block text-xs text-gray-600">
+                    <span className="block mb-1">Preset</span>
+                    <select
+                        value={selectedPresetId}
+                        onChange={(e) => handleSelect(e.target.value)}
+                        className="w-full text-sm border-gray-300 rounded-md focus:ring-primary focus:border-primary"
+                    >
+                        <option value="">{presets.length === 0 ? "No saved presets" : "Choose a preset..."}</option>
+                        {presets.map((preset) => (
+                            <option key={preset.id} value={preset.id}>
+                                {preset.name}{preset.id === defaultPresetId ? " (default)" : ""}
+                            </option>
+                        ))}
+                    </select>
+                </label>
+                {newPresetName === null && (
+                    <button
+                        onClick={() => setNewPresetName("")}
+                        className="px-3 py-2 text-sm text-primary border border-primary/30 rounded-md hover:bg-primary/5 transition-colors duration-300"
+                    >
+                        Save as...
+                    </button>
+                )}
+            </div>
+            {selectedPresetId && (
+                <div className="flex items-center gap-3 text-xs">
+                    <label className="flex items-center text-gray-600">
+                        <input
+                            type="checkbox"
+                            checked={isSelectedDefault}
+                            onChange={(e) => persist(presets, e.target.checked ? selectedPresetId : null)}
+                            className="mr-2 rounded text-primary focus:ring-primary"
+                        />
+                        Use for new sessions
+                    </label>
+                    <button onClick={handleDelete} className="ml-auto text-red-600 hover:underline">
+                        Delete preset
+                    </button>
+                </div>
+            )}
+            {newPresetName !== null && (
+                <form onSubmit={handleSave} className="flex gap-2">
+                    <input
+                        type="text"
+                        autoFocus
+                        required
+                        placeholder="Preset name"
+                        value={newPresetName}
+                        onChange={(e) => setNewPresetName(e.target.value)}
+                        className="flex-1 text-sm border-gray-300 rounded-md focus:ring-primary focus:border-primary"
+                    />
+                    <button type="submit" className="px-3 py-2 text-sm bg-primary text-white rounded-md hover:bg-primary/90 transition-colors duration-300">
+                        Save
+                    </button>
+                    <button type="button" onClick={() => setNewPresetName(null)} className="px-3 py-2 text-sm text-gray-700 border border-gray-300 rounded-md hover:bg-gray-50">
+                        Cancel
+                    </button>
+                </form>
+            )}
+            {storageError && <p className="text-xs text-red-600">{storageError}</p>}
+        </div>
+    );
+};
+
+export default SettingsPresets;
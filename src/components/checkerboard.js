@@ -0,0 +1,2 @@
+// Tiled light-gray checkerboard shown behind transparent pixels.
+export const CHECKERBOARD_BACKGROUND = "url(\"data:image/svg+xml,%3Csvg xmlns='http://www.w3.org/2000/svg' width='20' height='20' viewBox='0 0 20 20'%3E%3Crect width='10' height='10' fill='%23f0f0f0'/%3E%3Crect x='10' y='10' width='10' height='10' fill='%23f0f0f0'/%3E%3Crect x='10' width='10' height='10' fill='%23e0e0e0'/%3E%3Crect y='10' width='10' height='10' fill='%23e0e0e0'/%3E%3C/svg%3E\")";
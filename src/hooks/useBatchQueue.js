@@ -0,0 +1,167 @@
+import { useEffect, useRef, useState } from "react";
+import { removeBackground } from "../services/apiService";
+import { getErrorMessage } from "../utils/errorMessages";
+
+export const BATCH_STATUS = {
+    PENDING: "pending",
+    PROCESSING: "processing",
+    DONE: "done",
+    FAILED: "failed",
+};
+
+export const MAX_BATCH_CONCURRENCY = 4;
+
+let nextItemId = 1;
+
+/**
+ * Manages a queue of images that are processed with the same removal options,
+ * one at a time or with bounded concurrency.
+ *
+ * Each item is `{ id, file, thumbnailUrl, status, progress, error, resultUrl, options }`, where `status`
+ * is one of `BATCH_STATUS` and `options` are the removal options the result was produced with.
+ *
+ * @param {object} params - Hook parameters.
+ * @param {object} params.removalOptions - Options passed to `removeBackground`. They are captured when the
+ *        batch is started (or an item is retried), so changing settings mid-run does not mix results.
+ * @param {number} [params.concurrency=1] - Maximum number of images processed at the same time.
+ * @returns {{items: object[], isRunning: boolean, addFiles: Function, start: Function, stop: Function,
+ *            retryItem: Function, removeItem: Function, clear: Function}}
+ */
+const useBatchQueue = ({ removalOptions, concurrency = 1 }) => {
+    const [items, setItems] = useState([]);
+    const [isRunning, setIsRunning] = useState(false);
+
+    // The queue is driven from promise callbacks, so the authoritative state lives in refs
+    // and is mirrored into React state for rendering.
+    const itemsRef = useRef([]);
+    const isRunningRef = useRef(false);
+    const controllersRef = useRef(new Map()); // Item id -> AbortController of its in-flight run
+    const runOptionsRef = useRef(removalOptions);
+    const latestOptionsRef = useRef(removalOptions);
+    const concurrencyRef = useRef(concurrency);
+    latestOptionsRef.current = removalOptions;
+    concurrencyRef.current = Math.max(1, Math.min(MAX_BATCH_CONCURRENCY, concurrency));
+
+    const updateItems = (updater) => {
+        itemsRef.current = updater(itemsRef.current);
+        setItems(itemsRef.current);
+    };
+
+    const updateItem = (id, changes) => {
+        updateItems((currentItems) => currentItems.map((item) => (item.id === id ? { ...item, ...changes } : item)));
+    };
+
+    const setRunning = (running) => {
+        isRunningRef.current = running;
+        setIsRunning(running);
+    };
+
+    const processItem = (item) => {
+        const controller = new AbortController();
+        const options = runOptionsRef.current;
+        controllersRef.current.set(item.id, controller);
+        updateItem(item.id, { status: BATCH_STATUS.PROCESSING, progress: 0, error: null });
+
+        removeBackground(item.file, {
+            ...options,
+            signal: controller.signal,
+            onProgress: (progress) => updateItem(item.id, { progress }),
+        })
+            .then((resultUrl) => {
+                updateItem(item.id, { status: BATCH_STATUS.DONE, progress: 100, resultUrl, options });
+            })
+            .catch((error) => {
+                if (error.name === "AbortError") {
+                    // Stopped by the user: put it back in line.
+                    updateItem(item.id, { status: BATCH_STATUS.PENDING, progress: 0 });
+                } else {
+                    console.error(`Batch processing error for "${item.file.name}":`, error);
+                    updateItem(item.id, {
+                        status: BATCH_STATUS.FAILED,
+                        progress: 0,
+                        error: getErrorMessage(error),
+                    });
+                }
+            })
+            .finally(() => {
+                controllersRef.current.delete(item.id);
+                pumpQueue();
+            });
+    };
+
+    const pumpQueue = () => {
+        if (!isRunningRef.current) {
+            return;
+        }
+        while (controllersRef.current.size < concurrencyRef.current) {
+            const nextItem = itemsRef.current.find((item) => item.status === BATCH_STATUS.PENDING);
+            if (!nextItem) break;
+            processItem(nextItem);
+        }
+        if (controllersRef.current.size === 0) {
+            setRunning(false); // Nothing left to do
+        }
+    };
+
+    const addFiles = (files) => {
+        const newItems = Array.from(files).map((file) => ({
+            id: nextItemId++,
+            file,
+            thumbnailUrl: URL.createObjectURL(file),
+            status: BATCH_STATUS.PENDING,
+            progress: 0,
+            error: null,
+            resultUrl: null,
+            options: null,
+        }));
+        updateItems((currentItems) => [...currentItems, ...newItems]);
+        pumpQueue(); // Picks the new items up if the batch is already running
+    };
+
+    const start = () => {
+        runOptionsRef.current = latestOptionsRef.current;
+        setRunning(true);
+        pumpQueue();
+    };
+
+    const stop = () => {
+        setRunning(false);
+        controllersRef.current.forEach((controller) => controller.abort());
+    };
+
+    const retryItem = (id) => {
+        updateItem(id, { status: BATCH_STATUS.PENDING, progress: 0, error: null });
+        if (isRunningRef.current) {
+            pumpQueue();
+        } else {
+            start();
+        }
+    };
+
+    const removeItem = (id) => {
+        const controller = controllersRef.current.get(id);
+        if (controller) controller.abort();
+        const item = itemsRef.current.find((currentItem) => currentItem.id === id);
+        if (item) URL.revokeObjectURL(item.thumbnailUrl);
+        updateItems((currentItems) => currentItems.filter((currentItem) => currentItem.id !== id));
+    };
+
+    const clear = () => {
+        stop();
+        itemsRef.current.forEach((item) => URL.revokeObjectURL(item.thumbnailUrl));
+        updateItems(() => []);
+    };
+
+    // Abort in-flight runs and release thumbnails when the queue goes away.
+    useEffect(() => {
+        const controllers = controllersRef.current;
+        return () => {
+            controllers.forEach((controller) => controller.abort());
+            itemsRef.current.forEach((item) => URL.revokeObjectURL(item.thumbnailUrl));
+        };
+    }, []);
+
+    return { items, isRunning, addFiles, start, stop, retryItem, removeItem, clear };
+};
+
+export default useBatchQueue;
@@ -0,0 +1,65 @@
+import { useCallback, useEffect, useState } from "react";
+
+const MIN_ZOOM = 0.05;
+const MAX_ZOOM = 16;
+export const ZOOM_STEP = 1.25;
+
+const clampZoom = (zoom) => Math.min(MAX_ZOOM, Math.max(MIN_ZOOM, zoom));
+
+/**
+ * Zoom and pan state for an image shown inside a fixed-size viewport.
+ * The view is `{ zoom, panX, panY }`: the image is drawn at `translate(panX, panY) scale(zoom)`
+ * from the viewport's top-left corner. The mouse wheel zooms around the pointer.
+ *
+ * @param {React.RefObject<HTMLElement>} containerRef - The viewport element.
+ * @returns {{view: object, setView: Function, zoomAt: Function, zoomAtCenter: Function, fitToView: Function}}
+ */
+const useZoomPan = (containerRef) => {
+    const [view, setView] = useState({ zoom: 1, panX: 0, panY: 0 });
+
+    const zoomAt = useCallback((factor, anchorX, anchorY) => {
+        setView((currentView) => {
+            const zoom = clampZoom(currentView.zoom * factor);
+            const scale = zoom / currentView.zoom;
+            // Keep the image point under the anchor fixed on screen.
+            return {
+                zoom,
+                panX: anchorX - (anchorX - currentView.panX) * scale,
+                panY: anchorY - (anchorY - currentView.panY) * scale,
+            };
+        });
+    }, []);
+
+    const zoomAtCenter = useCallback((factor) => {
+        const container = containerRef.current;
+        zoomAt(factor, container.clientWidth / 2, container.clientHeight / 2);
+    }, [containerRef, zoomAt]);
+
+    // Shows the whole image, centered, without enlarging it past 100%.
+    const fitToView = useCallback((width, height) => {
+        const container = containerRef.current;
+        if (!container || !width || !height) return;
+        const zoom = clampZoom(Math.min(container.clientWidth / width, container.clientHeight / height, 1));
+        setView({
+            zoom,
+            panX: (container.clientWidth - width * zoom) / 2,
+            panY: (container.clientHeight - height * zoom) / 2,
+        });
+    }, [containerRef]);
+
+    // React registers wheel listeners as passive, so preventDefault() needs a native listener.
+    useEffect(() => {
+        const container = containerRef.current;
+        const handleWheel = (event) => {
+            event.preventDefault();
+            const bounds = container.getBoundingClientRect();
+            zoomAt(event.deltaY < 0 ? ZOOM_STEP : 1 / ZOOM_STEP, event.clientX - bounds.left, event.clientY - bounds.top);
+        };
+        container.addEventListener("wheel", handleWheel, { passive: false });
+        return () => container.removeEventListener("wheel", handleWheel);
+    }, [containerRef, zoomAt]);
+
+    return { view, setView, zoomAt, zoomAtCenter, fitToView };
+};
+
+export default useZoomPan;
@@ -4,49 +4,197 @@
  * This service uses Canvas API and pixel manipulation for client-side background removal.
  */
 
-// Maximum dimensions and total pixels for image processing to prevent browser issues.
-const MAX_DIMENSION_SIDE = 8000; // Max width or height in pixels for canvas operations.
-const MAX_TOTAL_IMAGE_PIXELS = 30000000; // E.g., approx 5500x5500 or 8000x3750 pixels.
+import { loadImageElement, throwIfAborted } from "../utils/imageProcessing";
+import { getAlgorithm, resolveAlgorithmParams } from "../algorithms";
+import { applyBackgroundRemoval, compareMaskResolutionRuns } from "./removalPipeline";
+import { canProcessTiled } from "./tiledPipeline";
+import { applyMaskValues, checkMaskDimensions, readMaskValues } from "../utils/maskImport";
+import {
+    ImageValidationError,
+    VALIDATION_ERROR_CODES,
+    getValidationPolicy,
+    validateDimensions,
+    validateFile,
+} from "../utils/validation";
 
 /**
- * Removes the background from an image using client-side canvas and pixel manipulation.
- * This is a basic implementation and its effectiveness will vary depending on image complexity.
- *
- * @param {File} imageFile - The image file to process.
- * @param {Function} [onProgress=null] - Optional callback for progress updates (0-100).
- * @returns {Promise<string>} - A promise that resolves to the processed image data URL (PNG format).
+ * Checks whether the browser can decode, process and encode images inside a Web Worker.
+ * @returns {boolean} - True if Worker, OffscreenCanvas and createImageBitmap are all available.
+ */
+export const canProcessInWorker = () =>
+    typeof Worker !== "undefined" &&
+    typeof OffscreenCanvas !== "undefined" &&
+    typeof createImageBitmap === "function";
+
+/**
+ * Checks whether images above the limits for processing in one piece can be processed in strips
+ * (see `src/services/tiledPipeline.js`), which only happens inside the worker.
+ * @param {string} [algorithmId] - The algorithm that would process the image.
+ * @returns {boolean} - True if the worker can run and the algorithm supports tiled processing.
  */
-export const removeBackground = (imageFile, onProgress = null) => {
+export const canProcessLargeImages = (algorithmId) => canProcessInWorker() && canProcessTiled(algorithmId);
+
+/**
+ * Reads a Blob into a data URL.
+ * @param {Blob} blob - The blob to read.
+ * @returns {Promise<string>} - A promise that resolves to the data URL.
+ */
+const blobToDataUrl = (blob) => {
     return new Promise((resolve, reject) => {
-        if (!imageFile) {
-            return reject(new Error("No image file provided."));
-        }
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(new Error("Failed to read the processed image."));
+        reader.readAsDataURL(blob);
+    });
+};
 
-        // Initial synchronous validation (file type, file size in MB)
+/**
+ * Runs a task (decode, pixel work and, for results, encode) inside a dedicated worker so the UI stays responsive;
+ * see `src/workers/removeBackground.worker.js` for the messages.
+ * Rejects with an error flagged `unsupported` when the worker cannot be started or reports missing support
+ * itself, which tells the caller to fall back to the main thread. Other failures reject as they are.
+ * @param {object} task - The message that starts the task: `{ task, file, options, policy }`.
+ * @param {Function} [onProgress=null] - Optional callback for progress updates (0-100).
+ * @param {AbortSignal} [signal] - Optional signal; aborting terminates the worker immediately.
+ * @returns {Promise<object>} - A promise that resolves to the worker's result message.
+ */
+const runWorkerTask = (task, onProgress = null, signal = undefined) => {
+    return new Promise((resolve, reject) => {
+        let worker;
         try {
-            validateImage(imageFile);
-        } catch (validationError) {
-            return reject(validationError);
+            worker = new Worker(new URL("../workers/removeBackground.worker.js", import.meta.url));
+        } catch (workerError) {
+            console.warn("Could not start background removal worker:", workerError);
+            return reject(Object.assign(new Error("Web Worker could not be started."), { unsupported: true }));
         }
 
+        // Terminating the worker is the only way to interrupt its synchronous pixel loop.
+        const finish = () => {
+            worker.terminate();
+            if (signal) signal.removeEventListener("abort", handleAbort);
+        };
+        const handleAbort = () => {
+            finish();
+            try {
+                throwIfAborted(signal);
+            } catch (abortError) {
+                reject(abortError);
+            }
+        };
+        if (signal) signal.addEventListener("abort", handleAbort, { once: true });
+
+        worker.onmessage = (event) => {
+            const message = event.data;
+            if (message.type === "progress") {
+                if (onProgress) onProgress(message.progress);
+            } else if (message.type === "result") {
+                finish();
+                resolve(message);
+            } else if (message.type === "error") {
+                finish();
+                if (message.code) {
+                    reject(new ImageValidationError(message.code, message.params));
+                } else {
+                    reject(Object.assign(new Error(message.message), { unsupported: Boolean(message.unsupported) }));
+                }
+            }
+        };
+
+        // An uncaught exception is a crash (a bug, or running out of memory), not missing browser support: running
+        // the job again on the main thread would freeze the tab on the very images the worker is there for.
+        worker.onerror = (errorEvent) => {
+            console.error("Background removal worker error:", errorEvent);
+            finish();
+            reject(new Error("Background removal failed. The image may be too large for the memory available to the browser."));
+        };
+
+        worker.postMessage(task);
+    });
+};
+
+/**
+ * Removes the background inside the worker (see `runWorkerTask`).
+ * @param {File} imageFile - The image file to process.
+ * @param {Function} [onProgress=null] - Optional callback for progress updates (0-100).
+ * @param {object} [options] - Processing options, see `removeBackground`.
+ * @param {AbortSignal} [signal] - Optional signal; aborting terminates the worker immediately.
+ * @param {object} policy - The validation policy for the decoded dimensions.
+ * @param {boolean} [includeCleanupOverlay=false] - Whether to also return what mask cleanup changed.
+ * @returns {Promise<{resultUrl: string, cleanupOverlayUrl: string | null}>} - A promise that resolves to the
+ *          processed image data URL (PNG format) and, if requested and available, the cleanup overlay's.
+ */
+const removeBackgroundInWorker = async (imageFile, onProgress = null, options = {}, signal = undefined, policy = getValidationPolicy(), includeCleanupOverlay = false) => {
+    const task = { task: "remove", file: imageFile, options, policy, includeCleanupOverlay };
+    const { blob, cleanupOverlayBlob } = await runWorkerTask(task, onProgress, signal);
+    const [resultUrl, cleanupOverlayUrl] = await Promise.all([
+        blobToDataUrl(blob),
+        cleanupOverlayBlob ? blobToDataUrl(cleanupOverlayBlob) : null,
+    ]);
+    throwIfAborted(signal);
+    if (onProgress) onProgress(100);
+    return { resultUrl, cleanupOverlayUrl };
+};
+
+/**
+ * Encodes pixels as a PNG data URL on the main thread.
+ * @param {{width: number, height: number, data: Uint8ClampedArray}} pixels - The pixels.
+ * @returns {string} The PNG data URL.
+ */
+const pixelsToDataUrl = (pixels) => {
+    const canvas = document.createElement("canvas");
+    canvas.width = pixels.width;
+    canvas.height = pixels.height;
+    canvas.getContext("2d").putImageData(new ImageData(pixels.data, pixels.width, pixels.height), 0, 0);
+    return canvas.toDataURL("image/png");
+};
+
+/**
+ * Main-thread fallback for browsers without Worker/OffscreenCanvas support.
+ * Uses an `<img>` element and a DOM canvas; the pixel work itself is the same shared pipeline.
+ * @param {File} imageFile - The image file to process.
+ * @param {Function} [onProgress=null] - Optional callback for progress updates (0-100).
+ * @param {object} [options] - Processing options, see `removeBackground`.
+ * @param {AbortSignal} [signal] - Optional signal checked at every stage boundary and inside the pixel loop.
+ * @param {object} policy - The validation policy for the decoded dimensions.
+ * @param {boolean} [includeCleanupOverlay=false] - Whether to also return what mask cleanup changed.
+ * @returns {Promise<{resultUrl: string, cleanupOverlayUrl: string | null}>} - A promise that resolves to the
+ *          processed image data URL (PNG format) and, if requested and available, the cleanup overlay's.
+ */
+const removeBackgroundOnMainThread = (imageFile, onProgress = null, options = {}, signal = undefined, policy = getValidationPolicy(), includeCleanupOverlay = false) => {
+    return new Promise((resolve, reject) => {
         const reader = new FileReader();
 
+        const handleAbort = () => {
+            reader.abort();
+            try {
+                throwIfAborted(signal);
+            } catch (abortError) {
+                reject(abortError);
+            }
+        };
+        if (signal) signal.addEventListener("abort", handleAbort, { once: true });
+
+        const succeed = (result) => {
+            if (signal) signal.removeEventListener("abort", handleAbort);
+            resolve(result);
+        };
+        const fail = (error) => {
+            if (signal) signal.removeEventListener("abort", handleAbort);
+            reject(error);
+        };
+
         reader.onload = (event) => {
+            if (signal && signal.aborted) return;
             const img = new Image();
 
             img.onload = () => {
+                if (signal && signal.aborted) return;
+
                 // Dimension and total pixel validation (after image is loaded)
-                if (img.naturalWidth === 0 || img.naturalHeight === 0) {
-                    return reject(new Error("Image has zero dimensions. Cannot process. Please upload a valid image."));
-                }
-                if (img.naturalWidth > MAX_DIMENSION_SIDE || img.naturalHeight > MAX_DIMENSION_SIDE) {
-                    const errorMsg = `Image dimension (${img.naturalWidth}x${img.naturalHeight}px) exceeds the maximum allowed side of ${MAX_DIMENSION_SIDE}px. Please use a smaller image.`;
-                    return reject(new Error(errorMsg));
-                }
-                const totalPixels = img.naturalWidth * img.naturalHeight;
-                if (totalPixels > MAX_TOTAL_IMAGE_PIXELS) {
-                     const errorMsg = `Image resolution (${img.naturalWidth}x${img.naturalHeight}px = ${totalPixels.toLocaleString()} pixels) is too high for browser processing. Maximum allowed is ${MAX_TOTAL_IMAGE_PIXELS.toLocaleString()} pixels.`;
-                    return reject(new Error(errorMsg));
+                try {
+                    validateDimensions(img.naturalWidth, img.naturalHeight, policy);
+                } catch (dimensionError) {
+                    return fail(dimensionError);
                 }
 
                 if (onProgress) onProgress(10); // Progress: Image loaded & dimensions validated
@@ -55,7 +203,7 @@ export const removeBackground = (imageFile, onProgress = null) => {
                 const ctx = canvas.getContext("2d", { willReadFrequently: true });
 
                 if (!ctx) {
-                    return reject(new Error("Failed to get canvas 2D context. Your browser may not support it."));
+                    return fail(new Error("Failed to get canvas 2D context. Your browser may not support it."));
                 }
 
                 canvas.width = img.naturalWidth;
@@ -66,104 +214,47 @@ export const removeBackground = (imageFile, onProgress = null) => {
 
                 try {
                     const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
-                    const data = imageData.data;
-                    const { width, height } = canvas;
-
-                    const samplePoints = [
-                        [0, 0], [width - 1, 0],
-                        [0, height - 1], [width - 1, height - 1],
-                        [Math.floor(width / 2), 0], [Math.floor(width / 2), height - 1],
-                        [0, Math.floor(height / 2)], [width - 1, Math.floor(height / 2)],
-                    ];
-
-                    let rSum = 0, gSum = 0, bSum = 0;
-                    let validSamples = 0;
-
-                    samplePoints.forEach(([x, y]) => {
-                        const R_OFFSET = (Math.min(y, height - 1) * width + Math.min(x, width - 1)) * 4;
-                        if (R_OFFSET + 3 < data.length) {
-                            rSum += data[R_OFFSET];
-                            gSum += data[R_OFFSET + 1];
-                            bSum += data[R_OFFSET + 2];
-                            validSamples++;
-                        }
-                    });
-                    
-                    const avgBgR = validSamples > 0 ? rSum / validSamples : (data.length > 0 ? data[0] : 0);
-                    const avgBgG = validSamples > 0 ? gSum / validSamples : (data.length > 1 ? data[1] : 0);
-                    const avgBgB = validSamples > 0 ? bSum / validSamples : (data.length > 2 ? data[2] : 0);
-                    
-                    if (onProgress) onProgress(30);
-
-                    const colorMatchTolerance = 45;
-                    let lastReportedPixelProgress = 30;
-                    const totalPixelsToProcess = data.length / 4;
-
-                    // Safety break for extremely long loops (though dimension checks should prevent this)
-                    const MAX_ITERATIONS = MAX_TOTAL_IMAGE_PIXELS * 1.5; // A bit more than max pixels
-                    let iterations = 0;
-
-                    for (let i = 0; i < data.length; i += 4) {
-                        iterations++;
-                        if (iterations > MAX_ITERATIONS) {
-                            console.warn("Exceeded maximum pixel processing iterations. Aborting.");
-                            // This acts as a fallback if dimension checks were somehow bypassed or insufficient
-                            // for a specific problematic image structure.
-                            throw new Error("Image processing took too long and was aborted to prevent browser freeze. The image might be too complex or an unexpected error occurred.");
-                        }
-
-                        const r = data[i];
-                        const g = data[i + 1];
-                        const b = data[i + 2];
-
-                        const diff = Math.sqrt(
-                            Math.pow(r - avgBgR, 2) +
-                            Math.pow(g - avgBgG, 2) +
-                            Math.pow(b - avgBgB, 2)
-                        );
-
-                        if (diff < colorMatchTolerance) {
-                            data[i + 3] = 0;
-                        }
-
-                        if (onProgress && totalPixelsToProcess > 0 && (i / 4) % Math.floor(totalPixelsToProcess / 100) === 0) {
-                            const loopProgress = Math.floor(((i + 4) / data.length) * 60); // Pixel loop is 60% of progress (30 to 90)
-                            const currentTotalProgress = 30 + loopProgress;
-                            if (currentTotalProgress > lastReportedPixelProgress && currentTotalProgress <= 90) {
-                                onProgress(currentTotalProgress);
-                                lastReportedPixelProgress = currentTotalProgress;
-                            }
-                        }
-                    }
+                    const report = includeCleanupOverlay ? {} : null;
+                    const result = applyBackgroundRemoval(imageData, options, onProgress, signal, report);
+                    throwIfAborted(signal);
                     if (onProgress) onProgress(95);
 
-                    ctx.putImageData(imageData, 0, 0);
-                    const resultDataUrl = canvas.toDataURL("image/png");
+                    if (result !== imageData) {
+                        // Trimmed to the subject: resize the canvas to the new pixels.
+                        canvas.width = result.width;
+                        canvas.height = result.height;
+                    }
+                    ctx.putImageData(result === imageData ? imageData : new ImageData(result.data, result.width, result.height), 0, 0);
+                    const resultUrl = canvas.toDataURL("image/png");
+                    const cleanupOverlayUrl = report && report.cleanupOverlay ? pixelsToDataUrl(report.cleanupOverlay) : null;
 
                     if (onProgress) onProgress(100);
-                    resolve(resultDataUrl);
+                    succeed({ resultUrl, cleanupOverlayUrl });
 
                 } catch (processingError) {
+                    if (processingError.name === "AbortError") {
+                        return fail(processingError);
+                    }
                     console.error("Error during canvas image processing:", processingError);
-                    reject(new Error(`Canvas processing error: ${processingError.message}`));
+                    fail(new Error(`Canvas processing error: ${processingError.message}`));
                 }
             };
 
             img.onerror = (errorEvent) => {
                 console.error("Image loading error:", errorEvent);
-                reject(new Error("Failed to load the image. The file might be corrupt or an unsupported format."));
+                fail(new ImageValidationError(VALIDATION_ERROR_CODES.DECODE_FAILED));
             };
 
             if (event.target && typeof event.target.result === "string") {
                 img.src = event.target.result;
             } else {
-                reject(new Error("Failed to read image data from FileReader."));
+                fail(new Error("Failed to read image data from FileReader."));
             }
         };
 
         reader.onerror = (errorEvent) => {
             console.error("FileReader error:", errorEvent);
-            reject(new Error("Failed to read the image file."));
+            fail(new Error("Failed to read the image file."));
         };
 
         reader.readAsDataURL(imageFile);
@@ -171,30 +262,255 @@ export const removeBackground = (imageFile, onProgress = null) => {
 };
 
 /**
- * Validates an image file before attempting to process it.
- * Checks for presence, type, and file size (MB).
- * Dimension checks are done later in `removeBackground` as they require loading the image.
- * @param {File} file - The image file to validate.
- * @returns {boolean} - Returns true if the file is valid according to these criteria.
- * @throws {Error} - Throws an error with a descriptive message if validation fails.
+ * Removes the background from an image using client-side canvas and pixel manipulation.
+ * This is a basic implementation and its effectiveness will vary depending on image complexity.
+ * The work runs in a Web Worker with OffscreenCanvas when the browser supports it,
+ * and falls back to the main thread otherwise.
+ *
+ * @param {File} imageFile - The image file to process.
+ * @param {object} [options] - Processing options.
+ * @param {string} [options.algorithm="colorMatch"] - Id of a registered algorithm (see `src/algorithms`).
+ * @param {object} [options.params] - Parameters for the algorithm, resolved against its parameter schema.
+ * @param {number} [options.featherRadius=0] - Radius in pixels of the alpha-only blur along the mask boundary.
+ * @param {Array<{r: number, g: number, b: number, tolerance: number, metric?: string, x?: number, y?: number}>} [options.keyColors] -
+ *        User-picked background colors, each with its own tolerance, removed instead of the estimated border color.
+ *        `metric` is the color metric the tolerance is in (RGB if unset); it is converted to the selected one.
+ *        `x`/`y` are where the color was picked, in image pixels; flood-fill algorithms also grow from there.
+ * @param {object} [options.sampling] - Where the background color is sampled when no key colors are picked, and
+ *        whether it is modelled as one color, several clustered colors or a gradient; see `DEFAULT_SAMPLING` in
+ *        `src/utils/imageProcessing.js`.
+ * @param {object} [options.crop] - Trims the result to its subject when set; see `DEFAULT_CROP_OPTIONS`
+ *        in `src/utils/autoCrop.js` for the fields (alpha threshold, padding and aspect ratio).
+ * @param {number | null} [options.maskMaxSide=null] - Computes the mask on a copy downscaled to this largest side and
+ *        upsamples it with a guided filter (see `src/utils/maskUpsampling.js`). The output keeps the full size.
+ *        Ignored for images processed in strips.
+ * @param {object} [options.cleanup] - Mask cleanup steps run after the algorithm and before feathering: removing
+ *        small islands, filling small holes, and morphology; see `DEFAULT_CLEANUP_OPTIONS` in `src/utils/maskCleanup.js`.
+ * @param {object} [options.decontamination] - Edge color decontamination and spill suppression, run on the final mask
+ *        before encoding; see `DEFAULT_DECONTAMINATION_OPTIONS` in `src/utils/edgeDecontamination.js`.
+ * @param {object} [options.validationPolicy] - Limits the image must meet; defaults to `getValidationPolicy()`.
+ *        The file is checked before decoding and the dimensions right after, so the image is decoded only once.
+ *        Images above the limits for processing in one piece are processed in strips within the policy's tiled
+ *        limits when `canProcessLargeImages` allows it.
+ * @param {Function} [options.onProgress] - Optional callback for progress updates (0-100).
+ * @param {AbortSignal} [options.signal] - Optional signal to cancel the run. The promise then rejects
+ *        with a DOMException named "AbortError".
+ * @returns {Promise<string>} - A promise that resolves to the processed image data URL (PNG format).
+ * @throws {ImageValidationError} (as a rejection) If the image fails the validation policy.
  */
-export const validateImage = (file) => {
-    if (!file) {
-        throw new Error("No file selected.");
+export const removeBackground = (imageFile, options = {}) =>
+    runBackgroundRemoval(imageFile, options, false).then(({ resultUrl }) => resultUrl);
+
+/**
+ * Validates the file and runs background removal in the worker, or on the main thread where the worker
+ * cannot run; see `removeBackground`.
+ * @param {File | Blob} imageFile - The image file to process.
+ * @param {object} options - Processing options, see `removeBackground`.
+ * @param {boolean} includeCleanupOverlay - Whether to also return what mask cleanup changed.
+ * @returns {Promise<{resultUrl: string, cleanupOverlayUrl: string | null}>} - A promise that resolves to the
+ *          processed image data URL and, if requested and available, the cleanup overlay's.
+ */
+const runBackgroundRemoval = (imageFile, options, includeCleanupOverlay) => {
+    // Callbacks and the signal cannot be cloned into the worker, so they are kept apart from the pipeline options.
+    const { onProgress = null, signal, validationPolicy = getValidationPolicy(), ...pipelineOptions } = options;
+
+    try {
+        throwIfAborted(signal);
+        validateFile(imageFile, validationPolicy, { tiled: canProcessLargeImages(pipelineOptions.algorithm) });
+    } catch (error) {
+        return Promise.reject(error);
     }
 
-    const validTypes = ["image/jpeg", "image/png", "image/webp", "image/jpg"];
-    if (!validTypes.includes(file.type)) {
-        throw new Error(`Invalid file type: "${file.type}". Please upload a JPEG, PNG, or WebP image.`);
+    const runOnMainThread = () =>
+        removeBackgroundOnMainThread(imageFile, onProgress, pipelineOptions, signal, validationPolicy, includeCleanupOverlay);
+    if (!canProcessInWorker()) {
+        return runOnMainThread();
     }
 
-    const maxSizeInBytes = 20 * 1024 * 1024; // 20MB
-    if (file.size > maxSizeInBytes) {
-        const fileSizeMB = (file.size / 1024 / 1024).toFixed(2);
-        throw new Error(`File is too large (${fileSizeMB}MB). Maximum size for browser processing is 20MB.`);
+    return removeBackgroundInWorker(imageFile, onProgress, pipelineOptions, signal, validationPolicy, includeCleanupOverlay).catch((workerError) => {
+        if (workerError.unsupported && !(signal && signal.aborted)) {
+            console.warn("Falling back to main-thread background removal:", workerError.message);
+            return runOnMainThread();
+        }
+        throw workerError;
+    });
+};
+
+/**
+ * Removes the background like `removeBackground` and, from the same run, renders what mask cleanup changed:
+ * red where cleanup made pixels more transparent and green where it restored them (see `computeCleanupOverlay`).
+ * Trimming is left out so the overlay lines up with the result.
+ *
+ * @param {File | Blob} imageFile - The image file to process.
+ * @param {object} options - Processing options, see `removeBackground`.
+ * @returns {Promise<{resultUrl: string, cleanupOverlayUrl: string | null}>} - A promise that resolves to the
+ *          processed image data URL and a transparent PNG data URL of the overlay. The overlay is null without
+ *          cleanup steps, and for images processed in strips.
+ */
+export const removeBackgroundWithCleanupOverlay = (imageFile, options = {}) =>
+    runBackgroundRemoval(imageFile, { ...options, crop: null }, true);
+
+/**
+ * Renders an algorithm's debug overlay (e.g. the edge map of the edge-aware algorithm) for an image, at the
+ * image's own size. This runs on the main thread, so callers pass a downscaled copy (see `ensureProcessableImage`)
+ * and stretch the overlay over the image for display. The image is not validated here.
+ *
+ * @param {File | string} image - The image to inspect, as a file or an image URL.
+ * @param {object} options - Overlay options.
+ * @param {string} options.algorithm - Id of a registered algorithm.
+ * @param {object} [options.params] - Parameters for the algorithm, resolved against its parameter schema.
+ * @returns {Promise<string | null>} - A promise that resolves to a transparent PNG data URL of the overlay,
+ *          or null if the algorithm has no debug overlay.
+ */
+export const renderAlgorithmDebugOverlay = async (image, { algorithm: algorithmId, params = {} }) => {
+    const algorithm = getAlgorithm(algorithmId);
+    if (!algorithm || typeof algorithm.debugOverlay !== "function") {
+        return null;
+    }
+
+    const img = await loadImageElement(image);
+    const canvas = document.createElement("canvas");
+    canvas.width = img.naturalWidth;
+    canvas.height = img.naturalHeight;
+    const ctx = canvas.getContext("2d", { willReadFrequently: true });
+    if (!ctx) {
+        throw new Error("Failed to get canvas 2D context. Your browser may not support it.");
+    }
+    ctx.drawImage(img, 0, 0);
+
+    const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
+    const overlay = algorithm.debugOverlay(imageData, resolveAlgorithmParams(algorithm, params));
+    ctx.putImageData(new ImageData(overlay.data, overlay.width, overlay.height), 0, 0);
+    return canvas.toDataURL("image/png");
+};
+
+/**
+ * Decodes an image into pixels on the main thread.
+ * @param {File | string} image - The image, as a file or an image URL.
+ * @param {object} [policy] - When given, the decoded dimensions must meet its limits for processing in one piece.
+ * @returns {Promise<ImageData>} - A promise that resolves to the decoded pixels.
+ */
+const loadImageData = async (image, policy = undefined) => {
+    const img = await loadImageElement(image);
+    if (policy) validateDimensions(img.naturalWidth, img.naturalHeight, policy);
+    const canvas = document.createElement("canvas");
+    canvas.width = img.naturalWidth;
+    canvas.height = img.naturalHeight;
+    const ctx = canvas.getContext("2d", { willReadFrequently: true });
+    if (!ctx) {
+        throw new Error("Failed to get canvas 2D context. Your browser may not support it.");
+    }
+    ctx.drawImage(img, 0, 0);
+    return ctx.getImageData(0, 0, canvas.width, canvas.height);
+};
+
+/**
+ * Measures the low-resolution mask path against the full-resolution path on one image: decodes it once,
+ * computes the mask both ways, timing each, and compares the masks (see `compareMaskResolutionRuns`). This runs
+ * in the worker when the browser supports it. The comparison needs the whole image at full resolution, so the
+ * image must meet the validation policy's limits for processing in one piece.
+ *
+ * @param {File} imageFile - The image file to process.
+ * @param {object} options - Processing options, see `removeBackground`. `maskMaxSide` sets the low resolution.
+ * @param {object} [options.validationPolicy] - Limits the image must meet; defaults to `getValidationPolicy()`.
+ * @param {Function} [options.onProgress] - Optional callback for progress updates (0-100).
+ * @param {AbortSignal} [options.signal] - Optional signal to cancel the comparison.
+ * @returns {Promise<{lowResolutionMs: number, fullResolutionMs: number, metrics: object}>} - A promise that resolves
+ *          to the duration of each mask computation in milliseconds and the comparison metrics.
+ * @throws {ImageValidationError} (as a rejection) If the image fails the validation policy.
+ */
+export const compareMaskResolutions = async (imageFile, options) => {
+    const { onProgress = null, signal, validationPolicy = getValidationPolicy(), ...pipelineOptions } = options;
+    throwIfAborted(signal);
+    validateFile(imageFile, validationPolicy);
+
+    const compareOnMainThread = async () => {
+        const imageData = await loadImageData(imageFile, validationPolicy);
+        throwIfAborted(signal);
+        return compareMaskResolutionRuns(imageData, pipelineOptions, onProgress, signal);
+    };
+    if (!canProcessInWorker()) {
+        return compareOnMainThread();
+    }
+
+    try {
+        const task = { task: "compareMaskResolutions", file: imageFile, options: pipelineOptions, policy: validationPolicy };
+        const { comparison } = await runWorkerTask(task, onProgress, signal);
+        return comparison;
+    } catch (workerError) {
+        if (workerError.unsupported && !(signal && signal.aborted)) {
+            console.warn("Falling back to a main-thread comparison:", workerError.message);
+            return compareOnMainThread();
+        }
+        throw workerError;
+    }
+};
+
+/**
+ * Lets the browser render and handle input between steps of work on the main thread, so progress shows and
+ * a cancel click can land before the next step.
+ * @returns {Promise<void>} A promise that resolves on the next task.
+ */
+const yieldToBrowser = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+/**
+ * Cuts out an image with a mask made elsewhere instead of running background removal (see
+ * `src/utils/maskImport.js`). A mask of a different size is resampled to the image's size if it has the
+ * image's proportions. The cutout is made in one piece on the main thread, so both files must meet the
+ * validation policy's limits for processing in one piece, even where `removeBackground` would accept a larger
+ * image by processing it in strips.
+ *
+ * @param {File} imageFile - The original image.
+ * @param {File} maskFile - The mask image: grayscale with white kept, or an image with transparency.
+ * @param {object} [options] - Import options, see `DEFAULT_MASK_IMPORT_OPTIONS`, plus:
+ * @param {object} [options.validationPolicy] - Limits the files must meet; defaults to `getValidationPolicy()`.
+ * @param {Function} [options.onProgress] - Optional callback for progress updates (0-100).
+ * @param {AbortSignal} [options.signal] - Optional signal to cancel the run. The promise then rejects
+ *        with a DOMException named "AbortError".
+ * @returns {Promise<string>} - A promise that resolves to the cutout as a PNG data URL.
+ * @throws {ImageValidationError} If either file fails the policy, or the mask's proportions differ from the image's.
+ */
+export const applyMaskFile = async (imageFile, maskFile, options = {}) => {
+    const { onProgress = null, signal, validationPolicy = getValidationPolicy(), ...maskOptions } = options;
+    const reportProgress = (progress) => {
+        if (onProgress) onProgress(progress);
+    };
+
+    throwIfAborted(signal);
+    validateFile(imageFile, validationPolicy);
+    validateFile(maskFile, validationPolicy);
+    const [img, maskImg] = await Promise.all([loadImageElement(imageFile), loadImageElement(maskFile)]);
+    throwIfAborted(signal);
+    validateDimensions(img.naturalWidth, img.naturalHeight, validationPolicy);
+    validateDimensions(maskImg.naturalWidth, maskImg.naturalHeight, validationPolicy);
+    const { naturalWidth: width, naturalHeight: height } = img;
+    checkMaskDimensions(maskImg.naturalWidth, maskImg.naturalHeight, width, height);
+    reportProgress(20); // Progress: Both images loaded & validated
+
+    const canvas = document.createElement("canvas");
+    canvas.width = width;
+    canvas.height = height;
+    const ctx = canvas.getContext("2d", { willReadFrequently: true });
+    if (!ctx) {
+        throw new Error("Failed to get canvas 2D context. Your browser may not support it.");
     }
-    // Note: Image dimension (width/height) and total pixel validation occurs asynchronously
-    // within the `removeBackground` function itself, after the image is loaded,
-    // as it's not possible to get dimensions synchronously from a File object.
-    return true;
+    ctx.imageSmoothingQuality = "high";
+    ctx.drawImage(maskImg, 0, 0, width, height); // Resamples the mask if its size differs
+    const maskValues = readMaskValues(ctx.getImageData(0, 0, width, height), maskOptions);
+    reportProgress(50);
+    await yieldToBrowser();
+    throwIfAborted(signal);
+
+    ctx.clearRect(0, 0, width, height);
+    ctx.drawImage(img, 0, 0);
+    const imageData = ctx.getImageData(0, 0, width, height);
+    applyMaskValues(imageData, maskValues);
+    reportProgress(90);
+    await yieldToBrowser();
+    throwIfAborted(signal);
+
+    ctx.putImageData(imageData, 0, 0);
+    const cutoutUrl = canvas.toDataURL("image/png");
+    reportProgress(100);
+    return cutoutUrl;
 };
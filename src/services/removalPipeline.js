@@ -0,0 +1,227 @@
+/**
+ * @file src/services/removalPipeline.js
+ * @description DOM-free background removal pipeline shared by the main thread and the
+ * background removal Web Worker. Everything here operates on ImageData-like objects
+ * ({ width, height, data }) so it can run wherever the pixels end up being decoded.
+ */
+
+import { DEFAULT_SAMPLING, featherAlphaEdges, throwIfAborted } from "../utils/imageProcessing";
+import { trimToSubject } from "../utils/autoCrop";
+import { compareMasks, downscaleImageData, getMaskResolution, guidedUpsampleMask } from "../utils/maskUpsampling";
+import { cleanupAlphaMask, computeCleanupOverlay, hasCleanupSteps } from "../utils/maskCleanup";
+import { decontaminateColors, hasDecontaminationSteps } from "../utils/edgeDecontamination";
+import { DEFAULT_ALGORITHM_ID, getAlgorithm, resolveAlgorithmParams } from "../algorithms";
+import { estimateBackground } from "../algorithms/common";
+
+/**
+ * Runs an algorithm on decoded pixels, lowering their alpha in place. With a mask resolution, the algorithm runs
+ * on a copy downscaled to it and its mask is upsampled with `guidedUpsampleMask`; the original transparency is kept.
+ * @param {ImageData} imageData - The decoded pixels to modify.
+ * @param {object} algorithm - The registered algorithm.
+ * @param {object} resolvedParams - The algorithm's resolved parameters.
+ * @param {{keyColors: Array<object>, sampling: object, signal?: AbortSignal, onProgress: Function}} context - Passed
+ *        on to the algorithm. Key colors are in full-size pixel coordinates.
+ * @param {{width: number, height: number} | null} maskResolution - The size to compute the mask at (see
+ *        `getMaskResolution`), or null to compute it at full size.
+ */
+const computeMask = (imageData, algorithm, resolvedParams, context, maskResolution) => {
+    const { width, height } = imageData;
+    const { keyColors, sampling, signal, onProgress } = context;
+    if (!maskResolution) {
+        algorithm.run(imageData, resolvedParams, { width, height, signal, keyColors, sampling, onProgress });
+        return;
+    }
+
+    // Only the mask is computed on the copy, so it starts fully opaque; the original transparency is kept below.
+    const lowResolution = downscaleImageData(imageData, maskResolution.width, maskResolution.height);
+    for (let i = 3; i < lowResolution.data.length; i += 4) {
+        lowResolution.data[i] = 255;
+    }
+    // Key colors were picked in full-size pixel coordinates.
+    const scaledKeyColors = keyColors.map((keyColor) => ({
+        ...keyColor,
+        x: keyColor.x * (maskResolution.width / width),
+        y: keyColor.y * (maskResolution.height / height),
+    }));
+    algorithm.run(lowResolution, resolvedParams, {
+        width: maskResolution.width,
+        height: maskResolution.height,
+        signal,
+        keyColors: scaledKeyColors,
+        sampling,
+        onProgress,
+    });
+
+    throwIfAborted(signal);
+    const mask = guidedUpsampleMask(lowResolution, imageData);
+    const { data } = imageData;
+    for (let p = 0; p < mask.length; p++) {
+        if (mask[p] < data[p * 4 + 3]) data[p * 4 + 3] = mask[p];
+    }
+};
+
+/**
+ * Returns a progress callback for an algorithm's 0-100 progress that reports it within `[start, end]` of the
+ * overall scale, only when it moves forward.
+ * @param {Function | null} onProgress - The overall progress callback.
+ * @param {number} start - Overall progress when the algorithm starts.
+ * @param {number} end - Overall progress when it finishes.
+ * @returns {function(number): void} The algorithm's progress callback.
+ */
+const createStageProgress = (onProgress, start, end) => {
+    let lastReportedProgress = start;
+    return (algorithmProgress) => {
+        const currentTotalProgress = start + Math.floor(Math.min(100, Math.max(0, algorithmProgress)) * ((end - start) / 100));
+        if (onProgress && currentTotalProgress > lastReportedProgress) {
+            onProgress(currentTotalProgress);
+            lastReportedProgress = currentTotalProgress;
+        }
+    };
+};
+
+/**
+ * Removes the background from decoded pixels in place by dispatching to a registered algorithm.
+ * Progress is reported on the same 0-100 scale as `removeBackground`: the algorithm runs from 30 to 90,
+ * mask cleanup ends at 91, feathering at 92, edge decontamination and the algorithm's `refineColors` at 93 and
+ * trimming at 94. Decoding and encoding are left to the caller. Decontamination unmixes the picked key colors, or
+ * else the estimated background model.
+ * With `options.maskMaxSide`, the algorithm runs on a downscaled copy (from 30 to 80) and its mask is
+ * upsampled with `guidedUpsampleMask` (ending at 90); feathering and trimming still run at full resolution.
+ *
+ * @param {ImageData} imageData - The decoded pixels to modify.
+ * @param {object} [options] - Processing options, see `removeBackground`.
+ * @param {Function} [onProgress=null] - Optional callback for progress updates (0-100).
+ * @param {AbortSignal} [signal] - Optional signal checked between stages and periodically inside the pixel loops.
+ * @param {object} [report] - When given, `report.cleanupOverlay` is set to what mask cleanup changed in this run
+ *        (see `computeCleanupOverlay`), or null if no cleanup step ran.
+ * @returns {{width: number, height: number, data: Uint8ClampedArray}} The result: `imageData` itself, or new
+ *          pixels of a different size when `options.crop` trims the image.
+ * @throws {DOMException} An error named "AbortError" if the signal is aborted.
+ * @throws {Error} If the requested algorithm is not registered.
+ */
+export const applyBackgroundRemoval = (imageData, options = {}, onProgress = null, signal = undefined, report = null) => {
+    const {
+        algorithm: algorithmId = DEFAULT_ALGORITHM_ID,
+        params = {},
+        featherRadius = 0,
+        keyColors = [],
+        sampling = DEFAULT_SAMPLING,
+        crop = null,
+        maskMaxSide = null,
+        cleanup = null,
+        decontamination = null,
+    } = options;
+    const { width, height } = imageData;
+
+    const algorithm = getAlgorithm(algorithmId);
+    if (!algorithm) {
+        throw new Error(`Unknown background removal algorithm "${algorithmId}".`);
+    }
+    const resolvedParams = resolveAlgorithmParams(algorithm, params);
+
+    if (onProgress) onProgress(30);
+    throwIfAborted(signal);
+
+    // Filling holes and dilating restore pixels to the alpha they had before the algorithm lowered it, and
+    // decontamination unmixes the share of it the removal took away.
+    const shouldCleanUp = hasCleanupSteps(cleanup);
+    const shouldDecontaminate = hasDecontaminationSteps(decontamination);
+    let sourceAlpha = null;
+    if (shouldCleanUp || shouldDecontaminate) {
+        sourceAlpha = new Uint8Array(width * height);
+        for (let p = 0; p < sourceAlpha.length; p++) {
+            sourceAlpha[p] = imageData.data[p * 4 + 3];
+        }
+    }
+
+    const maskResolution = getMaskResolution(width, height, maskMaxSide);
+    // The algorithm runs from 30 to 90, or from 30 to 80 when the mask is upsampled afterwards.
+    const reportAlgorithmProgress = createStageProgress(onProgress, 30, maskResolution ? 80 : 90);
+    computeMask(imageData, algorithm, resolvedParams, { keyColors, sampling, signal, onProgress: reportAlgorithmProgress }, maskResolution);
+    if (maskResolution && onProgress) onProgress(90);
+
+    throwIfAborted(signal);
+    if (report) report.cleanupOverlay = null;
+    if (shouldCleanUp) {
+        const beforeCleanup = report ? { width, height, data: new Uint8ClampedArray(imageData.data) } : null;
+        cleanupAlphaMask(imageData, cleanup, sourceAlpha, signal);
+        if (report) report.cleanupOverlay = computeCleanupOverlay(beforeCleanup, imageData);
+        if (onProgress) onProgress(91);
+    }
+
+    throwIfAborted(signal);
+    if (featherRadius > 0) {
+        featherAlphaEdges(imageData, featherRadius);
+        if (onProgress) onProgress(92);
+    }
+
+    if (shouldDecontaminate || algorithm.refineColors) {
+        if (shouldDecontaminate) {
+            const background = keyColors.length > 0 ? { colors: keyColors, gradient: null } : estimateBackground(imageData, sampling);
+            decontaminateColors(imageData, background, decontamination, sourceAlpha, signal);
+        }
+        if (algorithm.refineColors) {
+            algorithm.refineColors(imageData, resolvedParams, { width, height, signal, keyColors, sampling });
+        }
+        if (onProgress) onProgress(93);
+    }
+
+    if (!crop) {
+        return imageData;
+    }
+    const trimmed = trimToSubject(imageData, crop);
+    if (onProgress) onProgress(94);
+    return trimmed;
+};
+
+/**
+ * Measures the low-resolution mask path against the full-resolution one on the same decoded pixels: computes
+ * the mask both ways on copies of `imageData`, timing each, and compares the two (see `compareMasks`). Only the
+ * algorithm and the upsampling run, since cleanup, feathering, decontamination and encoding cost the same
+ * either way. Progress runs from 30 to 90, the low-resolution mask first.
+ *
+ * @param {ImageData} imageData - The decoded pixels; they are left unchanged.
+ * @param {object} [options] - Processing options, see `removeBackground`. `maskMaxSide` sets the low resolution.
+ * @param {Function} [onProgress=null] - Optional callback for progress updates (0-100).
+ * @param {AbortSignal} [signal] - Optional signal checked periodically inside both runs.
+ * @returns {{lowResolutionMs: number, fullResolutionMs: number, metrics: object}} The duration of each mask
+ *          computation in milliseconds and the comparison metrics.
+ * @throws {DOMException} An error named "AbortError" if the signal is aborted.
+ * @throws {Error} If the requested algorithm is not registered.
+ */
+export const compareMaskResolutionRuns = (imageData, options = {}, onProgress = null, signal = undefined) => {
+    const {
+        algorithm: algorithmId = DEFAULT_ALGORITHM_ID,
+        params = {},
+        keyColors = [],
+        sampling = DEFAULT_SAMPLING,
+        maskMaxSide = null,
+    } = options;
+    const { width, height } = imageData;
+
+    const algorithm = getAlgorithm(algorithmId);
+    if (!algorithm) {
+        throw new Error(`Unknown background removal algorithm "${algorithmId}".`);
+    }
+    const resolvedParams = resolveAlgorithmParams(algorithm, params);
+
+    const timeMask = (maskResolution, progressStart, progressEnd) => {
+        const pixels = { width, height, data: new Uint8ClampedArray(imageData.data) };
+        const onAlgorithmProgress = createStageProgress(onProgress, progressStart, progressEnd);
+        const start = performance.now();
+        computeMask(pixels, algorithm, resolvedParams, { keyColors, sampling, signal, onProgress: onAlgorithmProgress }, maskResolution);
+        return { pixels, duration: performance.now() - start };
+    };
+
+    if (onProgress) onProgress(30);
+    const lowResolution = timeMask(getMaskResolution(width, height, maskMaxSide), 30, 50);
+    throwIfAborted(signal);
+    const fullResolution = timeMask(null, 50, 90);
+    throwIfAborted(signal);
+    if (onProgress) onProgress(90);
+    return {
+        lowResolutionMs: lowResolution.duration,
+        fullResolutionMs: fullResolution.duration,
+        metrics: compareMasks(fullResolution.pixels, lowResolution.pixels),
+    };
+};
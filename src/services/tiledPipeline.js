@@ -0,0 +1,435 @@
+/**
+ * @file src/services/tiledPipeline.js
+ * @description Background removal for images above the limits for processing in one piece. The image is read
+ * in horizontal strips with a few rows of overlap, processed, and streamed into a PNG encoder, so only one strip
+ * of working pixels is in memory at a time and no canvas larger than a strip is ever allocated. The source itself
+ * stays decoded in full (see `createStripSource` in the worker): browsers decode a whole image even to read part
+ * of it, so the tiled limits in `src/utils/validation.js` are sized for that bitmap.
+ *
+ * Results match the one-piece pipeline (`applyBackgroundRemoval`):
+ * - The background model is estimated over the whole image in a first pass, so every strip removes the same colors.
+ * - Fill algorithms first record, strip by strip, which pixels match a key color and which can grow the fill
+ *   (1 bit per pixel each). The fill then runs over those masks for the whole image, so regions connect across
+ *   strip seams, and a last pass applies the alpha it reached.
+ * - Mask cleanup finds islands and holes on a whole-image mask of opaque pixels, built in one more pass.
+ * - Edge decontamination and the algorithm's `refineColors` are per pixel, so each strip runs them on its own
+ *   with the same background model.
+ * - Strips are read with enough overlap for edge detection, morphology and feathering to see the same neighbours
+ *   they would in the full image; only the strip's own rows are kept.
+ * - Trimming to the subject needs the subject's bounding box before the first row is encoded, so it costs one
+ *   more pass over the strips.
+ */
+
+import { DEFAULT_SAMPLING, featherAlphaEdges, keyColorAlphaAt, throwIfAborted } from "../utils/imageProcessing";
+import { buildBackgroundModel, offsetBackgroundModel } from "../utils/backgroundModel";
+import { DEFAULT_CROP_OPTIONS, computeAlphaBoundingBox, computeCropRect } from "../utils/autoCrop";
+import { canEncodePngStream, createPngStreamEncoder } from "../utils/pngEncoder";
+import { createBitMask, hasBit, setBit } from "../utils/bitMask";
+import {
+    DEFAULT_CLEANUP_OPTIONS,
+    applyComponentMasks,
+    applyMorphology,
+    findCleanupMasks,
+    getCleanupContextRows,
+    hasCleanupSteps,
+    markOpaquePixels,
+} from "../utils/maskCleanup";
+import { decontaminateColors, hasDecontaminationSteps } from "../utils/edgeDecontamination";
+import { DEFAULT_ALGORITHM_ID, getAlgorithm, resolveAlgorithmParams } from "../algorithms";
+import { getBackgroundSamplePoints, getFillSeedPoints, resolveKeyColors } from "../algorithms/common";
+
+const STRIP_PIXEL_BUDGET = 4000000; // Pixels per strip, before overlap: ~16MB of RGBA plus the feather buffers
+
+/**
+ * Tells whether an algorithm can process images in strips in this environment.
+ * @param {string} [algorithmId] - The algorithm id. Defaults to the default algorithm.
+ * @returns {boolean} True if the algorithm declares `tiling` and PNGs can be stream-encoded.
+ */
+export const canProcessTiled = (algorithmId = DEFAULT_ALGORITHM_ID) => {
+    const algorithm = getAlgorithm(algorithmId);
+    return Boolean(algorithm && algorithm.tiling) && canEncodePngStream();
+};
+
+/**
+ * Returns the number of rows per strip for an image width.
+ * @param {number} width - The image width.
+ * @returns {number} The row count.
+ */
+const getStripRowCount = (width) => Math.max(1, Math.floor(STRIP_PIXEL_BUDGET / width));
+
+/**
+ * Reads a strip plus up to `contextRows` rows above and below it.
+ * @param {object} source - The image source (see `removeBackgroundTiled`).
+ * @param {number} top - The first row of the strip.
+ * @param {number} rowCount - The number of rows in the strip.
+ * @param {number} contextRows - The overlap to read on each side.
+ * @returns {{pixels: {width: number, height: number, data: Uint8ClampedArray}, readTop: number, offset: number}}
+ *          The pixels read, the image row they start at, and the strip's first row within them.
+ */
+const readStrip = (source, top, rowCount, contextRows) => {
+    const readTop = Math.max(0, top - contextRows);
+    const readBottom = Math.min(source.height, top + rowCount + contextRows);
+    return { pixels: source.readRows(readTop, readBottom - readTop), readTop, offset: top - readTop };
+};
+
+/**
+ * Estimates the background model from the samples at `getBackgroundSamplePoints`, reading only the rows that hold
+ * samples. Gives the same model as `estimateBackground` on the whole image.
+ * @param {object} source - The image source (see `removeBackgroundTiled`).
+ * @param {object} sampling - Sampling settings (see `DEFAULT_SAMPLING`).
+ * @param {number} stripRows - The maximum number of rows to read at once.
+ * @param {AbortSignal} [signal] - Optional signal checked between strips.
+ * @returns {{colors: Array<{r: number, g: number, b: number}>, gradient: object | null}} The background model.
+ */
+const estimateBackgroundInStrips = (source, sampling, stripRows, signal) => {
+    const { width, height } = source;
+    const { model, clusterCount } = { ...DEFAULT_SAMPLING, ...sampling };
+    // Samples keep the order of their points, which the cluster model's result depends on.
+    const pointsByRow = new Map();
+    getBackgroundSamplePoints(width, height, sampling).forEach(([x, y], index) => {
+        const column = Math.floor(x);
+        const row = Math.floor(y);
+        if (column >= 0 && column < width && row >= 0 && row < height) {
+            if (!pointsByRow.has(row)) pointsByRow.set(row, []);
+            pointsByRow.get(row).push({ column, index });
+        }
+    });
+
+    const samples = [];
+    const rows = [...pointsByRow.keys()].sort((a, b) => a - b);
+    for (let start = 0; start < rows.length;) {
+        throwIfAborted(signal);
+        // Read from this sample row up to the last sample row that fits in one strip.
+        let end = start;
+        while (end + 1 < rows.length && rows[end + 1] - rows[start] < stripRows) end++;
+        const pixels = source.readRows(rows[start], rows[end] - rows[start] + 1);
+        for (let i = start; i <= end; i++) {
+            const rowOffset = (rows[i] - rows[start]) * width;
+            for (const { column, index } of pointsByRow.get(rows[i])) {
+                const offset = (rowOffset + column) * 4;
+                samples[index] = { x: column, y: rows[i], r: pixels.data[offset], g: pixels.data[offset + 1], b: pixels.data[offset + 2] };
+            }
+        }
+        start = end + 1;
+    }
+
+    const readSamples = samples.filter(Boolean);
+    if (readSamples.length === 0) {
+        const { data } = source.readRows(0, 1); // Same top-left fallback as `estimateBackground`
+        return { colors: [{ r: data[0], g: data[1], b: data[2] }], gradient: null };
+    }
+    return buildBackgroundModel(readSamples, width, height, model, clusterCount);
+};
+
+/**
+ * Records, for every pixel of the image, whether it matches a key color and whether the fill can grow through it
+ * (fully transparent and not a barrier), as the fill in `floodFillAlphaByKeyColors` decides.
+ * @param {object} source - The image source (see `removeBackgroundTiled`).
+ * @param {object} algorithm - The algorithm definition (its `tiling` has mode "fill").
+ * @param {object} params - The resolved algorithm parameters.
+ * @param {Array<object>} keyColors - The resolved key colors (see `resolveKeyColors`).
+ * @param {number} stripRows - The number of rows per strip.
+ * @param {Function} onStripDone - Called after each strip.
+ * @param {AbortSignal} [signal] - Optional signal checked between strips.
+ * @returns {{matchMask: Uint8Array, growMask: Uint8Array}} The bit masks, one bit per pixel in row-major order.
+ */
+const buildFillMasks = (source, algorithm, params, keyColors, stripRows, onStripDone, signal) => {
+    const { width, height } = source;
+    const { contextRows = 0, barrierMask: computeBarrierMask } = algorithm.tiling;
+    const matchMask = createBitMask(width * height);
+    const growMask = createBitMask(width * height);
+
+    for (let top = 0; top < height; top += stripRows) {
+        throwIfAborted(signal);
+        const rowCount = Math.min(stripRows, height - top);
+        const { pixels, readTop, offset } = readStrip(source, top, rowCount, computeBarrierMask ? contextRows : 0);
+        const barrierMask = computeBarrierMask ? computeBarrierMask(pixels, params) : null;
+        for (let p = offset * width; p < (offset + rowCount) * width; p++) {
+            const alpha = keyColorAlphaAt(pixels.data, p * 4, keyColors, p % width, readTop + Math.floor(p / width));
+            if (alpha < 255) {
+                const index = top * width + p - offset * width;
+                setBit(matchMask, index);
+                if (alpha === 0 && !(barrierMask && barrierMask[p])) setBit(growMask, index);
+            }
+        }
+        onStripDone();
+    }
+    return { matchMask, growMask };
+};
+
+/**
+ * Flood-fills the bit masks from seed points: reaches every matching pixel 4-connected to a seed through pixels
+ * the fill can grow through. Fills whole row spans at a time, so the stack holds spans rather than pixels.
+ * @param {number} width - The image width.
+ * @param {number} height - The image height.
+ * @param {Uint8Array} matchMask - Pixels matching a key color.
+ * @param {Uint8Array} growMask - Pixels the fill grows through.
+ * @param {Array<[number, number]>} seedPoints - The [x, y] points to start from.
+ * @param {AbortSignal} [signal] - Optional signal checked periodically.
+ * @returns {Uint8Array} The bit mask of reached pixels.
+ */
+const fillBitMasks = (width, height, matchMask, growMask, seedPoints, signal) => {
+    const reachedMask = createBitMask(width * height);
+    const stack = [];
+    const canGrowInto = (index) => hasBit(growMask, index) && !hasBit(reachedMask, index);
+    const reach = (index) => {
+        if (canGrowInto(index)) {
+            stack.push(index);
+        } else if (hasBit(matchMask, index)) {
+            setBit(reachedMask, index); // Ramp and barrier pixels are reached but do not grow the fill
+        }
+    };
+
+    seedPoints.forEach(([x, y]) => {
+        const seedX = Math.min(width - 1, Math.max(0, Math.floor(x)));
+        const seedY = Math.min(height - 1, Math.max(0, Math.floor(y)));
+        reach(seedY * width + seedX);
+    });
+
+    let spanCount = 0;
+    while (stack.length > 0) {
+        const index = stack.pop();
+        if (hasBit(reachedMask, index)) continue; // Already covered by another span
+        if (++spanCount % 4096 === 0) throwIfAborted(signal);
+
+        const y = Math.floor(index / width);
+        const rowStart = y * width;
+        let left = index - rowStart;
+        let right = left;
+        while (left > 0 && canGrowInto(rowStart + left - 1)) left--;
+        while (right < width - 1 && canGrowInto(rowStart + right + 1)) right++;
+        for (let x = left; x <= right; x++) setBit(reachedMask, rowStart + x);
+        if (left > 0) reach(rowStart + left - 1);
+        if (right < width - 1) reach(rowStart + right + 1);
+
+        [y - 1, y + 1].forEach((neighbourY) => {
+            if (neighbourY < 0 || neighbourY >= height) return;
+            let inRun = false; // Only the first pixel of each growable run is pushed
+            for (let x = left; x <= right; x++) {
+                const neighbour = neighbourY * width + x;
+                if (canGrowInto(neighbour)) {
+                    if (!inRun) stack.push(neighbour);
+                    inRun = true;
+                } else {
+                    reach(neighbour);
+                    inRun = false;
+                }
+            }
+        });
+    }
+    return reachedMask;
+};
+
+/**
+ * Removes the background from an image that is read strip by strip, and encodes the result as a PNG.
+ * Progress is reported on the same scale as `applyBackgroundRemoval`: the passes over the strips run from 30 to 90.
+ *
+ * @param {{width: number, height: number, readRows: function(number, number): {width: number, height: number, data: Uint8ClampedArray}}} source -
+ *        The image to process. `readRows(top, rowCount)` returns those rows' RGBA pixels at the full image width.
+ * @param {object} [options] - Processing options, see `removeBackground`.
+ * @param {Function} [onProgress=null] - Optional callback for progress updates (0-100).
+ * @param {AbortSignal} [signal] - Optional signal checked between strips.
+ * @returns {Promise<Blob>} A promise that resolves to the PNG, trimmed when `options.crop` is set.
+ * @throws {DOMException} An error named "AbortError" if the signal is aborted.
+ * @throws {Error} If the algorithm is not registered or does not declare `tiling`.
+ */
+export async function removeBackgroundTiled(source, options = {}, onProgress = null, signal = undefined) {
+    const {
+        algorithm: algorithmId = DEFAULT_ALGORITHM_ID,
+        params = {},
+        featherRadius = 0,
+        keyColors = [],
+        sampling = DEFAULT_SAMPLING,
+        crop = null,
+        cleanup = null,
+        decontamination = null,
+    } = options;
+    const { width, height } = source;
+
+    const algorithm = getAlgorithm(algorithmId);
+    if (!algorithm) {
+        throw new Error(`Unknown background removal algorithm "${algorithmId}".`);
+    }
+    if (!algorithm.tiling) {
+        throw new Error(`Algorithm "${algorithmId}" cannot process images in strips.`);
+    }
+    const resolvedParams = resolveAlgorithmParams(algorithm, params);
+    const isFill = algorithm.tiling.mode === "fill";
+    const stripRows = getStripRowCount(width);
+    const stripCount = Math.ceil(height / stripRows);
+
+    // Progress counts strips read over all passes; the fill over the masks counts as one strip.
+    const needsBackground = keyColors.length === 0;
+    const shouldCleanUp = hasCleanupSteps(cleanup);
+    const cleanupOptions = { ...DEFAULT_CLEANUP_OPTIONS, ...cleanup };
+    const cleanupRows = shouldCleanUp ? getCleanupContextRows(cleanup) : 0;
+    const findsComponents = shouldCleanUp && Boolean(cleanupOptions.removeIslands || cleanupOptions.fillHoles);
+    const shouldDecontaminate = hasDecontaminationSteps(decontamination);
+    const totalSteps = (needsBackground ? 1 : 0) + (isFill ? stripCount + 1 : 0) + (findsComponents ? stripCount + 1 : 0) +
+        (crop ? stripCount : 0) + stripCount;
+    let completedSteps = 0;
+    const completeStep = () => {
+        completedSteps++;
+        if (onProgress) onProgress(30 + Math.floor((completedSteps / totalSteps) * 60));
+    };
+
+    if (onProgress) onProgress(30);
+    const background = needsBackground ? estimateBackgroundInStrips(source, sampling, stripRows, signal) : null;
+    if (needsBackground) completeStep();
+
+    let reachedMask = null;
+    let fillKeyColors = null;
+    if (isFill) {
+        fillKeyColors = resolveKeyColors(null, resolvedParams, keyColors, sampling, background);
+        const { matchMask, growMask } = buildFillMasks(source, algorithm, resolvedParams, fillKeyColors, stripRows, completeStep, signal);
+        reachedMask = fillBitMasks(width, height, matchMask, growMask, getFillSeedPoints(width, height, keyColors, sampling), signal);
+        completeStep();
+    }
+
+    // Feathering reads 2 * ceil(radius / 2) rows to each side (two box blur passes per axis).
+    const featherRows = Math.floor(featherRadius) > 0 ? 2 * Math.ceil(Math.floor(featherRadius) / 2) : 0;
+
+    /**
+     * Reads a strip with `contextRows` rows to each side and lowers its alpha as the algorithm does.
+     * @returns {{pixels: object, readTop: number, offset: number, sourceAlpha: Uint8Array | null}} The pixels, the
+     *          image row they start at, the strip's first row within them, and their alpha before removal if
+     *          cleanup or decontamination needs it.
+     */
+    const computeStripAlpha = (top, rowCount, contextRows) => {
+        throwIfAborted(signal);
+        const { pixels, readTop, offset } = readStrip(source, top, rowCount, contextRows);
+        const { data } = pixels;
+        let sourceAlpha = null;
+        if (shouldCleanUp || shouldDecontaminate) {
+            sourceAlpha = new Uint8Array(pixels.width * pixels.height);
+            for (let p = 0; p < sourceAlpha.length; p++) sourceAlpha[p] = data[p * 4 + 3];
+        }
+        if (isFill) {
+            for (let p = 0; p < pixels.width * pixels.height; p++) {
+                if (hasBit(reachedMask, readTop * width + p)) {
+                    const alpha = keyColorAlphaAt(data, p * 4, fillKeyColors, p % width, readTop + Math.floor(p / width));
+                    if (alpha < data[p * 4 + 3]) data[p * 4 + 3] = alpha;
+                }
+            }
+        } else {
+            algorithm.run(pixels, resolvedParams, {
+                width: pixels.width,
+                height: pixels.height,
+                onProgress: null,
+                signal,
+                keyColors,
+                sampling,
+                background: background && offsetBackgroundModel(background, readTop),
+            });
+        }
+        return { pixels, readTop, offset, sourceAlpha };
+    };
+
+    // Islands and holes can span any number of strips, so they are found on a whole-image mask of opaque pixels.
+    let componentMasks = null;
+    if (findsComponents) {
+        const opaqueMask = createBitMask(width * height);
+        for (let top = 0; top < height; top += stripRows) {
+            const rowCount = Math.min(stripRows, height - top);
+            const { pixels, offset } = computeStripAlpha(top, rowCount, 0);
+            const stripData = pixels.data.subarray(offset * width * 4, (offset + rowCount) * width * 4);
+            markOpaquePixels(opaqueMask, stripData, top * width, cleanupOptions.alphaThreshold);
+            completeStep();
+        }
+        componentMasks = findCleanupMasks(opaqueMask, width, height, cleanupOptions, signal);
+        completeStep();
+    }
+
+    const decontaminationBackground = shouldDecontaminate ? background || { colors: keyColors, gradient: null } : null;
+
+    /**
+     * Reads a strip and computes its final alpha, including the context rows cleanup and feathering need,
+     * then its refined colors.
+     * @returns {{pixels: object, offset: number}} The processed pixels and the strip's first row within them.
+     */
+    const processStrip = (top, rowCount) => {
+        const { pixels, readTop, offset, sourceAlpha } = computeStripAlpha(top, rowCount, cleanupRows + featherRows);
+        if (componentMasks) {
+            applyComponentMasks(pixels.data, sourceAlpha, componentMasks, readTop * width);
+        }
+        if (shouldCleanUp && cleanupOptions.morphology) {
+            applyMorphology(pixels, cleanupOptions, sourceAlpha);
+        }
+        if (featherRows > 0) {
+            featherAlphaEdges(pixels, featherRadius);
+        }
+        if (shouldDecontaminate) {
+            decontaminateColors(pixels, offsetBackgroundModel(decontaminationBackground, readTop), decontamination, sourceAlpha, signal);
+        }
+        if (algorithm.refineColors) {
+            algorithm.refineColors(pixels, resolvedParams, {
+                width: pixels.width,
+                height: pixels.height,
+                signal,
+                keyColors,
+                sampling,
+                background: background && offsetBackgroundModel(background, readTop),
+            });
+        }
+        return { pixels, offset };
+    };
+
+    const getStripRows = ({ pixels, offset }, rowCount) =>
+        pixels.data.subarray(offset * width * 4, (offset + rowCount) * width * 4);
+
+    let rect = { x: 0, y: 0, width, height };
+    if (crop) {
+        const { alphaThreshold } = { ...DEFAULT_CROP_OPTIONS, ...crop };
+        let minX = width, minY = height, maxX = -1, maxY = -1;
+        for (let top = 0; top < height; top += stripRows) {
+            const rowCount = Math.min(stripRows, height - top);
+            const stripBox = computeAlphaBoundingBox({ width, height: rowCount, data: getStripRows(processStrip(top, rowCount), rowCount) }, alphaThreshold);
+            if (stripBox) {
+                minX = Math.min(minX, stripBox.x);
+                maxX = Math.max(maxX, stripBox.x + stripBox.width - 1);
+                minY = Math.min(minY, top + stripBox.y);
+                maxY = top + stripBox.y + stripBox.height - 1;
+            }
+            completeStep();
+        }
+        if (maxX >= 0) {
+            rect = computeCropRect({ x: minX, y: minY, width: maxX - minX + 1, height: maxY - minY + 1 }, crop);
+        } // Otherwise nothing is left to frame and the image is kept whole, as `trimToSubject` does
+    }
+
+    const encoder = createPngStreamEncoder(rect.width, rect.height);
+    const writeTransparentRows = async (rowCount) => {
+        for (let written = 0; written < rowCount; written += stripRows) {
+            const batch = Math.min(stripRows, rowCount - written);
+            await encoder.writeRows(new Uint8ClampedArray(rect.width * batch * 4), batch);
+        }
+    };
+
+    // Rows of the crop rectangle outside the image are transparent, like `cropImageData` makes them.
+    const imageTop = Math.max(0, rect.y);
+    const imageBottom = Math.min(height, rect.y + rect.height);
+    await writeTransparentRows(imageTop - rect.y);
+    const sourceX0 = Math.max(0, rect.x);
+    const sourceX1 = Math.min(width, rect.x + rect.width);
+    for (let top = imageTop; top < imageBottom; top += stripRows) {
+        const rowCount = Math.min(stripRows, imageBottom - top);
+        const stripRowsData = getStripRows(processStrip(top, rowCount), rowCount);
+        if (rect.x === 0 && rect.width === width) {
+            await encoder.writeRows(stripRowsData, rowCount);
+        } else {
+            const rows = new Uint8ClampedArray(rect.width * rowCount * 4);
+            if (sourceX1 > sourceX0) {
+                for (let y = 0; y < rowCount; y++) {
+                    const sourceStart = (y * width + sourceX0) * 4;
+                    rows.set(stripRowsData.subarray(sourceStart, sourceStart + (sourceX1 - sourceX0) * 4), (y * rect.width + sourceX0 - rect.x) * 4);
+                }
+            }
+            await encoder.writeRows(rows, rowCount);
+        }
+        completeStep();
+    }
+    await writeTransparentRows(rect.y + rect.height - imageBottom);
+
+    throwIfAborted(signal);
+    return encoder.finish();
+}
@@ -0,0 +1,145 @@
+// src/utils/autoCrop.js
+
+/**
+ * @file Trims a background removal result to the bounding box of its subject, with optional padding
+ * and aspect ratio. The pixel functions are DOM-free so the pipeline can trim inside the worker.
+ */
+
+import { loadImageElement } from "./imageProcessing";
+
+export const PADDING_UNITS = {
+    PIXELS: "px",
+    PERCENT: "percent", // Percentage of the subject's width (left/right) and height (top/bottom)
+};
+
+/**
+ * Default crop options.
+ * - `alphaThreshold`: pixels with alpha at or below this count as transparent, so faint feathering
+ *   or noise does not stretch the box.
+ * - `padding`: space added around the subject, in `paddingUnit`.
+ * - `aspectRatio`: width / height of the output, or null to keep the padded box's own shape.
+ *   The box is widened or heightened (never cut) to reach it, keeping the subject centered.
+ */
+export const DEFAULT_CROP_OPTIONS = {
+    alphaThreshold: 10,
+    padding: 0,
+    paddingUnit: PADDING_UNITS.PIXELS,
+    aspectRatio: null,
+};
+
+/**
+ * Computes the bounding box of the pixels whose alpha exceeds a threshold.
+ * @param {ImageData} imageData - The pixels to inspect.
+ * @param {number} [alphaThreshold=0] - Pixels with alpha at or below this value are ignored.
+ * @returns {{x: number, y: number, width: number, height: number} | null} The box, or null if no pixel exceeds the threshold.
+ */
+export function computeAlphaBoundingBox(imageData, alphaThreshold = 0) {
+    const { width, height, data } = imageData;
+    let minX = width;
+    let minY = height;
+    let maxX = -1;
+    let maxY = -1;
+
+    for (let y = 0; y < height; y++) {
+        const rowStart = y * width * 4;
+        for (let x = 0; x < width; x++) {
+            if (data[rowStart + x * 4 + 3] > alphaThreshold) {
+                if (x < minX) minX = x;
+                if (x > maxX) maxX = x;
+                if (y < minY) minY = y;
+                maxY = y;
+            }
+        }
+    }
+
+    if (maxX < 0) {
+        return null;
+    }
+    return { x: minX, y: minY, width: maxX - minX + 1, height: maxY - minY + 1 };
+}
+
+/**
+ * Expands a subject bounding box by padding and to an aspect ratio.
+ * The result may extend past the image; that area is filled with transparent pixels when cropping.
+ * @param {{x: number, y: number, width: number, height: number}} boundingBox - The subject's bounding box.
+ * @param {object} [options] - Crop options (see `DEFAULT_CROP_OPTIONS`).
+ * @returns {{x: number, y: number, width: number, height: number}} The crop rectangle, in whole pixels.
+ */
+export function computeCropRect(boundingBox, options = {}) {
+    const { padding, paddingUnit, aspectRatio } = { ...DEFAULT_CROP_OPTIONS, ...options };
+    const paddingX = Math.round(paddingUnit === PADDING_UNITS.PERCENT ? (boundingBox.width * padding) / 100 : padding);
+    const paddingY = Math.round(paddingUnit === PADDING_UNITS.PERCENT ? (boundingBox.height * padding) / 100 : padding);
+
+    let width = boundingBox.width + 2 * paddingX;
+    let height = boundingBox.height + 2 * paddingY;
+    if (aspectRatio > 0) {
+        if (width / height < aspectRatio) {
+            width = Math.round(height * aspectRatio);
+        } else {
+            height = Math.round(width / aspectRatio);
+        }
+    }
+
+    const centerX = boundingBox.x + boundingBox.width / 2;
+    const centerY = boundingBox.y + boundingBox.height / 2;
+    return { x: Math.round(centerX - width / 2), y: Math.round(centerY - height / 2), width, height };
+}
+
+/**
+ * Copies a rectangle out of an image. Parts of the rectangle outside the image become transparent.
+ * @param {ImageData} imageData - The source pixels.
+ * @param {{x: number, y: number, width: number, height: number}} rect - The area to copy.
+ * @returns {{width: number, height: number, data: Uint8ClampedArray}} The cropped pixels.
+ */
+export function cropImageData(imageData, rect) {
+    const data = new Uint8ClampedArray(rect.width * rect.height * 4);
+    const sourceX0 = Math.max(0, rect.x);
+    const sourceX1 = Math.min(imageData.width, rect.x + rect.width);
+    if (sourceX1 > sourceX0) {
+        for (let y = Math.max(0, rect.y); y < Math.min(imageData.height, rect.y + rect.height); y++) {
+            const sourceStart = (y * imageData.width + sourceX0) * 4;
+            const targetStart = ((y - rect.y) * rect.width + (sourceX0 - rect.x)) * 4;
+            data.set(imageData.data.subarray(sourceStart, sourceStart + (sourceX1 - sourceX0) * 4), targetStart);
+        }
+    }
+    return { width: rect.width, height: rect.height, data };
+}
+
+/**
+ * Trims an image to its subject: the bounding box of non-transparent pixels, plus padding and aspect ratio.
+ * @param {ImageData} imageData - The background removal result.
+ * @param {object} [options] - Crop options (see `DEFAULT_CROP_OPTIONS`).
+ * @returns {{width: number, height: number, data: Uint8ClampedArray}} The trimmed pixels, or `imageData`
+ *          itself if no pixel is above the alpha threshold.
+ */
+export function trimToSubject(imageData, options = {}) {
+    const { alphaThreshold } = { ...DEFAULT_CROP_OPTIONS, ...options };
+    const boundingBox = computeAlphaBoundingBox(imageData, alphaThreshold);
+    if (!boundingBox) {
+        return imageData; // Nothing left to frame
+    }
+    return cropImageData(imageData, computeCropRect(boundingBox, options));
+}
+
+/**
+ * Trims an image given as a URL to its subject (see `trimToSubject`).
+ * @param {string} imageUrl - Data URL of the background removal result.
+ * @param {object} [options] - Crop options (see `DEFAULT_CROP_OPTIONS`).
+ * @returns {Promise<string>} A promise that resolves to the trimmed image as a PNG data URL.
+ */
+export async function trimImageUrlToSubject(imageUrl, options = {}) {
+    const img = await loadImageElement(imageUrl);
+    const canvas = document.createElement("canvas");
+    canvas.width = img.naturalWidth;
+    canvas.height = img.naturalHeight;
+    const ctx = canvas.getContext("2d", { willReadFrequently: true });
+    if (!ctx) {
+        throw new Error("Failed to get canvas 2D context. Your browser may not support it.");
+    }
+    ctx.drawImage(img, 0, 0);
+    const trimmed = trimToSubject(ctx.getImageData(0, 0, canvas.width, canvas.height), options);
+    canvas.width = trimmed.width;
+    canvas.height = trimmed.height;
+    ctx.putImageData(new ImageData(trimmed.data, trimmed.width, trimmed.height), 0, 0);
+    return canvas.toDataURL("image/png");
+}
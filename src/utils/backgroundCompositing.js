@@ -0,0 +1,168 @@
+// src/utils/backgroundCompositing.js
+
+/**
+ * @file Composites a cut-out subject onto a new background: a solid color, a linear or radial gradient,
+ * or an image fitted with cover/contain/tile. The same drawing code renders the scaled-down live preview
+ * and the full-resolution download.
+ */
+
+import { loadImageElement } from "./imageProcessing";
+
+export const BACKGROUND_TYPES = {
+    NONE: "none", // Keep the transparent result
+    SOLID: "solid",
+    LINEAR_GRADIENT: "linearGradient",
+    RADIAL_GRADIENT: "radialGradient",
+    IMAGE: "image",
+};
+
+export const IMAGE_FITS = {
+    COVER: "cover", // Fills the canvas, cropping the background image if needed
+    CONTAIN: "contain", // Shows the whole background image, leaving bars of `color`
+    TILE: "tile", // Repeats the background image at its natural size
+};
+
+/**
+ * Default background settings. `imageUrl` is an object or data URL of the uploaded background image.
+ */
+export const DEFAULT_BACKGROUND = {
+    type: BACKGROUND_TYPES.NONE,
+    color: "#ffffff",
+    gradientStartColor: "#6366f1",
+    gradientEndColor: "#ffffff",
+    gradientAngle: 180, // Degrees, CSS convention: 0 points up, 90 points right
+    imageUrl: null,
+    imageFit: IMAGE_FITS.COVER,
+};
+
+/**
+ * Computes where to draw an image so it covers or is contained in a target area, centered.
+ * @param {number} sourceWidth - The image width.
+ * @param {number} sourceHeight - The image height.
+ * @param {number} targetWidth - The target area width.
+ * @param {number} targetHeight - The target area height.
+ * @param {string} fit - `IMAGE_FITS.COVER` or `IMAGE_FITS.CONTAIN`.
+ * @returns {{x: number, y: number, width: number, height: number}} The destination rectangle.
+ */
+export function computeFitRect(sourceWidth, sourceHeight, targetWidth, targetHeight, fit) {
+    const widthRatio = targetWidth / sourceWidth;
+    const heightRatio = targetHeight / sourceHeight;
+    const scale = fit === IMAGE_FITS.COVER ? Math.max(widthRatio, heightRatio) : Math.min(widthRatio, heightRatio);
+    const width = sourceWidth * scale;
+    const height = sourceHeight * scale;
+    return { x: (targetWidth - width) / 2, y: (targetHeight - height) / 2, width, height };
+}
+
+/**
+ * Computes the start and end points of a linear gradient the way CSS `linear-gradient(<angle>)` does:
+ * the gradient line passes through the center and is just long enough for the corners to get the end colors.
+ * @param {number} width - The area width.
+ * @param {number} height - The area height.
+ * @param {number} angleDegrees - The gradient direction in degrees (0 = towards the top, 90 = towards the right).
+ * @returns {{x0: number, y0: number, x1: number, y1: number}} The gradient line.
+ */
+export function getLinearGradientLine(width, height, angleDegrees) {
+    const angle = (angleDegrees * Math.PI) / 180;
+    const dx = Math.sin(angle);
+    const dy = -Math.cos(angle);
+    const halfLength = (Math.abs(width * dx) + Math.abs(height * dy)) / 2;
+    const centerX = width / 2;
+    const centerY = height / 2;
+    return {
+        x0: centerX - dx * halfLength,
+        y0: centerY - dy * halfLength,
+        x1: centerX + dx * halfLength,
+        y1: centerY + dy * halfLength,
+    };
+}
+
+/**
+ * Paints a background onto a 2D context.
+ * @param {CanvasRenderingContext2D} ctx - The context to paint on.
+ * @param {number} width - The area width.
+ * @param {number} height - The area height.
+ * @param {object} background - Background settings (see `DEFAULT_BACKGROUND`).
+ * @param {HTMLImageElement | null} backgroundImage - The loaded background image, for `BACKGROUND_TYPES.IMAGE`.
+ */
+export function paintBackground(ctx, width, height, background, backgroundImage) {
+    switch (background.type) {
+        case BACKGROUND_TYPES.SOLID:
+            ctx.fillStyle = background.color;
+            ctx.fillRect(0, 0, width, height);
+            break;
+        case BACKGROUND_TYPES.LINEAR_GRADIENT: {
+            const { x0, y0, x1, y1 } = getLinearGradientLine(width, height, background.gradientAngle);
+            const gradient = ctx.createLinearGradient(x0, y0, x1, y1);
+            gradient.addColorStop(0, background.gradientStartColor);
+            gradient.addColorStop(1, background.gradientEndColor);
+            ctx.fillStyle = gradient;
+            ctx.fillRect(0, 0, width, height);
+            break;
+        }
+        case BACKGROUND_TYPES.RADIAL_GRADIENT: {
+            // Start color in the center, end color at the farthest corner.
+            const gradient = ctx.createRadialGradient(width / 2, height / 2, 0, width / 2, height / 2, Math.hypot(width, height) / 2);
+            gradient.addColorStop(0, background.gradientStartColor);
+            gradient.addColorStop(1, background.gradientEndColor);
+            ctx.fillStyle = gradient;
+            ctx.fillRect(0, 0, width, height);
+            break;
+        }
+        case BACKGROUND_TYPES.IMAGE: {
+            if (!backgroundImage) break;
+            if (background.imageFit === IMAGE_FITS.TILE) {
+                ctx.fillStyle = ctx.createPattern(backgroundImage, "repeat");
+                ctx.fillRect(0, 0, width, height);
+            } else {
+                ctx.fillStyle = background.color; // Bars around a contained image
+                ctx.fillRect(0, 0, width, height);
+                const rect = computeFitRect(backgroundImage.naturalWidth, backgroundImage.naturalHeight, width, height, background.imageFit);
+                ctx.drawImage(backgroundImage, rect.x, rect.y, rect.width, rect.height);
+            }
+            break;
+        }
+        default:
+            break; // BACKGROUND_TYPES.NONE: leave the canvas transparent
+    }
+}
+
+/**
+ * Draws the subject over a background onto a canvas, resizing the canvas to the subject's size times `scale`.
+ * Drawing happens in full-resolution coordinates, so a scaled preview matches the full-size output
+ * (including the size of background tiles).
+ * @param {HTMLCanvasElement} canvas - The canvas to draw on.
+ * @param {HTMLImageElement} foregroundImage - The transparent background removal result.
+ * @param {object} background - Background settings (see `DEFAULT_BACKGROUND`).
+ * @param {HTMLImageElement | null} backgroundImage - The loaded background image, if any.
+ * @param {number} [scale=1] - Output scale.
+ * @throws {Error} If the canvas context is not available.
+ */
+export function renderComposite(canvas, foregroundImage, background, backgroundImage, scale = 1) {
+    const width = foregroundImage.naturalWidth;
+    const height = foregroundImage.naturalHeight;
+    canvas.width = Math.max(1, Math.round(width * scale));
+    canvas.height = Math.max(1, Math.round(height * scale));
+    const ctx = canvas.getContext("2d");
+    if (!ctx) {
+        throw new Error("Failed to get canvas 2D context. Your browser may not support it.");
+    }
+    ctx.setTransform(canvas.width / width, 0, 0, canvas.height / height, 0, 0);
+    paintBackground(ctx, width, height, background, backgroundImage);
+    ctx.drawImage(foregroundImage, 0, 0, width, height);
+}
+
+/**
+ * Composites a background removal result onto a background at full resolution.
+ * @param {string} foregroundUrl - Data URL of the transparent result.
+ * @param {object} background - Background settings (see `DEFAULT_BACKGROUND`).
+ * @returns {Promise<string>} A promise that resolves to the composited image as a PNG data URL.
+ */
+export async function compositeOntoBackground(foregroundUrl, background) {
+    const foregroundImage = await loadImageElement(foregroundUrl);
+    const backgroundImage = background.type === BACKGROUND_TYPES.IMAGE && background.imageUrl
+        ? await loadImageElement(background.imageUrl)
+        : null;
+    const canvas = document.createElement("canvas");
+    renderComposite(canvas, foregroundImage, background, backgroundImage);
+    return canvas.toDataURL("image/png");
+}
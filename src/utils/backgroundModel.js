@@ -0,0 +1,296 @@
+// src/utils/backgroundModel.js
+
+/**
+ * @file Background color models built from border samples. The average model collapses the samples into one
+ * color; it misses both tones of a two-tone backdrop and the ends of a gradient studio sweep. The cluster model
+ * groups the samples into a few colors with k-means, and a pixel is background when it is close to any of them.
+ * The gradient model fits a smooth color surface across the frame, so each pixel is compared with the backdrop
+ * color expected at its own position. DOM-free, so models can be built inside the background removal worker.
+ */
+
+export const BACKGROUND_MODELS = {
+    AVERAGE: "average",
+    CLUSTERS: "clusters",
+    GRADIENT: "gradient",
+};
+
+export const MIN_CLUSTER_COUNT = 2;
+export const MAX_CLUSTER_COUNT = 8;
+
+// Clusters holding fewer samples than this are dropped: they are usually the subject touching the border.
+const MIN_CLUSTER_SHARE = 0.05;
+const MAX_KMEANS_ITERATIONS = 20;
+// Gradient fitting drops samples this many times the median residual away from the surface, then refits.
+const GRADIENT_OUTLIER_FACTOR = 3;
+const MIN_GRADIENT_OUTLIER_DISTANCE = 12;
+const GRADIENT_REFIT_ROUNDS = 2;
+const GRADIENT_TERMS = 6; // 1, u, v, uv, u², v²
+
+/**
+ * Averages the colors of samples.
+ * @param {Array<{r: number, g: number, b: number}>} samples - The samples. Must not be empty.
+ * @returns {{r: number, g: number, b: number}} The rounded average color.
+ */
+const averageColor = (samples) => {
+    let rSum = 0, gSum = 0, bSum = 0;
+    samples.forEach(({ r, g, b }) => {
+        rSum += r;
+        gSum += g;
+        bSum += b;
+    });
+    return { r: Math.round(rSum / samples.length), g: Math.round(gSum / samples.length), b: Math.round(bSum / samples.length) };
+};
+
+const squaredDistance = (color, r, g, b) => {
+    const dr = color.r - r;
+    const dg = color.g - g;
+    const db = color.b - b;
+    return dr * dr + dg * dg + db * db;
+};
+
+/**
+ * Groups sample colors into clusters with k-means in RGB. Initial centers are picked farthest-first, starting
+ * from the sample closest to the average, so the result is deterministic for the same samples in the same order.
+ * Clusters with less than `MIN_CLUSTER_SHARE` of the samples are dropped.
+ * @param {Array<{r: number, g: number, b: number}>} samples - The sample colors. Must not be empty.
+ * @param {number} clusterCount - The maximum number of clusters.
+ * @returns {Array<{r: number, g: number, b: number, share: number}>} The cluster colors, largest cluster first.
+ *          `share` is the fraction of samples in the cluster.
+ */
+export function clusterColors(samples, clusterCount) {
+    const average = averageColor(samples);
+    let first = samples[0];
+    samples.forEach((sample) => {
+        if (squaredDistance(average, sample.r, sample.g, sample.b) < squaredDistance(average, first.r, first.g, first.b)) {
+            first = sample;
+        }
+    });
+
+    const centers = [{ r: first.r, g: first.g, b: first.b }];
+    const nearestDistance = samples.map(({ r, g, b }) => squaredDistance(centers[0], r, g, b));
+    while (centers.length < clusterCount) {
+        let farthest = -1;
+        nearestDistance.forEach((distance, i) => {
+            if (distance > 0 && (farthest < 0 || distance > nearestDistance[farthest])) farthest = i;
+        });
+        if (farthest < 0) break; // Fewer distinct colors than clusters
+        const { r, g, b } = samples[farthest];
+        const center = { r, g, b };
+        centers.push(center);
+        samples.forEach((sample, i) => {
+            nearestDistance[i] = Math.min(nearestDistance[i], squaredDistance(center, sample.r, sample.g, sample.b));
+        });
+    }
+
+    const assignments = new Int32Array(samples.length).fill(-1);
+    const counts = new Array(centers.length).fill(0);
+    for (let iteration = 0; iteration < MAX_KMEANS_ITERATIONS; iteration++) {
+        let changed = false;
+        samples.forEach(({ r, g, b }, i) => {
+            let best = 0;
+            let bestDistance = Infinity;
+            centers.forEach((center, c) => {
+                const distance = squaredDistance(center, r, g, b);
+                if (distance < bestDistance) {
+                    bestDistance = distance;
+                    best = c;
+                }
+            });
+            if (assignments[i] !== best) {
+                assignments[i] = best;
+                changed = true;
+            }
+        });
+        if (!changed) break;
+
+        const sums = centers.map(() => ({ r: 0, g: 0, b: 0 }));
+        counts.fill(0);
+        samples.forEach(({ r, g, b }, i) => {
+            const sum = sums[assignments[i]];
+            sum.r += r;
+            sum.g += g;
+            sum.b += b;
+            counts[assignments[i]]++;
+        });
+        centers.forEach((center, c) => {
+            if (counts[c] > 0) { // An emptied cluster keeps its center and is dropped below
+                center.r = sums[c].r / counts[c];
+                center.g = sums[c].g / counts[c];
+                center.b = sums[c].b / counts[c];
+            }
+        });
+    }
+
+    const clusters = centers
+        .map((center, c) => ({ r: Math.round(center.r), g: Math.round(center.g), b: Math.round(center.b), share: counts[c] / samples.length }))
+        .sort((a, b) => b.share - a.share);
+    const kept = clusters.filter((cluster) => cluster.share >= MIN_CLUSTER_SHARE);
+    return kept.length > 0 ? kept : clusters.slice(0, 1);
+}
+
+/**
+ * Returns the gradient terms at a position, in coordinates normalized to -1..1 across the frame.
+ * @param {number} x - The column.
+ * @param {number} y - The row.
+ * @param {number} width - The image width.
+ * @param {number} height - The image height.
+ * @param {Float64Array} out - Receives the `GRADIENT_TERMS` terms.
+ * @returns {Float64Array} `out`.
+ */
+const gradientTerms = (x, y, width, height, out) => {
+    const u = width > 1 ? (2 * x) / (width - 1) - 1 : 0;
+    const v = height > 1 ? (2 * y) / (height - 1) - 1 : 0;
+    out[0] = 1;
+    out[1] = u;
+    out[2] = v;
+    out[3] = u * v;
+    out[4] = u * u;
+    out[5] = v * v;
+    return out;
+};
+
+/**
+ * Least-squares fit of the quadratic surface to samples, one surface per channel.
+ * @param {Array<{x: number, y: number, r: number, g: number, b: number}>} samples - The samples.
+ * @param {number} width - The image width.
+ * @param {number} height - The image height.
+ * @returns {Float64Array} The coefficients: `GRADIENT_TERMS` for red, then green, then blue.
+ */
+const fitQuadraticSurface = (samples, width, height) => {
+    const n = GRADIENT_TERMS;
+    // Normal equations [AᵀA | Aᵀr Aᵀg Aᵀb], solved by Gaussian elimination with partial pivoting.
+    const matrix = Array.from({ length: n }, () => new Float64Array(n + 3));
+    const terms = new Float64Array(n);
+    samples.forEach(({ x, y, r, g, b }) => {
+        gradientTerms(x, y, width, height, terms);
+        for (let i = 0; i < n; i++) {
+            for (let j = 0; j < n; j++) matrix[i][j] += terms[i] * terms[j];
+            matrix[i][n] += terms[i] * r;
+            matrix[i][n + 1] += terms[i] * g;
+            matrix[i][n + 2] += terms[i] * b;
+        }
+    });
+    // A little damping keeps the system solvable when samples cannot tell terms apart (e.g. a 1px wide image).
+    for (let i = 0; i < n; i++) matrix[i][i] += 1e-6 * samples.length;
+
+    for (let column = 0; column < n; column++) {
+        let pivot = column;
+        for (let row = column + 1; row < n; row++) {
+            if (Math.abs(matrix[row][column]) > Math.abs(matrix[pivot][column])) pivot = row;
+        }
+        [matrix[column], matrix[pivot]] = [matrix[pivot], matrix[column]];
+        for (let row = column + 1; row < n; row++) {
+            const factor = matrix[row][column] / matrix[column][column];
+            for (let k = column; k < n + 3; k++) matrix[row][k] -= factor * matrix[column][k];
+        }
+    }
+    const coefficients = new Float64Array(3 * n);
+    for (let channel = 0; channel < 3; channel++) {
+        for (let row = n - 1; row >= 0; row--) {
+            let value = matrix[row][n + channel];
+            for (let k = row + 1; k < n; k++) value -= matrix[row][k] * coefficients[channel * n + k];
+            coefficients[channel * n + row] = value / matrix[row][row];
+        }
+    }
+    return coefficients;
+};
+
+const predictedColor = { r: 0, g: 0, b: 0 }; // Reused per sample
+
+/**
+ * Measures how far each sample is from a gradient's color at its position.
+ * @param {Array<{x: number, y: number, r: number, g: number, b: number}>} samples - The samples.
+ * @param {object} gradient - The gradient (see `fitBackgroundGradient`).
+ * @returns {number[]} The RGB distance of each sample.
+ */
+const measureGradientResiduals = (samples, gradient) =>
+    samples.map(({ x, y, r, g, b }) => {
+        evaluateBackgroundGradient(gradient, x, y, predictedColor);
+        return Math.sqrt(squaredDistance(predictedColor, r, g, b));
+    });
+
+/**
+ * Fits a smooth color gradient across the frame to samples: a quadratic surface per channel, so linear sweeps,
+ * vignetting and light falloff towards one side are all captured. Samples far from the fitted surface (usually
+ * the subject touching the border) are dropped and the surface refitted.
+ * @param {Array<{x: number, y: number, r: number, g: number, b: number}>} samples - The samples. Must not be empty.
+ * @param {number} width - The image width.
+ * @param {number} height - The image height.
+ * @returns {{coefficients: Float64Array, width: number, height: number, top: number}} The gradient, evaluated with
+ *          `evaluateBackgroundGradient`. `top` is the image row of the first row of the pixels it is applied to.
+ */
+export function fitBackgroundGradient(samples, width, height) {
+    let inliers = samples;
+    let gradient = { coefficients: fitQuadraticSurface(inliers, width, height), width, height, top: 0 };
+    for (let round = 0; round < GRADIENT_REFIT_ROUNDS; round++) {
+        const residuals = measureGradientResiduals(samples, gradient);
+        const sorted = Float64Array.from(residuals).sort();
+        const limit = Math.max(MIN_GRADIENT_OUTLIER_DISTANCE, GRADIENT_OUTLIER_FACTOR * sorted[Math.floor(sorted.length / 2)]);
+        const kept = samples.filter((sample, i) => residuals[i] <= limit);
+        if (kept.length === inliers.length || kept.length < GRADIENT_TERMS) break;
+        inliers = kept;
+        gradient = { ...gradient, coefficients: fitQuadraticSurface(inliers, width, height) };
+    }
+    return gradient;
+}
+
+const evaluationTerms = new Float64Array(GRADIENT_TERMS);
+
+/**
+ * Evaluates a background gradient at a pixel.
+ * @param {{coefficients: Float64Array, width: number, height: number, top?: number}} gradient - The gradient
+ *        (see `fitBackgroundGradient`).
+ * @param {number} x - The column.
+ * @param {number} y - The row, relative to `gradient.top`.
+ * @param {{r: number, g: number, b: number}} out - Receives the expected backdrop color, rounded to 0-255.
+ * @returns {{r: number, g: number, b: number}} `out`.
+ */
+export function evaluateBackgroundGradient(gradient, x, y, out) {
+    const { coefficients } = gradient;
+    gradientTerms(x, y + (gradient.top || 0), gradient.width, gradient.height, evaluationTerms);
+    let r = 0, g = 0, b = 0;
+    for (let i = 0; i < GRADIENT_TERMS; i++) {
+        r += coefficients[i] * evaluationTerms[i];
+        g += coefficients[GRADIENT_TERMS + i] * evaluationTerms[i];
+        b += coefficients[2 * GRADIENT_TERMS + i] * evaluationTerms[i];
+    }
+    out.r = Math.min(255, Math.max(0, Math.round(r)));
+    out.g = Math.min(255, Math.max(0, Math.round(g)));
+    out.b = Math.min(255, Math.max(0, Math.round(b)));
+    return out;
+}
+
+/**
+ * Builds a background model from border samples.
+ * @param {Array<{x: number, y: number, r: number, g: number, b: number}>} samples - The samples. Must not be empty.
+ * @param {number} width - The image width.
+ * @param {number} height - The image height.
+ * @param {string} [model="average"] - One of `BACKGROUND_MODELS`.
+ * @param {number} [clusterCount=3] - The maximum number of colors of the cluster model.
+ * @returns {{colors: Array<{r: number, g: number, b: number}>, gradient: object | null}} The backdrop colors, and
+ *          for the gradient model the fitted gradient (with no separate colors).
+ */
+export function buildBackgroundModel(samples, width, height, model = BACKGROUND_MODELS.AVERAGE, clusterCount = 3) {
+    switch (model) {
+        case BACKGROUND_MODELS.CLUSTERS:
+            return {
+                colors: clusterColors(samples, Math.min(MAX_CLUSTER_COUNT, Math.max(MIN_CLUSTER_COUNT, Math.round(clusterCount))))
+                    .map(({ r, g, b }) => ({ r, g, b })),
+                gradient: null,
+            };
+        case BACKGROUND_MODELS.GRADIENT:
+            return { colors: [], gradient: fitBackgroundGradient(samples, width, height) };
+        default:
+            return { colors: [averageColor(samples)], gradient: null };
+    }
+}
+
+/**
+ * Returns a copy of a background model for pixels whose first row is `top` in the image the model was built for,
+ * e.g. one strip of a tiled image.
+ * @param {{colors: Array<object>, gradient: object | null}} background - The background model.
+ * @param {number} top - The image row of the pixels' first row.
+ * @returns {{colors: Array<object>, gradient: object | null}} The model.
+ */
+export const offsetBackgroundModel = (background, top) =>
+    (background.gradient ? { ...background, gradient: { ...background.gradient, top } } : background);
@@ -0,0 +1,30 @@
+// src/utils/bitMask.js
+
+/**
+ * @file Packed masks of one bit per pixel, in row-major order. Whole-image masks of the largest images
+ * processed in strips stay within a few dozen megabytes this way.
+ */
+
+/**
+ * Creates a cleared bit mask.
+ * @param {number} size - The number of pixels.
+ * @returns {Uint8Array} The mask.
+ */
+export const createBitMask = (size) => new Uint8Array(Math.ceil(size / 8));
+
+/**
+ * Tells whether a pixel's bit is set.
+ * @param {Uint8Array} mask - The mask.
+ * @param {number} index - The pixel index.
+ * @returns {boolean} True if the bit is set.
+ */
+export const hasBit = (mask, index) => (mask[index >> 3] & (1 << (index & 7))) !== 0;
+
+/**
+ * Sets a pixel's bit.
+ * @param {Uint8Array} mask - The mask. Modified in place.
+ * @param {number} index - The pixel index.
+ */
+export const setBit = (mask, index) => {
+    mask[index >> 3] |= 1 << (index & 7);
+};
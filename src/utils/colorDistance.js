@@ -0,0 +1,317 @@
+// src/utils/colorDistance.js
+
+/**
+ * @file Color distance metrics for keying. Plain RGB distance treats differences in dark and light shades very
+ * unevenly; the CIELAB metrics measure differences roughly as the eye sees them, so one tolerance fits dark and
+ * light backdrops alike. sRGB to Lab conversions go through a small cache, so whole-image loops stay fast.
+ *
+ * Tolerance units per metric:
+ * - "rgb": Euclidean distance of 0-255 channel values, from 0 to about 441 (black to white).
+ * - "deltaE76": Euclidean distance in CIELAB. 1 is about a just noticeable difference, 2-10 is noticeable
+ *   side by side, black to white is 100.
+ * - "deltaE2000": CIEDE2000, the CIE's corrected ΔE on the same scale as ΔE76, more uniform for saturated
+ *   colors and near-neutrals. The most accurate, and the slowest.
+ * - "hueWeighted": a ΔE76-like distance with lightness differences counted half and hue differences double,
+ *   so shadows and highlights on a backdrop stay within tolerance while a subject of another hue does not.
+ * Tolerances tuned for one metric do not carry over to another; `convertTolerance` translates them.
+ */
+
+export const COLOR_DISTANCE_METRICS = {
+    RGB: "rgb",
+    DELTA_E76: "deltaE76",
+    DELTA_E2000: "deltaE2000",
+    HUE_WEIGHTED: "hueWeighted",
+};
+
+/**
+ * The metrics as select options, with a short note on their tolerance units.
+ */
+export const COLOR_DISTANCE_OPTIONS = [
+    { value: COLOR_DISTANCE_METRICS.RGB, label: "RGB (0-441)" },
+    { value: COLOR_DISTANCE_METRICS.DELTA_E76, label: "CIELAB ΔE76 (1 = just noticeable)" },
+    { value: COLOR_DISTANCE_METRICS.DELTA_E2000, label: "CIEDE2000 ΔE (1 = just noticeable)" },
+    { value: COLOR_DISTANCE_METRICS.HUE_WEIGHTED, label: "Hue-weighted ΔE (ignores shading)" },
+];
+
+/**
+ * Tolerance controls per metric.
+ * - `max`: the largest tolerance worth offering; 441 is black to white in RGB, 100 in ΔE.
+ * - `step`: the control's step.
+ * - `scale`: how a distance in this metric compares with the same color difference in RGB, taken as the median
+ *   ratio over color pairs 30-90 RGB apart. `convertTolerance` uses it to keep a tolerance removing about as much.
+ */
+export const COLOR_DISTANCE_TOLERANCES = {
+    [COLOR_DISTANCE_METRICS.RGB]: { max: 441, step: 1, scale: 1 },
+    [COLOR_DISTANCE_METRICS.DELTA_E76]: { max: 100, step: 0.5, scale: 0.48 },
+    [COLOR_DISTANCE_METRICS.DELTA_E2000]: { max: 100, step: 0.5, scale: 0.23 },
+    [COLOR_DISTANCE_METRICS.HUE_WEIGHTED]: { max: 100, step: 0.5, scale: 0.67 },
+};
+
+const HUE_WEIGHTS = { lightness: 0.5, chroma: 1, hue: 2 };
+
+// sRGB channel value to linear light, per 0-255 value.
+const LINEAR_CHANNEL = new Float64Array(256);
+for (let value = 0; value < 256; value++) {
+    const channel = value / 255;
+    LINEAR_CHANNEL[value] = channel <= 0.04045 ? channel / 12.92 : Math.pow((channel + 0.055) / 1.055, 2.4);
+}
+
+// D65 reference white.
+const WHITE_X = 0.95047;
+const WHITE_Y = 1;
+const WHITE_Z = 1.08883;
+const LAB_EPSILON = 216 / 24389;
+const LAB_KAPPA = 24389 / 27;
+
+const labCompand = (t) => (t > LAB_EPSILON ? Math.cbrt(t) : (LAB_KAPPA * t + 16) / 116);
+
+// Direct-mapped cache of recent conversions: a slot holds one 24-bit color and its Lab values.
+const LAB_CACHE_BITS = 16;
+const labCacheKeys = new Int32Array(1 << LAB_CACHE_BITS).fill(-1);
+const labCacheValues = new Float64Array(3 << LAB_CACHE_BITS);
+
+// Fibonacci hashing spreads neighbouring colors over the cache slots.
+const cacheSlot = (key, bits) => Math.imul(key, 0x9e3779b1) >>> (32 - bits);
+
+/**
+ * Converts an sRGB color to CIELAB (D65). Recently converted colors are served from a cache.
+ * @param {number} r - Red (0-255).
+ * @param {number} g - Green (0-255).
+ * @param {number} b - Blue (0-255).
+ * @param {Float64Array | number[]} [out] - Array receiving `[L, a, b]`, to avoid an allocation per call.
+ * @returns {Float64Array | number[]} `out` holding L (0-100), a and b.
+ */
+export function srgbToLab(r, g, b, out = new Float64Array(3)) {
+    const key = (r << 16) | (g << 8) | b;
+    const slot = cacheSlot(key, LAB_CACHE_BITS);
+    if (labCacheKeys[slot] !== key) {
+        const red = LINEAR_CHANNEL[r];
+        const green = LINEAR_CHANNEL[g];
+        const blue = LINEAR_CHANNEL[b];
+        const fx = labCompand((0.4124564 * red + 0.3575761 * green + 0.1804375 * blue) / WHITE_X);
+        const fy = labCompand((0.2126729 * red + 0.7151522 * green + 0.072175 * blue) / WHITE_Y);
+        const fz = labCompand((0.0193339 * red + 0.119192 * green + 0.9503041 * blue) / WHITE_Z);
+        labCacheKeys[slot] = key;
+        labCacheValues[slot * 3] = 116 * fy - 16;
+        labCacheValues[slot * 3 + 1] = 500 * (fx - fy);
+        labCacheValues[slot * 3 + 2] = 200 * (fy - fz);
+    }
+    out[0] = labCacheValues[slot * 3];
+    out[1] = labCacheValues[slot * 3 + 1];
+    out[2] = labCacheValues[slot * 3 + 2];
+    return out;
+}
+
+// Math.hypot is several times slower than this in hot loops.
+const chromaOf = (a, b) => Math.sqrt(a * a + b * b);
+
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+
+/**
+ * Computes the hue angle of a Lab color's a/b components.
+ * @param {number} a - The a component.
+ * @param {number} b - The b component.
+ * @returns {number} The hue in degrees (0-360).
+ */
+const hueDegrees = (a, b) => {
+    if (a === 0 && b === 0) return 0;
+    const degrees = (Math.atan2(b, a) * 180) / Math.PI;
+    return degrees < 0 ? degrees + 360 : degrees;
+};
+
+/**
+ * CIEDE2000 color difference (Sharma, Wu and Dalal's formulation).
+ * @param {ArrayLike<number>} lab1 - The first color as [L, a, b].
+ * @param {ArrayLike<number>} lab2 - The second color as [L, a, b].
+ * @returns {number} ΔE00.
+ */
+export function deltaE2000(lab1, lab2) {
+    const l1 = lab1[0], a1 = lab1[1], b1 = lab1[2];
+    const l2 = lab2[0], a2 = lab2[1], b2 = lab2[2];
+    const chromaMean = (chromaOf(a1, b1) + chromaOf(a2, b2)) / 2;
+    const chromaMean7 = Math.pow(chromaMean, 7);
+    const g = 0.5 * (1 - Math.sqrt(chromaMean7 / (chromaMean7 + 6103515625))); // 25^7
+    const a1Prime = (1 + g) * a1;
+    const a2Prime = (1 + g) * a2;
+    const c1Prime = chromaOf(a1Prime, b1);
+    const c2Prime = chromaOf(a2Prime, b2);
+    const h1Prime = hueDegrees(a1Prime, b1);
+    const h2Prime = hueDegrees(a2Prime, b2);
+
+    const deltaL = l2 - l1;
+    const deltaC = c2Prime - c1Prime;
+    let deltaHue = 0;
+    if (c1Prime * c2Prime !== 0) {
+        deltaHue = h2Prime - h1Prime;
+        if (deltaHue > 180) deltaHue -= 360;
+        else if (deltaHue < -180) deltaHue += 360;
+    }
+    const deltaH = 2 * Math.sqrt(c1Prime * c2Prime) * Math.sin(toRadians(deltaHue / 2));
+
+    const lightnessMean = (l1 + l2) / 2;
+    const chromaPrimeMean = (c1Prime + c2Prime) / 2;
+    let hueMean = h1Prime + h2Prime;
+    if (c1Prime * c2Prime !== 0) {
+        if (Math.abs(h1Prime - h2Prime) <= 180) hueMean /= 2;
+        else hueMean = hueMean < 360 ? (hueMean + 360) / 2 : (hueMean - 360) / 2;
+    }
+
+    const t = 1 -
+        0.17 * Math.cos(toRadians(hueMean - 30)) +
+        0.24 * Math.cos(toRadians(2 * hueMean)) +
+        0.32 * Math.cos(toRadians(3 * hueMean + 6)) -
+        0.2 * Math.cos(toRadians(4 * hueMean - 63));
+    const deltaTheta = 30 * Math.exp(-Math.pow((hueMean - 275) / 25, 2));
+    const chromaPrimeMean7 = Math.pow(chromaPrimeMean, 7);
+    const rotationC = 2 * Math.sqrt(chromaPrimeMean7 / (chromaPrimeMean7 + 6103515625));
+    const lightnessOffset = Math.pow(lightnessMean - 50, 2);
+    const scaleL = 1 + (0.015 * lightnessOffset) / Math.sqrt(20 + lightnessOffset);
+    const scaleC = 1 + 0.045 * chromaPrimeMean;
+    const scaleH = 1 + 0.015 * chromaPrimeMean * t;
+    const rotationT = -Math.sin(toRadians(2 * deltaTheta)) * rotationC;
+
+    const termL = deltaL / scaleL;
+    const termC = deltaC / scaleC;
+    const termH = deltaH / scaleH;
+    return Math.sqrt(termL * termL + termC * termC + termH * termH + rotationT * termC * termH);
+}
+
+/**
+ * Hue-weighted difference: ΔE76 split into lightness, chroma and hue differences, weighted by `HUE_WEIGHTS`.
+ * @param {ArrayLike<number>} lab1 - The first color as [L, a, b].
+ * @param {ArrayLike<number>} lab2 - The second color as [L, a, b].
+ * @returns {number} The weighted difference.
+ */
+function hueWeightedDistance(lab1, lab2) {
+    const deltaL = lab1[0] - lab2[0];
+    const chroma1 = chromaOf(lab1[1], lab1[2]);
+    const chroma2 = chromaOf(lab2[1], lab2[2]);
+    const deltaC = chroma1 - chroma2;
+    const deltaA = lab1[1] - lab2[1];
+    const deltaB = lab1[2] - lab2[2];
+    // What remains of the a/b difference once chroma is accounted for is the hue difference.
+    const deltaHSquared = Math.max(0, deltaA * deltaA + deltaB * deltaB - deltaC * deltaC);
+    const weightedL = HUE_WEIGHTS.lightness * deltaL;
+    const weightedC = HUE_WEIGHTS.chroma * deltaC;
+    return Math.sqrt(weightedL * weightedL + weightedC * weightedC + HUE_WEIGHTS.hue * HUE_WEIGHTS.hue * deltaHSquared);
+}
+
+// Per key color, CIELAB distances are cached by pixel color like the Lab conversions: a lookup costs far
+// less than a conversion plus ΔE2000's trigonometry, and photos repeat colors a lot.
+const DISTANCE_CACHE_BITS = 16;
+
+/**
+ * Returns a metric id if it is one of `COLOR_DISTANCE_METRICS`, and RGB otherwise.
+ * @param {string} [metric] - The requested metric.
+ * @returns {string} A valid metric id.
+ */
+export const resolveColorMetric = (metric) =>
+    (Object.values(COLOR_DISTANCE_METRICS).includes(metric) ? metric : COLOR_DISTANCE_METRICS.RGB);
+
+/**
+ * Converts a tolerance from one metric's units to another's, so it removes about as much of a backdrop
+ * (see `COLOR_DISTANCE_TOLERANCES`). The result is rounded to the target metric's step and kept in its range.
+ * @param {number} tolerance - The tolerance in `fromMetric` units.
+ * @param {string} [fromMetric="rgb"] - The metric the tolerance was set for.
+ * @param {string} [toMetric="rgb"] - The metric to convert to.
+ * @returns {number} The tolerance in `toMetric` units.
+ */
+export function convertTolerance(tolerance, fromMetric = COLOR_DISTANCE_METRICS.RGB, toMetric = COLOR_DISTANCE_METRICS.RGB) {
+    const from = COLOR_DISTANCE_TOLERANCES[resolveColorMetric(fromMetric)];
+    const to = COLOR_DISTANCE_TOLERANCES[resolveColorMetric(toMetric)];
+    if (from === to) {
+        return tolerance;
+    }
+    const converted = Math.round((tolerance * to.scale) / from.scale / to.step) * to.step;
+    return Math.min(to.max, Math.max(0, converted));
+}
+
+/**
+ * Returns a key color ready for `measureColorDistance` with a metric: the metric is recorded and, for the
+ * CIELAB metrics, the key color's Lab values are computed once and a distance cache is attached.
+ * @param {{r: number, g: number, b: number}} keyColor - The key color; other fields are kept.
+ * @param {string} [metric="rgb"] - One of `COLOR_DISTANCE_METRICS`.
+ * @returns {object} The key color with `metric` and, for CIELAB metrics, `lab`.
+ */
+export function prepareKeyColor(keyColor, metric = COLOR_DISTANCE_METRICS.RGB) {
+    if (resolveColorMetric(metric) === COLOR_DISTANCE_METRICS.RGB) {
+        return { ...keyColor, metric: COLOR_DISTANCE_METRICS.RGB };
+    }
+    return {
+        ...keyColor,
+        metric,
+        lab: srgbToLab(keyColor.r, keyColor.g, keyColor.b, [0, 0, 0]),
+        distanceCache: {
+            keys: new Int32Array(1 << DISTANCE_CACHE_BITS).fill(-1),
+            values: new Float32Array(1 << DISTANCE_CACHE_BITS),
+        },
+    };
+}
+
+const pixelLab = new Float64Array(3);
+const keyColorLab = new Float64Array(3);
+
+/**
+ * Measures a pixel color's distance from a key color with one of the CIELAB metrics.
+ * @param {number} r - Red (0-255).
+ * @param {number} g - Green (0-255).
+ * @param {number} b - Blue (0-255).
+ * @param {{r: number, g: number, b: number, metric: string, lab?: number[]}} keyColor - The key color.
+ * @returns {number} The distance.
+ */
+function labDistance(r, g, b, keyColor) {
+    const keyLab = keyColor.lab || srgbToLab(keyColor.r, keyColor.g, keyColor.b, keyColorLab);
+    srgbToLab(r, g, b, pixelLab);
+    switch (keyColor.metric) {
+        case COLOR_DISTANCE_METRICS.DELTA_E2000:
+            return deltaE2000(pixelLab, keyLab);
+        case COLOR_DISTANCE_METRICS.HUE_WEIGHTED:
+            return hueWeightedDistance(pixelLab, keyLab);
+        default: {
+            const dl = pixelLab[0] - keyLab[0];
+            const da = pixelLab[1] - keyLab[1];
+            const db = pixelLab[2] - keyLab[2];
+            return Math.sqrt(dl * dl + da * da + db * db);
+        }
+    }
+}
+
+/**
+ * Measures the distance of a pixel color from a key color, in the units of the key color's metric.
+ * Key colors without a metric use RGB distance; CIELAB metrics use the key color's `lab` (see `prepareKeyColor`).
+ * @param {number} r - Red (0-255).
+ * @param {number} g - Green (0-255).
+ * @param {number} b - Blue (0-255).
+ * @param {{r: number, g: number, b: number, metric?: string, lab?: number[]}} keyColor - The key color.
+ * @returns {number} The distance.
+ */
+export function measureColorDistance(r, g, b, keyColor) {
+    const { metric } = keyColor;
+    if (!metric || metric === COLOR_DISTANCE_METRICS.RGB) {
+        const dr = r - keyColor.r;
+        const dg = g - keyColor.g;
+        const db = b - keyColor.b;
+        return Math.sqrt(dr * dr + dg * dg + db * db);
+    }
+    const cache = keyColor.distanceCache;
+    if (!cache) return labDistance(r, g, b, keyColor);
+    const key = (r << 16) | (g << 8) | b;
+    const slot = cacheSlot(key, DISTANCE_CACHE_BITS);
+    if (cache.keys[slot] !== key) {
+        cache.keys[slot] = key;
+        cache.values[slot] = labDistance(r, g, b, keyColor);
+    }
+    return cache.values[slot];
+}
+
+/**
+ * Measures the distance between two colors with a metric.
+ * @param {{r: number, g: number, b: number}} color1 - The first color (0-255 channels).
+ * @param {{r: number, g: number, b: number}} color2 - The second color (0-255 channels).
+ * @param {string} [metric="rgb"] - One of `COLOR_DISTANCE_METRICS`.
+ * @returns {number} The distance, in the metric's units.
+ */
+export function calculateColorDistance(color1, color2, metric = COLOR_DISTANCE_METRICS.RGB) {
+    // Called once, so skip `prepareKeyColor` and its distance cache.
+    return measureColorDistance(color1.r, color1.g, color1.b, { r: color2.r, g: color2.g, b: color2.b, metric });
+}
@@ -0,0 +1,36 @@
+// src/utils/download.js
+
+/**
+ * @file Helpers for saving processed images to the user's device.
+ */
+
+import { saveAs } from "file-saver";
+
+/**
+ * Converts a data URL (e.g. "data:image/png;base64,...") into a Blob.
+ * The fetch API can handle data URLs directly.
+ * @param {string} dataUrl - The data URL to convert.
+ * @returns {Promise<Blob>} A promise that resolves to the Blob.
+ */
+export function dataUrlToBlob(dataUrl) {
+    return fetch(dataUrl).then((res) => res.blob());
+}
+
+/**
+ * Saves a Blob as a file download.
+ * @param {Blob} blob - The file contents.
+ * @param {string} fileName - The name of the downloaded file.
+ */
+export function downloadBlob(blob, fileName) {
+    saveAs(blob, fileName);
+}
+
+/**
+ * Saves a data URL as a file download.
+ * @param {string} dataUrl - The data URL of the file contents.
+ * @param {string} fileName - The name of the downloaded file.
+ * @returns {Promise<void>} A promise that resolves once the download has been handed to the browser.
+ */
+export function downloadDataUrl(dataUrl, fileName) {
+    return dataUrlToBlob(dataUrl).then((blob) => downloadBlob(blob, fileName));
+}
@@ -0,0 +1,141 @@
+// src/utils/edgeDecontamination.js
+
+/**
+ * @file Edge color decontamination and spill suppression. Background removal only lowers alpha, so semi-transparent
+ * edge pixels keep the color they had in the photo: a mix of subject and backdrop that shows as a halo of the old
+ * backdrop once the cutout is placed on a different one. Decontamination removes the backdrop's share from those
+ * pixels; spill suppression removes the green or blue cast a chroma backdrop throws onto the subject itself.
+ * Both only change color channels. DOM-free, so they run inside the background removal worker.
+ */
+
+import { evaluateBackgroundGradient } from "./backgroundModel";
+import { throwIfAborted } from "./imageProcessing";
+
+export const SPILL_COLORS = {
+    GREEN: "green",
+    BLUE: "blue",
+};
+
+/**
+ * Default decontamination options. Every step is off until enabled.
+ * - `decontaminateEdges`: estimates the subject color of semi-transparent pixels by removing the background color's
+ *   contribution (see `unmixBackgroundColor`).
+ * - `spillSuppression`: one of `SPILL_COLORS`, or null. Limits that channel to the larger of the other two in every
+ *   visible pixel, so neutral and yellow or cyan colors are kept and only the cast is removed.
+ * - `spillStrength`: how much of the excess spill is removed, from 0 to 1.
+ */
+export const DEFAULT_DECONTAMINATION_OPTIONS = {
+    decontaminateEdges: false,
+    spillSuppression: null,
+    spillStrength: 1,
+};
+
+/**
+ * Tells whether decontamination options enable any step.
+ * @param {object | null} [decontamination] - Decontamination options (see `DEFAULT_DECONTAMINATION_OPTIONS`).
+ * @returns {boolean} True if at least one step is enabled.
+ */
+export const hasDecontaminationSteps = (decontamination) =>
+    Boolean(decontamination && (decontamination.decontaminateEdges || decontamination.spillSuppression));
+
+const gradientColor = { r: 0, g: 0, b: 0 }; // Reused per pixel
+
+/**
+ * Picks the background color a pixel was most likely mixed with: the model color closest to it, counting the
+ * gradient's color at the pixel as one more candidate.
+ * @returns {{r: number, g: number, b: number}} The background color.
+ */
+const nearestBackgroundColor = (r, g, b, background, x, y) => {
+    let nearest = null;
+    let nearestDistance = Infinity;
+    const consider = (color) => {
+        const distance = (r - color.r) * (r - color.r) + (g - color.g) * (g - color.g) + (b - color.b) * (b - color.b);
+        if (distance < nearestDistance) {
+            nearest = color;
+            nearestDistance = distance;
+        }
+    };
+    background.colors.forEach(consider);
+    if (background.gradient) {
+        consider(evaluateBackgroundGradient(background.gradient, x, y, gradientColor));
+    }
+    return nearest;
+};
+
+/**
+ * Estimates the subject color of a pixel observed as `coverage * subject + (1 - coverage) * background`.
+ * Solving for the subject gives `background + (observed - background) / coverage`. When the mask's coverage does not
+ * fit the observed color, that lands outside the RGB cube; the step away from the background is then shortened to
+ * stay inside, which keeps the hue rather than clipping channels one by one.
+ * @param {Uint8ClampedArray} data - The RGBA pixel data, modified in place.
+ * @param {number} offset - Index of the pixel's red channel in `data`.
+ * @param {{r: number, g: number, b: number}} backgroundColor - The color the pixel was mixed with.
+ * @param {number} coverage - The subject's share of the pixel, above 0 and below 1.
+ */
+function unmixBackgroundColor(data, offset, backgroundColor, coverage) {
+    const background = [backgroundColor.r, backgroundColor.g, backgroundColor.b];
+    let gain = 1 / coverage;
+    for (let c = 0; c < 3; c++) {
+        const difference = data[offset + c] - background[c];
+        if (difference > 0) {
+            gain = Math.min(gain, (255 - background[c]) / difference);
+        } else if (difference < 0) {
+            gain = Math.min(gain, background[c] / -difference);
+        }
+    }
+    for (let c = 0; c < 3; c++) {
+        data[offset + c] = Math.round(background[c] + (data[offset + c] - background[c]) * gain);
+    }
+}
+
+/**
+ * Limits one channel of a pixel to the larger of the other two. Also the despill of the chroma key algorithm.
+ * @param {Uint8ClampedArray} data - The RGBA pixel data, modified in place.
+ * @param {number} offset - Index of the pixel's red channel in `data`.
+ * @param {string} spillColor - One of `SPILL_COLORS`.
+ * @param {number} strength - How much of the excess is removed, from 0 to 1.
+ */
+export function suppressSpill(data, offset, spillColor, strength) {
+    const channel = offset + (spillColor === SPILL_COLORS.GREEN ? 1 : 2);
+    const limit = spillColor === SPILL_COLORS.GREEN
+        ? Math.max(data[offset], data[offset + 2])
+        : Math.max(data[offset], data[offset + 1]);
+    if (data[channel] > limit) {
+        data[channel] = Math.round(data[channel] - (data[channel] - limit) * strength);
+    }
+}
+
+/**
+ * Decontaminates edge colors and suppresses spill in place, on the final mask of a background removal.
+ * A pixel's coverage is its alpha relative to its alpha before removal, so pixels that were already
+ * semi-transparent in the input are only unmixed by the share the removal took away.
+ * @param {ImageData} imageData - The processed pixels to modify.
+ * @param {{colors: Array<{r: number, g: number, b: number}>, gradient: object | null}} background - The background
+ *        model the pixels were mixed with (see `buildBackgroundModel`), offset to the pixels' first row.
+ * @param {object} decontamination - Decontamination options (see `DEFAULT_DECONTAMINATION_OPTIONS`).
+ * @param {Uint8Array | null} [sourceAlpha=null] - The alpha before removal, one value per pixel; opaque if null.
+ * @param {AbortSignal} [signal] - Optional signal checked between rows.
+ */
+export function decontaminateColors(imageData, background, decontamination, sourceAlpha = null, signal = undefined) {
+    const { decontaminateEdges, spillSuppression, spillStrength } = { ...DEFAULT_DECONTAMINATION_OPTIONS, ...decontamination };
+    const { width, height, data } = imageData;
+    const strength = Math.min(1, Math.max(0, spillStrength));
+
+    for (let y = 0; y < height; y++) {
+        if (y % 64 === 0) throwIfAborted(signal);
+        for (let x = 0; x < width; x++) {
+            const p = y * width + x;
+            const offset = p * 4;
+            const alpha = data[offset + 3];
+            if (alpha === 0) continue;
+            const originalAlpha = sourceAlpha ? sourceAlpha[p] : 255;
+            if (decontaminateEdges && alpha < originalAlpha) {
+                const backgroundColor = nearestBackgroundColor(data[offset], data[offset + 1], data[offset + 2], background, x, y);
+                unmixBackgroundColor(data, offset, backgroundColor, alpha / originalAlpha);
+            }
+            if (spillSuppression) {
+                suppressSpill(data, offset, spillSuppression, strength);
+            }
+        }
+    }
+}
@@ -0,0 +1,47 @@
+// src/utils/errorMessages.js
+
+/**
+ * @file User-facing wording for errors. Validation errors are described from their code and params,
+ * so the wording can change without touching the code that raises them.
+ */
+
+import { VALIDATION_ERROR_CODES } from "./validation";
+
+const formatMegabytes = (bytes) => `${(bytes / 1024 / 1024).toFixed(bytes % (1024 * 1024) === 0 ? 0 : 2)}MB`;
+
+const TYPE_NAMES = { "image/jpeg": "JPEG", "image/jpg": "JPEG", "image/png": "PNG", "image/webp": "WebP" };
+
+const formatTypeList = (types) => {
+    const names = [...new Set(types.map((type) => TYPE_NAMES[type] || type))];
+    return names.length > 1 ? `${names.slice(0, -1).join(", ")} or ${names[names.length - 1]}` : names[0];
+};
+
+const VALIDATION_MESSAGES = {
+    [VALIDATION_ERROR_CODES.NO_FILE]: () => "No image selected.",
+    [VALIDATION_ERROR_CODES.UNSUPPORTED_TYPE]: ({ type, allowedTypes }) =>
+        `Unsupported file type${type ? ` "${type}"` : ""}. Please upload a ${formatTypeList(allowedTypes)} image.`,
+    [VALIDATION_ERROR_CODES.FILE_TOO_LARGE]: ({ size, maxFileSizeBytes }) =>
+        `File is too large (${formatMegabytes(size)}). The maximum size is ${formatMegabytes(maxFileSizeBytes)}.`,
+    [VALIDATION_ERROR_CODES.DECODE_FAILED]: () =>
+        "The image could not be read. The file might be corrupt or in a format your browser cannot decode.",
+    [VALIDATION_ERROR_CODES.DIMENSION_EXCEEDED]: ({ width, height, maxDimension }) =>
+        `Image dimensions (${width}x${height}px) are too large. The maximum width or height is ${maxDimension}px. Please use a smaller image.`,
+    [VALIDATION_ERROR_CODES.PIXEL_BUDGET_EXCEEDED]: ({ width, height, totalPixels, maxTotalPixels }) =>
+        `Image resolution (${width}x${height}px = ${totalPixels.toLocaleString()} pixels) is too high for browser processing. The maximum is ${maxTotalPixels.toLocaleString()} pixels.`,
+    [VALIDATION_ERROR_CODES.MASK_SIZE_MISMATCH]: ({ maskWidth, maskHeight, width, height }) =>
+        `The mask (${maskWidth}x${maskHeight}px) does not have the proportions of the image (${width}x${height}px), so it cannot be resized to fit.`,
+};
+
+/**
+ * Returns the message to show the user for an error.
+ * @param {Error} error - The error.
+ * @param {string} [fallback] - Message for errors without a message of their own.
+ * @returns {string} The message.
+ */
+export function getErrorMessage(error, fallback = "An unknown error occurred during image processing.") {
+    const describeValidationError = error && VALIDATION_MESSAGES[error.code];
+    if (describeValidationError) {
+        return describeValidationError(error.params || {});
+    }
+    return (error && error.message) || fallback;
+}
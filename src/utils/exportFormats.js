@@ -0,0 +1,128 @@
+// src/utils/exportFormats.js
+
+/**
+ * @file Encodes a background removal result into the supported download formats.
+ */
+
+import { DEFAULT_OUTPUT_MIME_TYPE, DEFAULT_OUTPUT_QUALITY, loadImageElement } from "./imageProcessing";
+import { getProcessedFileName } from "./fileNames";
+
+export const EXPORT_FORMATS = {
+    PNG: "png",
+    WEBP: "webp",
+    JPEG: "jpeg",
+    MASK: "mask",
+};
+
+/**
+ * Per-format encoding details. `fileSuffix` names what the file contains (see `getProcessedFileName`).
+ */
+export const EXPORT_FORMAT_DETAILS = {
+    [EXPORT_FORMATS.PNG]: { label: "PNG", description: "Lossless, keeps transparency.", mimeType: DEFAULT_OUTPUT_MIME_TYPE, extension: "png", fileSuffix: "no-bg", hasQuality: false },
+    [EXPORT_FORMATS.WEBP]: { label: "WebP", description: "Smaller files, keeps transparency.", mimeType: "image/webp", extension: "webp", fileSuffix: "no-bg", hasQuality: true },
+    [EXPORT_FORMATS.JPEG]: { label: "JPEG", description: "No transparency; flattened onto a matte color.", mimeType: "image/jpeg", extension: "jpg", fileSuffix: "no-bg", hasQuality: true },
+    [EXPORT_FORMATS.MASK]: { label: "Mask", description: "Grayscale PNG of the transparency: white is kept, black is removed.", mimeType: DEFAULT_OUTPUT_MIME_TYPE, extension: "png", fileSuffix: "mask", hasQuality: false },
+};
+
+export const DEFAULT_EXPORT_SETTINGS = {
+    format: EXPORT_FORMATS.PNG,
+    quality: DEFAULT_OUTPUT_QUALITY, // 0-1, used by WebP and JPEG
+    matteColor: "#ffffff", // Used by JPEG
+};
+
+/**
+ * Returns the download file name for an export.
+ * @param {string} originalFileName - The name of the uploaded file.
+ * @param {string} format - One of `EXPORT_FORMATS`.
+ * @returns {string} The file name, e.g. "shoe-no-bg.webp" or "shoe-mask.png".
+ */
+export function getExportFileName(originalFileName, format) {
+    const { extension, fileSuffix } = EXPORT_FORMAT_DETAILS[format];
+    return getProcessedFileName(originalFileName, extension, fileSuffix);
+}
+
+/**
+ * Replaces every pixel with its alpha value as an opaque gray level, in place.
+ * @param {ImageData} imageData - The ImageData object to modify.
+ */
+export function convertAlphaToGrayscaleMask(imageData) {
+    const data = imageData.data;
+    for (let i = 0; i < data.length; i += 4) {
+        const alpha = data[i + 3];
+        data[i] = alpha;
+        data[i + 1] = alpha;
+        data[i + 2] = alpha;
+        data[i + 3] = 255;
+    }
+}
+
+/**
+ * Formats a byte count for display, e.g. "1.4 MB".
+ * @param {number} bytes - The size in bytes.
+ * @returns {string} The formatted size.
+ */
+export function formatFileSize(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / 1024 / 1024).toFixed(2)} MB`;
+}
+
+/**
+ * Encodes a canvas with `canvas.toBlob`.
+ * @param {HTMLCanvasElement} canvas - The canvas to encode.
+ * @param {string} mimeType - The output MIME type.
+ * @param {number} [quality] - 0-1, for lossy formats.
+ * @returns {Promise<Blob>} A promise that resolves to the encoded file.
+ * @throws {Error} If encoding fails or the browser does not support the format.
+ */
+export function canvasToBlob(canvas, mimeType, quality) {
+    return new Promise((resolve, reject) => {
+        canvas.toBlob((blob) => {
+            if (!blob) {
+                reject(new Error("Failed to encode the image."));
+            } else if (blob.type !== mimeType) {
+                // Browsers silently fall back to PNG for formats they cannot encode.
+                reject(new Error(`Your browser cannot save ${mimeType} images. Please choose another format.`));
+            } else {
+                resolve(blob);
+            }
+        }, mimeType, quality);
+    });
+}
+
+/**
+ * Encodes an image in one of the export formats.
+ * @param {string} imageUrl - Data URL of the image to export (the transparent result, possibly composited).
+ * @param {object} [settings] - Export settings (see `DEFAULT_EXPORT_SETTINGS`).
+ * @returns {Promise<Blob>} A promise that resolves to the encoded file.
+ */
+export async function encodeExport(imageUrl, settings = DEFAULT_EXPORT_SETTINGS) {
+    const { format, quality, matteColor } = { ...DEFAULT_EXPORT_SETTINGS, ...settings };
+    const details = EXPORT_FORMAT_DETAILS[format];
+    if (!details) {
+        throw new Error(`Unknown export format "${format}".`);
+    }
+
+    const img = await loadImageElement(imageUrl);
+    const canvas = document.createElement("canvas");
+    canvas.width = img.naturalWidth;
+    canvas.height = img.naturalHeight;
+    const ctx = canvas.getContext("2d", { willReadFrequently: format === EXPORT_FORMATS.MASK });
+    if (!ctx) {
+        throw new Error("Failed to get canvas 2D context. Your browser may not support it.");
+    }
+
+    if (format === EXPORT_FORMATS.JPEG) {
+        ctx.fillStyle = matteColor;
+        ctx.fillRect(0, 0, canvas.width, canvas.height);
+    }
+    ctx.drawImage(img, 0, 0);
+
+    if (format === EXPORT_FORMATS.MASK) {
+        const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
+        convertAlphaToGrayscaleMask(imageData);
+        ctx.putImageData(imageData, 0, 0);
+    }
+
+    return canvasToBlob(canvas, details.mimeType, details.hasQuality ? quality : undefined);
+}
@@ -0,0 +1,233 @@
+// src/utils/exportPresets.js
+
+/**
+ * @file Export presets: fixed-size canvases with a background fill, the subject scaled to a share of the
+ * frame, and a file size budget met by stepping down the encoding quality. Built-in presets ship with the
+ * app; user presets are saved in localStorage.
+ */
+
+import { computeAlphaBoundingBox } from "./autoCrop";
+import { EXPORT_FORMATS, EXPORT_FORMAT_DETAILS, canvasToBlob } from "./exportFormats";
+import { getProcessedFileName } from "./fileNames";
+import { DEFAULT_OUTPUT_QUALITY, loadImageElement } from "./imageProcessing";
+
+export const SUBJECT_ALIGNMENTS = {
+    CENTER: "center",
+    BOTTOM: "bottom", // Subject rests on the bottom margin, e.g. for products shot standing up
+};
+
+export const PRESET_FORMATS = [EXPORT_FORMATS.JPEG, EXPORT_FORMATS.WEBP, EXPORT_FORMATS.PNG];
+
+const USER_PRESETS_STORAGE_KEY = "backgroundRemover.exportPresets";
+const MIN_BUDGET_QUALITY = 0.4; // Below this, lossy artifacts are more of a problem than the file size
+const QUALITY_STEP = 0.06;
+const MAX_PRESET_SIDE = 8000;
+
+/**
+ * A preset is `{ id, name, width, height, backgroundColor, subjectFill, alignment, format, maxBytes, builtIn? }`:
+ * - `backgroundColor`: CSS color of the canvas, or null for transparent (not possible with JPEG).
+ * - `subjectFill`: 0-1, the share of the canvas width/height the subject's bounding box may take up.
+ * - `format`: one of `PRESET_FORMATS`.
+ * - `maxBytes`: file size budget, or null for none.
+ */
+export const BUILT_IN_PRESETS = [
+    {
+        id: "builtin-square-1000-white",
+        name: "Marketplace square 1000 × 1000, white",
+        width: 1000,
+        height: 1000,
+        backgroundColor: "#ffffff",
+        subjectFill: 0.85,
+        alignment: SUBJECT_ALIGNMENTS.CENTER,
+        format: EXPORT_FORMATS.JPEG,
+        maxBytes: 1024 * 1024,
+        builtIn: true,
+    },
+    {
+        id: "builtin-square-2000-white",
+        name: "Zoomable square 2000 × 2000, white",
+        width: 2000,
+        height: 2000,
+        backgroundColor: "#ffffff",
+        subjectFill: 0.85,
+        alignment: SUBJECT_ALIGNMENTS.CENTER,
+        format: EXPORT_FORMATS.JPEG,
+        maxBytes: 5 * 1024 * 1024,
+        builtIn: true,
+    },
+    {
+        id: "builtin-portrait-1080x1350",
+        name: "Social portrait 1080 × 1350, light gray",
+        width: 1080,
+        height: 1350,
+        backgroundColor: "#f3f4f6",
+        subjectFill: 0.8,
+        alignment: SUBJECT_ALIGNMENTS.BOTTOM,
+        format: EXPORT_FORMATS.JPEG,
+        maxBytes: 1024 * 1024,
+        builtIn: true,
+    },
+    {
+        id: "builtin-transparent-1200-webp",
+        name: "Transparent WebP 1200 × 1200",
+        width: 1200,
+        height: 1200,
+        backgroundColor: null,
+        subjectFill: 0.9,
+        alignment: SUBJECT_ALIGNMENTS.CENTER,
+        format: EXPORT_FORMATS.WEBP,
+        maxBytes: 500 * 1024,
+        builtIn: true,
+    },
+];
+
+/**
+ * Normalizes a preset: clamps numbers to their ranges and replaces invalid choices with defaults.
+ * JPEG presets always get a background color, as JPEG has no transparency.
+ * @param {object} preset - The preset to normalize.
+ * @returns {object} The normalized preset.
+ */
+export function normalizePreset(preset) {
+    const clampInt = (value, min, max, fallback) => {
+        const number = Math.round(Number(value));
+        return Number.isFinite(number) ? Math.min(max, Math.max(min, number)) : fallback;
+    };
+    const format = PRESET_FORMATS.includes(preset.format) ? preset.format : EXPORT_FORMATS.JPEG;
+    const subjectFill = Number(preset.subjectFill);
+    const maxBytes = Number(preset.maxBytes);
+    return {
+        ...preset,
+        name: String(preset.name || "").trim() || "Untitled preset",
+        width: clampInt(preset.width, 1, MAX_PRESET_SIDE, 1000),
+        height: clampInt(preset.height, 1, MAX_PRESET_SIDE, 1000),
+        backgroundColor: preset.backgroundColor || (format === EXPORT_FORMATS.JPEG ? "#ffffff" : null),
+        subjectFill: Number.isFinite(subjectFill) ? Math.min(1, Math.max(0.05, subjectFill)) : 0.85,
+        alignment: Object.values(SUBJECT_ALIGNMENTS).includes(preset.alignment) ? preset.alignment : SUBJECT_ALIGNMENTS.CENTER,
+        format,
+        maxBytes: maxBytes > 0 ? Math.round(maxBytes) : null,
+    };
+}
+
+/**
+ * Reads the user's saved presets.
+ * @returns {object[]} The presets, or an empty array if none are saved or storage is unavailable.
+ */
+export function loadUserPresets() {
+    try {
+        const stored = JSON.parse(window.localStorage.getItem(USER_PRESETS_STORAGE_KEY) || "[]");
+        return Array.isArray(stored) ? stored.map((preset) => normalizePreset({ ...preset, builtIn: false })) : [];
+    } catch (storageError) {
+        console.warn("Could not read saved export presets:", storageError);
+        return [];
+    }
+}
+
+/**
+ * Saves the user's presets, replacing the stored list.
+ * @param {object[]} presets - The user presets.
+ * @throws {Error} If storage is unavailable or full.
+ */
+export function saveUserPresets(presets) {
+    try {
+        window.localStorage.setItem(USER_PRESETS_STORAGE_KEY, JSON.stringify(presets));
+    } catch (storageError) {
+        throw new Error("Could not save the preset. Your browser may block or have filled up local storage.");
+    }
+}
+
+/**
+ * Computes where to draw the subject inside a preset's canvas.
+ * @param {{x: number, y: number, width: number, height: number}} subjectBox - The subject's bounding box in the source image.
+ * @param {object} preset - A normalized preset.
+ * @returns {{x: number, y: number, width: number, height: number}} The destination rectangle on the preset canvas.
+ */
+export function computeSubjectPlacement(subjectBox, preset) {
+    const scale = Math.min((preset.width * preset.subjectFill) / subjectBox.width, (preset.height * preset.subjectFill) / subjectBox.height);
+    const width = subjectBox.width * scale;
+    const height = subjectBox.height * scale;
+    const x = (preset.width - width) / 2;
+    const y = preset.alignment === SUBJECT_ALIGNMENTS.BOTTOM
+        ? preset.height - height - (preset.height * (1 - preset.subjectFill)) / 2 // Same margin as a centered subject would have
+        : (preset.height - height) / 2;
+    return { x, y, width, height };
+}
+
+/**
+ * Returns the download file name for an image exported with a preset, e.g. "shoe-no-bg-1000x1000.jpg".
+ * @param {string} originalFileName - The name of the uploaded file.
+ * @param {object} preset - The preset.
+ * @returns {string} The file name.
+ */
+export function getPresetFileName(originalFileName, preset) {
+    return getProcessedFileName(originalFileName, EXPORT_FORMAT_DETAILS[preset.format].extension, `no-bg-${preset.width}x${preset.height}`);
+}
+
+/**
+ * Encodes a canvas within a byte budget. Lossy formats start at the default quality and step down
+ * until the file fits; PNG is encoded once.
+ * @param {HTMLCanvasElement} canvas - The canvas to encode.
+ * @param {string} format - One of `PRESET_FORMATS`.
+ * @param {number | null} maxBytes - The budget, or null for none.
+ * @returns {Promise<{blob: Blob, quality: number | null}>} The file and the quality it was encoded with.
+ * @throws {Error} If the file cannot be brought within the budget.
+ */
+export async function encodeWithinBudget(canvas, format, maxBytes) {
+    const { mimeType, hasQuality } = EXPORT_FORMAT_DETAILS[format];
+    if (!hasQuality) {
+        const blob = await canvasToBlob(canvas, mimeType);
+        if (maxBytes && blob.size > maxBytes) {
+            throw new Error(`The PNG is ${Math.ceil(blob.size / 1024)} KB, over the ${Math.floor(maxBytes / 1024)} KB budget. Use JPEG or WebP for this preset.`);
+        }
+        return { blob, quality: null };
+    }
+
+    for (let quality = DEFAULT_OUTPUT_QUALITY; quality >= MIN_BUDGET_QUALITY - 1e-9; quality -= QUALITY_STEP) {
+        const roundedQuality = Math.round(quality * 100) / 100;
+        const blob = await canvasToBlob(canvas, mimeType, roundedQuality);
+        if (!maxBytes || blob.size <= maxBytes) {
+            return { blob, quality: roundedQuality };
+        }
+    }
+    throw new Error(`The image does not fit in ${Math.floor(maxBytes / 1024)} KB even at ${Math.round(MIN_BUDGET_QUALITY * 100)}% quality. Raise the budget or reduce the canvas size.`);
+}
+
+/**
+ * Renders a transparent background removal result onto a preset's canvas and encodes it within the budget.
+ * @param {string} imageUrl - Data URL of the transparent result.
+ * @param {object} preset - The preset.
+ * @returns {Promise<{blob: Blob, quality: number | null}>} The file and the quality it was encoded with.
+ * @throws {Error} If the image has no visible subject or does not fit the budget.
+ */
+export async function applyExportPreset(imageUrl, preset) {
+    const normalizedPreset = normalizePreset(preset);
+    const img = await loadImageElement(imageUrl);
+
+    const canvas = document.createElement("canvas");
+    canvas.width = img.naturalWidth;
+    canvas.height = img.naturalHeight;
+    const ctx = canvas.getContext("2d", { willReadFrequently: true });
+    if (!ctx) {
+        throw new Error("Failed to get canvas 2D context. Your browser may not support it.");
+    }
+    ctx.drawImage(img, 0, 0);
+    const subjectBox = computeAlphaBoundingBox(ctx.getImageData(0, 0, canvas.width, canvas.height));
+    if (!subjectBox) {
+        throw new Error("The image is fully transparent, so there is no subject to place.");
+    }
+
+    canvas.width = normalizedPreset.width;
+    canvas.height = normalizedPreset.height;
+    ctx.imageSmoothingQuality = "high";
+    if (normalizedPreset.backgroundColor) {
+        ctx.fillStyle = normalizedPreset.backgroundColor;
+        ctx.fillRect(0, 0, canvas.width, canvas.height);
+    }
+    const placement = computeSubjectPlacement(subjectBox, normalizedPreset);
+    ctx.drawImage(
+        img,
+        subjectBox.x, subjectBox.y, subjectBox.width, subjectBox.height,
+        placement.x, placement.y, placement.width, placement.height,
+    );
+
+    return encodeWithinBudget(canvas, normalizedPreset.format, normalizedPreset.maxBytes);
+}
@@ -0,0 +1,44 @@
+// src/utils/fileNames.js
+
+/**
+ * @file Helpers for naming downloaded files.
+ */
+
+/**
+ * Builds the download name of a processed image: the original name without its extension,
+ * followed by a suffix (`-no-bg` by default).
+ * @param {string} [originalFileName] - The name of the uploaded file.
+ * @param {string} [extension="png"] - The extension of the output file, without the dot.
+ * @param {string} [suffix="no-bg"] - What the output is, appended to the name after a dash.
+ * @returns {string} The file name, e.g. "shoe-no-bg.png". Falls back to "processed-image.<ext>".
+ */
+export function getProcessedFileName(originalFileName, extension = "png", suffix = "no-bg") {
+    if (!originalFileName) {
+        return `processed-image.${extension}`;
+    }
+    const nameParts = originalFileName.split(".");
+    if (nameParts.length > 1) nameParts.pop(); // Remove original extension
+    const name = nameParts.join(".");
+    return `${name}-${suffix}.${extension}`;
+}
+
+/**
+ * Returns `fileName`, or a numbered variant of it ("shoe-no-bg-2.png", "shoe-no-bg-3.png", ...) if it is
+ * already taken, and records the returned name as used. Names are compared case-insensitively so the
+ * result also extracts cleanly on case-insensitive file systems.
+ * @param {string} fileName - The preferred file name.
+ * @param {Set<string>} usedNames - Lower-cased names already taken. Updated in place.
+ * @returns {string} A file name not yet in `usedNames`.
+ */
+export function makeUniqueFileName(fileName, usedNames) {
+    const extensionIndex = fileName.lastIndexOf(".");
+    const baseName = extensionIndex > 0 ? fileName.slice(0, extensionIndex) : fileName;
+    const extension = extensionIndex > 0 ? fileName.slice(extensionIndex) : "";
+
+    let candidate = fileName;
+    for (let counter = 2; usedNames.has(candidate.toLowerCase()); counter++) {
+        candidate = `${baseName}-${counter}${extension}`;
+    }
+    usedNames.add(candidate.toLowerCase());
+    return candidate;
+}
@@ -3,49 +3,19 @@
 /**
  * @file Contains utility functions for client-side image processing using the Canvas API.
  * These functions include color detection, alpha channel manipulation, basic edge detection,
- * image validation, and preprocessing steps like resizing.
+ * and preprocessing steps like resizing. Validation rules live in `./validation`.
  */
 
-// --- Constants for validation and resizing ---
+import { COLOR_DISTANCE_METRICS, calculateColorDistance, measureColorDistance } from "./colorDistance";
+import { BACKGROUND_MODELS, evaluateBackgroundGradient } from "./backgroundModel";
+import { ImageValidationError, VALIDATION_ERROR_CODES, getValidationPolicy, validateFile } from "./validation";
+
+// --- Constants for resizing ---
 export const MAX_PROCESSING_DIMENSION_SIDE = 4000; // Max width or height for an image to be processed directly or resized to.
-export const MAX_FILE_SIZE_BYTES = 15 * 1024 * 1024; // 15MB
-export const VALID_IMAGE_TYPES = ["image/jpeg", "image/png", "image/webp", "image/jpg"];
 export const DEFAULT_OUTPUT_MIME_TYPE = "image/png"; // Ensures transparency support after processing.
 export const DEFAULT_OUTPUT_QUALITY = 0.92; // For lossy formats like JPEG/WebP.
 
-// --- NEW VALIDATION AND PREPROCESSING FUNCTIONS ---
-
-/**
- * Validates an image file based on its type and size.
- * @param {File} file - The image file to validate.
- * @param {object} [options] - Validation options.
- * @param {number} [options.maxFileSize=MAX_FILE_SIZE_BYTES] - Maximum allowed file size in bytes.
- * @param {string[]} [options.allowedTypes=VALID_IMAGE_TYPES] - Array of allowed MIME types.
- * @throws {Error} If validation fails.
- * @returns {true} If validation passes.
- */
-export function validateImageFile(file, options = {}) {
-    const {
-        maxFileSize = MAX_FILE_SIZE_BYTES,
-        allowedTypes = VALID_IMAGE_TYPES
-    } = options;
-
-    if (!file) {
-        throw new Error("No file provided for validation.");
-    }
-    if (!(file instanceof File)) {
-        throw new Error("Invalid input: Expected a File object.");
-    }
-    if (!allowedTypes.includes(file.type)) {
-        throw new Error(`Invalid file type: "${file.type}". Allowed types: ${allowedTypes.join(", ")}.`);
-    }
-    if (file.size > maxFileSize) {
-        const fileSizeMB = (file.size / 1024 / 1024).toFixed(2);
-        const maxFileSizeMB = (maxFileSize / 1024 / 1024).toFixed(2);
-        throw new Error(`File is too large (${fileSizeMB}MB). Maximum allowed size is ${maxFileSizeMB}MB.`);
-    }
-    return true;
-}
+// --- PREPROCESSING FUNCTIONS ---
 
 /**
  * Loads a File object or a data/object URL into an HTMLImageElement.
@@ -66,7 +36,7 @@ export function loadImageElement(fileOrUrl) {
         img.onload = () => resolve(img);
         img.onerror = (err) => {
             console.error("Image loading error:", err, img.src.substring(0,100)); // Log part of src for debugging
-            reject(new Error("Failed to load image. It might be corrupt, an unsupported format, or a network issue if URL."));
+            reject(new ImageValidationError(VALIDATION_ERROR_CODES.DECODE_FAILED));
         };
         
         if (typeof fileOrUrl === "string") {
@@ -95,8 +65,8 @@ export function loadImageElement(fileOrUrl) {
  * Preprocesses an image file: validates, loads, and resizes if necessary.
  * @param {File} file - The image File object to process.
  * @param {object} [options] - Preprocessing options.
- * @param {number} [options.maxFileSize=MAX_FILE_SIZE_BYTES] - Max file size for initial validation.
- * @param {string[]} [options.allowedTypes=VALID_IMAGE_TYPES] - Allowed MIME types for validation.
+ * @param {object} [options.policy] - Validation policy for the file's type and size. Defaults to `getValidationPolicy()`.
+ * @param {boolean} [options.tiled=false] - Whether the file may be processed in strips, which allows larger files.
  * @param {number} [options.targetMaxSide=MAX_PROCESSING_DIMENSION_SIDE] - Target maximum side length (width or height) for resizing.
  * @param {string} [options.outputMimeType=DEFAULT_OUTPUT_MIME_TYPE] - Desired output MIME type (e.g., "image/png", "image/jpeg").
  * @param {number} [options.outputQuality=DEFAULT_OUTPUT_QUALITY] - Quality for lossy formats (0.0 to 1.0).
@@ -106,15 +76,15 @@ export function loadImageElement(fileOrUrl) {
  */
 export async function ensureProcessableImage(file, options = {}) {
     const {
-        maxFileSize = MAX_FILE_SIZE_BYTES,
-        allowedTypes = VALID_IMAGE_TYPES,
+        policy = getValidationPolicy(),
+        tiled = false,
         targetMaxSide = MAX_PROCESSING_DIMENSION_SIDE,
         outputMimeType = DEFAULT_OUTPUT_MIME_TYPE,
         outputQuality = DEFAULT_OUTPUT_QUALITY
     } = options;
 
     // 1. Synchronous file validation (type, size)
-    validateImageFile(file, { maxFileSize, allowedTypes }); // Throws on error
+    validateFile(file, policy, { tiled }); // Throws on error
 
     // 2. Load image to get actual dimensions
     const imageElement = await loadImageElement(file);
@@ -122,7 +92,7 @@ export async function ensureProcessableImage(file, options = {}) {
     const originalHeight = imageElement.naturalHeight;
 
     if (originalWidth === 0 || originalHeight === 0) {
-        throw new Error("Image has zero dimensions and cannot be processed.");
+        throw new ImageValidationError(VALIDATION_ERROR_CODES.DECODE_FAILED);
     }
 
     // 3. Determine if resize is needed
@@ -184,20 +154,29 @@ export async function ensureProcessableImage(file, options = {}) {
 }
 
 
+/**
+ * Throws an `AbortError` DOMException if the given signal has been aborted.
+ * Long-running pixel loops call this at stage boundaries and periodically inside the loop.
+ * @param {AbortSignal} [signal] - The signal to check. Does nothing if omitted.
+ * @throws {DOMException} An error named "AbortError" if the signal is aborted.
+ */
+export function throwIfAborted(signal) {
+    if (signal && signal.aborted) {
+        throw new DOMException("Background removal was cancelled.", "AbortError");
+    }
+}
+
 // --- EXISTING PIXEL MANIPULATION FUNCTIONS ---
 
 /**
  * Calculates the Euclidean distance between two RGB colors.
+ * For the perceptual metrics see `calculateColorDistance` in colorDistance.js.
  * @param {{r: number, g: number, b: number}} color1 - The first color {r, g, b} (0-255).
  * @param {{r: number, g: number, b: number}} color2 - The second color {r, g, b} (0-255).
  * @returns {number} The distance between the two colors.
  */
 export function calculateRgbDistance(color1, color2) {
-    return Math.sqrt(
-        Math.pow(color1.r - color2.r, 2) +
-        Math.pow(color1.g - color2.g, 2) +
-        Math.pow(color1.b - color2.b, 2)
-    );
+    return calculateColorDistance(color1, color2, COLOR_DISTANCE_METRICS.RGB);
 }
 
 /**
@@ -230,6 +209,106 @@ export function setPixelAlpha(imageData, pixelStartIndex, alphaValue) {
     }
 }
 
+/**
+ * Maps a color distance to an alpha value using an inner/outer tolerance pair.
+ * Distances at or below `innerTolerance` are fully transparent, distances at or above
+ * `outerTolerance` are fully opaque, and distances in between get a proportional alpha.
+ * When both tolerances are equal this is a binary cutoff.
+ * @param {number} distance - The color distance of the pixel from the background color.
+ * @param {number} innerTolerance - Distance up to which the pixel is fully transparent.
+ * @param {number} [outerTolerance=innerTolerance] - Distance from which the pixel is fully opaque.
+ * @returns {number} The alpha value (0-255) for the pixel.
+ */
+export function computeRampAlpha(distance, innerTolerance, outerTolerance = innerTolerance) {
+    if (distance <= innerTolerance) {
+        return 0;
+    }
+    if (distance >= outerTolerance) {
+        return 255;
+    }
+    return Math.round(((distance - innerTolerance) / (outerTolerance - innerTolerance)) * 255);
+}
+
+/**
+ * Returns the eight border points (corners and edge midpoints) commonly used to estimate the background color.
+ * @param {number} width - The width of the image.
+ * @param {number} height - The height of the image.
+ * @returns {Array<[number, number]>} The [x, y] sample points.
+ */
+export function getBorderSamplePoints(width, height) {
+    return [
+        [0, 0], [width - 1, 0],
+        [0, height - 1], [width - 1, height - 1],
+        [Math.floor(width / 2), 0], [Math.floor(width / 2), height - 1],
+        [0, Math.floor(height / 2)], [width - 1, Math.floor(height / 2)],
+    ];
+}
+
+/**
+ * Where the background color is sampled (and flood fills are seeded) when no key colors are picked.
+ */
+export const SAMPLING_STRATEGIES = {
+    EDGE_POINTS: "edgePoints", // The eight points of `getBorderSamplePoints`
+    CORNERS: "corners",
+    BORDER_STRIP: "borderStrip", // Pixels within `stripWidth` of the border
+    CUSTOM: "custom", // User-placed `points`
+};
+
+/**
+ * Default sampling settings. `points` are `[x, y]` fractions (0-1) of the image width and height,
+ * so custom points fit any image size, including downscaled previews. `model` is how the samples become
+ * backdrop colors (see `BACKGROUND_MODELS`), and `clusterCount` the maximum number of colors of the cluster model.
+ */
+export const DEFAULT_SAMPLING = {
+    strategy: SAMPLING_STRATEGIES.EDGE_POINTS,
+    stripWidth: 4,
+    points: [],
+    model: BACKGROUND_MODELS.AVERAGE,
+    clusterCount: 3,
+};
+
+const MAX_STRIP_SAMPLES = 20000; // Larger strips are sampled with a stride along the border
+
+/**
+ * Returns the background sample points for a sampling strategy.
+ * Falls back to the eight edge points for the custom strategy when no points are placed.
+ * @param {number} width - The width of the image.
+ * @param {number} height - The height of the image.
+ * @param {object} [sampling] - Sampling settings (see `DEFAULT_SAMPLING`).
+ * @returns {Array<[number, number]>} The [x, y] sample points, in image pixels.
+ */
+export function getSamplePoints(width, height, sampling = DEFAULT_SAMPLING) {
+    const { strategy, stripWidth, points } = { ...DEFAULT_SAMPLING, ...sampling };
+    switch (strategy) {
+        case SAMPLING_STRATEGIES.CORNERS:
+            return [[0, 0], [width - 1, 0], [0, height - 1], [width - 1, height - 1]];
+        case SAMPLING_STRATEGIES.BORDER_STRIP: {
+            const depth = Math.max(1, Math.min(Math.round(stripWidth), Math.floor(width / 2), Math.floor(height / 2)));
+            const stride = Math.max(1, Math.ceil((2 * (width + height) * depth) / MAX_STRIP_SAMPLES));
+            const stripPoints = [];
+            for (let d = 0; d < depth; d++) {
+                for (let x = d; x < width - d; x += stride) {
+                    stripPoints.push([x, d], [x, height - 1 - d]);
+                }
+                for (let y = d + 1; y < height - 1 - d; y += stride) {
+                    stripPoints.push([d, y], [width - 1 - d, y]);
+                }
+            }
+            return stripPoints;
+        }
+        case SAMPLING_STRATEGIES.CUSTOM:
+            if (points && points.length > 0) {
+                return points.map(([fx, fy]) => [
+                    Math.min(width - 1, Math.floor(fx * width)),
+                    Math.min(height - 1, Math.floor(fy * height)),
+                ]);
+            }
+            return getBorderSamplePoints(width, height);
+        default:
+            return getBorderSamplePoints(width, height);
+    }
+}
+
 /**
  * Samples pixel colors from specified points in the image data and computes the average RGB color.
  * @param {ImageData} imageData - The ImageData object.
@@ -269,36 +348,68 @@ export function sampleAverageColor(imageData, width, height, samplePoints) {
     };
 }
 
+const gradientColor = { r: 0, g: 0, b: 0, metric: COLOR_DISTANCE_METRICS.RGB }; // Reused per pixel, no caches
+
 /**
- * Modifies ImageData in place, making pixels of a target color (within a tolerance) transparent.
+ * Computes the alpha of a pixel against a list of key colors: the lowest ramp alpha over all key colors
+ * (see `computeRampAlpha`), i.e. a pixel is as transparent as its best-matching key color makes it.
+ * Distances use each key color's `metric` (RGB if unset); tolerances are in that metric's units.
+ * A key color with a `gradient` (see `fitBackgroundGradient`) is compared with the color it expects at the pixel.
+ * @param {Uint8ClampedArray} data - The RGBA pixel data.
+ * @param {number} offset - Index of the pixel's red channel in `data`.
+ * @param {Array<{r: number, g: number, b: number, innerTolerance: number, outerTolerance: number, metric?: string, gradient?: object}>} keyColors
+ *        The key colors, optionally prepared with `prepareKeyColor`.
+ * @param {number} [x=0] - The pixel's column. Only used by gradient key colors.
+ * @param {number} [y=0] - The pixel's row. Only used by gradient key colors.
+ * @returns {number} The alpha value (0-255) for the pixel.
+ */
+export function keyColorAlphaAt(data, offset, keyColors, x = 0, y = 0) {
+    let alpha = 255;
+    for (let k = 0; k < keyColors.length && alpha > 0; k++) {
+        const keyColor = keyColors[k];
+        let referenceColor = keyColor;
+        if (keyColor.gradient) {
+            referenceColor = evaluateBackgroundGradient(keyColor.gradient, x, y, gradientColor);
+            gradientColor.metric = keyColor.metric;
+        }
+        const distance = measureColorDistance(data[offset], data[offset + 1], data[offset + 2], referenceColor);
+        const keyAlpha = computeRampAlpha(distance, keyColor.innerTolerance, keyColor.outerTolerance);
+        if (keyAlpha < alpha) alpha = keyAlpha;
+    }
+    return alpha;
+}
+
+/**
+ * Modifies ImageData in place, making pixels that match any of several key colors transparent.
+ * Each key color has its own inner/outer tolerance pair; a pixel gets the lowest alpha any key color gives it.
+ * Existing transparency is preserved: a pixel's alpha is only ever lowered.
  * @param {ImageData} imageData - The ImageData object to modify.
- * @param {{r: number, g: number, b: number}} targetRgb - The RGB color to target for transparency.
- * @param {number} tolerance - The acceptable color distance from targetRgb. Higher values are more lenient (e.g., 0-100).
+ * @param {Array<{r: number, g: number, b: number, innerTolerance: number, outerTolerance: number}>} keyColors - The
+ *        colors to remove. `outerTolerance` must be at least `innerTolerance`.
  * @param {function(number):void} [onProgress] - Optional callback for progress updates (percentage 0-100).
+ * @param {object} [options] - Additional options.
+ * @param {AbortSignal} [options.signal] - Optional signal that aborts the loop with an "AbortError".
  */
-export function manipulateAlphaByColorMatch(imageData, targetRgb, tolerance, onProgress) {
-    const data = imageData.data;
+export function manipulateAlphaByKeyColors(imageData, keyColors, onProgress, options = {}) {
+    const { signal } = options;
+    const { width, data } = imageData;
     const totalPixels = data.length / 4;
     let lastReportedProgress = -1; // Start at -1 to ensure 0% is reported if onProgress is provided
 
     for (let i = 0; i < data.length; i += 4) {
-        const r = data[i];
-        const g = data[i + 1];
-        const b = data[i + 2];
-
-        const distance = calculateRgbDistance({ r, g, b }, targetRgb);
+        const pixelIndex = i / 4;
+        const alpha = keyColorAlphaAt(data, i, keyColors, pixelIndex % width, Math.floor(pixelIndex / width));
 
-        if (distance <= tolerance) {
-            data[i + 3] = 0; // Make transparent
+        if (alpha < data[i + 3]) {
+            data[i + 3] = alpha; // Make (partially) transparent
         }
 
-        if (onProgress) {
-            const processedPixels = (i / 4) + 1;
-            const progress = Math.floor((processedPixels / totalPixels) * 100);
-            if (progress > lastReportedProgress) {
-                onProgress(progress);
-                lastReportedProgress = progress;
-            }
+        const processedPixels = (i / 4) + 1;
+        const progress = Math.floor((processedPixels / totalPixels) * 100);
+        if (progress > lastReportedProgress) {
+            throwIfAborted(signal); // Checked once per percent to keep the loop cheap
+            if (onProgress) onProgress(progress);
+            lastReportedProgress = progress;
         }
     }
     // Ensure 100% is reported if it wasn't hit exactly
@@ -309,6 +420,24 @@ export function manipulateAlphaByColorMatch(imageData, targetRgb, tolerance, onP
     }
 }
 
+/**
+ * Modifies ImageData in place, making pixels of a target color (within a tolerance) transparent.
+ * Pixels between `tolerance` and `options.outerTolerance` get a proportional alpha (see `computeRampAlpha`).
+ * Existing transparency is preserved: a pixel's alpha is only ever lowered.
+ * @param {ImageData} imageData - The ImageData object to modify.
+ * @param {{r: number, g: number, b: number}} targetRgb - The RGB color to target for transparency.
+ * @param {number} tolerance - The acceptable color distance from targetRgb. Higher values are more lenient (e.g., 0-100).
+ * @param {function(number):void} [onProgress] - Optional callback for progress updates (percentage 0-100).
+ * @param {object} [options] - Additional options.
+ * @param {number} [options.outerTolerance=tolerance] - Distance from which pixels stay fully opaque.
+ * @param {AbortSignal} [options.signal] - Optional signal that aborts the loop with an "AbortError".
+ */
+export function manipulateAlphaByColorMatch(imageData, targetRgb, tolerance, onProgress, options = {}) {
+    const { outerTolerance = tolerance, signal } = options;
+    const keyColor = { r: targetRgb.r, g: targetRgb.g, b: targetRgb.b, innerTolerance: tolerance, outerTolerance: Math.max(tolerance, outerTolerance) };
+    manipulateAlphaByKeyColors(imageData, [keyColor], onProgress, { signal });
+}
+
 /**
  * Converts ImageData to grayscale in place.
  * Uses the luminosity method for grayscale conversion: Gray = 0.299*R + 0.587*G + 0.114*B.
@@ -370,6 +499,42 @@ function _applyConvolutionKernelToGrayscale(sourceData, x, y, width, height, ker
     return sum;
 }
 
+/**
+ * Computes the Sobel edge magnitude of every pixel without touching the DOM, so it can run in a worker.
+ * The source is converted to grayscale on a copy first; the source ImageData is not modified.
+ * @param {ImageData} sourceImageData - The original ImageData.
+ * @param {number} width - The width of the image.
+ * @param {number} height - The height of the image.
+ * @param {function(number):void} [onProgress] - Optional callback for progress updates (percentage 0-100).
+ * @param {AbortSignal} [signal] - Optional signal, checked once per row.
+ * @returns {Uint8ClampedArray} One edge magnitude (0-255) per pixel, in row-major order.
+ */
+export function computeSobelMagnitude(sourceImageData, width, height, onProgress, signal) {
+    const grayscaleImageData = { width, height, data: new Uint8ClampedArray(sourceImageData.data) };
+    convertToGrayscaleInPlace(grayscaleImageData);
+    const grayscaleData = grayscaleImageData.data;
+
+    const magnitudes = new Uint8ClampedArray(width * height);
+    let lastReportedProgress = -1;
+
+    for (let y = 0; y < height; y++) {
+        throwIfAborted(signal);
+        for (let x = 0; x < width; x++) {
+            const gx = _applyConvolutionKernelToGrayscale(grayscaleData, x, y, width, height, SOBEL_X_KERNEL);
+            const gy = _applyConvolutionKernelToGrayscale(grayscaleData, x, y, width, height, SOBEL_Y_KERNEL);
+            magnitudes[y * width + x] = Math.round(Math.sqrt(gx * gx + gy * gy)); // Clamped to 0-255 by the array type
+        }
+        if (onProgress) {
+            const progress = Math.floor(((y + 1) / height) * 100);
+            if (progress > lastReportedProgress) {
+                onProgress(progress);
+                lastReportedProgress = progress;
+            }
+        }
+    }
+    return magnitudes;
+}
+
 /**
  * Applies Sobel edge detection to an ImageData object.
  * The source image is first converted to grayscale.
@@ -393,39 +558,226 @@ export function applySobelFilter(sourceImageData, width, height) {
         return fallbackImageData;
     }
 
-    const grayscaleImageData = tempCtx.createImageData(width, height);
-    if (sourceImageData && sourceImageData.data) { // Ensure sourceImageData.data exists
-      grayscaleImageData.data.set(sourceImageData.data);
-      convertToGrayscaleInPlace(grayscaleImageData);
-    } else {
-      // Handle case where sourceImageData is problematic (e.g., null or no data)
-      // Fill with black or some default
-      for(let i=0; i<grayscaleImageData.data.length; i+=4) {
-        grayscaleImageData.data[i] = 0;
-        grayscaleImageData.data[i+1] = 0;
-        grayscaleImageData.data[i+2] = 0;
-        grayscaleImageData.data[i+3] = 255;
-      }
-    }
-    const grayscaleData = grayscaleImageData.data;
+    // Handle case where sourceImageData is problematic (e.g., null or no data): treat it as a black image.
+    const safeSourceImageData = sourceImageData && sourceImageData.data
+        ? sourceImageData
+        : { data: new Uint8ClampedArray(width * height * 4) };
+    const magnitudes = computeSobelMagnitude(safeSourceImageData, width, height);
 
     const outputImageData = tempCtx.createImageData(width, height);
     const outputData = outputImageData.data;
 
+    for (let p = 0; p < magnitudes.length; p++) {
+        const outputIndex = p * 4;
+        outputData[outputIndex] = magnitudes[p];     // Red
+        outputData[outputIndex + 1] = magnitudes[p]; // Green
+        outputData[outputIndex + 2] = magnitudes[p]; // Blue
+        outputData[outputIndex + 3] = 255;           // Alpha (fully opaque)
+    }
+    return outputImageData;
+}
+
+/**
+ * Makes the background transparent by flood-filling from seed points through connected pixels
+ * that match any of several key colors. Unlike `manipulateAlphaByKeyColors`, pixels that match
+ * but are not connected to a seed (e.g. a white shirt on a white backdrop, enclosed by the subject)
+ * are left untouched.
+ * Uses 4-connectivity and an explicit stack, so every pixel is visited at most once.
+ * @param {ImageData} imageData - The ImageData object to modify.
+ * @param {Array<{r: number, g: number, b: number, innerTolerance: number, outerTolerance: number}>} keyColors - The
+ *        background colors to grow through. The fill grows through pixels within the inner tolerance of any
+ *        key color; pixels in a ramp that touch the filled region get a proportional alpha but stop the growth.
+ * @param {Array<[number, number]>} seedPoints - An array of [x, y] coordinates to start filling from.
+ *        Seeds whose own color matches no key color (e.g. the subject touches the border there) are skipped.
+ * @param {function(number):void} [onProgress] - Optional callback for progress updates (percentage 0-100).
+ * @param {object} [options] - Additional options.
+ * @param {Uint8Array} [options.barrierMask] - Optional per-pixel mask (row-major, one entry per pixel).
+ *        Non-zero pixels are barriers: they still get their ramp alpha when reached, but the fill never
+ *        grows past them, e.g. to stop at detected edges.
+ * @param {AbortSignal} [options.signal] - Optional signal that aborts the fill with an "AbortError".
+ * @returns {number} The number of pixels made (partially) transparent.
+ */
+export function floodFillAlphaByKeyColors(imageData, keyColors, seedPoints, onProgress, options = {}) {
+    const { barrierMask, signal } = options;
+    const { width, height, data } = imageData;
+    const totalPixels = width * height;
+    // Alpha per pixel, computed once when first reached; 255 also marks pixels that match no key color.
+    const pixelAlpha = new Uint8Array(totalPixels);
+    const visited = new Uint8Array(totalPixels);
+    const stack = new Int32Array(totalPixels);
+    let stackSize = 0;
+    let filledPixels = 0;
+    let lastReportedProgress = -1;
+    const progressStep = Math.max(1, Math.floor(totalPixels / 100));
+
+    const pushIfMatching = (pixelIndex) => {
+        if (!visited[pixelIndex]) {
+            visited[pixelIndex] = 1;
+            const alpha = keyColorAlphaAt(data, pixelIndex * 4, keyColors, pixelIndex % width, Math.floor(pixelIndex / width));
+            if (alpha < 255) {
+                pixelAlpha[pixelIndex] = alpha;
+                stack[stackSize++] = pixelIndex;
+            }
+        }
+    };
+
+    for (const [x, y] of seedPoints) {
+        const seedX = Math.min(width - 1, Math.max(0, Math.floor(x)));
+        const seedY = Math.min(height - 1, Math.max(0, Math.floor(y)));
+        pushIfMatching(seedY * width + seedX);
+    }
+
+    while (stackSize > 0) {
+        const pixelIndex = stack[--stackSize];
+        const alpha = pixelAlpha[pixelIndex];
+        if (alpha < data[pixelIndex * 4 + 3]) {
+            data[pixelIndex * 4 + 3] = alpha; // Make (partially) transparent
+        }
+        filledPixels++;
+
+        // The filled region size is unknown upfront, so progress is reported against the total pixel count.
+        if (filledPixels % progressStep === 0) {
+            throwIfAborted(signal);
+            const progress = Math.floor((filledPixels / totalPixels) * 100);
+            if (onProgress && progress > lastReportedProgress) {
+                onProgress(progress);
+                lastReportedProgress = progress;
+            }
+        }
+
+        if (alpha > 0 || (barrierMask && barrierMask[pixelIndex])) {
+            continue; // Ramp and barrier pixels get their alpha but do not grow the background further.
+        }
+
+        const x = pixelIndex % width;
+        if (x > 0) pushIfMatching(pixelIndex - 1);
+        if (x < width - 1) pushIfMatching(pixelIndex + 1);
+        if (pixelIndex >= width) pushIfMatching(pixelIndex - width);
+        if (pixelIndex < totalPixels - width) pushIfMatching(pixelIndex + width);
+    }
+
+    if (onProgress && lastReportedProgress < 100) {
+        onProgress(100);
+    }
+    return filledPixels;
+}
+
+/**
+ * Makes the background transparent by flood-filling from seed points through connected pixels
+ * whose color is within a tolerance of the target color. Single-color form of `floodFillAlphaByKeyColors`.
+ * @param {ImageData} imageData - The ImageData object to modify.
+ * @param {{r: number, g: number, b: number}} targetRgb - The background color to grow through.
+ * @param {number} tolerance - The acceptable color distance from targetRgb for a pixel to be filled.
+ * @param {Array<[number, number]>} seedPoints - An array of [x, y] coordinates to start filling from.
+ * @param {function(number):void} [onProgress] - Optional callback for progress updates (percentage 0-100).
+ * @param {object} [options] - Additional options.
+ * @param {number} [options.outerTolerance=tolerance] - Distance from which pixels stay fully opaque.
+ * @param {Uint8Array} [options.barrierMask] - Optional per-pixel barrier mask, see `floodFillAlphaByKeyColors`.
+ * @param {AbortSignal} [options.signal] - Optional signal that aborts the fill with an "AbortError".
+ * @returns {number} The number of pixels made (partially) transparent.
+ */
+export function floodFillAlphaFromSeeds(imageData, targetRgb, tolerance, seedPoints, onProgress, options = {}) {
+    const { outerTolerance = tolerance, barrierMask, signal } = options;
+    const keyColor = { r: targetRgb.r, g: targetRgb.g, b: targetRgb.b, innerTolerance: tolerance, outerTolerance: Math.max(tolerance, outerTolerance) };
+    return floodFillAlphaByKeyColors(imageData, [keyColor], seedPoints, onProgress, { barrierMask, signal });
+}
+
+/**
+ * Runs one horizontal or vertical box-blur pass over a single-channel buffer using a running sum.
+ * Edges are handled by clamping coordinates (edge replication).
+ * @private
+ * @param {Float32Array} source - The source channel values.
+ * @param {Float32Array} target - The buffer receiving the blurred values.
+ * @param {number} width - The width of the image.
+ * @param {number} height - The height of the image.
+ * @param {number} radius - The blur radius in pixels.
+ * @param {boolean} horizontal - Whether to blur along rows (true) or columns (false).
+ */
+function _boxBlurChannelPass(source, target, width, height, radius, horizontal) {
+    const windowSize = radius * 2 + 1;
+
+    if (horizontal) {
+        for (let y = 0; y < height; y++) {
+            const rowStart = y * width;
+            const rowEnd = rowStart + width - 1;
+            let sum = 0;
+            for (let k = -radius; k <= radius; k++) {
+                sum += source[rowStart + Math.min(width - 1, Math.max(0, k))];
+            }
+            for (let x = 0; x < width; x++) {
+                target[rowStart + x] = sum / windowSize;
+                sum += source[Math.min(rowEnd, rowStart + x + radius + 1)] - source[Math.max(rowStart, rowStart + x - radius)];
+            }
+        }
+        return;
+    }
+
+    // Columns keep one running sum each and are advanced a row at a time, so memory is read in order.
+    const sums = new Float64Array(width);
+    for (let k = -radius; k <= radius; k++) {
+        const rowStart = Math.min(height - 1, Math.max(0, k)) * width;
+        for (let x = 0; x < width; x++) {
+            sums[x] += source[rowStart + x];
+        }
+    }
     for (let y = 0; y < height; y++) {
+        const rowStart = y * width;
+        const enteringRowStart = Math.min(height - 1, y + radius + 1) * width;
+        const leavingRowStart = Math.max(0, y - radius) * width;
         for (let x = 0; x < width; x++) {
-            const gx = _applyConvolutionKernelToGrayscale(grayscaleData, x, y, width, height, SOBEL_X_KERNEL);
-            const gy = _applyConvolutionKernelToGrayscale(grayscaleData, x, y, width, height, SOBEL_Y_KERNEL);
+            target[rowStart + x] = sums[x] / windowSize;
+            sums[x] += source[enteringRowStart + x] - source[leavingRowStart + x];
+        }
+    }
+}
 
-            const magnitude = Math.sqrt(gx * gx + gy * gy);
-            const clampedMagnitude = Math.min(255, Math.max(0, Math.round(magnitude)));
+/**
+ * Box-filters a single-channel buffer: each value becomes the mean of the (2 * radius + 1)² window around it,
+ * with edges handled by replication.
+ * @param {Float32Array} values - The channel values, in row-major order.
+ * @param {number} width - The width of the channel.
+ * @param {number} height - The height of the channel.
+ * @param {number} radius - The window radius in pixels.
+ * @returns {Float32Array} The filtered values.
+ */
+export function boxFilterChannel(values, width, height, radius) {
+    const scratch = new Float32Array(values.length);
+    const filtered = new Float32Array(values.length);
+    _boxBlurChannelPass(values, scratch, width, height, radius, true);
+    _boxBlurChannelPass(scratch, filtered, width, height, radius, false);
+    return filtered;
+}
 
-            const outputIndex = (y * width + x) * 4;
-            outputData[outputIndex] = clampedMagnitude;     // Red
-            outputData[outputIndex + 1] = clampedMagnitude; // Green
-            outputData[outputIndex + 2] = clampedMagnitude; // Blue
-            outputData[outputIndex + 3] = 255;              // Alpha (fully opaque)
-        }
+/**
+ * Feathers the mask boundary by blurring only the alpha channel; RGB values are left untouched.
+ * A box blur leaves uniform regions unchanged, so only pixels within `radius` of a transition
+ * between transparent and opaque areas are affected. Two separable passes of half the radius
+ * are run per axis, which approximates a Gaussian falloff of the requested radius.
+ * @param {ImageData} imageData - The ImageData object to modify.
+ * @param {number} radius - The feather radius in pixels. A radius of 0 (or less) leaves the image unchanged.
+ */
+export function featherAlphaEdges(imageData, radius) {
+    const blurRadius = Math.floor(radius);
+    if (!(blurRadius > 0)) {
+        return;
+    }
+
+    const { width, height, data } = imageData;
+    const totalPixels = width * height;
+    const alpha = new Float32Array(totalPixels);
+    const scratch = new Float32Array(totalPixels);
+
+    for (let p = 0; p < totalPixels; p++) {
+        alpha[p] = data[p * 4 + 3];
+    }
+
+    const passRadius = Math.ceil(blurRadius / 2);
+    for (let iteration = 0; iteration < 2; iteration++) {
+        _boxBlurChannelPass(alpha, scratch, width, height, passRadius, true);
+        _boxBlurChannelPass(scratch, alpha, width, height, passRadius, false);
+    }
+
+    for (let p = 0; p < totalPixels; p++) {
+        data[p * 4 + 3] = Math.round(alpha[p]);
     }
-    return outputImageData;
 }
@@ -0,0 +1,334 @@
+// src/utils/maskCleanup.js
+
+/**
+ * @file Morphological cleanup of the alpha mask after background removal. Color-keyed masks come out speckled:
+ * opaque dots where the backdrop was noisy and pinholes where the subject resembles the backdrop. Cleanup removes
+ * small opaque islands, fills small transparent holes enclosed by the subject, and erodes, dilates, opens or closes
+ * the mask. Component searches work on bit masks, so the tiled pipeline runs them over whole images as well.
+ * DOM-free, so cleanup runs inside the background removal worker.
+ */
+
+import { createBitMask, hasBit, setBit } from "./bitMask";
+import { throwIfAborted } from "./imageProcessing";
+
+export const MORPHOLOGY_OPERATIONS = {
+    ERODE: "erode", // Shrinks the subject
+    DILATE: "dilate", // Grows the subject, restoring pixels up to their original alpha
+    OPEN: "open", // Erode, then dilate: removes specks and thin spurs narrower than the radius
+    CLOSE: "close", // Dilate, then erode: closes gaps and notches narrower than the radius
+};
+
+export const MAX_MORPHOLOGY_RADIUS = 10;
+
+/**
+ * Default cleanup options. Every step is off until enabled.
+ * - `removeIslands`: makes opaque regions of at most `maxIslandSize` pixels transparent.
+ * - `fillHoles`: restores transparent regions of at most `maxHoleSize` pixels that do not touch the image border.
+ * - `morphology`: one of `MORPHOLOGY_OPERATIONS`, or null, applied to the alpha with a square of `morphologyRadius`.
+ * - `alphaThreshold`: pixels with alpha above this count as opaque when finding islands and holes.
+ * Regions are 4-connected.
+ */
+export const DEFAULT_CLEANUP_OPTIONS = {
+    removeIslands: false,
+    maxIslandSize: 64,
+    fillHoles: false,
+    maxHoleSize: 64,
+    morphology: null,
+    morphologyRadius: 1,
+    alphaThreshold: 127,
+};
+
+const clampRadius = (radius) => Math.min(MAX_MORPHOLOGY_RADIUS, Math.max(1, Math.round(radius) || 1));
+
+/**
+ * Tells whether cleanup options enable any step.
+ * @param {object | null} [cleanup] - Cleanup options (see `DEFAULT_CLEANUP_OPTIONS`).
+ * @returns {boolean} True if at least one step is enabled.
+ */
+export const hasCleanupSteps = (cleanup) =>
+    Boolean(cleanup && (cleanup.removeIslands || cleanup.fillHoles || cleanup.morphology));
+
+/**
+ * Returns how many rows above and below a row the morphology step reads to compute it.
+ * @param {object | null} [cleanup] - Cleanup options (see `DEFAULT_CLEANUP_OPTIONS`).
+ * @returns {number} The row count.
+ */
+export const getCleanupContextRows = (cleanup) => {
+    const { morphology, morphologyRadius } = { ...DEFAULT_CLEANUP_OPTIONS, ...cleanup };
+    if (!morphology) return 0;
+    const radius = clampRadius(morphologyRadius);
+    return morphology === MORPHOLOGY_OPERATIONS.OPEN || morphology === MORPHOLOGY_OPERATIONS.CLOSE ? 2 * radius : radius;
+};
+
+/**
+ * Scales the size thresholds and radius of cleanup options for a resized copy of the image, e.g. a preview,
+ * so cleanup affects the copy as it would the original.
+ * @param {object} cleanup - Cleanup options (see `DEFAULT_CLEANUP_OPTIONS`).
+ * @param {number} scale - The copy's size relative to the original.
+ * @returns {object} The scaled options.
+ */
+export const scaleCleanupOptions = (cleanup, scale) => {
+    const options = { ...DEFAULT_CLEANUP_OPTIONS, ...cleanup };
+    return {
+        ...options,
+        maxIslandSize: Math.max(1, Math.round(options.maxIslandSize * scale * scale)),
+        maxHoleSize: Math.max(1, Math.round(options.maxHoleSize * scale * scale)),
+        morphologyRadius: clampRadius(options.morphologyRadius * scale),
+    };
+};
+
+/**
+ * Sets the bits of the pixels whose alpha is above a threshold.
+ * @param {Uint8Array} mask - A whole-image bit mask. Modified in place.
+ * @param {Uint8ClampedArray} data - RGBA pixels: whole rows of the image.
+ * @param {number} firstPixelIndex - The image pixel index of the first pixel in `data`.
+ * @param {number} alphaThreshold - Pixels with alpha above this are marked.
+ */
+export function markOpaquePixels(mask, data, firstPixelIndex, alphaThreshold) {
+    for (let p = 0; p < data.length / 4; p++) {
+        if (data[p * 4 + 3] > alphaThreshold) setBit(mask, firstPixelIndex + p);
+    }
+}
+
+/**
+ * Finds the 4-connected regions of set bits with at most `maxSize` pixels. Fills whole row spans at a time,
+ * so the stack holds spans rather than pixels.
+ * @param {Uint8Array} mask - The bit mask to search.
+ * @param {number} width - The image width.
+ * @param {number} height - The image height.
+ * @param {number} maxSize - The largest region size, in pixels, to report.
+ * @param {object} [options] - Additional options.
+ * @param {boolean} [options.excludeBorder=false] - Skips regions touching the image border.
+ * @param {AbortSignal} [options.signal] - Optional signal checked periodically.
+ * @returns {Uint8Array} A bit mask of the pixels of the small regions.
+ */
+export function findSmallComponents(mask, width, height, maxSize, options = {}) {
+    const { excludeBorder = false, signal } = options;
+    const pixelCount = width * height;
+    const found = createBitMask(pixelCount);
+    const visited = createBitMask(pixelCount);
+    const isUnvisited = (index) => hasBit(mask, index) && !hasBit(visited, index);
+    const stack = [];
+    const spans = []; // Start and end index of each span of the current region, while it is still small
+    let regionCount = 0;
+
+    for (let start = 0; start < pixelCount; start++) {
+        if ((start & 7) === 0 && (mask[start >> 3] & ~visited[start >> 3] & 0xff) === 0) {
+            start += 7; // Nothing left to visit in these eight pixels
+            continue;
+        }
+        if (!isUnvisited(start)) continue;
+        if (++regionCount % 1024 === 0) throwIfAborted(signal);
+
+        let size = 0;
+        let touchesBorder = false;
+        spans.length = 0;
+        stack.push(start);
+        while (stack.length > 0) {
+            const index = stack.pop();
+            if (hasBit(visited, index)) continue; // Already covered by another span
+            const y = Math.floor(index / width);
+            const rowStart = y * width;
+            let left = index - rowStart;
+            let right = left;
+            while (left > 0 && isUnvisited(rowStart + left - 1)) left--;
+            while (right < width - 1 && isUnvisited(rowStart + right + 1)) right++;
+            for (let x = left; x <= right; x++) setBit(visited, rowStart + x);
+            size += right - left + 1;
+            if (left === 0 || right === width - 1 || y === 0 || y === height - 1) touchesBorder = true;
+            if (size <= maxSize) spans.push(rowStart + left, rowStart + right);
+
+            [y - 1, y + 1].forEach((neighbourY) => {
+                if (neighbourY < 0 || neighbourY >= height) return;
+                let inRun = false; // Only the first pixel of each run is pushed
+                for (let x = left; x <= right; x++) {
+                    const neighbour = neighbourY * width + x;
+                    if (isUnvisited(neighbour)) {
+                        if (!inRun) stack.push(neighbour);
+                        inRun = true;
+                    } else {
+                        inRun = false;
+                    }
+                }
+            });
+        }
+
+        if (size <= maxSize && !(excludeBorder && touchesBorder)) {
+            for (let s = 0; s < spans.length; s += 2) {
+                for (let index = spans[s]; index <= spans[s + 1]; index++) setBit(found, index);
+            }
+        }
+    }
+    return found;
+}
+
+/**
+ * Finds the islands to remove and the holes to fill, as enabled in the cleanup options. Holes are searched
+ * after islands are removed, so a speck inside a hole does not keep the hole open.
+ * @param {Uint8Array} opaqueMask - Bit mask of the opaque pixels (see `markOpaquePixels`).
+ * @param {number} width - The image width.
+ * @param {number} height - The image height.
+ * @param {object} cleanup - Cleanup options (see `DEFAULT_CLEANUP_OPTIONS`).
+ * @param {AbortSignal} [signal] - Optional signal checked periodically.
+ * @returns {{islandMask: Uint8Array | null, holeMask: Uint8Array | null}} Bit masks of the pixels to change.
+ */
+export function findCleanupMasks(opaqueMask, width, height, cleanup, signal) {
+    const { removeIslands, maxIslandSize, fillHoles, maxHoleSize } = { ...DEFAULT_CLEANUP_OPTIONS, ...cleanup };
+    const islandMask = removeIslands ? findSmallComponents(opaqueMask, width, height, maxIslandSize, { signal }) : null;
+    let holeMask = null;
+    if (fillHoles) {
+        const transparentMask = new Uint8Array(opaqueMask.length);
+        for (let i = 0; i < opaqueMask.length; i++) {
+            transparentMask[i] = ~(islandMask ? opaqueMask[i] & ~islandMask[i] : opaqueMask[i]);
+        }
+        holeMask = findSmallComponents(transparentMask, width, height, maxHoleSize, { excludeBorder: true, signal });
+    }
+    return { islandMask, holeMask };
+}
+
+/**
+ * Makes island pixels transparent and restores hole pixels to their original alpha.
+ * @param {Uint8ClampedArray} data - RGBA pixels: whole rows of the image. Modified in place.
+ * @param {Uint8Array | Uint8ClampedArray} sourceAlpha - The alpha of `data`'s pixels before background removal.
+ * @param {{islandMask: Uint8Array | null, holeMask: Uint8Array | null}} masks - The masks of `findCleanupMasks`.
+ * @param {number} firstPixelIndex - The image pixel index of the first pixel in `data`.
+ */
+export function applyComponentMasks(data, sourceAlpha, masks, firstPixelIndex) {
+    const { islandMask, holeMask } = masks;
+    for (let p = 0; p < data.length / 4; p++) {
+        if (islandMask && hasBit(islandMask, firstPixelIndex + p)) {
+            data[p * 4 + 3] = 0;
+        } else if (holeMask && hasBit(holeMask, firstPixelIndex + p)) {
+            data[p * 4 + 3] = sourceAlpha[p];
+        }
+    }
+}
+
+/**
+ * Replaces each value of a line with the minimum or maximum within `radius` of it (van Herk/Gil-Werman:
+ * three comparisons per value whatever the radius). Values beyond the line's ends count as neutral.
+ * @param {Uint8Array} values - The plane holding the line. The result is written to `target`.
+ * @param {Uint8Array} target - The plane receiving the line.
+ * @param {number} start - Index of the line's first value.
+ * @param {number} step - Distance between consecutive values of the line.
+ * @param {number} length - The number of values in the line.
+ * @param {number} radius - The window radius.
+ * @param {boolean} pickMax - True for the maximum (dilation), false for the minimum (erosion).
+ * @param {{padded: Uint8Array, prefix: Uint8Array, suffix: Uint8Array}} buffers - Scratch buffers of at least
+ *        `length + 4 * radius + 1` values.
+ */
+const filterLineExtremum = (values, target, start, step, length, radius, pickMax, buffers) => {
+    const { padded, prefix, suffix } = buffers;
+    const pick = pickMax ? Math.max : Math.min;
+    const windowSize = 2 * radius + 1;
+    const paddedLength = Math.ceil((length + 2 * radius) / windowSize) * windowSize;
+    for (let i = 0; i < paddedLength; i++) {
+        const position = i - radius;
+        padded[i] = position >= 0 && position < length ? values[start + position * step] : pickMax ? 0 : 255;
+    }
+    for (let blockStart = 0; blockStart < paddedLength; blockStart += windowSize) {
+        const blockEnd = blockStart + windowSize - 1;
+        prefix[blockStart] = padded[blockStart];
+        for (let i = blockStart + 1; i <= blockEnd; i++) prefix[i] = pick(prefix[i - 1], padded[i]);
+        suffix[blockEnd] = padded[blockEnd];
+        for (let i = blockEnd - 1; i >= blockStart; i--) suffix[i] = pick(suffix[i + 1], padded[i]);
+    }
+    // The window of value x is padded[x .. x + 2 * radius]: the tail of one block and the head of the next.
+    for (let x = 0; x < length; x++) {
+        target[start + x * step] = pick(suffix[x], prefix[x + 2 * radius]);
+    }
+};
+
+/**
+ * Erodes (minimum) or dilates (maximum) an alpha plane over a square of `radius`, in place.
+ * @param {Uint8Array} alpha - One alpha value per pixel. Modified in place.
+ * @param {number} width - The plane width.
+ * @param {number} height - The plane height.
+ * @param {number} radius - The square's radius.
+ * @param {boolean} dilate - True to dilate, false to erode.
+ */
+const filterAlphaPlane = (alpha, width, height, radius, dilate) => {
+    const bufferLength = Math.max(width, height) + 4 * radius + 1;
+    const buffers = { padded: new Uint8Array(bufferLength), prefix: new Uint8Array(bufferLength), suffix: new Uint8Array(bufferLength) };
+    const rowPass = new Uint8Array(alpha.length);
+    for (let y = 0; y < height; y++) {
+        filterLineExtremum(alpha, rowPass, y * width, 1, width, radius, dilate, buffers);
+    }
+    for (let x = 0; x < width; x++) {
+        filterLineExtremum(rowPass, alpha, x, width, height, radius, dilate, buffers);
+    }
+};
+
+/**
+ * Applies the morphology step of the cleanup options to the alpha channel, in place.
+ * Dilation never raises a pixel above its original alpha, so transparency of the source image is kept.
+ * @param {{width: number, height: number, data: Uint8ClampedArray}} imageData - The pixels to modify.
+ * @param {object} cleanup - Cleanup options (see `DEFAULT_CLEANUP_OPTIONS`).
+ * @param {Uint8Array | Uint8ClampedArray} sourceAlpha - The alpha of the pixels before background removal.
+ */
+export function applyMorphology(imageData, cleanup, sourceAlpha) {
+    const { morphology, morphologyRadius } = { ...DEFAULT_CLEANUP_OPTIONS, ...cleanup };
+    if (!Object.values(MORPHOLOGY_OPERATIONS).includes(morphology)) return;
+    const { width, height, data } = imageData;
+    const radius = clampRadius(morphologyRadius);
+    const alpha = new Uint8Array(width * height);
+    for (let p = 0; p < alpha.length; p++) alpha[p] = data[p * 4 + 3];
+
+    const steps = {
+        [MORPHOLOGY_OPERATIONS.ERODE]: [false],
+        [MORPHOLOGY_OPERATIONS.DILATE]: [true],
+        [MORPHOLOGY_OPERATIONS.OPEN]: [false, true],
+        [MORPHOLOGY_OPERATIONS.CLOSE]: [true, false],
+    }[morphology];
+    steps.forEach((dilate) => {
+        filterAlphaPlane(alpha, width, height, radius, dilate);
+        if (dilate) {
+            for (let p = 0; p < alpha.length; p++) {
+                if (alpha[p] > sourceAlpha[p]) alpha[p] = sourceAlpha[p];
+            }
+        }
+    });
+    for (let p = 0; p < alpha.length; p++) data[p * 4 + 3] = alpha[p];
+}
+
+/**
+ * Runs the enabled cleanup steps on a mask in place: removes islands, fills holes, then applies morphology.
+ * @param {{width: number, height: number, data: Uint8ClampedArray}} imageData - The pixels after background removal.
+ * @param {object} cleanup - Cleanup options (see `DEFAULT_CLEANUP_OPTIONS`).
+ * @param {Uint8Array | Uint8ClampedArray} sourceAlpha - The alpha of the pixels before background removal.
+ * @param {AbortSignal} [signal] - Optional signal checked periodically.
+ */
+export function cleanupAlphaMask(imageData, cleanup, sourceAlpha, signal) {
+    const options = { ...DEFAULT_CLEANUP_OPTIONS, ...cleanup };
+    const { width, height, data } = imageData;
+    if (options.removeIslands || options.fillHoles) {
+        const opaqueMask = createBitMask(width * height);
+        markOpaquePixels(opaqueMask, data, 0, options.alphaThreshold);
+        applyComponentMasks(data, sourceAlpha, findCleanupMasks(opaqueMask, width, height, options, signal), 0);
+    }
+    throwIfAborted(signal);
+    if (options.morphology) {
+        applyMorphology(imageData, options, sourceAlpha);
+    }
+}
+
+/**
+ * Builds an overlay showing what cleanup changed: red where it lowered alpha, green where it raised it.
+ * @param {{width: number, height: number, data: Uint8ClampedArray}} before - The result without cleanup.
+ * @param {{width: number, height: number, data: Uint8ClampedArray}} after - The result with cleanup, of the same size.
+ * @returns {{width: number, height: number, data: Uint8ClampedArray}} The RGBA overlay, transparent elsewhere.
+ */
+export function computeCleanupOverlay(before, after) {
+    const { width, height } = before;
+    const data = new Uint8ClampedArray(width * height * 4);
+    for (let i = 3; i < data.length; i += 4) {
+        const change = after.data[i] - before.data[i];
+        if (change !== 0) {
+            data[i - 3] = change < 0 ? 239 : 34;
+            data[i - 2] = change < 0 ? 68 : 197;
+            data[i - 1] = change < 0 ? 68 : 94;
+            data[i] = 96 + Math.round((Math.abs(change) / 255) * 159);
+        }
+    }
+    return { width, height, data };
+}
@@ -0,0 +1,176 @@
+// src/utils/maskEditing.js
+
+/**
+ * @file Brush helpers for manually editing a processed image's transparency.
+ * A stroke accumulates a coverage mask (0-255 per pixel) from round brush dabs; the edited pixels are then
+ * recomputed from the pixels as they were when the stroke started, so overlapping dabs within one stroke
+ * never build up beyond the brush's own strength. These functions are DOM-free and work on RGBA buffers.
+ */
+
+export const BRUSH_MODES = {
+    ERASE: "erase", // Makes pixels transparent
+    RESTORE: "restore", // Paints the original pixels back from the source image
+};
+
+/**
+ * Creates the coverage weights of a round brush.
+ * @param {number} radius - Brush radius in pixels.
+ * @param {number} hardness - 0 to 1. The fraction of the radius painted at full strength; coverage falls off
+ *        linearly from there to zero at the rim.
+ * @returns {{radius: number, size: number, weights: Uint8Array}} A `size` x `size` (size = 2 * radius + 1) grid
+ *          of 0-255 weights centered on the brush position.
+ */
+export function createBrushStamp(radius, hardness) {
+    const r = Math.max(1, Math.round(radius));
+    const size = 2 * r + 1;
+    const hardRadius = r * Math.min(1, Math.max(0, hardness));
+    const weights = new Uint8Array(size * size);
+
+    for (let dy = -r; dy <= r; dy++) {
+        for (let dx = -r; dx <= r; dx++) {
+            const distance = Math.sqrt(dx * dx + dy * dy);
+            let weight;
+            if (distance <= hardRadius) {
+                weight = 1;
+            } else if (distance >= r) {
+                weight = 0;
+            } else {
+                weight = (r - distance) / (r - hardRadius);
+            }
+            weights[(dy + r) * size + (dx + r)] = Math.round(weight * 255);
+        }
+    }
+    return { radius: r, size, weights };
+}
+
+/**
+ * Returns the dab positions needed to paint a continuous line between two pointer positions.
+ * The start point is not included, as it was already painted by the previous dab.
+ * @param {{x: number, y: number}} from - The previous brush position.
+ * @param {{x: number, y: number}} to - The new brush position.
+ * @param {number} spacing - Maximum distance between consecutive dabs, in pixels.
+ * @returns {Array<{x: number, y: number}>} The dab positions, ending with `to`.
+ */
+export function interpolateDabPositions(from, to, spacing) {
+    const distance = Math.hypot(to.x - from.x, to.y - from.y);
+    const steps = Math.max(1, Math.ceil(distance / Math.max(1, spacing)));
+    const positions = [];
+    for (let step = 1; step <= steps; step++) {
+        const t = step / steps;
+        positions.push({ x: from.x + (to.x - from.x) * t, y: from.y + (to.y - from.y) * t });
+    }
+    return positions;
+}
+
+/**
+ * Adds one brush dab to a stroke's coverage mask, keeping the strongest coverage per pixel.
+ * @param {Uint8Array} strokeMask - Coverage of the current stroke, one byte per image pixel. Modified in place.
+ * @param {number} width - Image width.
+ * @param {number} height - Image height.
+ * @param {number} centerX - Dab center, in image pixels.
+ * @param {number} centerY - Dab center, in image pixels.
+ * @param {{radius: number, size: number, weights: Uint8Array}} stamp - The brush from `createBrushStamp`.
+ * @returns {{x: number, y: number, width: number, height: number} | null} The area the dab touched,
+ *          or null if it lies entirely outside the image.
+ */
+export function stampBrush(strokeMask, width, height, centerX, centerY, stamp) {
+    const cx = Math.round(centerX);
+    const cy = Math.round(centerY);
+    const x0 = Math.max(0, cx - stamp.radius);
+    const y0 = Math.max(0, cy - stamp.radius);
+    const x1 = Math.min(width - 1, cx + stamp.radius);
+    const y1 = Math.min(height - 1, cy + stamp.radius);
+    if (x0 > x1 || y0 > y1) {
+        return null;
+    }
+
+    for (let y = y0; y <= y1; y++) {
+        const stampRow = (y - cy + stamp.radius) * stamp.size;
+        for (let x = x0; x <= x1; x++) {
+            const weight = stamp.weights[stampRow + (x - cx + stamp.radius)];
+            const i = y * width + x;
+            if (weight > strokeMask[i]) strokeMask[i] = weight;
+        }
+    }
+    return { x: x0, y: y0, width: x1 - x0 + 1, height: y1 - y0 + 1 };
+}
+
+/**
+ * Returns the smallest rectangle containing both rectangles. Either may be null.
+ * @param {{x: number, y: number, width: number, height: number} | null} a - First rectangle.
+ * @param {{x: number, y: number, width: number, height: number} | null} b - Second rectangle.
+ * @returns {{x: number, y: number, width: number, height: number} | null} The union.
+ */
+export function unionRects(a, b) {
+    if (!a) return b;
+    if (!b) return a;
+    const x = Math.min(a.x, b.x);
+    const y = Math.min(a.y, b.y);
+    return {
+        x,
+        y,
+        width: Math.max(a.x + a.width, b.x + b.width) - x,
+        height: Math.max(a.y + a.height, b.y + b.height) - y,
+    };
+}
+
+/**
+ * Recomputes the pixels of a stroke within `rect`.
+ * Erase lowers alpha towards 0; restore blends every channel towards the source image.
+ * @param {Uint8ClampedArray} target - RGBA pixels being edited. Modified in place.
+ * @param {Uint8ClampedArray} base - RGBA pixels as they were when the stroke started.
+ * @param {Uint8ClampedArray} source - RGBA pixels of the original, unprocessed image. Only used by restore.
+ * @param {Uint8Array} strokeMask - Coverage of the stroke, one byte per pixel.
+ * @param {number} width - Image width.
+ * @param {string} mode - One of `BRUSH_MODES`.
+ * @param {{x: number, y: number, width: number, height: number}} rect - The area to recompute.
+ */
+export function applyBrushStroke(target, base, source, strokeMask, width, mode, rect) {
+    for (let y = rect.y; y < rect.y + rect.height; y++) {
+        for (let x = rect.x; x < rect.x + rect.width; x++) {
+            const pixelIndex = y * width + x;
+            const coverage = strokeMask[pixelIndex];
+            if (coverage === 0) continue;
+
+            const t = coverage / 255;
+            const i = pixelIndex * 4;
+            if (mode === BRUSH_MODES.ERASE) {
+                target[i + 3] = Math.round(base[i + 3] * (1 - t));
+            } else {
+                for (let channel = 0; channel < 4; channel++) {
+                    target[i + channel] = Math.round(base[i + channel] + (source[i + channel] - base[i + channel]) * t);
+                }
+            }
+        }
+    }
+}
+
+/**
+ * Copies the RGBA pixels inside `rect` out of a full-image buffer, e.g. to record an undo step.
+ * @param {Uint8ClampedArray} pixels - RGBA pixels of the full image.
+ * @param {number} width - Image width.
+ * @param {{x: number, y: number, width: number, height: number}} rect - The area to copy.
+ * @returns {Uint8ClampedArray} The RGBA pixels of the area, row by row.
+ */
+export function copyPixelRect(pixels, width, rect) {
+    const copy = new Uint8ClampedArray(rect.width * rect.height * 4);
+    for (let row = 0; row < rect.height; row++) {
+        const start = ((rect.y + row) * width + rect.x) * 4;
+        copy.set(pixels.subarray(start, start + rect.width * 4), row * rect.width * 4);
+    }
+    return copy;
+}
+
+/**
+ * Writes pixels previously copied with `copyPixelRect` back into a full-image buffer.
+ * @param {Uint8ClampedArray} pixels - RGBA pixels of the full image. Modified in place.
+ * @param {number} width - Image width.
+ * @param {{x: number, y: number, width: number, height: number}} rect - The area the pixels were copied from.
+ * @param {Uint8ClampedArray} rectPixels - The copied pixels.
+ */
+export function pastePixelRect(pixels, width, rect, rectPixels) {
+    for (let row = 0; row < rect.height; row++) {
+        const rowStart = row * rect.width * 4;
+        pixels.set(rectPixels.subarray(rowStart, rowStart + rect.width * 4), ((rect.y + row) * width + rect.x) * 4);
+    }
+}
@@ -0,0 +1,82 @@
+// src/utils/maskImport.js
+
+/**
+ * @file Applying an alpha mask made elsewhere, e.g. by a retoucher, to the original image. A mask is read as
+ * grayscale with white kept and black removed, like the app's own mask export; a mask with transparency is read
+ * from its alpha instead, so a cutout from another tool works as a mask too. Masks of a different size are
+ * resampled by the caller as long as they have the image's proportions. DOM-free.
+ */
+
+import { ImageValidationError, VALIDATION_ERROR_CODES } from "./validation";
+
+/**
+ * Default import options.
+ * - `invert`: for masks that mark the removed area in white.
+ * - `threshold`: null keeps soft edges; 0-255 makes mask values from the threshold up opaque and the rest
+ *   transparent, after inverting.
+ */
+export const DEFAULT_MASK_IMPORT_OPTIONS = {
+    invert: false,
+    threshold: null,
+};
+
+const MASK_ASPECT_TOLERANCE = 0.01; // Relative difference in proportions still resampled, e.g. from rounding
+
+/**
+ * Checks that a mask can be applied to an image: the same size, or the same proportions so it can be resampled.
+ * @param {number} maskWidth - The mask's width.
+ * @param {number} maskHeight - The mask's height.
+ * @param {number} width - The image's width.
+ * @param {number} height - The image's height.
+ * @returns {boolean} True if the mask has to be resampled to the image's size.
+ * @throws {ImageValidationError} With code `MASK_SIZE_MISMATCH` if the proportions differ.
+ */
+export function checkMaskDimensions(maskWidth, maskHeight, width, height) {
+    if (maskWidth === width && maskHeight === height) {
+        return false;
+    }
+    const aspectDifference = Math.abs((maskWidth / maskHeight) / (width / height) - 1);
+    if (!maskWidth || !maskHeight || aspectDifference > MASK_ASPECT_TOLERANCE) {
+        throw new ImageValidationError(VALIDATION_ERROR_CODES.MASK_SIZE_MISMATCH, { maskWidth, maskHeight, width, height });
+    }
+    return true;
+}
+
+/**
+ * Reads the mask values (0-255, 255 = kept) of a decoded mask image: its alpha if any pixel is not fully opaque,
+ * otherwise its luminance.
+ * @param {{width: number, height: number, data: Uint8ClampedArray}} maskImageData - The decoded mask.
+ * @param {object} [options] - Import options (see `DEFAULT_MASK_IMPORT_OPTIONS`).
+ * @returns {Uint8Array} One value per pixel.
+ */
+export function readMaskValues(maskImageData, options = {}) {
+    const { invert, threshold } = { ...DEFAULT_MASK_IMPORT_OPTIONS, ...options };
+    const { width, height, data } = maskImageData;
+    const values = new Uint8Array(width * height);
+
+    let hasTransparency = false;
+    for (let i = 3; i < data.length && !hasTransparency; i += 4) {
+        hasTransparency = data[i] < 255;
+    }
+    for (let p = 0; p < values.length; p++) {
+        const i = p * 4;
+        let value = hasTransparency ? data[i + 3] : Math.round(0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2]);
+        if (invert) value = 255 - value;
+        if (threshold !== null && threshold !== undefined) value = value >= threshold ? 255 : 0;
+        values[p] = value;
+    }
+    return values;
+}
+
+/**
+ * Applies mask values to an image in place: each pixel's alpha is scaled by its mask value, so existing
+ * transparency is kept.
+ * @param {ImageData} imageData - The image to modify.
+ * @param {Uint8Array} maskValues - One value per pixel of `imageData` (see `readMaskValues`).
+ */
+export function applyMaskValues(imageData, maskValues) {
+    const { data } = imageData;
+    for (let p = 0; p < maskValues.length; p++) {
+        data[p * 4 + 3] = Math.round((data[p * 4 + 3] * maskValues[p]) / 255);
+    }
+}
@@ -0,0 +1,378 @@
+// src/utils/maskUpsampling.js
+
+/**
+ * @file Computing the mask on a downscaled copy and bringing it back to full resolution. The upsampling is
+ * a guided filter (He et al.) whose coefficients are fitted at low resolution and interpolated to full
+ * resolution, so mask edges snap to the color edges of the full-size image instead of coming out blocky.
+ * DOM-free, so it runs inside the background removal worker.
+ */
+
+import { boxFilterChannel } from "./imageProcessing";
+import { cropImageData } from "./autoCrop";
+
+/**
+ * Largest side, in pixels, the mask can be computed at. `null` computes it at full resolution.
+ */
+export const MASK_RESOLUTIONS = [
+    { value: null, label: "Full resolution" },
+    { value: 2048, label: "Fast (2048px)" },
+    { value: 1024, label: "Fastest (1024px)" },
+];
+
+const GUIDED_FILTER_RADIUS = 2; // In low-resolution pixels
+const GUIDED_FILTER_EPSILON = 0.0005; // Regularization: lower follows guide edges more closely, higher smooths more
+const FIT_BLOCK_SIZE = 64; // The filter is only fitted in blocks of this size that contain mask edges
+
+/**
+ * Returns the size of the downscaled copy for a maximum side, keeping the aspect ratio.
+ * @param {number} width - The full width.
+ * @param {number} height - The full height.
+ * @param {number | null} maxSide - The largest side of the copy.
+ * @returns {{width: number, height: number} | null} The copy's size, or null if the image is not larger than `maxSide`.
+ */
+export function getMaskResolution(width, height, maxSide) {
+    if (!(maxSide > 0) || Math.max(width, height) <= maxSide) {
+        return null;
+    }
+    const scale = maxSide / Math.max(width, height);
+    return { width: Math.max(1, Math.round(width * scale)), height: Math.max(1, Math.round(height * scale)) };
+}
+
+/**
+ * Returns, for each target position along one axis, the first source position it covers.
+ * The last entry is the source length, so position `i` covers `[starts[i], starts[i + 1])`.
+ * @param {number} sourceLength - The source length.
+ * @param {number} targetLength - The target length, at most `sourceLength`.
+ * @returns {Int32Array} The start positions.
+ */
+const getAreaStarts = (sourceLength, targetLength) => {
+    const starts = new Int32Array(targetLength + 1);
+    for (let i = 0; i <= targetLength; i++) {
+        starts[i] = Math.floor((i * sourceLength) / targetLength);
+    }
+    return starts;
+};
+
+/**
+ * Downscales pixels by averaging the area each target pixel covers.
+ * @param {ImageData} imageData - The source pixels.
+ * @param {number} targetWidth - The target width, at most the source width.
+ * @param {number} targetHeight - The target height, at most the source height.
+ * @returns {{width: number, height: number, data: Uint8ClampedArray}} The downscaled pixels.
+ */
+export function downscaleImageData(imageData, targetWidth, targetHeight) {
+    const { width, height, data } = imageData;
+    const columnStarts = getAreaStarts(width, targetWidth);
+    const rowStarts = getAreaStarts(height, targetHeight);
+    const output = new Uint8ClampedArray(targetWidth * targetHeight * 4);
+    const sums = new Float64Array(targetWidth * 4);
+
+    for (let targetY = 0; targetY < targetHeight; targetY++) {
+        sums.fill(0);
+        for (let y = rowStarts[targetY]; y < rowStarts[targetY + 1]; y++) {
+            for (let targetX = 0; targetX < targetWidth; targetX++) {
+                for (let x = columnStarts[targetX]; x < columnStarts[targetX + 1]; x++) {
+                    const offset = (y * width + x) * 4;
+                    sums[targetX * 4] += data[offset];
+                    sums[targetX * 4 + 1] += data[offset + 1];
+                    sums[targetX * 4 + 2] += data[offset + 2];
+                    sums[targetX * 4 + 3] += data[offset + 3];
+                }
+            }
+        }
+        const rowCount = rowStarts[targetY + 1] - rowStarts[targetY];
+        for (let targetX = 0; targetX < targetWidth; targetX++) {
+            const count = rowCount * (columnStarts[targetX + 1] - columnStarts[targetX]);
+            const outputOffset = (targetY * targetWidth + targetX) * 4;
+            for (let channel = 0; channel < 4; channel++) {
+                output[outputOffset + channel] = Math.round(sums[targetX * 4 + channel] / count);
+            }
+        }
+    }
+    return { width: targetWidth, height: targetHeight, data: output };
+}
+
+/**
+ * Fits the guided filter at low resolution: for each pixel, the linear model `mask ≈ a · rgb + b` that best
+ * explains the mask from the guide colors in the window around it, averaged over the overlapping windows.
+ * @param {{width: number, height: number, data: Uint8ClampedArray}} guide - The low-resolution pixels; their alpha is the mask.
+ * @param {number} radius - The window radius.
+ * @param {number} epsilon - The regularization.
+ * @returns {Float32Array} Per pixel, `[aR, aG, aB, b]` for colors and mask in the 0-1 range.
+ */
+const fitGuidedFilter = (guide, radius, epsilon) => {
+    const { width, height, data } = guide;
+    const pixelCount = width * height;
+    const mean = (values) => boxFilterChannel(values, width, height, radius);
+
+    const channels = [0, 1, 2].map((channel) => {
+        const values = new Float32Array(pixelCount);
+        for (let p = 0; p < pixelCount; p++) values[p] = data[p * 4 + channel] / 255;
+        return values;
+    });
+    const mask = new Float32Array(pixelCount);
+    for (let p = 0; p < pixelCount; p++) mask[p] = data[p * 4 + 3] / 255;
+
+    const product = (first, second) => {
+        const values = new Float32Array(pixelCount);
+        for (let p = 0; p < pixelCount; p++) values[p] = first[p] * second[p];
+        return values;
+    };
+
+    const meanI = channels.map(mean);
+    const meanP = mean(mask);
+    const meanIp = channels.map((channel) => mean(product(channel, mask)));
+    // Upper triangle of the guide's 3x3 covariance: rr, rg, rb, gg, gb, bb.
+    const pairs = [[0, 0], [0, 1], [0, 2], [1, 1], [1, 2], [2, 2]];
+    const meanII = pairs.map(([first, second]) => mean(product(channels[first], channels[second])));
+
+    const coefficients = new Float32Array(pixelCount * 4);
+    const a = [new Float32Array(pixelCount), new Float32Array(pixelCount), new Float32Array(pixelCount)];
+    const b = new Float32Array(pixelCount);
+    for (let p = 0; p < pixelCount; p++) {
+        const mr = meanI[0][p], mg = meanI[1][p], mb = meanI[2][p];
+        const covR = meanIp[0][p] - mr * meanP[p];
+        const covG = meanIp[1][p] - mg * meanP[p];
+        const covB = meanIp[2][p] - mb * meanP[p];
+        const rr = meanII[0][p] - mr * mr + epsilon;
+        const rg = meanII[1][p] - mr * mg;
+        const rb = meanII[2][p] - mr * mb;
+        const gg = meanII[3][p] - mg * mg + epsilon;
+        const gb = meanII[4][p] - mg * mb;
+        const bb = meanII[5][p] - mb * mb + epsilon;
+
+        // Solve the symmetric 3x3 system with its adjugate.
+        const invRR = gg * bb - gb * gb;
+        const invRG = rb * gb - rg * bb;
+        const invRB = rg * gb - rb * gg;
+        const invGG = rr * bb - rb * rb;
+        const invGB = rb * rg - rr * gb;
+        const invBB = rr * gg - rg * rg;
+        const determinant = rr * invRR + rg * invRG + rb * invRB;
+
+        const aR = (invRR * covR + invRG * covG + invRB * covB) / determinant;
+        const aG = (invRG * covR + invGG * covG + invGB * covB) / determinant;
+        const aB = (invRB * covR + invGB * covG + invBB * covB) / determinant;
+        a[0][p] = aR;
+        a[1][p] = aG;
+        a[2][p] = aB;
+        b[p] = meanP[p] - aR * mr - aG * mg - aB * mb;
+    }
+
+    const meanA = a.map(mean);
+    const meanB = mean(b);
+    for (let p = 0; p < pixelCount; p++) {
+        coefficients[p * 4] = meanA[0][p];
+        coefficients[p * 4 + 1] = meanA[1][p];
+        coefficients[p * 4 + 2] = meanA[2][p];
+        coefficients[p * 4 + 3] = meanB[p];
+    }
+    return coefficients;
+};
+
+/**
+ * Finds the pixels whose guided filter output is known without evaluating it: where the mask is fully clear
+ * (or fully opaque) within twice the filter radius, the averaged coefficients reduce to that constant.
+ * Most of a typical image is such plain backdrop or subject interior.
+ * @param {{width: number, height: number, data: Uint8ClampedArray}} guide - The low-resolution pixels; their alpha is the mask.
+ * @param {number} radius - The filter's window radius.
+ * @returns {Int16Array} Per pixel, the settled mask value (0 or 255), or -1 if the filter must be evaluated.
+ */
+const findSettledPixels = (guide, radius) => {
+    const { width, height, data } = guide;
+    const pixelCount = width * height;
+    const isClear = new Float32Array(pixelCount);
+    const isOpaque = new Float32Array(pixelCount);
+    for (let p = 0; p < pixelCount; p++) {
+        isClear[p] = data[p * 4 + 3] === 0 ? 1 : 0;
+        isOpaque[p] = data[p * 4 + 3] === 255 ? 1 : 0;
+    }
+    const clearShare = boxFilterChannel(isClear, width, height, 2 * radius);
+    const opaqueShare = boxFilterChannel(isOpaque, width, height, 2 * radius);
+    const settled = new Int16Array(pixelCount);
+    for (let p = 0; p < pixelCount; p++) {
+        settled[p] = clearShare[p] > 0.9999 ? 0 : opaqueShare[p] > 0.9999 ? 255 : -1;
+    }
+    return settled;
+};
+
+/**
+ * Fits the guided filter only in the blocks that hold unsettled pixels, each with enough margin to match a fit
+ * over the whole image. Settled pixels get the constant model of their value.
+ * @param {{width: number, height: number, data: Uint8ClampedArray}} guide - The low-resolution pixels; their alpha is the mask.
+ * @param {Int16Array} settled - The settled values (see `findSettledPixels`).
+ * @param {number} radius - The window radius.
+ * @param {number} epsilon - The regularization.
+ * @returns {Float32Array} Per pixel, `[aR, aG, aB, b]` (see `fitGuidedFilter`).
+ */
+const fitUnsettledBlocks = (guide, settled, radius, epsilon) => {
+    const { width, height } = guide;
+    const coefficients = new Float32Array(width * height * 4);
+    for (let p = 0; p < settled.length; p++) {
+        if (settled[p] >= 0) coefficients[p * 4 + 3] = settled[p] / 255;
+    }
+
+    const margin = 2 * radius; // The averaged coefficients depend on the guide within twice the radius
+    for (let blockY = 0; blockY < height; blockY += FIT_BLOCK_SIZE) {
+        for (let blockX = 0; blockX < width; blockX += FIT_BLOCK_SIZE) {
+            const blockWidth = Math.min(FIT_BLOCK_SIZE, width - blockX);
+            const blockHeight = Math.min(FIT_BLOCK_SIZE, height - blockY);
+            let hasUnsettled = false;
+            for (let y = blockY; y < blockY + blockHeight && !hasUnsettled; y++) {
+                for (let x = blockX; x < blockX + blockWidth; x++) {
+                    if (settled[y * width + x] < 0) {
+                        hasUnsettled = true;
+                        break;
+                    }
+                }
+            }
+            if (!hasUnsettled) continue;
+
+            const x0 = Math.max(0, blockX - margin);
+            const y0 = Math.max(0, blockY - margin);
+            const region = cropImageData(guide, {
+                x: x0,
+                y: y0,
+                width: Math.min(width, blockX + blockWidth + margin) - x0,
+                height: Math.min(height, blockY + blockHeight + margin) - y0,
+            });
+            const regionCoefficients = fitGuidedFilter(region, radius, epsilon);
+            for (let y = blockY; y < blockY + blockHeight; y++) {
+                const regionStart = ((y - y0) * region.width + (blockX - x0)) * 4;
+                coefficients.set(regionCoefficients.subarray(regionStart, regionStart + blockWidth * 4), (y * width + blockX) * 4);
+            }
+        }
+    }
+    return coefficients;
+};
+
+/**
+ * Returns, for each full-resolution position along one axis, the two low-resolution positions to interpolate
+ * between and the weight of the second, aligning pixel centers.
+ * @param {number} fullLength - The full-resolution length.
+ * @param {number} lowLength - The low-resolution length.
+ * @returns {{first: Int32Array, second: Int32Array, weight: Float32Array}} The interpolation taps.
+ */
+const getInterpolationTaps = (fullLength, lowLength) => {
+    const first = new Int32Array(fullLength);
+    const second = new Int32Array(fullLength);
+    const weight = new Float32Array(fullLength);
+    for (let i = 0; i < fullLength; i++) {
+        const position = Math.min(lowLength - 1, Math.max(0, ((i + 0.5) * lowLength) / fullLength - 0.5));
+        first[i] = Math.floor(position);
+        second[i] = Math.min(lowLength - 1, first[i] + 1);
+        weight[i] = position - first[i];
+    }
+    return { first, second, weight };
+};
+
+/**
+ * Upsamples a mask computed on a downscaled copy to full resolution, guided by the full-resolution colors.
+ * @param {{width: number, height: number, data: Uint8ClampedArray}} lowResult - The downscaled copy after background
+ *        removal; its alpha is the low-resolution mask and its colors are the guide it was fitted to.
+ * @param {ImageData} imageData - The full-resolution pixels, whose colors guide the upsampling.
+ * @param {object} [options] - Filter options.
+ * @param {number} [options.radius] - Window radius in low-resolution pixels.
+ * @param {number} [options.epsilon] - Regularization of the fit.
+ * @returns {Uint8ClampedArray} The full-resolution mask, one alpha value per pixel in row-major order.
+ */
+export function guidedUpsampleMask(lowResult, imageData, options = {}) {
+    const { radius = GUIDED_FILTER_RADIUS, epsilon = GUIDED_FILTER_EPSILON } = options;
+    const settled = findSettledPixels(lowResult, radius);
+    const coefficients = fitUnsettledBlocks(lowResult, settled, radius, epsilon);
+    const { width, height, data } = imageData;
+    const columns = getInterpolationTaps(width, lowResult.width);
+    const rows = getInterpolationTaps(height, lowResult.height);
+    const mask = new Uint8ClampedArray(width * height);
+
+    // Coefficient rows interpolated to full width, cached for the two low-resolution rows in use.
+    const widenedRows = new Map();
+    const getWidenedRow = (lowY) => {
+        if (!widenedRows.has(lowY)) {
+            const lowRowStart = lowY * lowResult.width;
+            const widened = new Float32Array(width * 4);
+            for (let x = 0; x < width; x++) {
+                const left = (lowRowStart + columns.first[x]) * 4;
+                const right = (lowRowStart + columns.second[x]) * 4;
+                const weightX = columns.weight[x];
+                for (let k = 0; k < 4; k++) {
+                    widened[x * 4 + k] = coefficients[left + k] + (coefficients[right + k] - coefficients[left + k]) * weightX;
+                }
+            }
+            widenedRows.set(lowY, widened);
+        }
+        return widenedRows.get(lowY);
+    };
+
+    for (let y = 0; y < height; y++) {
+        widenedRows.forEach((_, cachedY) => {
+            if (cachedY < rows.first[y]) widenedRows.delete(cachedY); // Rows only move down
+        });
+        const top = getWidenedRow(rows.first[y]);
+        const bottom = getWidenedRow(rows.second[y]);
+        const weightY = rows.weight[y];
+        const topRow = rows.first[y] * lowResult.width;
+        const bottomRow = rows.second[y] * lowResult.width;
+        for (let x = 0; x < width; x++) {
+            const left = columns.first[x];
+            const right = columns.second[x];
+            const settledValue = settled[topRow + left];
+            if (settledValue >= 0 && settled[topRow + right] === settledValue &&
+                settled[bottomRow + left] === settledValue && settled[bottomRow + right] === settledValue) {
+                mask[y * width + x] = settledValue;
+                continue;
+            }
+            const c = x * 4;
+            const offset = (y * width + x) * 4;
+            const aR = top[c] + (bottom[c] - top[c]) * weightY;
+            const aG = top[c + 1] + (bottom[c + 1] - top[c + 1]) * weightY;
+            const aB = top[c + 2] + (bottom[c + 2] - top[c + 2]) * weightY;
+            const b = top[c + 3] + (bottom[c + 3] - top[c + 3]) * weightY;
+            mask[y * width + x] = Math.round(aR * data[offset] + aG * data[offset + 1] + aB * data[offset + 2] + b * 255); // Clamped to 0-255 by the array type
+        }
+    }
+    return mask;
+}
+
+/**
+ * Measures how far a mask is from a reference mask, e.g. a low-resolution result against the full-resolution one.
+ * Both are compared through their alpha channels and must have the same size.
+ * @param {ImageData} reference - The reference result.
+ * @param {ImageData} candidate - The result to measure.
+ * @param {object} [options] - Comparison options.
+ * @param {number} [options.tolerance=25] - Alpha difference up to which a pixel still counts as matching.
+ * @returns {{meanAbsoluteError: number, maxError: number, mismatchRatio: number, intersectionOverUnion: number}}
+ *          The mean alpha difference as a fraction of 255, the largest alpha difference (0-255), the fraction of
+ *          pixels differing by more than the tolerance, and the overlap of the two foregrounds (alpha above half),
+ *          which is 1 for identical masks.
+ * @throws {Error} If the sizes differ.
+ */
+export function compareMasks(reference, candidate, { tolerance = 25 } = {}) {
+    if (reference.width !== candidate.width || reference.height !== candidate.height) {
+        throw new Error(`Cannot compare a ${candidate.width}x${candidate.height} mask with a ${reference.width}x${reference.height} reference.`);
+    }
+    const pixelCount = reference.width * reference.height;
+    let errorSum = 0;
+    let maxError = 0;
+    let mismatches = 0;
+    let intersection = 0;
+    let union = 0;
+    for (let p = 0; p < pixelCount; p++) {
+        const referenceAlpha = reference.data[p * 4 + 3];
+        const candidateAlpha = candidate.data[p * 4 + 3];
+        const error = Math.abs(referenceAlpha - candidateAlpha);
+        errorSum += error;
+        if (error > maxError) maxError = error;
+        if (error > tolerance) mismatches++;
+        const inReference = referenceAlpha > 127;
+        const inCandidate = candidateAlpha > 127;
+        if (inReference && inCandidate) intersection++;
+        if (inReference || inCandidate) union++;
+    }
+    return {
+        meanAbsoluteError: pixelCount > 0 ? errorSum / pixelCount / 255 : 0,
+        maxError,
+        mismatchRatio: pixelCount > 0 ? mismatches / pixelCount : 0,
+        intersectionOverUnion: union > 0 ? intersection / union : 1,
+    };
+}
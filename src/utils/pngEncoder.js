@@ -0,0 +1,125 @@
+// src/utils/pngEncoder.js
+
+/**
+ * @file Streaming PNG encoder for images too large for a canvas. Rows are written in batches and deflated
+ * as they arrive with `CompressionStream`, so only the compressed output is kept, never the whole image.
+ * DOM-free, so it runs inside the background removal worker.
+ */
+
+const PNG_SIGNATURE = new Uint8Array([137, 80, 78, 71, 13, 10, 26, 10]);
+const COLOR_TYPE_RGBA = 6;
+const FILTER_UP = 2; // Each byte minus the byte above it: cheap, and compresses photos far better than no filter
+
+const CRC_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+            c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+        }
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+/**
+ * Computes the CRC-32 of a PNG chunk's type and data.
+ * @param {Uint8Array[]} parts - The bytes to checksum, in order.
+ * @returns {number} The checksum.
+ */
+const crc32 = (parts) => {
+    let crc = 0xffffffff;
+    parts.forEach((bytes) => {
+        for (let i = 0; i < bytes.length; i++) {
+            crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+        }
+    });
+    return (crc ^ 0xffffffff) >>> 0;
+};
+
+/**
+ * Builds a PNG chunk: length, type, data and CRC.
+ * @param {string} type - The four-letter chunk type.
+ * @param {Uint8Array} data - The chunk data.
+ * @returns {Uint8Array} The chunk bytes.
+ */
+const createChunk = (type, data) => {
+    const typeBytes = new Uint8Array([...type].map((character) => character.charCodeAt(0)));
+    const chunk = new Uint8Array(12 + data.length);
+    const view = new DataView(chunk.buffer);
+    view.setUint32(0, data.length);
+    chunk.set(typeBytes, 4);
+    chunk.set(data, 8);
+    view.setUint32(8 + data.length, crc32([typeBytes, data]));
+    return chunk;
+};
+
+/**
+ * Checks whether this environment can stream-encode PNGs.
+ * @returns {boolean} True if `CompressionStream` is available.
+ */
+export const canEncodePngStream = () => typeof CompressionStream !== "undefined";
+
+/**
+ * Starts encoding an 8-bit RGBA PNG whose rows are supplied top to bottom.
+ * @param {number} width - The image width in pixels.
+ * @param {number} height - The image height in pixels.
+ * @returns {{writeRows: function(Uint8ClampedArray, number): Promise<void>, finish: function(): Promise<Blob>}}
+ *          `writeRows(data, rowCount)` appends `rowCount` rows of RGBA pixels; `finish()` resolves to the PNG
+ *          once all `height` rows were written.
+ */
+export function createPngStreamEncoder(width, height) {
+    const rowLength = width * 4;
+    const header = new Uint8Array(13);
+    const headerView = new DataView(header.buffer);
+    headerView.setUint32(0, width);
+    headerView.setUint32(4, height);
+    header[8] = 8; // Bits per channel
+    header[9] = COLOR_TYPE_RGBA; // Compression, filter and interlace methods stay 0
+
+    const parts = [PNG_SIGNATURE, createChunk("IHDR", header)];
+    const compression = new CompressionStream("deflate"); // zlib framing, as IDAT requires
+    const writer = compression.writable.getWriter();
+    // Every compressed block becomes its own IDAT chunk; decoders concatenate them.
+    const collecting = (async () => {
+        const reader = compression.readable.getReader();
+        for (;;) {
+            const { done, value } = await reader.read();
+            if (done) return;
+            parts.push(createChunk("IDAT", value));
+        }
+    })();
+
+    let previousRow = new Uint8Array(rowLength); // The row above the first is all zeros
+    let rowsWritten = 0;
+
+    return {
+        async writeRows(data, rowCount) {
+            if (rowsWritten + rowCount > height) {
+                throw new Error(`PNG encoder received more than the ${height} rows of the image.`);
+            }
+            const filtered = new Uint8Array(rowCount * (rowLength + 1));
+            for (let y = 0; y < rowCount; y++) {
+                const row = data.subarray(y * rowLength, (y + 1) * rowLength);
+                const lineStart = y * (rowLength + 1);
+                filtered[lineStart] = FILTER_UP;
+                for (let i = 0; i < rowLength; i++) {
+                    filtered[lineStart + 1 + i] = row[i] - previousRow[i]; // Wraps modulo 256 in the Uint8Array
+                }
+                previousRow = row;
+            }
+            previousRow = new Uint8Array(previousRow); // Keep a copy; the caller may reuse its buffer
+            rowsWritten += rowCount;
+            await writer.write(filtered);
+        },
+        async finish() {
+            if (rowsWritten !== height) {
+                throw new Error(`PNG encoder received ${rowsWritten} of ${height} rows.`);
+            }
+            await writer.close();
+            await collecting;
+            parts.push(createChunk("IEND", new Uint8Array(0)));
+            return new Blob(parts, { type: "image/png" });
+        },
+    };
+}
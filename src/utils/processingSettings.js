@@ -0,0 +1,194 @@
+// src/utils/processingSettings.js
+
+/**
+ * @file Shape and helpers for the user's background removal settings, shared by single-image
+ * and batch processing so both run with exactly the same options.
+ */
+
+import { DEFAULT_ALGORITHM_ID, getAlgorithm, getDefaultParams, getParamRange } from "../algorithms";
+import { BACKGROUND_MODELS, MAX_CLUSTER_COUNT, MIN_CLUSTER_COUNT } from "./backgroundModel";
+import { DEFAULT_SAMPLING, SAMPLING_STRATEGIES } from "./imageProcessing";
+import { MASK_RESOLUTIONS } from "./maskUpsampling";
+import { DEFAULT_CLEANUP_OPTIONS, MAX_MORPHOLOGY_RADIUS, MORPHOLOGY_OPERATIONS } from "./maskCleanup";
+import { DEFAULT_DECONTAMINATION_OPTIONS, SPILL_COLORS } from "./edgeDecontamination";
+import { DEFAULT_CROP_OPTIONS, PADDING_UNITS } from "./autoCrop";
+
+/**
+ * Default settings for a new session.
+ * `paramsByAlgorithm` keeps edited parameters per algorithm, so switching algorithms does not lose edits.
+ * `sampling` says where the background color is sampled and how it is modelled (see `DEFAULT_SAMPLING`).
+ * `maskMaxSide` computes the mask on a downscaled copy of at most that many pixels per side (see `MASK_RESOLUTIONS`),
+ * or at full resolution when null.
+ * `cleanup` says which mask cleanup steps run after the algorithm (see `DEFAULT_CLEANUP_OPTIONS`).
+ * `decontamination` says whether edge colors are decontaminated and spill suppressed
+ * (see `DEFAULT_DECONTAMINATION_OPTIONS`).
+ * `crop` is `{ enabled, ...DEFAULT_CROP_OPTIONS }`: whether and how the result is trimmed to its subject.
+ */
+export const DEFAULT_PROCESSING_SETTINGS = {
+    algorithm: DEFAULT_ALGORITHM_ID,
+    paramsByAlgorithm: {},
+    sampling: DEFAULT_SAMPLING,
+    featherRadius: 1,
+    maskMaxSide: null,
+    cleanup: DEFAULT_CLEANUP_OPTIONS,
+    decontamination: DEFAULT_DECONTAMINATION_OPTIONS,
+    crop: { enabled: false, ...DEFAULT_CROP_OPTIONS },
+};
+
+/**
+ * Fills in and bounds stored cleanup options.
+ * @param {object} [cleanup] - Stored cleanup options.
+ * @returns {object} Complete cleanup options.
+ */
+const normalizeCleanupOptions = (cleanup) => {
+    const merged = { ...DEFAULT_CLEANUP_OPTIONS, ...cleanup };
+    const toSize = (value, fallback) => (Number.isFinite(value) && value >= 1 ? Math.round(value) : fallback);
+    return {
+        ...merged,
+        removeIslands: Boolean(merged.removeIslands),
+        maxIslandSize: toSize(merged.maxIslandSize, DEFAULT_CLEANUP_OPTIONS.maxIslandSize),
+        fillHoles: Boolean(merged.fillHoles),
+        maxHoleSize: toSize(merged.maxHoleSize, DEFAULT_CLEANUP_OPTIONS.maxHoleSize),
+        morphology: Object.values(MORPHOLOGY_OPERATIONS).includes(merged.morphology) ? merged.morphology : null,
+        morphologyRadius: Math.min(MAX_MORPHOLOGY_RADIUS, toSize(merged.morphologyRadius, DEFAULT_CLEANUP_OPTIONS.morphologyRadius)),
+    };
+};
+
+/**
+ * Fills in and bounds stored decontamination options.
+ * @param {object} [decontamination] - Stored decontamination options.
+ * @returns {object} Complete decontamination options.
+ */
+const normalizeDecontaminationOptions = (decontamination) => {
+    const merged = { ...DEFAULT_DECONTAMINATION_OPTIONS, ...decontamination };
+    return {
+        ...merged,
+        decontaminateEdges: Boolean(merged.decontaminateEdges),
+        spillSuppression: Object.values(SPILL_COLORS).includes(merged.spillSuppression) ? merged.spillSuppression : null,
+        spillStrength: Number.isFinite(merged.spillStrength)
+            ? Math.min(1, Math.max(0, merged.spillStrength))
+            : DEFAULT_DECONTAMINATION_OPTIONS.spillStrength,
+    };
+};
+
+/**
+ * Fills in and bounds stored crop options.
+ * @param {object} [crop] - Stored crop options.
+ * @returns {object} Complete crop options.
+ */
+const normalizeCropOptions = (crop) => {
+    const merged = { ...DEFAULT_PROCESSING_SETTINGS.crop, ...crop };
+    return {
+        ...merged,
+        enabled: Boolean(merged.enabled),
+        alphaThreshold: Number.isFinite(merged.alphaThreshold)
+            ? Math.min(254, Math.max(0, Math.round(merged.alphaThreshold)))
+            : DEFAULT_CROP_OPTIONS.alphaThreshold,
+        padding: Number.isFinite(merged.padding) && merged.padding >= 0 ? merged.padding : DEFAULT_CROP_OPTIONS.padding,
+        paddingUnit: Object.values(PADDING_UNITS).includes(merged.paddingUnit) ? merged.paddingUnit : DEFAULT_CROP_OPTIONS.paddingUnit,
+        aspectRatio: Number.isFinite(merged.aspectRatio) && merged.aspectRatio > 0 ? merged.aspectRatio : null,
+    };
+};
+
+/**
+ * Fills in missing fields of settings restored from storage, which may predate newer fields
+ * or name an algorithm that is no longer registered.
+ * @param {object} settings - Stored processing settings.
+ * @returns {object} Complete processing settings.
+ */
+export function normalizeProcessingSettings(settings) {
+    const sampling = { ...DEFAULT_SAMPLING, ...(settings && settings.sampling) };
+    return {
+        ...DEFAULT_PROCESSING_SETTINGS,
+        ...settings,
+        algorithm: settings && getAlgorithm(settings.algorithm) ? settings.algorithm : DEFAULT_ALGORITHM_ID,
+        paramsByAlgorithm: { ...(settings && settings.paramsByAlgorithm) },
+        sampling: {
+            ...sampling,
+            strategy: Object.values(SAMPLING_STRATEGIES).includes(sampling.strategy) ? sampling.strategy : DEFAULT_SAMPLING.strategy,
+            points: Array.isArray(sampling.points) ? sampling.points : [],
+            model: Object.values(BACKGROUND_MODELS).includes(sampling.model) ? sampling.model : DEFAULT_SAMPLING.model,
+            clusterCount: Number.isFinite(sampling.clusterCount)
+                ? Math.min(MAX_CLUSTER_COUNT, Math.max(MIN_CLUSTER_COUNT, Math.round(sampling.clusterCount)))
+                : DEFAULT_SAMPLING.clusterCount,
+        },
+        maskMaxSide: settings && MASK_RESOLUTIONS.some(({ value }) => value === settings.maskMaxSide) ? settings.maskMaxSide : null,
+        cleanup: normalizeCleanupOptions(settings && settings.cleanup),
+        decontamination: normalizeDecontaminationOptions(settings && settings.decontamination),
+        crop: normalizeCropOptions(settings && settings.crop),
+    };
+}
+
+/**
+ * Returns the selected algorithm's parameters, with defaults filled in for anything not edited.
+ * @param {object} settings - The processing settings.
+ * @returns {object} The parameters of the selected algorithm.
+ */
+export function getSelectedAlgorithmParams(settings) {
+    const edited = settings.paramsByAlgorithm[settings.algorithm];
+    return { ...getDefaultParams(settings.algorithm, edited), ...edited };
+}
+
+/**
+ * Sets one parameter of the selected algorithm. Number parameters whose range depends on the changed parameter
+ * (see `getParamRange`), like tolerances on the color metric, are rescaled by the ratio of their defaults and
+ * kept in their new range, so they go on removing about as much of the backdrop.
+ * @param {object} settings - The processing settings.
+ * @param {string} name - The parameter's name.
+ * @param {*} value - Its new value.
+ * @returns {object} The updated settings.
+ */
+export function setSelectedAlgorithmParam(settings, name, value) {
+    const algorithm = getAlgorithm(settings.algorithm);
+    const current = getSelectedAlgorithmParams(settings);
+    const changes = { [name]: value };
+    (algorithm ? algorithm.params : [])
+        .filter((param) => param.ranges && param.ranges.param === name && value !== current[name])
+        .forEach((param) => {
+            const from = getParamRange(param, current, algorithm.params);
+            const to = getParamRange(param, changes, algorithm.params);
+            const step = to.step || 1;
+            const scaled = from.default ? (current[param.name] * to.default) / from.default : to.default;
+            changes[param.name] = Math.min(to.max, Math.max(to.min, Math.round(scaled / step) * step));
+        });
+    return {
+        ...settings,
+        paramsByAlgorithm: {
+            ...settings.paramsByAlgorithm,
+            [settings.algorithm]: { ...settings.paramsByAlgorithm[settings.algorithm], ...changes },
+        },
+    };
+}
+
+/**
+ * Returns the crop options accepted by `removeBackground` and `trimToSubject`, or null if trimming is disabled.
+ * @param {object} settings - The processing settings.
+ * @returns {object | null} The crop options (see `DEFAULT_CROP_OPTIONS`).
+ */
+export function getCropOptions(settings) {
+    if (!settings.crop || !settings.crop.enabled) {
+        return null;
+    }
+    const { enabled, ...crop } = settings.crop;
+    return crop;
+}
+
+/**
+ * Converts processing settings into the options accepted by `removeBackground`.
+ * @param {object} settings - The processing settings.
+ * @returns {{algorithm: string, params: object, sampling: object, featherRadius: number, maskMaxSide: number | null, cleanup: object,
+ *          decontamination: object, crop: object | null}}
+ *          The removal options. `crop` is null unless trimming is enabled.
+ */
+export function getRemovalOptions(settings) {
+    return {
+        algorithm: settings.algorithm,
+        params: getSelectedAlgorithmParams(settings),
+        sampling: settings.sampling,
+        featherRadius: settings.featherRadius,
+        maskMaxSide: settings.maskMaxSide,
+        cleanup: settings.cleanup,
+        decontamination: settings.decontamination,
+        crop: getCropOptions(settings),
+    };
+}
@@ -0,0 +1,54 @@
+// src/utils/resultsArchive.js
+
+/**
+ * @file Builds a ZIP archive of processed images entirely in the browser.
+ */
+
+import JSZip from "jszip";
+import { dataUrlToBlob } from "./download";
+import { getProcessedFileName, makeUniqueFileName } from "./fileNames";
+import { loadImageElement } from "./imageProcessing";
+
+export const RESULTS_ARCHIVE_FILE_NAME = "background-removed-images.zip";
+export const MANIFEST_FILE_NAME = "manifest.json";
+
+/**
+ * Creates a ZIP archive containing processed images.
+ * Each image is stored under its `-no-bg` download name; colliding names get a numeric suffix.
+ * PNG data is already compressed, so entries are stored without recompression.
+ * @param {Array<{sourceFileName: string, dataUrl: string, options?: object}>} results - The processed images,
+ *        with the name of the file each was produced from and the removal options used.
+ * @param {object} [archiveOptions] - Archive options.
+ * @param {boolean} [archiveOptions.includeManifest=false] - Adds a `manifest.json` listing, for every image,
+ *        the source file, the output file, its dimensions and the settings used.
+ * @returns {Promise<Blob>} A promise that resolves with the ZIP archive.
+ */
+export async function createResultsArchive(results, { includeManifest = false } = {}) {
+    const zip = new JSZip();
+    // Reserve the manifest name so an image can never overwrite it.
+    const usedNames = new Set(includeManifest ? [MANIFEST_FILE_NAME] : []);
+    const manifestEntries = [];
+
+    for (const result of results) {
+        const outputFileName = makeUniqueFileName(getProcessedFileName(result.sourceFileName), usedNames);
+        zip.file(outputFileName, await dataUrlToBlob(result.dataUrl));
+
+        if (includeManifest) {
+            const img = await loadImageElement(result.dataUrl);
+            manifestEntries.push({
+                sourceFile: result.sourceFileName,
+                outputFile: outputFileName,
+                width: img.naturalWidth,
+                height: img.naturalHeight,
+                settings: result.options || null,
+            });
+        }
+    }
+
+    if (includeManifest) {
+        const manifest = { createdAt: new Date().toISOString(), files: manifestEntries };
+        zip.file(MANIFEST_FILE_NAME, JSON.stringify(manifest, null, 2));
+    }
+
+    return zip.generateAsync({ type: "blob", mimeType: "application/zip" });
+}
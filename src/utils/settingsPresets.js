@@ -0,0 +1,70 @@
+// src/utils/settingsPresets.js
+
+/**
+ * @file Named processing settings presets saved in localStorage, one of which can be marked as the
+ * default that new sessions start with.
+ */
+
+import { DEFAULT_PROCESSING_SETTINGS, normalizeProcessingSettings } from "./processingSettings";
+
+const PRESETS_STORAGE_KEY = "backgroundRemover.settingsPresets";
+const DEFAULT_PRESET_STORAGE_KEY = "backgroundRemover.defaultSettingsPreset";
+
+/**
+ * Reads the saved presets. Each preset is `{ id, name, settings }`.
+ * @returns {object[]} The presets, or an empty array if none are saved or storage is unavailable.
+ */
+export function loadSettingsPresets() {
+    try {
+        const stored = JSON.parse(window.localStorage.getItem(PRESETS_STORAGE_KEY) || "[]");
+        return Array.isArray(stored)
+            ? stored
+                .filter((preset) => preset && preset.id)
+                .map((preset) => ({ id: preset.id, name: String(preset.name || "Untitled preset"), settings: normalizeProcessingSettings(preset.settings) }))
+            : [];
+    } catch (storageError) {
+        console.warn("Could not read saved settings presets:", storageError);
+        return [];
+    }
+}
+
+/**
+ * Reads the id of the default preset.
+ * @returns {string | null} The id, or null if no default is set.
+ */
+export function loadDefaultSettingsPresetId() {
+    try {
+        return window.localStorage.getItem(DEFAULT_PRESET_STORAGE_KEY);
+    } catch (storageError) {
+        return null;
+    }
+}
+
+/**
+ * Saves the presets and the default preset id, replacing what is stored.
+ * @param {object[]} presets - The presets.
+ * @param {string | null} defaultPresetId - The default preset's id, or null for none.
+ * @throws {Error} If storage is unavailable or full.
+ */
+export function saveSettingsPresets(presets, defaultPresetId) {
+    try {
+        window.localStorage.setItem(PRESETS_STORAGE_KEY, JSON.stringify(presets));
+        if (defaultPresetId) {
+            window.localStorage.setItem(DEFAULT_PRESET_STORAGE_KEY, defaultPresetId);
+        } else {
+            window.localStorage.removeItem(DEFAULT_PRESET_STORAGE_KEY);
+        }
+    } catch (storageError) {
+        throw new Error("Could not save the preset. Your browser may block or have filled up local storage.");
+    }
+}
+
+/**
+ * Returns the settings a new session starts with: the default preset's, if one is set and still saved.
+ * @returns {object} Processing settings.
+ */
+export function loadInitialProcessingSettings() {
+    const defaultPresetId = loadDefaultSettingsPresetId();
+    const defaultPreset = defaultPresetId && loadSettingsPresets().find((preset) => preset.id === defaultPresetId);
+    return defaultPreset ? defaultPreset.settings : DEFAULT_PROCESSING_SETTINGS;
+}
@@ -0,0 +1,160 @@
+// src/utils/validation.js
+
+/**
+ * @file Single source of truth for which images can be processed. Limits live in one policy object;
+ * failures are `ImageValidationError`s with a stable `code` and the `params` needed to explain them,
+ * so the UI can word its own messages. DOM-free, so the worker validates with the same rules.
+ */
+
+export const VALIDATION_ERROR_CODES = {
+    NO_FILE: "NO_FILE",
+    UNSUPPORTED_TYPE: "UNSUPPORTED_TYPE", // params: { type, allowedTypes }
+    FILE_TOO_LARGE: "FILE_TOO_LARGE", // params: { size, maxFileSizeBytes }
+    DECODE_FAILED: "DECODE_FAILED", // params: {}
+    DIMENSION_EXCEEDED: "DIMENSION_EXCEEDED", // params: { width, height, maxDimension }
+    PIXEL_BUDGET_EXCEEDED: "PIXEL_BUDGET_EXCEEDED", // params: { width, height, totalPixels, maxTotalPixels }
+    MASK_SIZE_MISMATCH: "MASK_SIZE_MISMATCH", // params: { maskWidth, maskHeight, width, height }
+};
+
+/**
+ * Default limits.
+ * - `maxFileSizeBytes`: largest accepted upload.
+ * - `allowedTypes`: accepted MIME types.
+ * - `maxDimension`: largest accepted width or height, in pixels.
+ * - `maxTotalPixels`: largest accepted width × height, which bounds the memory of the pixel buffers.
+ * - `maxTiledFileSizeBytes`, `maxTiledDimension`, `maxTiledTotalPixels`: the same limits for images processed
+ *   in strips (see `src/services/tiledPipeline.js`). The decoded image is still held whole, at 4 bytes per pixel,
+ *   while strips of it are processed, so `maxTiledTotalPixels` keeps that bitmap near the peak memory of the
+ *   one-piece path, which holds three copies of an image at `maxTotalPixels`.
+ *   They apply where tiled processing is available and the algorithm supports it; elsewhere the limits above apply.
+ */
+export const DEFAULT_VALIDATION_POLICY = Object.freeze({
+    maxFileSizeBytes: 20 * 1024 * 1024,
+    allowedTypes: Object.freeze(["image/jpeg", "image/png", "image/webp", "image/jpg"]),
+    maxDimension: 8000,
+    maxTotalPixels: 30000000,
+    maxTiledFileSizeBytes: 200 * 1024 * 1024,
+    maxTiledDimension: 30000, // Below the 32767px canvas side limit of current browsers
+    maxTiledTotalPixels: 100000000, // ~400MB decoded bitmap
+});
+
+/**
+ * An image that fails the validation policy.
+ */
+export class ImageValidationError extends Error {
+    /**
+     * @param {string} code - One of `VALIDATION_ERROR_CODES`.
+     * @param {object} [params] - Values describing the failure (see `VALIDATION_ERROR_CODES`).
+     */
+    constructor(code, params = {}) {
+        super(`Image validation failed: ${code}`);
+        this.name = "ImageValidationError";
+        this.code = code;
+        this.params = params;
+    }
+}
+
+const readPositiveNumber = (value) => {
+    const number = Number(value);
+    return value !== undefined && value !== "" && Number.isFinite(number) && number > 0 ? number : null;
+};
+
+/**
+ * Builds a validation policy from the defaults and overrides.
+ * Overrides can only tighten the defaults, which are what browsers handle reliably: larger limits are capped,
+ * types outside the default list are dropped, and invalid values are ignored.
+ * @param {object} [overrides] - Fields of `DEFAULT_VALIDATION_POLICY` to replace.
+ * @returns {object} The policy.
+ */
+export function createValidationPolicy(overrides = {}) {
+    const policy = { ...DEFAULT_VALIDATION_POLICY };
+    ["maxFileSizeBytes", "maxDimension", "maxTotalPixels", "maxTiledFileSizeBytes", "maxTiledDimension", "maxTiledTotalPixels"].forEach((field) => {
+        const value = readPositiveNumber(overrides[field]);
+        if (value !== null) policy[field] = Math.min(value, DEFAULT_VALIDATION_POLICY[field]);
+    });
+    const allowedTypes = (overrides.allowedTypes || []).filter((type) => DEFAULT_VALIDATION_POLICY.allowedTypes.includes(type));
+    if (allowedTypes.length > 0) {
+        policy.allowedTypes = Object.freeze(allowedTypes);
+    }
+    return Object.freeze(policy);
+}
+
+const megabytesToBytes = (megabytes) => megabytes && Math.round(megabytes * 1024 * 1024);
+
+// A deployment tightens the limits at build time with REACT_APP_MAX_FILE_SIZE_MB,
+// REACT_APP_MAX_IMAGE_DIMENSION and REACT_APP_MAX_IMAGE_PIXELS, and the tiled limits with
+// REACT_APP_MAX_TILED_FILE_SIZE_MB, REACT_APP_MAX_TILED_IMAGE_DIMENSION and REACT_APP_MAX_TILED_IMAGE_PIXELS.
+const deploymentPolicy = createValidationPolicy({
+    maxFileSizeBytes: megabytesToBytes(readPositiveNumber(process.env.REACT_APP_MAX_FILE_SIZE_MB)),
+    maxDimension: process.env.REACT_APP_MAX_IMAGE_DIMENSION,
+    maxTotalPixels: process.env.REACT_APP_MAX_IMAGE_PIXELS,
+    maxTiledFileSizeBytes: megabytesToBytes(readPositiveNumber(process.env.REACT_APP_MAX_TILED_FILE_SIZE_MB)),
+    maxTiledDimension: process.env.REACT_APP_MAX_TILED_IMAGE_DIMENSION,
+    maxTiledTotalPixels: process.env.REACT_APP_MAX_TILED_IMAGE_PIXELS,
+});
+
+/**
+ * Returns the policy in effect: the defaults with this deployment's overrides.
+ * @returns {object} The policy.
+ */
+export function getValidationPolicy() {
+    return deploymentPolicy;
+}
+
+/**
+ * Checks a file's presence, type and size. Dimensions need the decoded image; see `validateDimensions`.
+ * @param {Blob | null | undefined} file - The image file.
+ * @param {object} [policy] - The policy to apply. Defaults to `getValidationPolicy()`.
+ * @param {object} [options] - Additional options.
+ * @param {boolean} [options.tiled=false] - Whether the file may be processed in strips, which allows larger files.
+ * @throws {ImageValidationError} If the file fails the policy.
+ */
+export function validateFile(file, policy = getValidationPolicy(), { tiled = false } = {}) {
+    if (!file) {
+        throw new ImageValidationError(VALIDATION_ERROR_CODES.NO_FILE);
+    }
+    if (!policy.allowedTypes.includes(file.type)) {
+        throw new ImageValidationError(VALIDATION_ERROR_CODES.UNSUPPORTED_TYPE, { type: file.type, allowedTypes: policy.allowedTypes });
+    }
+    const maxFileSizeBytes = tiled ? Math.max(policy.maxFileSizeBytes, policy.maxTiledFileSizeBytes) : policy.maxFileSizeBytes;
+    if (file.size > maxFileSizeBytes) {
+        throw new ImageValidationError(VALIDATION_ERROR_CODES.FILE_TOO_LARGE, { size: file.size, maxFileSizeBytes });
+    }
+}
+
+/**
+ * Tells whether decoded dimensions exceed the limits for processing in one piece, so the image has to be
+ * processed in strips.
+ * @param {number} width - The natural width of the decoded image.
+ * @param {number} height - The natural height of the decoded image.
+ * @param {object} [policy] - The policy to apply. Defaults to `getValidationPolicy()`.
+ * @returns {boolean} True if the image is too large to process in one piece.
+ */
+export function needsTiledProcessing(width, height, policy = getValidationPolicy()) {
+    return width > policy.maxDimension || height > policy.maxDimension || width * height > policy.maxTotalPixels;
+}
+
+/**
+ * Checks decoded image dimensions. An image with a zero dimension counts as not decodable.
+ * @param {number} width - The natural width of the decoded image.
+ * @param {number} height - The natural height of the decoded image.
+ * @param {object} [policy] - The policy to apply. Defaults to `getValidationPolicy()`.
+ * @param {object} [options] - Additional options.
+ * @param {boolean} [options.tiled=false] - Whether the image may be processed in strips, which allows the
+ *        larger tiled limits.
+ * @throws {ImageValidationError} If the dimensions fail the policy.
+ */
+export function validateDimensions(width, height, policy = getValidationPolicy(), { tiled = false } = {}) {
+    if (!width || !height) {
+        throw new ImageValidationError(VALIDATION_ERROR_CODES.DECODE_FAILED);
+    }
+    const maxDimension = tiled ? Math.max(policy.maxDimension, policy.maxTiledDimension) : policy.maxDimension;
+    const maxTotalPixels = tiled ? Math.max(policy.maxTotalPixels, policy.maxTiledTotalPixels) : policy.maxTotalPixels;
+    if (width > maxDimension || height > maxDimension) {
+        throw new ImageValidationError(VALIDATION_ERROR_CODES.DIMENSION_EXCEEDED, { width, height, maxDimension });
+    }
+    const totalPixels = width * height;
+    if (totalPixels > maxTotalPixels) {
+        throw new ImageValidationError(VALIDATION_ERROR_CODES.PIXEL_BUDGET_EXCEEDED, { width, height, totalPixels, maxTotalPixels });
+    }
+}
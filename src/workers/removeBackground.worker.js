@@ -0,0 +1,154 @@
+/* eslint-disable no-restricted-globals */
+/**
+ * @file src/workers/removeBackground.worker.js
+ * @description Dedicated worker that decodes, processes and re-encodes an image off the main thread
+ * using `createImageBitmap` and OffscreenCanvas. Images above the policy's limits for processing in one piece
+ * are processed in strips by the tiled pipeline instead, when the algorithm supports it.
+ *
+ * Message protocol:
+ * - in:  { task?: "remove" | "compareMaskResolutions", file: File, options: object, policy: object,
+ *          includeCleanupOverlay?: boolean }
+ *        "remove" (the default) removes the background; "compareMaskResolutions" measures the low-resolution
+ *        mask against the full-resolution one (see `compareMaskResolutionRuns`), always in one piece.
+ *        `includeCleanupOverlay` also encodes what mask cleanup changed, for images processed in one piece.
+ * - out: { type: "progress", progress: number }
+ *        { type: "result", blob: Blob, cleanupOverlayBlob?: Blob } for "remove"
+ *        { type: "result", comparison: object } for "compareMaskResolutions"
+ *        { type: "error", message: string, unsupported?: boolean, code?: string, params?: object }
+ *   `unsupported` marks failures caused by missing OffscreenCanvas support or by an algorithm that was
+ *   registered at runtime on the main thread (and so does not exist here), so the caller can fall back
+ *   to main-thread processing instead of surfacing the error. `code` and `params` carry an `ImageValidationError`
+ *   across the worker boundary.
+ */
+
+import { applyBackgroundRemoval, compareMaskResolutionRuns } from "../services/removalPipeline";
+import { canProcessTiled, removeBackgroundTiled } from "../services/tiledPipeline";
+import { DEFAULT_ALGORITHM_ID, getAlgorithm } from "../algorithms";
+import { ImageValidationError, VALIDATION_ERROR_CODES, needsTiledProcessing, validateDimensions } from "../utils/validation";
+
+const postProgress = (progress) => {
+    self.postMessage({ type: "progress", progress });
+};
+
+const postValidationError = (validationError) => {
+    self.postMessage({ type: "error", message: validationError.message, code: validationError.code, params: validationError.params });
+};
+
+/**
+ * Reads rows of a decoded image through a canvas only as large as the rows requested. The bitmap stays decoded
+ * for the whole run, since the tiled pipeline reads every strip more than once.
+ * @param {ImageBitmap} bitmap - The decoded image.
+ * @returns {{width: number, height: number, readRows: function(number, number): ImageData}} The strip source.
+ */
+const createStripSource = (bitmap) => {
+    let canvas = null;
+    let ctx = null;
+    return {
+        width: bitmap.width,
+        height: bitmap.height,
+        readRows(top, rowCount) {
+            if (!canvas || canvas.height < rowCount) {
+                canvas = new OffscreenCanvas(bitmap.width, rowCount);
+                ctx = canvas.getContext("2d", { willReadFrequently: true });
+                if (!ctx) {
+                    throw new Error("OffscreenCanvas 2D context is not available.");
+                }
+            }
+            ctx.clearRect(0, 0, bitmap.width, rowCount);
+            ctx.drawImage(bitmap, 0, top, bitmap.width, rowCount, 0, 0, bitmap.width, rowCount);
+            return ctx.getImageData(0, 0, bitmap.width, rowCount);
+        },
+    };
+};
+
+self.onmessage = async (event) => {
+    const { task = "remove", file, options, policy, includeCleanupOverlay = false } = event.data;
+
+    const algorithmId = options.algorithm || DEFAULT_ALGORITHM_ID;
+    if (!getAlgorithm(algorithmId)) {
+        self.postMessage({ type: "error", message: `Algorithm "${algorithmId}" is not available in the worker.`, unsupported: true });
+        return;
+    }
+
+    let bitmap;
+    try {
+        bitmap = await createImageBitmap(file);
+    } catch (decodeError) {
+        postValidationError(new ImageValidationError(VALIDATION_ERROR_CODES.DECODE_FAILED));
+        return;
+    }
+
+    // The comparison needs the whole image at full resolution, which strips never have.
+    const isTiled = task === "remove" && needsTiledProcessing(bitmap.width, bitmap.height, policy) && canProcessTiled(algorithmId);
+    try {
+        validateDimensions(bitmap.width, bitmap.height, policy, { tiled: isTiled });
+    } catch (validationError) {
+        bitmap.close();
+        postValidationError(validationError);
+        return;
+    }
+
+    postProgress(10); // Progress: Image loaded & dimensions validated
+
+    if (isTiled) {
+        postProgress(20);
+        try {
+            const blob = await removeBackgroundTiled(createStripSource(bitmap), options, postProgress);
+            postProgress(95);
+            self.postMessage({ type: "result", blob });
+        } catch (processingError) {
+            self.postMessage({ type: "error", message: `Tiled processing error: ${processingError.message}` });
+        } finally {
+            bitmap.close();
+        }
+        return;
+    }
+
+    const canvas = new OffscreenCanvas(bitmap.width, bitmap.height);
+    const ctx = canvas.getContext("2d", { willReadFrequently: true });
+    if (!ctx) {
+        bitmap.close();
+        self.postMessage({ type: "error", message: "OffscreenCanvas 2D context is not available.", unsupported: true });
+        return;
+    }
+
+    ctx.drawImage(bitmap, 0, 0);
+    bitmap.close();
+    postProgress(20); // Progress: Image drawn to canvas
+
+    if (task === "compareMaskResolutions") {
+        try {
+            const comparison = compareMaskResolutionRuns(ctx.getImageData(0, 0, canvas.width, canvas.height), options, postProgress);
+            self.postMessage({ type: "result", comparison });
+        } catch (comparisonError) {
+            self.postMessage({ type: "error", message: `Comparison error: ${comparisonError.message}` });
+        }
+        return;
+    }
+
+    try {
+        const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
+        const report = includeCleanupOverlay ? {} : null;
+        const result = applyBackgroundRemoval(imageData, options, postProgress, undefined, report);
+        postProgress(95);
+
+        if (result !== imageData) {
+            // Trimmed to the subject: resize the canvas to the new pixels.
+            canvas.width = result.width;
+            canvas.height = result.height;
+        }
+        ctx.putImageData(result === imageData ? imageData : new ImageData(result.data, result.width, result.height), 0, 0);
+        const blob = await canvas.convertToBlob({ type: "image/png" });
+
+        let cleanupOverlayBlob;
+        if (report && report.cleanupOverlay) {
+            const { width, height, data } = report.cleanupOverlay;
+            const overlayCanvas = new OffscreenCanvas(width, height);
+            overlayCanvas.getContext("2d").putImageData(new ImageData(data, width, height), 0, 0);
+            cleanupOverlayBlob = await overlayCanvas.convertToBlob({ type: "image/png" });
+        }
+        self.postMessage({ type: "result", blob, cleanupOverlayBlob });
+    } catch (processingError) {
+        self.postMessage({ type: "error", message: `Canvas processing error: ${processingError.message}` });
+    }
+};